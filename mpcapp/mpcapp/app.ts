@@ -17,13 +17,28 @@ window.onload = () => {
     {
         var expression = document.getElementById("expression")
 
-        var pr = exp.parseExpression(expression.innerText)
+        var text = expression.innerText
+
+        var pr = exp.parseExpression(text)
 
         if (pr.success) {
             alert(exp.toString(pr.value))
         }
         else {
-            alert("Invalid expression")
+            var message = new mpc.StringBuilder()
+
+            message.append("Invalid expression")
+
+            // Reports all failures, not only the first one
+            var diagnostics = exp.parseExpressionWithRecovery(text).diagnostics
+
+            for (var iter = 0; iter < diagnostics.length; ++iter) {
+                message
+                    .newLine()
+                    .append(mpc.formatFailure(text, diagnostics[iter]))
+            }
+
+            alert(message.toString())
         }
 
     }
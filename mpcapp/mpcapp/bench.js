@@ -0,0 +1,74 @@
+﻿// ----------------------------------------------------------------------------------------------
+// Copyright (c) Mårten Rånge.
+// ----------------------------------------------------------------------------------------------
+// This source code is subject to terms and conditions of the Microsoft Public License. A
+// copy of the license can be found in the License.html file at the root of this distribution.
+// If you cannot locate the  Microsoft Public License, please send an email to
+// dlr@microsoft.com. By using this source code in any fashion, you are agreeing to be bound
+//  by the terms of the Microsoft Public License.
+// ----------------------------------------------------------------------------------------------
+// You must not remove this notice, or any other, from this software.
+// ----------------------------------------------------------------------------------------------
+// Measures how fast the expression parser parses large expressions
+//  Run it with: bench.run() or bench.run(50000, 10)
+var bench;
+(function (bench) {
+    var terms = [
+        "x + 3 * (y + 3*z) ^ n!",
+        "-a = (b <> 2)",
+        "hastighet / 12 - πλάτος*4"
+    ];
+
+    // Produces an expression by adding up the sample terms until there are count terms
+    function expression(count) {
+        var parts = [];
+
+        for (var iter = 0; iter < count; ++iter) {
+            parts[parts.length] = terms[iter % terms.length];
+        }
+
+        return parts.join(" + ");
+    }
+    bench.expression = expression;
+
+    // Parses an expression of count terms runs times and reports the timings in milliseconds
+    //  The first parse warms up the parser and isn't part of the report
+    function run(count, runs) {
+        if (typeof count === "undefined") { count = 20000; }
+        if (typeof runs === "undefined") { runs = 10; }
+        var s = expression(count);
+
+        var pr = exp.parseExpression(s);
+        if (!pr.success) {
+            throw "The benchmark expression failed to parse";
+        }
+
+        var timings = [];
+
+        for (var iter = 0; iter < runs; ++iter) {
+            var before = new Date().getTime();
+            exp.parseExpression(s);
+            timings[timings.length] = new Date().getTime() - before;
+        }
+
+        timings.sort(function (l, r) {
+            return l - r;
+        });
+
+        return {
+            length: s.length,
+            runs: runs,
+            median: timings[Math.floor(runs / 2)],
+            min: timings[0],
+            max: timings[runs - 1]
+        };
+    }
+    bench.run = run;
+
+    // Formats a report as a single line
+    function format(report) {
+        return "Parsed " + report.length + " characters " + report.runs + " times: median " + report.median + " ms, min " + report.min + " ms, max " + report.max + " ms";
+    }
+    bench.format = format;
+})(bench || (bench = {}));
+//# sourceMappingURL=bench.js.map
@@ -0,0 +1,79 @@
+﻿// ----------------------------------------------------------------------------------------------
+// Copyright (c) Mårten Rånge.
+// ----------------------------------------------------------------------------------------------
+// This source code is subject to terms and conditions of the Microsoft Public License. A 
+// copy of the license can be found in the License.html file at the root of this distribution. 
+// If you cannot locate the  Microsoft Public License, please send an email to 
+// dlr@microsoft.com. By using this source code in any fashion, you are agreeing to be bound 
+//  by the terms of the Microsoft Public License.
+// ----------------------------------------------------------------------------------------------
+// You must not remove this notice, or any other, from this software.
+// ----------------------------------------------------------------------------------------------
+
+
+// Measures how fast the expression parser parses large expressions
+//  Run it with: bench.run() or bench.run(50000, 10)
+
+module bench {
+
+    // The timings of parsing the same expression a number of times
+    export interface Report {
+        length      : number
+        runs        : number
+        median      : number
+        min         : number
+        max         : number
+    }
+
+    var terms = 
+        [
+            "x + 3 * (y + 3*z) ^ n!"        ,
+            "-a = (b <> 2)"                 ,
+            "hastighet / 12 - πλάτος*4"      
+        ]
+
+    // Produces an expression by adding up the sample terms until there are count terms
+    export function expression(count : number) : string {
+        var parts : string[] = []
+
+        for (var iter = 0; iter < count; ++iter) {
+            parts[parts.length] = terms[iter % terms.length]
+        }
+
+        return parts.join(" + ")
+    }
+
+    // Parses an expression of count terms runs times and reports the timings in milliseconds
+    //  The first parse warms up the parser and isn't part of the report
+    export function run(count : number = 20000, runs : number = 10) : Report {
+        var s = expression(count)
+
+        var pr = exp.parseExpression(s)
+        if (!pr.success) {
+            throw "The benchmark expression failed to parse"
+        }
+
+        var timings : number[] = []
+
+        for (var iter = 0; iter < runs; ++iter) {
+            var before = new Date().getTime()
+            exp.parseExpression(s)
+            timings[timings.length] = new Date().getTime() - before
+        }
+
+        timings.sort((l, r) => l - r)
+
+        return {
+            length  : s.length                              ,
+            runs    : runs                                  ,
+            median  : timings[Math.floor(runs / 2)]         ,
+            min     : timings[0]                            ,
+            max     : timings[runs - 1]                      
+        }
+    }
+
+    // Formats a report as a single line
+    export function format(report : Report) : string {
+        return "Parsed " + report.length + " characters " + report.runs + " times: median " + report.median + " ms, min " + report.min + " ms, max " + report.max + " ms"
+    }
+}
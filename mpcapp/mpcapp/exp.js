@@ -9,7 +9,7 @@
 // ----------------------------------------------------------------------------------------------
 // You must not remove this notice, or any other, from this software.
 // ----------------------------------------------------------------------------------------------
-// A simple expression parser that can expressions like: x + 3 * (y + 3*z)
+// A simple expression parser that can expressions like: x + 3 * (y + 3*z) ^ n! - -x
 // mpc.js is a monadic parser combinator library
 // See this classic article for an introduction: http://www.cs.nott.ac.uk/~gmh/monparsing.pdf
 var exp;
@@ -23,14 +23,24 @@ var exp;
         BinaryOperator[BinaryOperator["Divide"] = 4] = "Divide";
         BinaryOperator[BinaryOperator["EqualTo"] = 5] = "EqualTo";
         BinaryOperator[BinaryOperator["NotEqualTo"] = 6] = "NotEqualTo";
+        BinaryOperator[BinaryOperator["Power"] = 7] = "Power";
     })(exp.BinaryOperator || (exp.BinaryOperator = {}));
     var BinaryOperator = exp.BinaryOperator;
 
+    // All supported unary operators
+    (function (UnaryOperator) {
+        UnaryOperator[UnaryOperator["Unknown"] = 0] = "Unknown";
+        UnaryOperator[UnaryOperator["Negate"] = 1] = "Negate";
+        UnaryOperator[UnaryOperator["Factorial"] = 2] = "Factorial";
+    })(exp.UnaryOperator || (exp.UnaryOperator = {}));
+    var UnaryOperator = exp.UnaryOperator;
+
     var BinaryExpression = (function () {
-        function BinaryExpression(op, left, right) {
+        function BinaryExpression(op, left, right, span) {
             this.op = op;
             this.left = left;
             this.right = right;
+            this.span = span;
         }
         BinaryExpression.prototype.apply = function (visitor) {
             visitor.visitBinary(this.op, this.left, this.right);
@@ -39,9 +49,23 @@ var exp;
     })();
     exp.BinaryExpression = BinaryExpression;
 
+    var UnaryExpression = (function () {
+        function UnaryExpression(op, operand, span) {
+            this.op = op;
+            this.operand = operand;
+            this.span = span;
+        }
+        UnaryExpression.prototype.apply = function (visitor) {
+            visitor.visitUnary(this.op, this.operand);
+        };
+        return UnaryExpression;
+    })();
+    exp.UnaryExpression = UnaryExpression;
+
     var NumberLiteralExpression = (function () {
-        function NumberLiteralExpression(value) {
+        function NumberLiteralExpression(value, span) {
             this.value = value;
+            this.span = span;
         }
         NumberLiteralExpression.prototype.apply = function (visitor) {
             visitor.visitNumberLiteral(this.value);
@@ -51,8 +75,9 @@ var exp;
     exp.NumberLiteralExpression = NumberLiteralExpression;
 
     var IdentifierExpression = (function () {
-        function IdentifierExpression(name) {
+        function IdentifierExpression(name, span) {
             this.name = name;
+            this.span = span;
         }
         IdentifierExpression.prototype.apply = function (visitor) {
             visitor.visitIdentifier(this.name);
@@ -61,6 +86,17 @@ var exp;
     })();
     exp.IdentifierExpression = IdentifierExpression;
 
+    // Takes the place of an expression that couldn't be parsed (see parseExpressionWithRecovery)
+    var ErrorExpression = (function () {
+        function ErrorExpression() {
+        }
+        ErrorExpression.prototype.apply = function (visitor) {
+            visitor.visitError();
+        };
+        return ErrorExpression;
+    })();
+    exp.ErrorExpression = ErrorExpression;
+
     // A simple visitor that serializes the Expression AST into a human readable string
     //  This string can be parsed again
     var ExpressionSerializer = (function () {
@@ -92,11 +128,33 @@ var exp;
                 case BinaryOperator.NotEqualTo:
                     this.expr.append(" <> ");
                     break;
+                case BinaryOperator.Power:
+                    this.expr.append(" ^ ");
+                    break;
             }
             right.apply(this);
             this.expr.append(")");
         };
 
+        ExpressionSerializer.prototype.visitUnary = function (op, operand) {
+            this.expr.append("(");
+            switch (op) {
+                default:
+                    this.expr.append("<UNK> ");
+                    operand.apply(this);
+                    break;
+                case UnaryOperator.Negate:
+                    this.expr.append("-");
+                    operand.apply(this);
+                    break;
+                case UnaryOperator.Factorial:
+                    operand.apply(this);
+                    this.expr.append("!");
+                    break;
+            }
+            this.expr.append(")");
+        };
+
         ExpressionSerializer.prototype.visitNumberLiteral = function (value) {
             this.expr.append(value.toString());
         };
@@ -104,71 +162,209 @@ var exp;
         ExpressionSerializer.prototype.visitIdentifier = function (name) {
             this.expr.append(name);
         };
+
+        ExpressionSerializer.prototype.visitError = function () {
+            this.expr.append("<ERROR>");
+        };
         return ExpressionSerializer;
     })();
     exp.ExpressionSerializer = ExpressionSerializer;
 
     // Define expression grammar
-    // Consumes whitespaces
-    var p_whitespaces = mpc.skipSatisfyMany(mpc.satisyWhitespace);
+    //  The grammar is defined with syntaxes that both parse and print expressions so the
+    //  printed expressions can always be parsed again (see print)
+    // Consumes whitespaces, nothing is printed
+    var s_whitespaces = mpc.syntax(mpc.skipSatisfyMany(mpc.satisyWhitespace), function () {
+        return "";
+    }).named("whitespace");
 
     // Parses +- operators and maps it to a BinaryOperator
-    var p_addLikeOperator = mpc.anyCharOf2("+-", [BinaryOperator.Add, BinaryOperator.Subtract]).keepLeft(p_whitespaces);
+    var s_addLikeOperator = mpc.literals(["+", "-"], [BinaryOperator.Add, BinaryOperator.Subtract], [" + ", " - "]).keepLeft(s_whitespaces);
 
     // Parses */ operators and maps it to a BinaryOperator
-    var p_multiplyLikeOperator = mpc.anyCharOf2("*/", [BinaryOperator.Multiply, BinaryOperator.Divide]).keepLeft(p_whitespaces);
+    var s_multiplyLikeOperator = mpc.literals(["*", "/"], [BinaryOperator.Multiply, BinaryOperator.Divide], [" * ", " / "]).keepLeft(s_whitespaces);
 
     // Parses =<> operators and maps it to a BinaryOperator
-    var p_comparisonOperator = mpc.choice(mpc.skipString("=").result(BinaryOperator.EqualTo), mpc.skipString("<>").result(BinaryOperator.NotEqualTo)).keepLeft(p_whitespaces);
+    var s_comparisonOperator = mpc.literals(["=", "<>"], [BinaryOperator.EqualTo, BinaryOperator.NotEqualTo], [" = ", " <> "]).keepLeft(s_whitespaces);
+
+    // Parses ^ operator and maps it to a BinaryOperator
+    var s_powerOperator = mpc.literals(["^"], [BinaryOperator.Power], [" ^ "]).keepLeft(s_whitespaces);
+
+    // Parses - prefix operator and maps it to an UnaryOperator and its span
+    var s_negateOperator = mpc.syntaxWithSpan(mpc.literals(["-"], [UnaryOperator.Negate])).keepLeft(s_whitespaces);
+
+    // Parses ! postfix operator and maps it to an UnaryOperator and its span
+    var s_factorialOperator = mpc.syntaxWithSpan(mpc.literals(["!"], [UnaryOperator.Factorial])).keepLeft(s_whitespaces);
 
     // Parses a number
-    var p_number = mpc.anyStringOf("0123456789").consumedAtLeast(1).keepLeft(p_whitespaces).transform(function (c) {
-        return new NumberLiteralExpression(parseFloat(c));
-    });
+    //  Numbers that don't print as digits (like 1e+21) can't be printed
+    var s_number = mpc.verbatim(mpc.anyStringOf("0123456789").consumedAtLeast(1)).label("number").located(function (c, span) {
+        return new NumberLiteralExpression(parseFloat(c), span);
+    }, function (e) {
+        return e instanceof NumberLiteralExpression ? (e).value.toString() : null;
+    }).keepLeft(s_whitespaces);
 
-    // Parses an identifier (basically a sequence of alphanumeric characters)
-    var p_identifer = mpc.satisfyMany(function (ch, pos) {
-        return (ch >= 65 && ch <= 90) || (ch >= 97 && ch <= 122);
-    }).consumedAtLeast(1).keepLeft(p_whitespaces).transform(function (c) {
-        return new IdentifierExpression(c);
-    });
+    // Parses an identifier (basically a sequence of letters in any script, like: hastighet, πλάτος or 速度)
+    var s_identifer = mpc.verbatim(mpc.codePoints(mpc.satisfyMany(mpc.isLetter)).consumedAtLeast(1)).label("identifier").located(function (c, span) {
+        return new IdentifierExpression(c, span);
+    }, function (e) {
+        return e instanceof IdentifierExpression ? (e).name : null;
+    }).keepLeft(s_whitespaces);
 
     // Parses an expressions, as the definition is circular this is a placeholder for now
-    var p_expression = mpc.circular();
+    var s_expression = mpc.circularSyntax("expression");
 
     // Parses a sub expression ie an expression surrounded with parantheses ()
-    var p_subExpression = p_expression.inBetween(mpc.skipString("("), mpc.skipString(")")).keepLeft(p_whitespaces);
+    //  The span of the sub expression includes the parantheses
+    var s_subExpression = s_expression.inBetween(mpc.literal("("), mpc.literal(")")).located(function (e, span) {
+        if (e.span) {
+            e.span = span;
+        }
+        return e;
+    }, function (e) {
+        return e;
+    }).keepLeft(s_whitespaces);
 
-    // Will be used to combine binary expressions
+    // Will be used to combine binary expressions, the span is from left to right
     function expressionCombiner(l, op, r) {
-        return new BinaryExpression(op, l, r);
+        return new BinaryExpression(op, l, r, mpc.joinSpans(l.span, r.span));
     }
 
-    // Parses a term : a number, identifier or a sub expression
-    var p_term = mpc.choice(p_number, p_identifer, p_subExpression);
+    // Will be used to split binary expressions when printing
+    function expressionSplitter(e) {
+        if (!(e instanceof BinaryExpression)) {
+            return null;
+        }
 
-    // Parses level 1 : Expressions chained by */, this will make */ to bind stronger than +-
-    var p_l1 = mpc.chainLeft(p_term, p_multiplyLikeOperator, expressionCombiner);
+        var binary = e;
+        return { left: binary.left, op: binary.op, right: binary.right };
+    }
 
-    // Parses level 2 : Expressions chained by +-
-    var p_l2 = mpc.chainLeft(p_l1, p_addLikeOperator, expressionCombiner);
+    // Will be used to apply prefix operators, the span is from the operator to the operand
+    function prefixApplier(op, e) {
+        return new UnaryExpression(op.value, e, mpc.joinSpans(op.span, e.span));
+    }
 
-    // Parses level 3 : Expressions chained by =<>
-    var p_l3 = mpc.chainLeft(p_l2, p_comparisonOperator, expressionCombiner);
+    // Will be used to apply postfix operators, the span is from the operand to the operator
+    function postfixApplier(op, e) {
+        return new UnaryExpression(op.value, e, mpc.joinSpans(e.span, op.span));
+    }
+
+    // Will be used to split unary expressions when printing, the span of the operator isn't known
+    function unaryUnapplier(e) {
+        if (!(e instanceof UnaryExpression)) {
+            return null;
+        }
+
+        var unary = e;
+        return { op: { value: unary.op, span: undefined }, operand: unary.operand };
+    }
+
+    // Synchronizes recovery on operators, ) and end of stream so parsing can continue after an invalid term
+    var p_sync = mpc.choice(mpc.anyCharOf(")+-*/=<>^!").noResult(), mpc.EOS());
+
+    // Parses a term : a number, identifier or a sub expression
+    //  The term is memoized as the operator levels retry terms at the same position
+    //  An invalid or missing term is recovered from when parsing with recovery
+    var s_term = mpc.syntaxChoice(s_number, s_identifer, s_subExpression).recover(p_sync, new ErrorExpression(), true).memo().named("term");
 
-    // Produces the complete expression parser, sets up the circular parser expression
-    var p_complete = (function () {
-        p_expression.parse = p_l3.parse;
-        return p_l3;
+    // Parses operators by precedence, the operators on the first level binds the strongest
+    //  Sub expressions are printed where the precedence requires them
+    var s_operators = mpc.expressionSyntax(s_term, s_subExpression, [
+        mpc.postfixSyntax(s_factorialOperator, postfixApplier, unaryUnapplier),
+        mpc.infixSyntax(s_powerOperator, mpc.Associativity.Right, expressionCombiner, expressionSplitter),
+        mpc.prefixSyntax(s_negateOperator, prefixApplier, unaryUnapplier),
+        mpc.infixSyntax(s_multiplyLikeOperator, mpc.Associativity.Left, expressionCombiner, expressionSplitter),
+        mpc.infixSyntax(s_addLikeOperator, mpc.Associativity.Left, expressionCombiner, expressionSplitter),
+        mpc.infixSyntax(s_comparisonOperator, mpc.Associativity.Left, expressionCombiner, expressionSplitter)
+    ]);
+
+    // Produces the complete expression syntax, sets up the circular syntax expression
+    //  The complete expression syntax skips leading whitespaces and requires all input to be consumed
+    //  Trailing input is skipped when parsing with recovery
+    var s_complete = (function () {
+        s_expression.assign(s_operators);
+        return s_whitespaces.keepRight(s_operators).keepLeft(mpc.syntax(mpc.recover(mpc.EOS(), mpc.EOS(), undefined), function () {
+            return "";
+        }));
     })();
 
+    // The complete expression parser
+    var p_complete = s_complete.parser;
+
     // Parses a string and returns a ParseResult
     function parseExpression(s) {
         return mpc.parse(p_complete, s);
     }
     exp.parseExpression = parseExpression;
 
+    // Parses a string and returns a ParseResult, invalid terms and trailing input are recovered from
+    //  The value is a partial expression where ErrorExpression takes the place of invalid terms
+    //  The diagnostics holds all failures
+    function parseExpressionWithRecovery(s) {
+        return mpc.parseWithRecovery(p_complete, s);
+    }
+    exp.parseExpressionWithRecovery = parseExpressionWithRecovery;
+
+    // Produces what can come next at the cursor, like operators, ) or identifier
+    //  The variables are suggested where an identifier can come
+    // Example: exp.complete("x + hast", 8, ["hastighet", "höjd"])
+    function complete(s, cursor, variables) {
+        return mpc.complete(p_complete, s, cursor, { identifier: variables || [] });
+    }
+    exp.complete = complete;
+
+    // Produces the expression grammar as EBNF, it's generated from the parsers so it's always up to date
+    function grammar() {
+        return mpc.ebnf(p_complete);
+    }
+    exp.grammar = grammar;
+
+    // Produces railroad diagrams of the expression grammar as a standalone SVG document
+    function grammarDiagram() {
+        return mpc.railroad(p_complete);
+    }
+    exp.grammarDiagram = grammarDiagram;
+
+    // Checks that random expressions survive a round trip: the human readable string of
+    //  a parsed expression shall parse into an expression with the same human readable string
+    //  and the printed expression shall parse into the same expression
+    //  Returns the random expressions that failed the check
+    function checkRoundTrip(count, seed) {
+        var generator = new mpc.Generator(p_complete, seed);
+        var failures = [];
+
+        for (var iter = 0; iter < count; ++iter) {
+            var s = generator.sentence();
+
+            if (s === null) {
+                continue;
+            }
+
+            var expr = parseExpression(s).value;
+            var first = toString(expr);
+            var second = parseExpression(first);
+            var third = parseExpression(print(expr));
+
+            if (!second.success || toString(second.value) !== first || !third.success || toString(third.value) !== first) {
+                failures[failures.length] = s;
+            }
+        }
+
+        return failures;
+    }
+    exp.checkRoundTrip = checkRoundTrip;
+
+    // Prints an expression as it would be written, with parentheses only where the precedence requires them
+    //  The printed expression parses into the same expression
+    //  Produces null if the expression can't be printed (like an expression with an ErrorExpression)
+    function print(expr) {
+        return s_complete.print(expr);
+    }
+    exp.print = print;
+
     // Takes an expression and produces a human readable string
+    //  The string is fully parenthesized to show how the expression is grouped (see print)
     function toString(expr) {
         var visitor = new ExpressionSerializer();
         expr.apply(visitor);
@@ -10,7 +10,7 @@
 // You must not remove this notice, or any other, from this software.
 // ----------------------------------------------------------------------------------------------
 
-// A simple expression parser that can expressions like: x + 3 * (y + 3*z)
+// A simple expression parser that can expressions like: x + 3 * (y + 3*z) ^ n! - -x
 
 // mpc.js is a monadic parser combinator library
 // See this classic article for an introduction: http://www.cs.nott.ac.uk/~gmh/monparsing.pdf
@@ -27,23 +27,35 @@ module exp {
         Divide      ,
         EqualTo     ,
         NotEqualTo  ,
+        Power       ,
+    }
+
+    // All supported unary operators
+    export enum UnaryOperator {
+        Unknown     ,
+        Negate      ,
+        Factorial   ,
     }
 
     // The expression visitor will be used to traverse the AST 
     export interface ExpressionVisitor {
         visitBinary(op : BinaryOperator, left : Expression, right : Expression);
+        visitUnary(op : UnaryOperator, operand : Expression);
         visitNumberLiteral(value : number);
         visitIdentifier(name : string);
+        visitError();
     }
 
 
     // Define expression AST (Abstract Syntax Tree)
+    //  The span is where in the source text the expression is (undefined for ErrorExpression)
     export interface Expression {
+        span : mpc.Span;
         apply(visitor : ExpressionVisitor) : void;
     }
 
     export class BinaryExpression implements Expression {
-        constructor (public op : BinaryOperator, public left : Expression, public right : Expression) {
+        constructor (public op : BinaryOperator, public left : Expression, public right : Expression, public span? : mpc.Span) {
         }
 
         apply(visitor : ExpressionVisitor) : void
@@ -52,8 +64,18 @@ module exp {
         }
     }
 
+    export class UnaryExpression implements Expression {
+        constructor (public op : UnaryOperator, public operand : Expression, public span? : mpc.Span) {
+        }
+
+        apply(visitor : ExpressionVisitor) : void
+        {
+            visitor.visitUnary(this.op, this.operand);
+        }
+    }
+
     export class NumberLiteralExpression implements Expression {
-        constructor (public value : number) {
+        constructor (public value : number, public span? : mpc.Span) {
         }
 
         apply(visitor : ExpressionVisitor) : void
@@ -63,7 +85,7 @@ module exp {
     }
 
     export class IdentifierExpression implements Expression {
-        constructor (public name : string) {
+        constructor (public name : string, public span? : mpc.Span) {
         }
 
         apply(visitor : ExpressionVisitor) : void
@@ -72,6 +94,16 @@ module exp {
         }
     }
 
+    // Takes the place of an expression that couldn't be parsed (see parseExpressionWithRecovery)
+    export class ErrorExpression implements Expression {
+        span : mpc.Span
+
+        apply(visitor : ExpressionVisitor) : void
+        {
+            visitor.visitError();
+        }
+    }
+
     // A simple visitor that serializes the Expression AST into a human readable string
     //  This string can be parsed again
     export class ExpressionSerializer implements ExpressionVisitor {
@@ -102,11 +134,33 @@ module exp {
             case BinaryOperator.NotEqualTo:
                 this.expr.append(" <> ")
                 break;
+            case BinaryOperator.Power:
+                this.expr.append(" ^ ")
+                break;
             }
             right.apply(this)
             this.expr.append(")")
         }
 
+        visitUnary(op : UnaryOperator, operand : Expression) {
+            this.expr.append("(")
+            switch(op) {
+            default:
+                this.expr.append("<UNK> ")
+                operand.apply(this)
+                break;
+            case UnaryOperator.Negate:
+                this.expr.append("-")
+                operand.apply(this)
+                break;
+            case UnaryOperator.Factorial:
+                operand.apply(this)
+                this.expr.append("!")
+                break;
+            }
+            this.expr.append(")")
+        }
+
         visitNumberLiteral(value : number) {
             this.expr.append(value.toString())
         }
@@ -114,80 +168,224 @@ module exp {
         visitIdentifier(name : string) {
             this.expr.append(name)
         }
+
+        visitError() {
+            this.expr.append("<ERROR>")
+        }
     }
 
     // Define expression grammar
+    //  The grammar is defined with syntaxes that both parse and print expressions so the 
+    //  printed expressions can always be parsed again (see print)
 
-    // Consumes whitespaces
-    var p_whitespaces = mpc
-        .skipSatisfyMany(mpc.satisyWhitespace)
+    // Consumes whitespaces, nothing is printed
+    var s_whitespaces = mpc
+        .syntax(mpc.skipSatisfyMany(mpc.satisyWhitespace), () => "")
+        .named("whitespace")
 
     // Parses +- operators and maps it to a BinaryOperator
-    var p_addLikeOperator = mpc
-        .anyCharOf2("+-", [BinaryOperator.Add, BinaryOperator.Subtract])
-        .keepLeft(p_whitespaces)
+    var s_addLikeOperator = mpc
+        .literals(["+", "-"], [BinaryOperator.Add, BinaryOperator.Subtract], [" + ", " - "])
+        .keepLeft(s_whitespaces)
 
     // Parses */ operators and maps it to a BinaryOperator
-    var p_multiplyLikeOperator = mpc
-        .anyCharOf2("*/", [BinaryOperator.Multiply, BinaryOperator.Divide])
-        .keepLeft(p_whitespaces)
+    var s_multiplyLikeOperator = mpc
+        .literals(["*", "/"], [BinaryOperator.Multiply, BinaryOperator.Divide], [" * ", " / "])
+        .keepLeft(s_whitespaces)
 
     // Parses =<> operators and maps it to a BinaryOperator
-    var p_comparisonOperator = mpc
-        .choice(
-            mpc.skipString("=").result(BinaryOperator.EqualTo),
-            mpc.skipString("<>").result(BinaryOperator.NotEqualTo)
-        )
-        .keepLeft(p_whitespaces)
+    var s_comparisonOperator = mpc
+        .literals(["=", "<>"], [BinaryOperator.EqualTo, BinaryOperator.NotEqualTo], [" = ", " <> "])
+        .keepLeft(s_whitespaces)
+
+    // Parses ^ operator and maps it to a BinaryOperator
+    var s_powerOperator = mpc
+        .literals(["^"], [BinaryOperator.Power], [" ^ "])
+        .keepLeft(s_whitespaces)
+
+    // Parses - prefix operator and maps it to an UnaryOperator and its span
+    var s_negateOperator = mpc
+        .syntaxWithSpan(mpc.literals(["-"], [UnaryOperator.Negate]))
+        .keepLeft(s_whitespaces)
+
+    // Parses ! postfix operator and maps it to an UnaryOperator and its span
+    var s_factorialOperator = mpc
+        .syntaxWithSpan(mpc.literals(["!"], [UnaryOperator.Factorial]))
+        .keepLeft(s_whitespaces)
 
     // Parses a number
-    var p_number : mpc.Parser<Expression> = mpc
-        .anyStringOf("0123456789")
-        .consumedAtLeast(1)
-        .keepLeft(p_whitespaces)
-        .transform((c : string) => new NumberLiteralExpression(parseFloat(c)))
-
-    // Parses an identifier (basically a sequence of alphanumeric characters)
-    var p_identifer : mpc.Parser<Expression> = mpc
-        .satisfyMany((ch,pos)=> (ch >= 65 && ch <= 90) || (ch >= 97 && ch <= 122))
-        .consumedAtLeast(1)
-        .keepLeft(p_whitespaces)
-        .transform((c : string) => new IdentifierExpression(c))
+    //  Numbers that don't print as digits (like 1e+21) can't be printed
+    var s_number : mpc.Syntax<Expression> = mpc
+        .verbatim(mpc.anyStringOf("0123456789").consumedAtLeast(1))
+        .label("number")
+        .located(
+            (c : string, span : mpc.Span) => new NumberLiteralExpression(parseFloat(c), span),
+            (e : Expression) => e instanceof NumberLiteralExpression ? (<NumberLiteralExpression> e).value.toString() : null)
+        .keepLeft(s_whitespaces)
+
+    // Parses an identifier (basically a sequence of letters in any script, like: hastighet, πλάτος or 速度)
+    var s_identifer : mpc.Syntax<Expression> = mpc
+        .verbatim(mpc.codePoints(mpc.satisfyMany(mpc.isLetter)).consumedAtLeast(1))
+        .label("identifier")
+        .located(
+            (c : string, span : mpc.Span) => new IdentifierExpression(c, span),
+            (e : Expression) => e instanceof IdentifierExpression ? (<IdentifierExpression> e).name : null)
+        .keepLeft(s_whitespaces)
 
     // Parses an expressions, as the definition is circular this is a placeholder for now
-    var p_expression : mpc.Parser<Expression> = mpc.circular()
+    var s_expression = mpc.circularSyntax<Expression>("expression")
 
     // Parses a sub expression ie an expression surrounded with parantheses ()
-    var p_subExpression = p_expression
-        .inBetween(mpc.skipString("("), mpc.skipString(")"))
-        .keepLeft(p_whitespaces)
-
-    // Will be used to combine binary expressions
+    //  The span of the sub expression includes the parantheses
+    var s_subExpression = s_expression
+        .inBetween(mpc.literal("("), mpc.literal(")"))
+        .located(
+            (e : Expression, span : mpc.Span) => { 
+                if (e.span) {
+                    e.span = span
+                }
+                return e 
+                },
+            (e : Expression) => e)
+        .keepLeft(s_whitespaces)
+
+    // Will be used to combine binary expressions, the span is from left to right
     function expressionCombiner(l : Expression, op : BinaryOperator, r : Expression) : Expression {
-        return new BinaryExpression(op, l, r)
+        return new BinaryExpression(op, l, r, mpc.joinSpans(l.span, r.span))
     }
 
+    // Will be used to split binary expressions when printing
+    function expressionSplitter(e : Expression) : mpc.InfixOperation<Expression, BinaryOperator> {
+        if (!(e instanceof BinaryExpression)) {
+            return null
+        }
+
+        var binary = <BinaryExpression> e
+        return { left : binary.left, op : binary.op, right : binary.right }
+    }
+
+    // Will be used to apply prefix operators, the span is from the operator to the operand
+    function prefixApplier(op : mpc.Spanned<UnaryOperator>, e : Expression) : Expression {
+        return new UnaryExpression(op.value, e, mpc.joinSpans(op.span, e.span))
+    }
+
+    // Will be used to apply postfix operators, the span is from the operand to the operator
+    function postfixApplier(op : mpc.Spanned<UnaryOperator>, e : Expression) : Expression {
+        return new UnaryExpression(op.value, e, mpc.joinSpans(e.span, op.span))
+    }
+
+    // Will be used to split unary expressions when printing, the span of the operator isn't known
+    function unaryUnapplier(e : Expression) : mpc.UnaryOperation<Expression, mpc.Spanned<UnaryOperator>> {
+        if (!(e instanceof UnaryExpression)) {
+            return null
+        }
+
+        var unary = <UnaryExpression> e
+        return { op : { value : unary.op, span : undefined }, operand : unary.operand }
+    }
+
+    // Synchronizes recovery on operators, ) and end of stream so parsing can continue after an invalid term
+    var p_sync = mpc.choice(mpc.anyCharOf(")+-*/=<>^!").noResult(), mpc.EOS())
+
     // Parses a term : a number, identifier or a sub expression
-    var p_term = mpc.choice(p_number, p_identifer, p_subExpression)
-    // Parses level 1 : Expressions chained by */, this will make */ to bind stronger than +-
-    var p_l1 = mpc.chainLeft(p_term, p_multiplyLikeOperator, expressionCombiner)
-    // Parses level 2 : Expressions chained by +-
-    var p_l2 = mpc.chainLeft(p_l1, p_addLikeOperator, expressionCombiner)
-    // Parses level 3 : Expressions chained by =<>
-    var p_l3 = mpc.chainLeft(p_l2, p_comparisonOperator, expressionCombiner)
-
-    // Produces the complete expression parser, sets up the circular parser expression
-    var p_complete = () => {
-        p_expression.parse = p_l3.parse
-        return p_l3
+    //  The term is memoized as the operator levels retry terms at the same position
+    //  An invalid or missing term is recovered from when parsing with recovery
+    var s_term = mpc.syntaxChoice(s_number, s_identifer, s_subExpression).recover(p_sync, new ErrorExpression(), true).memo().named("term")
+
+    // Parses operators by precedence, the operators on the first level binds the strongest
+    //  Sub expressions are printed where the precedence requires them
+    var s_operators = mpc.expressionSyntax(s_term, s_subExpression, [
+        // Expressions followed by !
+        mpc.postfixSyntax(s_factorialOperator, postfixApplier, unaryUnapplier),
+        // Expressions chained by ^, ^ is right associative: 2^3^4 is 2^(3^4)
+        mpc.infixSyntax(s_powerOperator, mpc.Associativity.Right, expressionCombiner, expressionSplitter),
+        // Expressions preceded by -, this will make -2^2 to be -(2^2)
+        mpc.prefixSyntax(s_negateOperator, prefixApplier, unaryUnapplier),
+        // Expressions chained by */, this will make */ to bind stronger than +-
+        mpc.infixSyntax(s_multiplyLikeOperator, mpc.Associativity.Left, expressionCombiner, expressionSplitter),
+        // Expressions chained by +-
+        mpc.infixSyntax(s_addLikeOperator, mpc.Associativity.Left, expressionCombiner, expressionSplitter),
+        // Expressions chained by =<>
+        mpc.infixSyntax(s_comparisonOperator, mpc.Associativity.Left, expressionCombiner, expressionSplitter),
+        ])
+
+    // Produces the complete expression syntax, sets up the circular syntax expression
+    //  The complete expression syntax skips leading whitespaces and requires all input to be consumed
+    //  Trailing input is skipped when parsing with recovery
+    var s_complete = () => {
+        s_expression.assign(s_operators)
+        return s_whitespaces.keepRight(s_operators).keepLeft(mpc.syntax(mpc.recover(mpc.EOS(), mpc.EOS(), undefined), () => ""))
         }()
 
+    // The complete expression parser
+    var p_complete = s_complete.parser
+
     // Parses a string and returns a ParseResult
     export function parseExpression(s : string) : mpc.ParseResult<Expression> {
         return mpc.parse(p_complete, s)
     }
 
+    // Parses a string and returns a ParseResult, invalid terms and trailing input are recovered from
+    //  The value is a partial expression where ErrorExpression takes the place of invalid terms
+    //  The diagnostics holds all failures
+    export function parseExpressionWithRecovery(s : string) : mpc.ParseResult<Expression> {
+        return mpc.parseWithRecovery(p_complete, s)
+    }
+
+    // Produces what can come next at the cursor, like operators, ) or identifier
+    //  The variables are suggested where an identifier can come
+    // Example: exp.complete("x + hast", 8, ["hastighet", "höjd"])
+    export function complete(s : string, cursor : number, variables? : string[]) : mpc.Completion {
+        return mpc.complete(p_complete, s, cursor, { identifier : variables || [] })
+    }
+
+    // Produces the expression grammar as EBNF, it's generated from the parsers so it's always up to date
+    export function grammar() : string {
+        return mpc.ebnf(p_complete)
+    }
+
+    // Produces railroad diagrams of the expression grammar as a standalone SVG document
+    export function grammarDiagram() : string {
+        return mpc.railroad(p_complete)
+    }
+
+    // Checks that random expressions survive a round trip: the human readable string of
+    //  a parsed expression shall parse into an expression with the same human readable string
+    //  and the printed expression shall parse into the same expression
+    //  Returns the random expressions that failed the check
+    export function checkRoundTrip(count : number, seed? : number) : string[] {
+        var generator = new mpc.Generator(p_complete, seed)
+        var failures : string[] = []
+
+        for (var iter = 0; iter < count; ++iter) {
+            var s = generator.sentence()
+
+            if (s === null) {
+                continue
+            }
+
+            var expr    = parseExpression(s).value
+            var first   = toString(expr)
+            var second  = parseExpression(first)
+            var third   = parseExpression(print(expr))
+
+            if (!second.success || toString(second.value) !== first || !third.success || toString(third.value) !== first) {
+                failures[failures.length] = s
+            }
+        }
+
+        return failures
+    }
+
+    // Prints an expression as it would be written, with parentheses only where the precedence requires them
+    //  The printed expression parses into the same expression
+    //  Produces null if the expression can't be printed (like an expression with an ErrorExpression)
+    export function print(expr : Expression) : string {
+        return s_complete.print(expr)
+    }
+
     // Takes an expression and produces a human readable string
+    //  The string is fully parenthesized to show how the expression is grouped (see print)
     export function toString (expr : Expression) : string {
         var visitor = new ExpressionSerializer()
         expr.apply(visitor)
@@ -9,6 +9,12 @@
 // ----------------------------------------------------------------------------------------------
 // You must not remove this notice, or any other, from this software.
 // ----------------------------------------------------------------------------------------------
+var __extends = this.__extends || function (d, b) {
+    for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+    function __() { this.constructor = d; }
+    __.prototype = b.prototype;
+    d.prototype = new __();
+};
 // mpc.js is a monadic parser combinator library
 // See this classic article for an introduction: http://www.cs.nott.ac.uk/~gmh/monparsing.pdf
 var mpc;
@@ -45,6 +51,7 @@ var mpc;
     mpc.StringBuilder = StringBuilder;
 
     // Holds a parser snapshot
+    //  The user state is included so backtracking rolls back state changes (see setState)
     var Snapshot = (function () {
         function Snapshot() {
         }
@@ -52,9 +59,153 @@ var mpc;
     })();
     mpc.Snapshot = Snapshot;
 
+    // The parts of a value built by an infix operator (see Splitter)
+    var InfixOperation = (function () {
+        function InfixOperation() {
+        }
+        return InfixOperation;
+    })();
+    mpc.InfixOperation = InfixOperation;
+
+    // The parts of a value built by a prefix or postfix operator (see Unapplier)
+    var UnaryOperation = (function () {
+        function UnaryOperation() {
+        }
+        return UnaryOperation;
+    })();
+    mpc.UnaryOperation = UnaryOperation;
+
+    // The associativity of the operators in an operator level
+    //  Non associative operators can't be chained (a = b = c is rejected)
+    //  Non associative prefix and postfix operators can't be repeated (- - a is rejected)
+    (function (Associativity) {
+        Associativity[Associativity["Left"] = 0] = "Left";
+        Associativity[Associativity["Right"] = 1] = "Right";
+        Associativity[Associativity["None"] = 2] = "None";
+    })(mpc.Associativity || (mpc.Associativity = {}));
+    var Associativity = mpc.Associativity;
+
+    // The kind of the operators in an operator level
+    (function (OperatorKind) {
+        OperatorKind[OperatorKind["Infix"] = 0] = "Infix";
+        OperatorKind[OperatorKind["Prefix"] = 1] = "Prefix";
+        OperatorKind[OperatorKind["Postfix"] = 2] = "Postfix";
+    })(mpc.OperatorKind || (mpc.OperatorKind = {}));
+    var OperatorKind = mpc.OperatorKind;
+
+    // An operator level in an operator table (see expressionParser)
+    //  The kind of operators
+    //  The associativity of the operators
+    //  The operator parser, the parsed value is passed to combiner or applier
+    //  The combiner used by infix operators
+    //  The applier used by prefix and postfix operators
+    var OperatorLevel = (function () {
+        function OperatorLevel() {
+        }
+        return OperatorLevel;
+    })();
+    mpc.OperatorLevel = OperatorLevel;
+
+    // An operator level in an operator table of an expression syntax (see expressionSyntax)
+    //  The operator level used to parse
+    //  The operator syntax, prints the operators of the level
+    //  The splitter used by infix operators
+    //  The unapplier used by prefix and postfix operators
+    var SyntaxLevel = (function () {
+        function SyntaxLevel() {
+        }
+        return SyntaxLevel;
+    })();
+    mpc.SyntaxLevel = SyntaxLevel;
+
+    // Represents a token produced by a lexer
+    //  The token type (typically used to match tokens, see token)
+    //  The token text
+    //  The span of the token in the source text (end is exclusive)
+    var Token = (function () {
+        function Token() {
+        }
+        return Token;
+    })();
+    mpc.Token = Token;
+
+    // The byte order of binary numbers (see parseBytes)
+    (function (Endian) {
+        Endian[Endian["Big"] = 0] = "Big";
+        Endian[Endian["Little"] = 1] = "Little";
+    })(mpc.Endian || (mpc.Endian = {}));
+    var Endian = mpc.Endian;
+
+    // Represents a location in the text
+    //  The position (offset) in the text
+    //  The line (starts at 1)
+    //  The column (starts at 1)
+    var Location = (function () {
+        function Location() {
+        }
+        return Location;
+    })();
+    mpc.Location = Location;
+
+    // Represents a span in the source text
+    //  The start and end offsets (end is exclusive)
+    //  The line and column of the start and end (starts at 1)
+    var Span = (function () {
+        function Span() {
+        }
+        return Span;
+    })();
+    mpc.Span = Span;
+
+    // Pairs a value with its span in the source text (see withSpan)
+    var Spanned = (function () {
+        function Spanned() {
+        }
+        return Spanned;
+    })();
+    mpc.Spanned = Spanned;
+
+    // The kind of a completion item
+    (function (CompletionKind) {
+        CompletionKind[CompletionKind["Literal"] = 0] = "Literal";
+        CompletionKind[CompletionKind["Rule"] = 1] = "Rule";
+        CompletionKind[CompletionKind["Candidate"] = 2] = "Candidate";
+    })(mpc.CompletionKind || (mpc.CompletionKind = {}));
+    var CompletionKind = mpc.CompletionKind;
+
+    // Represents something that can come next at the cursor (see complete)
+    //  The kind of the item
+    //  The text to insert, the name of the rule of Rule items
+    //  The name of the rule of Rule and Candidate items
+    var CompletionItem = (function () {
+        function CompletionItem() {
+        }
+        return CompletionItem;
+    })();
+    mpc.CompletionItem = CompletionItem;
+
+    // Represents the completions at a cursor (see complete)
+    //  The start of the word the cursor is in, inserting an item replaces the text from start to the cursor
+    //  The cursor
+    //  The prefix is the text from start to the cursor, the literals and candidates start with it
+    //  The items that were expected at start
+    //  The completion items
+    var Completion = (function () {
+        function Completion() {
+        }
+        return Completion;
+    })();
+    mpc.Completion = Completion;
+
     // Represents a parse result:
     //  A flag indicating if parse was successful
-    //  The parsed value (only value if success flag is true)
+    //  The parsed value (only value if success flag is true, or on failures returned by StreamParser)
+    //  The position where parsing stopped (only value if success flag is false)
+    //  The items that were expected at that position (only value if success flag is false)
+    //  The offset in the source text, line and column of the position (only value on failed results returned by parse)
+    //  The token at the position (only value on failed results returned by parseTokens)
+    //  The failures recovered from (only value on results returned by parseWithRecovery, see recover)
+    // Note: When parsing tokens the position is a token index
     var ParseResult = (function () {
         function ParseResult() {
         }
@@ -62,24 +213,226 @@ var mpc;
     })();
     mpc.ParseResult = ParseResult;
 
+    // Holds a memoized parse result
+    //  The indent the parser was applied with
+    //  The layout position the parser was applied with
+    //  The user state the parser was applied with
+    //  The parse result
+    //  The parser state after the parser was applied
+    //  The diagnostics added by the parser
+    var Memo = (function () {
+        function Memo() {
+        }
+        return Memo;
+    })();
+    mpc.Memo = Memo;
+
+    // Describes the indentation of a position (see block)
+    //  The line of the position
+    //  The column of the position where a tab advances to the next multiple of the tab width
+    //  The column of the position where a tab is as wide as a space, comparing it
+    //  with column detects indentation that depends on the tab width
+    var Indentation = (function () {
+        function Indentation() {
+        }
+        return Indentation;
+    })();
+    mpc.Indentation = Indentation;
+
+    // The kinds of parser descriptions
+    (function (DescriptionKind) {
+        DescriptionKind[DescriptionKind["Empty"] = 0] = "Empty";
+        DescriptionKind[DescriptionKind["Terminal"] = 1] = "Terminal";
+        DescriptionKind[DescriptionKind["Special"] = 2] = "Special";
+        DescriptionKind[DescriptionKind["Sequence"] = 3] = "Sequence";
+        DescriptionKind[DescriptionKind["Choice"] = 4] = "Choice";
+        DescriptionKind[DescriptionKind["Optional"] = 5] = "Optional";
+        DescriptionKind[DescriptionKind["Many"] = 6] = "Many";
+        DescriptionKind[DescriptionKind["Many1"] = 7] = "Many1";
+        DescriptionKind[DescriptionKind["Count"] = 8] = "Count";
+        DescriptionKind[DescriptionKind["Except"] = 9] = "Except";
+        DescriptionKind[DescriptionKind["FollowedBy"] = 10] = "FollowedBy";
+        DescriptionKind[DescriptionKind["NotFollowedBy"] = 11] = "NotFollowedBy";
+        DescriptionKind[DescriptionKind["Reference"] = 12] = "Reference";
+    })(mpc.DescriptionKind || (mpc.DescriptionKind = {}));
+    var DescriptionKind = mpc.DescriptionKind;
+
+    // Describes what a parser is made of, this allows documenting a grammar from its parsers
+    //  The kind of description
+    //  The text of Terminal, Special and Count descriptions
+    //  The descriptions of the parsers the parser is made of
+    //  The name of the parser (see named and label), named descriptions become rules in ebnf and railroad
+    //  The predicate of the characters a Special description matches, null if unknown (used by Generator)
+    var Description = (function () {
+        function Description(kind, text, children, name) {
+            this.kind = kind;
+            this.text = text;
+            this.children = children;
+            this.name = name;
+            this.satisfy = null;
+        }
+        return Description;
+    })();
+    mpc.Description = Description;
+
+    // Represents a traced parser invocation (see trace)
+    //  The name of the parser
+    //  The start and end position (end is the start if the parser failed)
+    //  A flag indicating if the parser succeeded
+    //  The consumed text
+    //  The items that were expected (only value if the parser failed)
+    //  The traced parser invocations made by the parser
+    var TraceNode = (function () {
+        function TraceNode() {
+        }
+        return TraceNode;
+    })();
+    mpc.TraceNode = TraceNode;
+
+    // Tracer records a tree of the traced parser invocations (see trace and parseWithTracer)
+    // Note: Backtracking doesn't remove invocations, this shows which alternatives were tried where
+    var Tracer = (function () {
+        function Tracer() {
+            this.root = { name: "", start: 0, end: 0, success: false, text: "", expected: [], children: [] };
+            this.current = this.root;
+        }
+        // Begins a traced invocation, returns the invocation it's made by
+        Tracer.prototype.begin = function (name, start) {
+            var parent = this.current;
+            var node = { name: name, start: start, end: start, success: false, text: "", expected: [], children: [] };
+
+            parent.children[parent.children.length] = node;
+            this.current = node;
+
+            return parent;
+        };
+
+        // Ends the current traced invocation
+        Tracer.prototype.end = function (parent, pResult, end, text) {
+            var node = this.current;
+
+            node.success = pResult.success;
+            node.end = end;
+            node.text = text;
+            node.expected = pResult.success ? [] : pResult.expected;
+
+            this.current = parent;
+        };
+
+        // Exports the traced invocations as JSON
+        Tracer.prototype.toJSON = function () {
+            return JSON.stringify(this.root.children);
+        };
+
+        // Exports the traced invocations as an indented text report
+        // Example:
+        //  term [0-2] success "12"
+        //    number [0-2] success "12"
+        //  term [2] failed: expected number or "("
+        Tracer.prototype.report = function () {
+            var sb = new StringBuilder();
+
+            for (var iter = 0; iter < this.root.children.length; ++iter) {
+                reportTraceNode(sb, this.root.children[iter], 0);
+            }
+
+            return sb.toString();
+        };
+        return Tracer;
+    })();
+    mpc.Tracer = Tracer;
+
     // ParserState holds (surprisingly) the parser state ie
-    //  The text to be parsed
-    //  The position in the text
+    //  The text to be parsed (empty when parsing tokens)
+    //  The tokens to be parsed (null when parsing text)
+    //  The source text (used to compute locations)
+    //  The position in the text or tokens
     //  The current indention level
+    //  The furthest position a parser failed at and what was expected there
+    //  The memoized parse results (indexed by memo parser and position)
+    //  A flag indicating if a parser has looked at the end of stream (used by StreamParser)
+    //  A flag indicating if failures should be recovered from (see recover)
+    //  The failures recovered from
+    //  The offsets where each line in the source text starts (computed when needed)
+    //  The tracer that records traced parser invocations (null when not tracing)
+    //  A flag indicating if characters are code points rather than UTF-16 code units (see codePoints)
+    //  The position of the enclosing layout construct that indentation is compared with (see withLayout)
+    //  The tab width used to measure indentation (see tabWidth)
+    //  The number of parser steps taken, the maximum number of steps and the time the parse
+    //  must end by (see Budget)
+    //  The user state (see getState, setState and updateState)
+    //  The version and the changes of indent, user state and diagnostics (see rewind)
+    //  The success ParseResult reused by succeedShared
+    //  The view of the binary data (see parseBytes), null when parsing text
     // Note: For efficiency reasons ParserState is mutable
+    // Note: Change indent, user state and diagnostics through ParserState so backtracking undoes the change
     var ParserState = (function () {
-        function ParserState(s) {
-            this.text = s || "";
+        // Parses s unless tokens are given, then tokens are parsed and s is the source text
+        function ParserState(s, tokens) {
+            this.text = tokens ? "" : s || "";
+            this.tokens = tokens || null;
+            this.source = s || "";
             this.position = 0;
             this.indent = 0;
+            this.furthestPosition = -1;
+            this.furthestExpected = [];
+            this.memos = [];
+            this.hitEnd = false;
+            this.recovering = false;
+            this.diagnostics = [];
+            this.lineStarts = null;
+            this.tracer = null;
+            this.codePoints = false;
+            this.layout = 0;
+            this.tabWidth = 8;
+            this.steps = 0;
+            this.maxSteps = Infinity;
+            this.deadline = Infinity;
+            this.state = undefined;
+            this.version = 0;
+            this.changes = [];
+            this.success = { success: true, value: undefined };
+            this.view = null;
         }
         // Takes a snapshot of the parser state
+        // Note: Parsers use the position and version instead as a snapshot allocates (see rewind)
         ParserState.prototype.snapshot = function () {
-            return { position: this.position, indent: this.indent };
+            return { position: this.position, indent: this.indent, diagnostics: this.diagnostics.length, state: this.state };
+        };
+
+        // Records the indent, user state and diagnostics before they are changed so rewind can undo the change
+        ParserState.prototype.change = function () {
+            this.changes[this.version++] = this.snapshot();
+        };
+
+        // Rewinds the parser state to position and undoes the changes made since version
+        //  This is the allocation free way to backtrack, the position and the version are taken before
+        //  applying the parsers to backtrack from
+        // Example:
+        //  var start   = ps.position
+        //  var version = ps.version
+        //  ...
+        //  ps.rewind(start, version)
+        ParserState.prototype.rewind = function (position, version) {
+            this.position = position;
+
+            if (this.version > version) {
+                var change = this.changes[version];
+
+                this.indent = change.indent;
+                this.state = change.state;
+
+                if (this.diagnostics.length > change.diagnostics) {
+                    this.diagnostics.length = change.diagnostics;
+                }
+
+                this.version = version;
+            }
         };
 
         // Increases the current indent
         ParserState.prototype.increaseIndent = function () {
+            this.change();
             ++this.indent;
         };
 
@@ -89,28 +442,119 @@ var mpc;
                 return false;
             }
 
+            this.change();
             --this.indent;
 
             return true;
         };
 
+        // Sets the user state (see setState)
+        ParserState.prototype.setState = function (state) {
+            if (this.state !== state) {
+                this.change();
+                this.state = state;
+            }
+        };
+
+        // Adds a diagnostic (see recover)
+        ParserState.prototype.addDiagnostic = function (diagnostic) {
+            this.change();
+            this.diagnostics[this.diagnostics.length] = diagnostic;
+        };
+
         // Restores the parser state from a snaphot
         ParserState.prototype.restore = function (snapshot) {
             this.position = snapshot.position;
-            this.indent = snapshot.indent;
+
+            if (this.indent !== snapshot.indent || this.state !== snapshot.state || this.diagnostics.length > snapshot.diagnostics) {
+                this.change();
+
+                this.indent = snapshot.indent;
+                this.state = snapshot.state;
+
+                if (this.diagnostics.length > snapshot.diagnostics) {
+                    this.diagnostics.length = snapshot.diagnostics;
+                }
+            }
+        };
+
+        // Creates a Memo from a parse result
+        //  snapshot is the parser state before the parse
+        //  A success result is copied as succeed reuses the result
+        ParserState.prototype.memo = function (snapshot, result) {
+            var copy = result.success ? { success: true, value: result.value } : result;
+            var diagnostics = this.diagnostics.length > snapshot.diagnostics ? this.diagnostics.slice(snapshot.diagnostics) : nothingDiagnosed;
+
+            return { indent: snapshot.indent, layout: this.layout, state: snapshot.state, result: copy, end: this.snapshot(), diagnostics: diagnostics };
+        };
+
+        // Replays a Memo, the parser state is advanced to the end of the memo
+        // and the diagnostics added by the parser are added again
+        ParserState.prototype.replay = function (m) {
+            this.position = m.end.position;
+
+            if (this.indent !== m.end.indent || this.state !== m.end.state || m.diagnostics.length > 0) {
+                this.change();
+
+                this.indent = m.end.indent;
+                this.state = m.end.state;
+
+                for (var iter = 0; iter < m.diagnostics.length; ++iter) {
+                    this.diagnostics[this.diagnostics.length] = m.diagnostics[iter];
+                }
+            }
         };
 
         // Tests if state is at end of stream (EOS)
         ParserState.prototype.isEOS = function () {
-            return this.position >= this.text.length;
+            if (this.position >= (this.tokens ? this.tokens.length : this.text.length)) {
+                this.hitEnd = true;
+                return true;
+            }
+
+            return false;
+        };
+
+        ParserState.prototype.currentToken = function () {
+            if (!this.tokens || this.position >= this.tokens.length) {
+                this.hitEnd = true;
+                return undefined;
+            }
+
+            return this.tokens[this.position];
         };
 
         ParserState.prototype.currentCharCode = function () {
             if (this.position >= this.text.length) {
+                this.hitEnd = true;
                 return undefined;
             }
 
-            return this.text.charCodeAt(this.position);
+            return this.charCodeAt(this.position);
+        };
+
+        // Returns the character at pos, in code point mode a surrogate pair is combined into a code point
+        //  A high surrogate at the end of the text might be the first half of a pair so hitEnd is set
+        // Note: The position is always in UTF-16 code units, a code point above 0xFFFF occupies two
+        ParserState.prototype.charCodeAt = function (pos) {
+            var ch = this.text.charCodeAt(pos);
+
+            if (!this.codePoints || ch < 0xD800 || ch > 0xDBFF) {
+                return ch;
+            }
+
+            if (pos + 1 >= this.text.length) {
+                this.hitEnd = true;
+                return ch;
+            }
+
+            var low = this.text.charCodeAt(pos + 1);
+
+            if (low < 0xDC00 || low > 0xDFFF) {
+                return ch;
+            }
+
+            return 0x10000 + ((ch - 0xD800) << 10) + (low - 0xDC00);
         };
 
         // Advances the parser state as long as the current character and local position
@@ -124,7 +568,16 @@ var mpc;
             var i = 0;
             var pos = begin;
 
-            for (; pos < end && satisfy(this.text.charCodeAt(pos), i); ++pos, ++i) {
+            if (this.codePoints) {
+                for (var ch = 0; pos < end && satisfy(ch = this.charCodeAt(pos), i); pos += charLength(ch), ++i) {
+                }
+            } else {
+                for (; pos < end && satisfy(this.text.charCodeAt(pos), i); ++pos, ++i) {
+                }
+            }
+
+            if (pos === end) {
+                this.hitEnd = true;
             }
 
             this.position = pos;
@@ -143,7 +596,16 @@ var mpc;
             var i = 0;
             var pos = begin;
 
-            for (; pos < end && satisfy(this.text.charCodeAt(pos), i); ++pos, ++i) {
+            if (this.codePoints) {
+                for (var ch = 0; pos < end && satisfy(ch = this.charCodeAt(pos), i); pos += charLength(ch), ++i) {
+                }
+            } else {
+                for (; pos < end && satisfy(this.text.charCodeAt(pos), i); ++pos, ++i) {
+                }
+            }
+
+            if (pos === end) {
+                this.hitEnd = true;
             }
 
             this.position = pos;
@@ -151,14 +613,199 @@ var mpc;
             return pos - begin;
         };
 
+        // Computes the offset in the source text of a position
+        //  When parsing tokens this is the start of the token at the position
+        //  or the end of the last token at end of stream
+        ParserState.prototype.sourceOffset = function (position) {
+            if (!this.tokens) {
+                return position;
+            }
+
+            if (position < this.tokens.length) {
+                return this.tokens[position].start;
+            }
+
+            return this.tokens.length > 0 ? this.tokens[this.tokens.length - 1].end : 0;
+        };
+
+        // Computes the line and column of an offset in the source text
+        //  The offsets where the lines start are indexed on first use and
+        //  then each location is found with a binary search
+        ParserState.prototype.location = function (position) {
+            if (this.lineStarts === null) {
+                this.lineStarts = [0];
+
+                for (var pos = 0; pos < this.source.length; ++pos) {
+                    var ch = this.source.charCodeAt(pos);
+                    if (ch === 0x0A || (ch === 0x0D && this.source.charCodeAt(pos + 1) !== 0x0A)) {
+                        this.lineStarts[this.lineStarts.length] = pos + 1;
+                    }
+                }
+            }
+
+            var lo = 0;
+            var hi = this.lineStarts.length - 1;
+
+            while (lo < hi) {
+                var mid = (lo + hi + 1) >> 1;
+                if (this.lineStarts[mid] <= position) {
+                    lo = mid;
+                } else {
+                    hi = mid - 1;
+                }
+            }
+
+            return { position: position, line: lo + 1, column: position - this.lineStarts[lo] + 1 };
+        };
+
+        // Measures the indentation of a position, the width of the text before it on its line
+        //  The first column is 1
+        ParserState.prototype.indentation = function (position) {
+            var offset = this.sourceOffset(position);
+            var location = this.location(offset);
+
+            var column = 1;
+
+            for (var pos = offset - location.column + 1; pos < offset; ++pos) {
+                if (this.source.charCodeAt(pos) === 0x09) {
+                    column += this.tabWidth - (column - 1) % this.tabWidth;
+                } else {
+                    ++column;
+                }
+            }
+
+            return { line: location.line, column: column, narrow: location.column };
+        };
+
+        // Computes the span in the source text between two positions
+        //  When parsing tokens the span is from the start of the first token to
+        //  the end of the last token
+        ParserState.prototype.span = function (begin, end) {
+            var start = this.sourceOffset(begin);
+            var stop = this.sourceEnd(begin, end);
+
+            var from = this.location(start);
+            var to = this.location(stop);
+
+            return { start: start, end: stop, startLine: from.line, startColumn: from.column, endLine: to.line, endColumn: to.column };
+        };
+
+        // Computes the offset in the source text where the input between two positions end
+        ParserState.prototype.sourceEnd = function (begin, end) {
+            return this.tokens && end > begin ? this.tokens[end - 1].end : this.sourceOffset(end);
+        };
+
+        // Returns the source text between two positions
+        ParserState.prototype.sourceText = function (begin, end) {
+            return this.source.substring(this.sourceOffset(begin), this.sourceEnd(begin, end));
+        };
+
+        // Sets the budget of the parse
+        ParserState.prototype.setBudget = function (budget) {
+            this.maxSteps = budget.steps || Infinity;
+            this.deadline = budget.milliseconds ? new Date().getTime() + budget.milliseconds : Infinity;
+        };
+
+        // Counts a parser step, the parse is aborted if the budget is exceeded
+        //  The time is checked every 1024 steps
+        ParserState.prototype.step = function () {
+            if (++this.steps > this.maxSteps || ((this.steps & 0x3FF) === 0 && new Date().getTime() > this.deadline)) {
+                throw budgetExceeded;
+            }
+        };
+
         // Creates a success ParseResult from current state and value
         ParserState.prototype.succeed = function (value) {
+            this.step();
+
             return { success: true, value: value };
         };
 
+        // Creates a success ParseResult from current state and value without allocating
+        //  Used by the built-in parsers (see Parser.parseShared)
+        // Note: The success ParseResult is reused so the value has to be read before applying
+        //  another parser
+        ParserState.prototype.succeedShared = function (value) {
+            this.step();
+
+            var success = this.success;
+            success.value = value;
+
+            return success;
+        };
+
         // Creates a failure ParseResult from current state
-        ParserState.prototype.fail = function () {
-            return { success: false, value: undefined };
+        //  expected holds the items that were expected at the current position
+        ParserState.prototype.fail = function (expected) {
+            this.step();
+
+            var e = expected || nothingExpected;
+
+            if (e.length > 0) {
+                this.recordFailure(this.position, e);
+            }
+
+            return failureResult(this.position, e);
+        };
+
+        // Records the expected items of a failure if it is at least as far as the furthest failure
+        // Note: The furthest failure isn't restored on backtracking, this allows
+        //  reporting the failure of an alternative that choice, opt, many or
+        //  chainLeft gave up on
+        ParserState.prototype.recordFailure = function (position, expected) {
+            if (position < this.furthestPosition) {
+                return;
+            }
+
+            if (position > this.furthestPosition) {
+                this.furthestPosition = position;
+                this.furthestExpected = [];
+            }
+
+            for (var iter = 0; iter < expected.length; ++iter) {
+                var e = expected[iter];
+                if (this.furthestExpected.indexOf(e) < 0) {
+                    this.furthestExpected[this.furthestExpected.length] = e;
+                }
+            }
+        };
+
+        // Creates a failure ParseResult from the furthest failure and a failed ParseResult
+        //  The expected items are copied as later failures append to furthestExpected
+        ParserState.prototype.furthestFailure = function (failure) {
+            return this.merge(failureResult(this.furthestPosition, this.furthestExpected.slice(0)), failure);
+        };
+
+        // Returns a failed ParseResult of another type as a failure ParseResult
+        //  The position and the expected items are kept
+        ParserState.prototype.propagate = function (failure) {
+            return failure;
+        };
+
+        // Merges two failed ParseResults
+        //  The failure that reached the furthest is kept, if both reached
+        //  the same position the expected items are combined
+        ParserState.prototype.merge = function (failure, other) {
+            if (failure.position > other.position) {
+                return failure;
+            }
+
+            if (failure.position < other.position || failure.expected.length === 0) {
+                return this.propagate(other);
+            }
+
+            var expected = null;
+
+            for (var iter = 0; iter < other.expected.length; ++iter) {
+                var e = other.expected[iter];
+                if ((expected || failure.expected).indexOf(e) < 0) {
+                    // Copies the expected items only when there are items to add
+                    expected = expected || failure.expected.slice(0);
+                    expected[expected.length] = e;
+                }
+            }
+
+            return expected ? failureResult(failure.position, expected) : failure;
         };
         return ParserState;
     })();
@@ -173,81 +820,105 @@ var mpc;
     //  If the parse was unsuccesful the ParseResult shall contain no vlaue
     //  and the parser state should not be changed updated
     //  Note: This implies that a parser that mutates the parser state
-    //  needs to restore the parser state on failure. Use snapshot/restore
+    //  needs to restore the parser state on failure. Use rewind (or snapshot/restore)
     //  Note: If the parser uses other parsers and they all fail no restore
     //  is needed as Parsers are required to restore their state on failure
+    //  Note: The built-in parsers apply each other with parseShared that may return the
+    //  reused success ParseResult (see ParserState.succeedShared), parse returns a ParseResult
+    //  of its own
     var Parser = (function () {
-        function Parser(p) {
-            this.parse = p;
+        function Parser(p, description) {
+            this.parseShared = p;
+            this.description = description || describe(DescriptionKind.Special, "custom parser", []);
         }
         // Takes a Parser<T> and converts it into a Parser<void>
         Parser.prototype.noResult = function () {
             var _this = this;
             return parser(function (ps) {
-                var pResult = _this.parse(ps);
+                var pResult = _this.parseShared(ps);
 
                 if (!pResult.success) {
-                    return ps.fail();
+                    return ps.propagate(pResult);
                 }
 
-                return ps.succeed(undefined);
-            });
+                return ps.succeedShared(undefined);
+            }, this.description);
         };
 
         // Takes a Parser<T> and converts it into a Parser<TResult>
         Parser.prototype.result = function (v) {
             var _this = this;
             return parser(function (ps) {
-                var pResult = _this.parse(ps);
+                var pResult = _this.parseShared(ps);
 
                 if (!pResult.success) {
-                    return ps.fail();
+                    return ps.propagate(pResult);
                 }
 
-                return ps.succeed(v);
-            });
+                return ps.succeedShared(v);
+            }, this.description);
         };
 
         // Takes a Parser<T> and tests if T satisfies a predicate
         Parser.prototype.test = function (predicate) {
             var _this = this;
             return parser(function (ps) {
-                var snapshot = ps.snapshot();
+                var start = ps.position;
+                var version = ps.version;
 
-                var pResult = _this.parse(ps);
+                var pResult = _this.parseShared(ps);
 
                 if (!pResult.success) {
-                    return ps.fail();
+                    return ps.propagate(pResult);
                 }
 
                 if (!predicate(pResult.value)) {
-                    ps.restore(snapshot);
+                    ps.rewind(start, version);
                     return ps.fail();
                 }
 
-                return ps.succeed(pResult.value);
-            });
+                return ps.succeedShared(pResult.value);
+            }, this.description);
+        };
+
+        // Applies the parser and sets the user state to update applied to the user state and the parsed value
+        //  The user state is only updated if the parser succeeds (see setState)
+        // Example: p_typeDeclaration.updateState((types : string[], name : string) => types.concat([name]))
+        Parser.prototype.updateState = function (update) {
+            var _this = this;
+            return parser(function (ps) {
+                var pResult = _this.parseShared(ps);
+
+                if (!pResult.success) {
+                    return ps.propagate(pResult);
+                }
+
+                ps.setState(update(ps.state, pResult.value));
+
+                return ps.succeedShared(pResult.value);
+            }, this.description);
         };
 
         // Tests if a parser has consumed at least i character
         Parser.prototype.consumedAtLeast = function (i) {
             var _this = this;
             return parser(function (ps) {
-                var snapshot = ps.snapshot();
+                var start = ps.position;
+                var version = ps.version;
 
-                var pResult = _this.parse(ps);
+                var pResult = _this.parseShared(ps);
 
                 if (!pResult.success) {
-                    return ps.fail();
+                    return ps.propagate(pResult);
                 }
 
-                if (ps.position < snapshot.position + i) {
-                    ps.restore(snapshot);
+                if (ps.position < start + i) {
+                    ps.rewind(start, version);
                     return ps.fail();
                 }
 
-                return ps.succeed(pResult.value);
-            });
+                return ps.succeedShared(pResult.value);
+            }, this.description);
         };
 
         // Combines a parser with a begin parser and an end parser
@@ -256,62 +927,67 @@ var mpc;
         Parser.prototype.inBetween = function (pBegin, pEnd) {
             var _this = this;
             return parser(function (ps) {
-                var snapshot = ps.snapshot();
+                var start = ps.position;
+                var version = ps.version;
 
-                var pBeginResult = pBegin.parse(ps);
+                var pBeginResult = pBegin.parseShared(ps);
                 if (!pBeginResult.success) {
-                    return ps.fail();
+                    return ps.propagate(pBeginResult);
                 }
 
-                var pResult = _this.parse(ps);
+                var pResult = _this.parseShared(ps);
 
                 if (!pResult.success) {
-                    ps.restore(snapshot);
-                    return ps.fail();
+                    ps.rewind(start, version);
+                    return ps.propagate(pResult);
                 }
 
-                var pEndResult = pEnd.parse(ps);
+                var value = pResult.value;
+
+                var pEndResult = pEnd.parseShared(ps);
                 if (!pEndResult.success) {
-                    ps.restore(snapshot);
-                    return ps.fail();
+                    ps.rewind(start, version);
+                    return ps.propagate(pEndResult);
                 }
 
-                return ps.succeed(pResult.value);
-            });
+                return ps.succeedShared(value);
+            }, describe(DescriptionKind.Sequence, null, [pBegin.description, this.description, pEnd.description]));
         };
 
         /* This for some reason struggles as a member function
         combine<TOther>(pOther : Parser<TOther>) : Parser<{v0 : T; v1 : TOther}> {
         return parser<{v0 : T; v1 : TOther}> ((ps : ParserState) => {
-        var snapshot = ps.snapshot()
+        var start   = ps.position
+        var version = ps.version
         
-        var pResult = this.parse(ps)
+        var pResult = this.parseShared(ps)
         
         if (!pResult.success) {
-        return ps.fail<{v0 : T; v1 : TOther}>()
+        return ps.propagate<{v0 : T; v1 : TOther}>(pResult)
         }
         
-        var pOtherResult = pOther.parse(ps)
+        var pOtherResult = pOther.parseShared(ps)
         
         if (!pOtherResult.success) {
-        ps.restore(snapshot)
-        return ps.fail<{v0 : T; v1 : TOther}>()
+        ps.rewind(start, version)
+        return ps.propagate<{v0 : T; v1 : TOther}>(pOtherResult)
         }
         
         var result = {v0 : pResult.value, v1 : pOtherResult.value}
         
-        return ps.succeed(result)
+        return ps.succeedShared(result)
         })
         }
         */
         /* This for some reason struggles as a member function
         chainLeft<S>(pSeparator : Parser<S>, combiner : (l : T, op : S, r : T) => T) : Parser<T> {
         return parser ((ps : ParserState) => {
-        var snapshot = ps.snapshot()
+        var start   = ps.position
+        var version = ps.version
         
-        var pResult = this.parse(ps)
+        var pResult = this.parseShared(ps)
         if(!pResult.success) {
-        return ps.fail<T>()
+        return ps.propagate<T>(pResult)
         }
         
         var value = pResult.value
@@ -319,14 +995,15 @@ var mpc;
         var pSeparatorResult    : ParseResult<S>
         var pOtherResult        : ParseResult<T>
         
-        while((pSeparatorResult = pSeparator.parse(ps)).success && (pOtherResult = this.parse(ps)).success) {
-        snapshot = ps.snapshot()
+        while((pSeparatorResult = pSeparator.parseShared(ps)).success && (pOtherResult = this.parseShared(ps)).success) {
+        start   = ps.position
+        version = ps.version
         value = combiner(value, pSeparatorResult.value, pOtherResult.value)
         }
         
-        ps.restore(snapshot)
+        ps.rewind(start, version)
         
-        return ps.succeed(value)
+        return ps.succeedShared(value)
         })
         }
         */
@@ -337,23 +1014,26 @@ var mpc;
         Parser.prototype.keepLeft = function (pOther) {
             var _this = this;
             return parser(function (ps) {
-                var snapshot = ps.snapshot();
+                var start = ps.position;
+                var version = ps.version;
 
-                var pResult = _this.parse(ps);
+                var pResult = _this.parseShared(ps);
 
                 if (!pResult.success) {
-                    return ps.fail();
+                    return ps.propagate(pResult);
                 }
 
-                var pOtherResult = pOther.parse(ps);
+                var value = pResult.value;
+
+                var pOtherResult = pOther.parseShared(ps);
 
                 if (!pOtherResult.success) {
-                    ps.restore(snapshot);
-                    return ps.fail();
+                    ps.rewind(start, version);
+                    return ps.propagate(pOtherResult);
                 }
 
-                return ps.succeed(pResult.value);
-            });
+                return ps.succeedShared(value);
+            }, describe(DescriptionKind.Sequence, null, [this.description, pOther.description]));
         };
 
         // Combines a parser with another parser but keeps the result
@@ -363,23 +1043,24 @@ var mpc;
         Parser.prototype.keepRight = function (pOther) {
             var _this = this;
             return parser(function (ps) {
-                var snapshot = ps.snapshot();
+                var start = ps.position;
+                var version = ps.version;
 
-                var pResult = _this.parse(ps);
+                var pResult = _this.parseShared(ps);
 
                 if (!pResult.success) {
-                    return ps.fail();
+                    return ps.propagate(pResult);
                 }
 
-                var pOtherResult = pOther.parse(ps);
+                var pOtherResult = pOther.parseShared(ps);
 
                 if (!pOtherResult.success) {
-                    ps.restore(snapshot);
-                    return ps.fail();
+                    ps.rewind(start, version);
+                    return ps.propagate(pOtherResult);
                 }
 
-                return ps.succeed(pOtherResult.value);
-            });
+                return ps.succeedShared(pOtherResult.value);
+            }, describe(DescriptionKind.Sequence, null, [this.description, pOther.description]));
         };
 
         // Parse only succeed the parser succeeds and the except parser fails
@@ -387,37 +1068,56 @@ var mpc;
         Parser.prototype.except = function (pExcept) {
             var _this = this;
             return parser(function (ps) {
-                var snapshot = ps.snapshot();
+                var start = ps.position;
+                var version = ps.version;
 
-                var pExceptResult = pExcept.parse(ps);
+                var pExceptResult = pExcept.parseShared(ps);
 
                 if (pExceptResult.success) {
-                    ps.restore(snapshot);
+                    ps.rewind(start, version);
                     return ps.fail();
                 }
 
-                var pResult = _this.parse(ps);
+                var pResult = _this.parseShared(ps);
 
                 if (!pResult.success) {
-                    return ps.fail();
+                    return ps.propagate(pResult);
                 }
 
-                return ps.succeed(pResult.value);
-            });
+                return ps.succeedShared(pResult.value);
+            }, describe(DescriptionKind.Except, null, [this.description, pExcept.description]));
         };
 
         // Parse always succeed but value is null if the parser failed
         Parser.prototype.opt = function () {
             var _this = this;
             return parser(function (ps) {
-                var pResult = _this.parse(ps);
+                var pResult = _this.parseShared(ps);
 
                 if (!pResult.success) {
-                    return ps.succeed(null);
+                    return ps.succeedShared(null);
                 }
 
-                return ps.succeed(pResult.value);
-            });
+                return ps.succeedShared(pResult.value);
+            }, describe(DescriptionKind.Optional, null, [this.description]));
+        };
+
+        // Transforms the parsed value and the span of the consumed input using a transform function
+        //  This is typically used to create AST nodes that knows where in the source text they are
+        // Example: identifier.located((name : string, span : Span) => new IdentifierExpression(name, span))
+        Parser.prototype.located = function (transform) {
+            var _this = this;
+            return parser(function (ps) {
+                var begin = ps.position;
+
+                var pResult = _this.parseShared(ps);
+
+                if (!pResult.success) {
+                    return ps.propagate(pResult);
+                }
+
+                return ps.succeedShared(transform(pResult.value, ps.span(begin, ps.position)));
+            }, this.description);
         };
 
         // Transforms the parsed value using a transform function
@@ -425,518 +1125,4193 @@ var mpc;
         Parser.prototype.transform = function (transform) {
             var _this = this;
             return parser(function (ps) {
-                var pResult = _this.parse(ps);
+                var pResult = _this.parseShared(ps);
 
                 if (!pResult.success) {
-                    return ps.fail();
+                    return ps.propagate(pResult);
                 }
 
-                return ps.succeed(transform(pResult.value));
-            });
+                return ps.succeedShared(transform(pResult.value));
+            }, this.description);
         };
 
-        // log parser is useful for debugging
-        Parser.prototype.log = function (name) {
+        // Converts the consumed text into a Token of type, this is used to write lexers
+        //  The token span is the consumed characters
+        // Example: many(choice(p_number.asToken("number"), p_identifier.asToken("identifier")).keepLeft(p_whitespaces))
+        Parser.prototype.asToken = function (type) {
             var _this = this;
             return parser(function (ps) {
-                console.info("MonadicParser: %s: begin", name);
+                var begin = ps.position;
 
-                var pResult = _this.parse(ps);
+                var pResult = _this.parseShared(ps);
 
-                if (pResult.success) {
-                    console.info("MonadicParser: %s: success", name);
-                } else {
-                    console.info("MonadicParser: %s: failed", name);
+                if (!pResult.success) {
+                    return ps.propagate(pResult);
                 }
 
-                return pResult;
-            });
+                return ps.succeedShared({ type: type, text: ps.text.substring(begin, ps.position), start: begin, end: ps.position });
+            }, this.description);
         };
-        return Parser;
-    })();
-    mpc.Parser = Parser;
 
-    // Constructs a parser from a parse function
-    function parser(p) {
-        return new Parser(p);
-    }
-    mpc.parser = parser;
+        // Names the parser in failure messages
+        //  If the parser fails without consuming any characters the expected items
+        //  are replaced by name
+        // Example: anyStringOf("0123456789").consumedAtLeast(1).label("number")
+        Parser.prototype.label = function (name) {
+            var _this = this;
+            var expected = [name];
 
-    // Executes a parser over an input string
-    function parse(p, s) {
-        var ps = new ParserState(s);
-        return p.parse(ps);
-    }
-    mpc.parse = parse;
+            return parser(function (ps) {
+                var position = ps.position;
+                var furthestPosition = ps.furthestPosition;
+                var furthestCount = ps.furthestExpected.length;
+
+                var pResult = _this.parseShared(ps);
+
+                if (!pResult.success && pResult.position === position) {
+                    if (ps.furthestPosition === position) {
+                        // Drops the items the parser recorded in favour of name
+                        ps.furthestExpected.length = furthestPosition === position ? furthestCount : 0;
+                    }
+                    return ps.fail(expected);
+                }
 
-    // Returns a parser that always succeed with value
-    function success(value) {
-        return parser(function (ps) {
-            return ps.succeed(value);
-        });
-    }
-    mpc.success = success;
+                return pResult;
+            }, rename(this.description, name));
+        };
+
+        // Names the parser in the grammar documentation (see ebnf and railroad)
+        //  Unlike label the failure messages are unchanged
+        // Example: skipSatisfyMany(satisyWhitespace).named("whitespace")
+        Parser.prototype.named = function (name) {
+            var _this = this;
+            return parser(function (ps) {
+                return _this.parseShared(ps);
+            }, rename(this.description, name));
+        };
+
+        // Memoizes the parse results by position (packrat parsing)
+        //  The parser is only applied once per position, this avoids re-parsing
+        //  the same input when alternatives share a prefix
+        // Note: Trades memory for speed so typically only used on rules that are retried
+        // Example: choice(p_number, p_identifer, p_subExpression).memo()
+        Parser.prototype.memo = function () {
+            var _this = this;
+            var id = memoCount++;
+
+            return parser(function (ps) {
+                var memos = ps.memos[id] || (ps.memos[id] = []);
+
+                var m = memos[ps.position];
+
+                if (m !== undefined && m.indent === ps.indent && m.layout === ps.layout && m.state === ps.state) {
+                    ps.replay(m);
+                    return m.result;
+                }
+
+                var snapshot = ps.snapshot();
+
+                var pResult = _this.parseShared(ps);
+
+                memos[snapshot.position] = ps.memo(snapshot, pResult);
+
+                return pResult;
+            }, this.description);
+        };
+
+        // Records the parser invocations in the tracer when parsing with parseWithTracer
+        //  When not tracing trace is the same as the parser
+        // Example: choice(p_number.trace("number"), p_identifier.trace("identifier")).trace("term")
+        Parser.prototype.trace = function (name) {
+            var _this = this;
+            return parser(function (ps) {
+                if (!ps.tracer) {
+                    return _this.parseShared(ps);
+                }
+
+                var start = ps.position;
+                var parent = ps.tracer.begin(name, start);
+
+                var pResult = _this.parseShared(ps);
+
+                ps.tracer.end(parent, pResult, ps.position, ps.sourceText(start, ps.position));
+
+                return pResult;
+            }, this.description);
+        };
+
+        // log parser is useful for debugging, see trace for structured tracing
+        Parser.prototype.log = function (name) {
+            var _this = this;
+            return parser(function (ps) {
+                console.info("MonadicParser: %s: begin", name);
+
+                var pResult = _this.parseShared(ps);
+
+                if (pResult.success) {
+                    console.info("MonadicParser: %s: success", name);
+                } else {
+                    console.info("MonadicParser: %s: failed", name);
+                }
+
+                return pResult;
+            }, this.description);
+        };
+        return Parser;
+    })();
+    mpc.Parser = Parser;
+
+    // parse is a property so assigning it redefines the parser like it did when parse was a field
+    //  Reading parse gives a function that copies the reused success ParseResult
+    //  Assigning the parse of another parser applies that parser as it's defined when applied,
+    //  assigning any other function applies the function
+    // Example: p_expression.parse = p_sum.parse
+    Object.defineProperty(Parser.prototype, "parse", {
+        get: function () {
+            var p = this;
+
+            if (!p.parseOwn) {
+                var parseOwn = function (ps) {
+                    var pResult = p.parseShared(ps);
+
+                    return pResult === ps.success ? { success: true, value: pResult.value } : pResult;
+                };
+
+                parseOwn.parser = p;
+                p.parseOwn = parseOwn;
+            }
+
+            return p.parseOwn;
+        },
+        set: function (parse) {
+            var p = this;
+            var other = (parse).parser;
+
+            p.parseShared = other ? function (ps) {
+                return other.parseShared(ps);
+            } : parse;
+        }
+    });
+
+    // The number of memo and circular parsers created, used to give each of them an id
+    var memoCount = 0;
+
+    // A parser that is defined after it has been used by other parsers (see circular)
+    //  Defining the parser with define supports left recursive rules, both
+    //  direct (expr := expr "-" term | term) and indirect ones
+    //  Left recursion is supported by growing a seed: the left recursive call
+    //  first fails, then the rule is reapplied with the previous result as
+    //  the result of the left recursive call as long as more input is consumed
+    var CircularParser = (function (_super) {
+        __extends(CircularParser, _super);
+        function CircularParser(name) {
+            _super.call(this, null, new Description(DescriptionKind.Reference, null, [], name || null));
+        }
+        // Defines the circular parser as p without support for left recursion
+        //  This avoids growing seeds for rules that aren't left recursive
+        CircularParser.prototype.assign = function (p) {
+            this.parseShared = p.parseShared;
+            this.description.children[0] = p.description;
+        };
+
+        // Defines the circular parser
+        CircularParser.prototype.define = function (p) {
+            var id = memoCount++;
+
+            this.description.children[0] = p.description;
+
+            this.parseShared = function (ps) {
+                var memos = ps.memos[id] || (ps.memos[id] = []);
+
+                var position = ps.position;
+
+                var m = memos[position];
+
+                if (m !== undefined) {
+                    // Left recursive call, uses the seed grown so far
+                    ps.replay(m);
+                    return m.result;
+                }
+
+                var snapshot = ps.snapshot();
+
+                m = ps.memo(snapshot, ps.fail());
+                memos[position] = m;
+
+                for (; ;) {
+                    ps.restore(snapshot);
+
+                    var pResult = p.parseShared(ps);
+
+                    if (!pResult.success || (m.result.success && ps.position <= m.end.position)) {
+                        break;
+                    }
+
+                    m = ps.memo(snapshot, pResult);
+                    memos[position] = m;
+                }
+
+                memos[position] = undefined;
+
+                ps.restore(snapshot);
+                ps.replay(m);
+
+                return m.result;
+            };
+        };
+        return CircularParser;
+    })(Parser);
+    mpc.CircularParser = CircularParser;
+
+    // Constructs a parser from a parse function
+    //  The description tells what the parser is made of, custom parsers are described as a custom parser
+    function parser(p, description) {
+        return new Parser(p, description);
+    }
+    mpc.parser = parser;
+
+    // Executes a parser over an input string
+    //  If the parse fails the furthest failure is reported and the line
+    //  and column of the failure position is set
+    //  The budget aborts runaway parses, the result is then a failure where the parse was aborted
+    // Example: parse(p, s, {steps : 1000000, milliseconds : 500})
+    function parse(p, s, budget) {
+        var ps = new ParserState(s);
+
+        if (budget) {
+            ps.setBudget(budget);
+        }
+
+        return run(p, ps);
+    }
+    mpc.parse = parse;
+
+    // Executes a parser over tokens, typically produced by a lexer
+    //  s is the source text of the tokens and is used to compute line and column
+    //  If the parse fails the furthest failure is reported, the position is
+    //  the token index and the token and the line and column of the token is set
+    function parseTokens(p, tokens, s) {
+        return run(p, new ParserState(s, tokens || []));
+    }
+    mpc.parseTokens = parseTokens;
+
+    // Executes a parser over binary data, like a file header or a network packet capture
+    //  data is a Uint8Array or an ArrayBuffer
+    //  The input is the bytes as the characters 0 to 255 so character parsers like skipString
+    //  and anyCharOf parse bytes and the positions are byte offsets
+    //  The binary parsers like uint16, bytes and magic requires binary data
+    // Example: parseBytes(magic([0x47, 0x49, 0x46]).keepRight(combine2(uint16(Endian.Little), uint16(Endian.Little))), data)
+    function parseBytes(p, data, budget) {
+        var array = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+        var chunks = [];
+
+        for (var iter = 0; iter < array.length; iter += 4096) {
+            chunks[chunks.length] = String.fromCharCode.apply(null, array.subarray(iter, iter + 4096));
+        }
+
+        var ps = new ParserState(chunks.join(""));
+
+        ps.view = new DataView(array.buffer, array.byteOffset, array.byteLength);
+
+        if (budget) {
+            ps.setBudget(budget);
+        }
+
+        return run(p, ps);
+    }
+    mpc.parseBytes = parseBytes;
+
+    // Executes a parser over an input string and recovers from failures (see recover)
+    //  The diagnostics of the result are the failures recovered from, this
+    //  allows reporting all failures and not only the first one
+    function parseWithRecovery(p, s) {
+        var ps = new ParserState(s);
+        ps.recovering = true;
+        return run(p, ps);
+    }
+    mpc.parseWithRecovery = parseWithRecovery;
+
+    // Finds what can legally come next at the cursor, typically used by editors to suggest completions
+    //  The parser is applied to the text before the word the cursor is in and the items that were
+    //  expected where the word begins are the completion items. The word is the characters before
+    //  the cursor that satisfies word (isIdContinue by default)
+    //  If there is no word the completion begins where a partly typed literal begins (like < of <>),
+    //  that is the first position in the punctuation before the cursor where a longer literal
+    //  starts with the text up to the cursor
+    //  Literals are completion items if they start with the word, the other expected items are rules
+    //  The candidates of a rule are completion items after the rule if they start with the word
+    //  There are no completion items if the text before the word is invalid
+    // Example: complete(p_expression, "x + hast", 8, {identifier : ["hastighet", "höjd"]})
+    function complete(p, s, cursor, candidates, word) {
+        var isWord = word || isIdContinue;
+        var end = Math.min(cursor, s.length);
+        var start = end;
+
+        while (start > 0) {
+            var ch = s.charCodeAt(start - 1);
+            var length = 1;
+
+            if (ch >= 0xDC00 && ch <= 0xDFFF && start > 1 && s.charCodeAt(start - 2) >= 0xD800 && s.charCodeAt(start - 2) <= 0xDBFF) {
+                ch = 0x10000 + ((s.charCodeAt(start - 2) - 0xD800) << 10) + (ch - 0xDC00);
+                length = 2;
+            }
+
+            if (!isWord(ch, 0)) {
+                break;
+            }
+
+            start -= length;
+        }
+
+        if (start < end) {
+            return completeAt(p, s, start, end, candidates);
+        }
+
+        var punctuation = end;
+
+        while (punctuation > 0 && !isWord(s.charCodeAt(punctuation - 1), 0) && !isUnicodeWhitespace(s.charCodeAt(punctuation - 1), 0)) {
+            --punctuation;
+        }
+
+        for (var begin = punctuation; begin < end; ++begin) {
+            var completion = completeAt(p, s, begin, end, candidates);
+
+            for (var iter = 0; iter < completion.items.length; ++iter) {
+                if (completion.items[iter].kind === CompletionKind.Literal && completion.items[iter].text.length > completion.prefix.length) {
+                    return completion;
+                }
+            }
+        }
+
+        return completeAt(p, s, end, end, candidates);
+    }
+    mpc.complete = complete;
+
+    // Finds the completions of the text from start to end (see complete)
+    function completeAt(p, s, start, end, candidates) {
+        var prefix = s.substring(start, end);
+        var ps = new ParserState(s.substring(0, start));
+        var pResult = run(p, ps);
+
+        var expected = pResult.success ? (ps.furthestPosition === start ? ps.furthestExpected : []) : (pResult.position === start ? pResult.expected : []);
+
+        var items = [];
+
+        for (var iter = 0; iter < expected.length; ++iter) {
+            var e = expected[iter];
+
+            if (e.length > 1 && e.charAt(0) === "\"" && e.charAt(e.length - 1) === "\"") {
+                var literal = e.substring(1, e.length - 1);
+
+                if (literal.substring(0, prefix.length) === prefix) {
+                    items[items.length] = { kind: CompletionKind.Literal, text: literal, rule: null };
+                }
+
+                continue;
+            }
+
+            items[items.length] = { kind: CompletionKind.Rule, text: e, rule: e };
+
+            var ruleCandidates = candidates && candidates.hasOwnProperty(e) ? candidates[e] : [];
+
+            for (var ita = 0; ita < ruleCandidates.length; ++ita) {
+                if (ruleCandidates[ita].substring(0, prefix.length) === prefix) {
+                    items[items.length] = { kind: CompletionKind.Candidate, text: ruleCandidates[ita], rule: e };
+                }
+            }
+        }
+
+        return { start: start, cursor: start + prefix.length, prefix: prefix, expected: expected, items: items };
+    }
+
+    // StreamParser parses input that arrives in chunks, for example from a
+    // Node readable stream or a FileReader
+    //  The parser is applied repeatedly to parse records, a record is completed
+    //  when the parser has succeeded without looking at the end of the buffered input
+    //  If the parser needs more input than is buffered the record is parsed
+    //  again when more input is fed
+    //  The input of completed records is dropped from the buffer so only
+    //  the current record needs to be held in memory
+    // Example:
+    //  var sp = new StreamParser(manyString(anyChar().except(EOL())).keepLeft(EOL()))
+    //  stream.on("data", chunk => sp.feed(chunk).value.forEach(handleLine))
+    //  stream.on("end", () => sp.end().value.forEach(handleLine))
+    var StreamParser = (function () {
+        function StreamParser(p) {
+            this.p = p;
+            this.buffer = "";
+            this.offset = 0;
+            this.line = 1;
+            this.column = 1;
+            this.failure = null;
+        }
+        // Feeds a chunk of input
+        //  The value is the records completed by the chunk
+        //  Fails if a record couldn't be parsed, then all subsequent calls fails
+        //  Note: The failure's value is the records completed before the failure
+        StreamParser.prototype.feed = function (chunk) {
+            if (this.failure) {
+                return this.failure;
+            }
+
+            this.buffer += chunk || "";
+
+            return this.drain(true);
+        };
+
+        // Signals end of input
+        //  The value is the records that remained in the buffer
+        //  Note: The failure's value is the records completed before the failure
+        StreamParser.prototype.end = function () {
+            if (this.failure) {
+                return this.failure;
+            }
+
+            return this.drain(false);
+        };
+
+        // Parses the completed records in the buffer
+        StreamParser.prototype.drain = function (partial) {
+            var values = [];
+
+            var ps = new ParserState(this.buffer);
+
+            while (this.buffer.length > 0) {
+                ps = new ParserState(this.buffer);
+
+                var pResult = this.p.parseShared(ps);
+
+                if (partial && ps.hitEnd) {
+                    break;
+                }
+
+                if (!pResult.success) {
+                    return this.fail(ps, ps.furthestFailure(pResult), values);
+                }
+
+                if (ps.position === 0) {
+                    // The parser didn't consume anything, it would be applied forever
+                    return this.fail(ps, ps.fail(), values);
+                }
+
+                values[values.length] = pResult.value;
+
+                this.drop(ps.position);
+            }
+
+            return ps.succeedShared(values);
+        };
+
+        // Drops consumed input and updates the location of the buffer
+        StreamParser.prototype.drop = function (n) {
+            for (var pos = 0; pos < n; ++pos) {
+                var ch = this.buffer.charCodeAt(pos);
+                if (ch === 0x0A || (ch === 0x0D && this.buffer.charCodeAt(pos + 1) !== 0x0A)) {
+                    ++this.line;
+                    this.column = 1;
+                } else {
+                    ++this.column;
+                }
+            }
+
+            this.buffer = this.buffer.substring(n);
+            this.offset += n;
+        };
+
+        // Locates the failure in the stream and makes the StreamParser failed
+        //  The returned failure's value is the records completed before the failure,
+        //  they are already dropped from the buffer so they aren't returned again
+        StreamParser.prototype.fail = function (ps, failure, values) {
+            var location = ps.location(failure.position);
+
+            var pResult = failureResult(failure.position, failure.expected);
+
+            pResult.position = this.offset + failure.position;
+            pResult.offset = pResult.position;
+            pResult.line = this.line + location.line - 1;
+            pResult.column = location.line === 1 ? this.column + location.column - 1 : location.column;
+
+            this.failure = pResult;
+
+            return { success: false, value: values, position: pResult.position, offset: pResult.offset, line: pResult.line, column: pResult.column, token: undefined, expected: pResult.expected, diagnostics: undefined };
+        };
+        return StreamParser;
+    })();
+    mpc.StreamParser = StreamParser;
+
+    // Executes a parser over an input string and records the traced parser invocations in tracer (see trace)
+    // Example:
+    //  var tracer = new Tracer()
+    //  parseWithTracer(p, "x + 3", tracer)
+    //  console.info(tracer.report())
+    function parseWithTracer(p, s, tracer) {
+        var ps = new ParserState(s);
+        ps.tracer = tracer;
+        return run(p, ps);
+    }
+    mpc.parseWithTracer = parseWithTracer;
+
+    // Executes a parser and locates the failure and diagnostics in the source text
+    function run(p, ps) {
+        var pResult;
+
+        try  {
+            pResult = p.parseShared(ps);
+
+            // The success ParseResult is reused by the parser state so a copy is returned
+            pResult = pResult.success ? { success: true, value: pResult.value } : ps.furthestFailure(pResult);
+        } catch (e) {
+            if (e !== budgetExceeded) {
+                throw e;
+            }
+
+            pResult = failureResult(ps.position, [
+                ps.steps > ps.maxSteps ? "the parse to end within " + ps.maxSteps + " steps" : "the parse to end within the time budget"
+            ]);
+        }
+
+        if (!pResult.success) {
+            locate(ps, pResult);
+        }
+
+        for (var iter = 0; iter < ps.diagnostics.length; ++iter) {
+            locate(ps, ps.diagnostics[iter]);
+        }
+
+        pResult.diagnostics = ps.diagnostics;
+
+        return pResult;
+    }
+
+    // The expected items of a failure that expected nothing in particular
+    var nothingExpected = [];
+
+    // The diagnostics of a memo when the parser added none
+    var nothingDiagnosed = [];
+
+    // Thrown by ParserState.step when the budget is exceeded, caught by run
+    var budgetExceeded = new Error("mpc: the parse budget was exceeded");
+
+    // Locates a failure in the source text
+    function locate(ps, failure) {
+        var offset = ps.sourceOffset(failure.position);
+        var location = ps.location(offset);
+        failure.offset = offset;
+        failure.line = location.line;
+        failure.column = location.column;
+        failure.token = ps.tokens ? ps.tokens[failure.position] : undefined;
+    }
+
+    // Describes the expected items of a failed ParseResult
+    // Example: expected ")" or digit
+    function expectedMessage(pResult) {
+        return describeExpected(pResult.expected);
+    }
+    mpc.expectedMessage = expectedMessage;
+
+    // Describes expected items
+    function describeExpected(items) {
+        var expected = items || [];
+
+        if (expected.length === 0) {
+            return "unexpected input";
+        }
+
+        var sb = new StringBuilder();
+
+        sb.append("expected ");
+
+        for (var iter = 0; iter < expected.length; ++iter) {
+            if (iter > 0) {
+                sb.append(iter < expected.length - 1 ? ", " : " or ");
+            }
+            sb.append(expected[iter]);
+        }
+
+        return sb.toString();
+    }
+
+    // Describes a failed ParseResult returned by parse
+    // Example: line 1, column 5: expected ")" or digit
+    function failureMessage(pResult) {
+        return new StringBuilder().append("line ").append(pResult.line.toString()).append(", column ").append(pResult.column.toString()).append(": ").append(expectedMessage(pResult)).toString();
+    }
+    mpc.failureMessage = failureMessage;
+
+    // Formats a failed ParseResult returned by parse or parseTokens like a compiler error
+    //  The line that failed is printed with a ^ under the column
+    // Example:
+    //  line 1, column 5: expected ")" or digit
+    //  3 * (4 +
+    //      ^
+    function formatFailure(s, pResult) {
+        var text = s || "";
+        var begin = pResult.offset - pResult.column + 1;
+        var end = begin;
+
+        for (; end < text.length; ++end) {
+            var ch = text.charCodeAt(end);
+            if (ch === 0x0A || ch === 0x0D) {
+                break;
+            }
+        }
+
+        var sb = new StringBuilder();
+
+        sb.append(failureMessage(pResult)).newLine().append(text.substring(begin, end)).newLine();
+
+        for (var pos = begin; pos < pResult.offset; ++pos) {
+            sb.append(text.charCodeAt(pos) === 0x09 ? "\t" : " ");
+        }
+
+        return sb.append("^").toString();
+    }
+    mpc.formatFailure = formatFailure;
+
+    // Joins two spans into a span that starts at first and ends at last
+    //  If one of the spans are missing the other is returned
+    function joinSpans(first, last) {
+        if (!first) {
+            return last;
+        }
+
+        if (!last) {
+            return first;
+        }
+
+        return { start: first.start, end: last.end, startLine: first.startLine, startColumn: first.startColumn, endLine: last.endLine, endColumn: last.endColumn };
+    }
+    mpc.joinSpans = joinSpans;
+
+    // Appends a traced invocation and the invocations made by it to the report
+    function reportTraceNode(sb, node, depth) {
+        sb.indent(depth, "  ").append(node.name);
+
+        if (node.success) {
+            sb.append(" [").append(node.start.toString()).append("-").append(node.end.toString()).append("] success ").append(quote(node.text));
+        } else {
+            sb.append(" [").append(node.start.toString()).append("] failed: ").append(describeExpected(node.expected));
+        }
+
+        sb.newLine();
+
+        for (var iter = 0; iter < node.children.length; ++iter) {
+            reportTraceNode(sb, node.children[iter], depth + 1);
+        }
+    }
+
+    // Creates a failure ParseResult
+    function failureResult(position, expected) {
+        return { success: false, value: undefined, position: position, offset: undefined, line: undefined, column: undefined, token: undefined, expected: expected, diagnostics: undefined };
+    }
+
+    // Quotes a literal so it can be used as an expected item
+    function quote(str) {
+        return "\"" + str + "\"";
+    }
+
+    // Creates the expected items for each character in str
+    function expectedChars(str) {
+        var numbers = codePointsOf(str);
+        var expected = [];
+
+        for (var iter = 0; iter < numbers.length; ++iter) {
+            expected[iter] = quote(fromCodePoint(numbers[iter]));
+        }
+
+        return expected;
+    }
+
+    // Creates a description, nested unnamed sequences and choices are flattened
+    function describe(kind, text, children) {
+        if (kind !== DescriptionKind.Sequence && kind !== DescriptionKind.Choice) {
+            return new Description(kind, text, children, null);
+        }
+
+        var flattened = [];
+
+        for (var iter = 0; iter < children.length; ++iter) {
+            var child = children[iter];
+
+            if (child.kind === kind && child.name === null) {
+                for (var ita = 0; ita < child.children.length; ++ita) {
+                    flattened[flattened.length] = child.children[ita];
+                }
+            } else {
+                flattened[flattened.length] = child;
+            }
+        }
+
+        return new Description(kind, text, flattened, null);
+    }
+
+    // Describes a character that satisfies the predicate
+    function describeSatisfy(text, satisfy) {
+        var description = describe(DescriptionKind.Special, text, []);
+        description.satisfy = satisfy;
+        return description;
+    }
+
+    // Creates a named copy of a description
+    //  The copy shares the children so a reference is described by its definition once defined
+    function rename(description, name) {
+        var renamed = new Description(description.kind, description.text, description.children, name);
+        renamed.satisfy = description.satisfy;
+        return renamed;
+    }
+
+    // Returns the descriptions of parsers
+    function descriptionsOf(parsers) {
+        var descriptions = [];
+
+        for (var iter = 0; iter < parsers.length; ++iter) {
+            descriptions[iter] = parsers[iter].description;
+        }
+
+        return descriptions;
+    }
+
+    // Describes p separated by pSeparator: p { pSeparator p }
+    function describeChain(p, pSeparator) {
+        return describe(DescriptionKind.Sequence, null, [p, describe(DescriptionKind.Many, null, [describe(DescriptionKind.Sequence, null, [pSeparator, p])])]);
+    }
+
+    // Describes any character of str
+    function describeChars(str) {
+        var numbers = codePointsOf(str);
+        var chars = [];
+
+        for (var iter = 0; iter < numbers.length; ++iter) {
+            chars[iter] = describe(DescriptionKind.Terminal, fromCodePoint(numbers[iter]), []);
+        }
+
+        return chars.length === 1 ? chars[0] : describe(DescriptionKind.Choice, null, chars);
+    }
+
+    // Returns how many UTF-16 code units a character occupies
+    function charLength(ch) {
+        return ch > 0xFFFF ? 2 : 1;
+    }
+
+    // Returns the code points in str, surrogate pairs are combined
+    function codePointsOf(str) {
+        var numbers = [];
+
+        for (var iter = 0; iter < str.length; ++iter) {
+            var ch = str.charCodeAt(iter);
+            var low = iter + 1 < str.length ? str.charCodeAt(iter + 1) : 0;
+
+            if (ch >= 0xD800 && ch <= 0xDBFF && low >= 0xDC00 && low <= 0xDFFF) {
+                ch = 0x10000 + ((ch - 0xD800) << 10) + (low - 0xDC00);
+                ++iter;
+            }
+
+            numbers[numbers.length] = ch;
+        }
+
+        return numbers;
+    }
+
+    // Returns the string of a code point, code points above 0xFFFF becomes a surrogate pair
+    function fromCodePoint(ch) {
+        if (ch <= 0xFFFF) {
+            return String.fromCharCode(ch);
+        }
+
+        ch -= 0x10000;
+
+        return String.fromCharCode(0xD800 + (ch >> 10), 0xDC00 + (ch & 0x3FF));
+    }
+    mpc.fromCodePoint = fromCodePoint;
+
+    // Applies the parser in code point mode
+    //  In code point mode satisfy functions and character parsers get code points rather than
+    //  UTF-16 code units and a surrogate pair is advanced over as one character
+    //  Positions, offsets and columns are still in UTF-16 code units
+    // Example: codePoints(satisfy(isIdStart).keepRight(satisfyMany(isIdContinue)))
+    function codePoints(p) {
+        return parser(function (ps) {
+            var previous = ps.codePoints;
+
+            ps.codePoints = true;
+            var pResult = p.parseShared(ps);
+            ps.codePoints = previous;
+
+            return pResult;
+        }, p.description);
+    }
+    mpc.codePoints = codePoints;
+
+    // Returns a parser that always succeed with value
+    function success(value) {
+        return parser(function (ps) {
+            return ps.succeedShared(value);
+        }, describe(DescriptionKind.Empty, null, []));
+    }
+    mpc.success = success;
+
+    // Returns a parser that always fails
+    function fail() {
+        return parser(function (ps) {
+            return ps.fail();
+        }, describe(DescriptionKind.Special, "nothing", []));
+    }
+    mpc.fail = fail;
+
+    // Parser succeeds with the user state without consuming input
+    //  The user state is undefined until set (see setState)
+    // Example: combine2(p_identifier, getState<SymbolTable>()).test((v) => v.v1.isType(v.v0)).transform((v) => v.v0)
+    function getState() {
+        return parser(function (ps) {
+            return ps.succeedShared(ps.state);
+        }, describe(DescriptionKind.Empty, null, []));
+    }
+    mpc.getState = getState;
+
+    // Parser sets the user state
+    //  The user state is part of the snapshot so it's restored when the parser backtracks
+    // Note: The user state is compared by reference when replaying memoized results so the
+    //  state should be treated as immutable, change it by setting a new state
+    // Example: setState(new SymbolTable()).keepRight(p_program)
+    function setState(state) {
+        return parser(function (ps) {
+            ps.setState(state);
+            return ps.succeedShared(undefined);
+        }, describe(DescriptionKind.Empty, null, []));
+    }
+    mpc.setState = setState;
+
+    // Parser sets the user state to update applied to the current user state (see setState)
+    // Example: updateState((depth : number) => depth + 1)
+    function updateState(update) {
+        return parser(function (ps) {
+            ps.setState(update(ps.state));
+            return ps.succeedShared(undefined);
+        }, describe(DescriptionKind.Empty, null, []));
+    }
+    mpc.updateState = updateState;
+
+    // Applies the parser selected by the user state
+    //  Used when the input parses differently depending on what was parsed before
+    // Example: fromState((ops : OperatorTable) => anyStringOf(ops.chars).test((op : string) => ops.isDeclared(op)))
+    function fromState(select) {
+        return parser(function (ps) {
+            return select(ps.state).parseShared(ps);
+        }, describe(DescriptionKind.Special, "state dependent parser", []));
+    }
+    mpc.fromState = fromState;
+
+    // Parser increases the current indent
+    function indent() {
+        return parser(function (ps) {
+            ps.increaseIndent();
+            return ps.succeedShared(undefined);
+        }, describe(DescriptionKind.Special, "indent", []));
+    }
+    mpc.indent = indent;
+
+    // Parser decreases the current indent
+    // Fails if indent couldn't be decreased
+    function dedent() {
+        return parser(function (ps) {
+            if (!ps.decreaseIndent()) {
+                return ps.fail();
+            }
+            return ps.succeedShared(undefined);
+        }, describe(DescriptionKind.Special, "dedent", []));
+    }
+    mpc.dedent = dedent;
+
+    // Parser parses the expected number of indent
+    // Fails if not enough indent characters could be consumed
+    // Note: Only tabs are counted, see block for column based layout with spaces and tabs
+    function indention() {
+        var expected = ["indention"];
+
+        return parser(function (ps) {
+            var start = ps.position;
+            var version = ps.version;
+
+            if (ps.indent === 0) {
+                return ps.succeedShared(0);
+            }
+
+            var satisy = function (ch, pos) {
+                return pos < ps.indent && ch === 0x09;
+            };
+            var tabs = ps.skipAdvance(satisy);
+
+            if (tabs !== ps.indent) {
+                ps.rewind(start, version);
+                return ps.fail(expected);
+            }
+
+            return ps.succeedShared(tabs);
+        }, describe(DescriptionKind.Special, "indention", []));
+    }
+    mpc.indention = indention;
+
+    // Parses any number of indention characters
+    function anyIndention() {
+        return skipSatisfyMany(satisyTab);
+    }
+    mpc.anyIndention = anyIndention;
+
+    // Applies the parser with the current position as the layout position
+    //  The layout checks (aligned, indented, sameLine and sameOrIndented) compare
+    //  the indentation of the current position with the layout position
+    //  Initially the layout position is the start of the input
+    // Note: Whitespace is expected to be skipped before the parser is applied
+    // Example: withLayout(combine(p_key.keepLeft(skipString(":")), sameOrIndented().keepRight(p_value)))
+    function withLayout(p) {
+        return parser(function (ps) {
+            var previous = ps.layout;
+
+            ps.layout = ps.position;
+            var pResult = p.parseShared(ps);
+            ps.layout = previous;
+
+            return pResult;
+        }, p.description);
+    }
+    mpc.withLayout = withLayout;
+
+    // Applies the parser with the tab width used to measure indentation, the default is 8
+    function tabWidth(width, p) {
+        return parser(function (ps) {
+            var previous = ps.tabWidth;
+
+            ps.tabWidth = width;
+            var pResult = p.parseShared(ps);
+            ps.tabWidth = previous;
+
+            return pResult;
+        }, p.description);
+    }
+    mpc.tabWidth = tabWidth;
+
+    // Parses an offside rule block: the parser applied one or more times where each
+    //  application starts at the column of the first one
+    //  The block ends at the first line that isn't aligned with the block
+    // Note: The parser is expected to skip the whitespace and newlines after it
+    // Example: p_key.keepLeft(skipString(":")).keepLeft(p_whitespaces).keepLeft(indented()).keepRight(block(p_entry))
+    function block(p) {
+        return withLayout(many1(aligned().keepRight(p)));
+    }
+    mpc.block = block;
+
+    // Succeeds if the current position is at the same column as the layout position
+    function aligned() {
+        return parser(function (ps) {
+            var layout = ps.indentation(ps.layout);
+
+            if (compareIndentation(ps, layout) !== 0) {
+                return ps.fail(["line aligned with column " + layout.column]);
+            }
+
+            return ps.succeedShared(undefined);
+        }, describe(DescriptionKind.Special, "aligned", []));
+    }
+    mpc.aligned = aligned;
+
+    // Succeeds if the current position is at a column after the layout position
+    function indented() {
+        return parser(function (ps) {
+            var layout = ps.indentation(ps.layout);
+
+            if (compareIndentation(ps, layout) <= 0) {
+                return ps.fail(["line indented past column " + layout.column]);
+            }
+
+            return ps.succeedShared(undefined);
+        }, describe(DescriptionKind.Special, "indented", []));
+    }
+    mpc.indented = indented;
+
+    // Succeeds if the current position is on the same line as the layout position
+    function sameLine() {
+        return parser(function (ps) {
+            var line = ps.location(ps.sourceOffset(ps.layout)).line;
+
+            if (ps.location(ps.sourceOffset(ps.position)).line !== line) {
+                return ps.fail(["continuation of line " + line]);
+            }
+
+            return ps.succeedShared(undefined);
+        }, describe(DescriptionKind.Special, "same line", []));
+    }
+    mpc.sameLine = sameLine;
+
+    // Succeeds if the current position is on the same line as the layout position
+    //  or at a column after it
+    function sameOrIndented() {
+        return choice(sameLine(), indented());
+    }
+    mpc.sameOrIndented = sameOrIndented;
+
+    // Compares the indentation of the current position with the layout indentation
+    //  Returns a negative number if the current position is before the layout column,
+    //  0 if it's at the layout column and a positive number if it's after the layout column
+    //  A diagnostic is added if the comparison depends on the tab width, that is
+    //  when tabs and spaces are mixed inconsistently
+    function compareIndentation(ps, layout) {
+        var current = ps.indentation(ps.position);
+
+        var compare = current.column - layout.column;
+        var narrow = current.narrow - layout.narrow;
+
+        if ((compare < 0) !== (narrow < 0) || (compare === 0) !== (narrow === 0)) {
+            ps.addDiagnostic(failureResult(ps.position, ["consistent use of tabs and spaces in indentation"]));
+        }
+
+        return compare;
+    }
+
+    // Parses any character
+    // The parsed value is a unicode number character
+    function anyChar() {
+        var expected = ["any character"];
+
+        return parser(function (ps) {
+            var ch = ps.currentCharCode();
+
+            if (ch === undefined) {
+                return ps.fail(expected);
+            }
+
+            ps.position += charLength(ch);
+
+            return ps.succeedShared(ch);
+        }, describe(DescriptionKind.Special, "any character", []));
+    }
+    mpc.anyChar = anyChar;
+
+    // Parses any character that is a member of str and returns the index of the match
+    //  In code point mode a character in str above 0xFFFF counts as one
+    function anyCharOf(str) {
+        var numbers = codePointsOf(str);
+
+        var expected = expectedChars(str);
+
+        return parser(function (ps) {
+            var ch = ps.currentCharCode();
+
+            if (ch === undefined) {
+                return ps.fail(expected);
+            }
+
+            var indexOf = numbers.indexOf(ch);
+
+            if (indexOf < 0) {
+                return ps.fail(expected);
+            }
+
+            ps.position += charLength(ch);
+
+            return ps.succeedShared(indexOf);
+        }, describeChars(str));
+    }
+    mpc.anyCharOf = anyCharOf;
+    function anyCharOf2(str, mapTo) {
+        var numbers = codePointsOf(str);
+
+        var expected = expectedChars(str);
+
+        return parser(function (ps) {
+            var ch = ps.currentCharCode();
+
+            if (ch === undefined) {
+                return ps.fail(expected);
+            }
+
+            var indexOf = numbers.indexOf(ch);
+
+            if (indexOf < 0) {
+                return ps.fail(expected);
+            }
+
+            if (indexOf >= mapTo.length) {
+                return ps.fail(expected);
+            }
+
+            ps.position += charLength(ch);
+
+            return ps.succeedShared(mapTo[indexOf]);
+        }, describeChars(str));
+    }
+    mpc.anyCharOf2 = anyCharOf2;
+
+    // Parses a string whose characters are a member of str
+    function anyStringOf(str) {
+        var numbers = codePointsOf(str);
+
+        return parser(function (ps) {
+            var ch = 0;
+            var data = [];
+
+            var result = ps.advance(function (ch, pos) {
+                return numbers.indexOf(ch) > -1;
+            });
+
+            return ps.succeedShared(result);
+        }, describe(DescriptionKind.Many, null, [describeChars(str)]));
+    }
+    mpc.anyStringOf = anyStringOf;
+
+    // Parses EOS (end of stream)
+    function EOS() {
+        var expected = ["end of input"];
+
+        return parser(function (ps) {
+            if (!ps.isEOS()) {
+                return ps.fail(expected);
+            }
+
+            return ps.succeedShared(undefined);
+        }, describe(DescriptionKind.Special, "end of input", []));
+    }
+    mpc.EOS = EOS;
+
+    // Parses EOL (end of line)
+    function EOL() {
+        var expected = ["end of line"];
+
+        return parser(function (ps) {
+            if (ps.isEOS()) {
+                return ps.succeedShared(undefined);
+            }
+
+            if (ps.text[ps.position] === "\n") {
+                ++ps.position;
+
+                return ps.succeedShared(undefined);
+            }
+
+            if (ps.text[ps.position] === "\r") {
+                ++ps.position;
+
+                if (!ps.isEOS() && ps.text[ps.position] === "\n") {
+                    ++ps.position;
+
+                    return ps.succeedShared(undefined);
+                }
+
+                return ps.succeedShared(undefined);
+            }
+
+            return ps.fail(expected);
+        }, describe(DescriptionKind.Special, "end of line", []));
+    }
+    mpc.EOL = EOL;
+
+    // Parses a character that satisfy the predicate
+    //  expected describes the character in failure messages
+    function satisfy(satisfy, expected) {
+        var expectedItems = expected ? [expected] : [];
+
+        return parser(function (ps) {
+            if (ps.isEOS()) {
+                return ps.fail(expectedItems);
+            }
+
+            var ch = ps.currentCharCode();
+
+            if (!satisfy(ch, 0)) {
+                return ps.fail(expectedItems);
+            }
+
+            ps.position += charLength(ch);
+
+            return ps.succeedShared(ch);
+        }, describeSatisfy(expected || "character", satisfy));
+    }
+    mpc.satisfy = satisfy;
+
+    // Parses a string that satisfy the predicate
+    function satisfyMany(satisfy) {
+        return parser(function (ps) {
+            return ps.succeedShared(ps.advance(satisfy));
+        }, describe(DescriptionKind.Many, null, [describeSatisfy("character", satisfy)]));
+    }
+    mpc.satisfyMany = satisfyMany;
+
+    // Skips characters that match the predicate
+    function skipSatisfyMany(satisfy) {
+        return parser(function (ps) {
+            return ps.succeedShared(ps.skipAdvance(satisfy));
+        }, describe(DescriptionKind.Many, null, [describeSatisfy("character", satisfy)]));
+    }
+    mpc.skipSatisfyMany = skipSatisfyMany;
+
+    // Satisfy function for whitespace
+    function satisyWhitespace(ch, pos) {
+        switch (ch) {
+            case 0x09:
+            case 0x0A:
+            case 0x0D:
+            case 0x20:
+                return true;
+            default:
+                return false;
+        }
+    }
+    mpc.satisyWhitespace = satisyWhitespace;
+
+    // Satisfy function for tab
+    function satisyTab(ch, pos) {
+        return ch === 0x09;
+    }
+    mpc.satisyTab = satisyTab;
+
+    // Creates a satisfy function that tests a code point against a unicode property
+    //  fallback is used when the regular expressions doesn't support unicode property escapes
+    function unicodeProperty(property, fallback) {
+        var re = null;
+
+        try  {
+            re = new RegExp("^\\p{" + property + "}$", "u");
+        } catch (e) {
+            return fallback;
+        }
+
+        // The ASCII characters are looked up as testing a character allocates a string
+        var ascii = [];
+
+        for (var ch = 0; ch < 128; ++ch) {
+            ascii[ch] = re.test(String.fromCharCode(ch));
+        }
+
+        return function (ch, pos) {
+            return ch < 128 ? ascii[ch] : ch !== undefined && re.test(fromCodePoint(ch));
+        };
+    }
+
+    // Approximates unicode letters as characters with case and the common CJK, kana and hangul blocks
+    function fallbackLetter(ch, pos) {
+        if (ch === undefined) {
+            return false;
+        }
+
+        var s = fromCodePoint(ch);
+
+        return s.toLowerCase() !== s.toUpperCase() || (ch >= 0x3040 && ch <= 0x30FF) || (ch >= 0x3400 && ch <= 0x4DBF) || (ch >= 0x4E00 && ch <= 0x9FFF) || (ch >= 0xAC00 && ch <= 0xD7A3) || (ch >= 0x20000 && ch <= 0x2FA1F);
+    }
+
+    var letter = unicodeProperty("L", fallbackLetter);
+    var digit = unicodeProperty("Nd", function (ch, pos) {
+        return ch >= 0x30 && ch <= 0x39;
+    });
+    var idStart = unicodeProperty("ID_Start", letter);
+    var idContinue = unicodeProperty("ID_Continue", function (ch, pos) {
+        return letter(ch, pos) || digit(ch, pos) || ch === 0x5F || (ch >= 0x0300 && ch <= 0x036F);
+    });
+    var whitespace = unicodeProperty("White_Space", function (ch, pos) {
+        return ch !== undefined && /^\s$/.test(fromCodePoint(ch));
+    });
+
+    // Satisfy function for unicode letters (category L)
+    //  Use with codePoints to get letters above 0xFFFF
+    // Example: codePoints(satisfyMany(isLetter))
+    function isLetter(ch, pos) {
+        return letter(ch, pos);
+    }
+    mpc.isLetter = isLetter;
+
+    // Satisfy function for unicode decimal digits (category Nd)
+    function isDigit(ch, pos) {
+        return digit(ch, pos);
+    }
+    mpc.isDigit = isDigit;
+
+    // Satisfy function for characters that can start an identifier (unicode property ID_Start)
+    function isIdStart(ch, pos) {
+        return idStart(ch, pos);
+    }
+    mpc.isIdStart = isIdStart;
+
+    // Satisfy function for characters that can continue an identifier (unicode property ID_Continue)
+    function isIdContinue(ch, pos) {
+        return idContinue(ch, pos);
+    }
+    mpc.isIdContinue = isIdContinue;
+
+    // Satisfy function for unicode whitespace (unicode property White_Space)
+    //  Unlike satisyWhitespace this includes for example no-break space and line separator
+    function isUnicodeWhitespace(ch, pos) {
+        return whitespace(ch, pos);
+    }
+    mpc.isUnicodeWhitespace = isUnicodeWhitespace;
+
+    // Skips a string that matches str
+    //  Typically used to parse tokens in file
+    // Note: Compares UTF-16 code units so it's the same in code point mode
+    function skipString(str) {
+        var expected = [quote(str)];
+
+        return parser(function (ps) {
+            var begin = ps.position;
+            var end = ps.text.length;
+
+            var i = 0;
+
+            for (; i < str.length && begin + i < end && ps.text.charCodeAt(begin + i) === str.charCodeAt(i); ++i) {
+            }
+
+            if (i === str.length) {
+                ps.position = begin + i;
+                return ps.succeedShared(undefined);
+            }
+
+            if (begin + i === end) {
+                ps.hitEnd = true;
+            }
+
+            return ps.fail(expected);
+        }, describe(DescriptionKind.Terminal, str, []));
+    }
+    mpc.skipString = skipString;
+
+    // Parses the text that matches the regular expression at the current position
+    //  The value is the match followed by the capture groups
+    //  The pattern is the expected item in failure messages
+    // Note: Uses a sticky regular expression when supported
+    // Note: When used with StreamParser a match that reaches the end of the buffered input
+    //  waits for more input as it might match more. As where a failed match stopped isn't known
+    //  a failure only waits for more input at the end of the buffered input, so a match split
+    //  by the end of a chunk (like /\d+;/ on 12) fails. Use regular expressions that match
+    //  a token at a time and combine them with parsers instead
+    // Example: regexGroups(/(\d{4})-(\d{2})-(\d{2})/)
+    function regexGroups(re) {
+        var expected = [re.toString()];
+
+        // Keeps every flag but global and sticky, flags isn't supported by older engines
+        var flags = (re).flags !== undefined ? (re).flags.replace(/[gy]/g, "") : (re.ignoreCase ? "i" : "") + (re.multiline ? "m" : "");
+
+        var sticky = null;
+
+        try  {
+            sticky = new RegExp(re.source, flags + "y");
+        } catch (e) {
+            sticky = null;
+        }
+
+        var anchored = new RegExp("^(?:" + re.source + ")", flags);
+
+        return parser(function (ps) {
+            var match;
+
+            if (sticky) {
+                sticky.lastIndex = ps.position;
+                match = sticky.exec(ps.text);
+            } else {
+                var anchoredMatch = anchored.exec(ps.text.substring(ps.position));
+                match = anchoredMatch && anchoredMatch.index === 0 ? anchoredMatch : null;
+            }
+
+            if (!match) {
+                if (ps.position >= ps.text.length) {
+                    ps.hitEnd = true;
+                }
+                return ps.fail(expected);
+            }
+
+            ps.position += match[0].length;
+
+            if (ps.position >= ps.text.length) {
+                ps.hitEnd = true;
+            }
+
+            return ps.succeedShared(match);
+        }, describe(DescriptionKind.Special, re.toString(), []));
+    }
+    mpc.regexGroups = regexGroups;
+
+    // Parses the text that matches the regular expression at the current position
+    //  The value is the matched text
+    // Example: regex(/[0-9]+(\.[0-9]+)?/)
+    function regex(re) {
+        return regexGroups(re).transform(function (match) {
+            return match[0];
+        });
+    }
+    mpc.regex = regex;
+
+    // Parses a token that satisfy the predicate
+    //  expected describes the token in failure messages
+    // Note: Token parsers requires that tokens are parsed, see parseTokens
+    function satisfyToken(satisfy, expected) {
+        var expectedItems = expected ? [expected] : [];
+
+        return parser(function (ps) {
+            var token = ps.currentToken();
+
+            if (token === undefined || !satisfy(token)) {
+                return ps.fail(expectedItems);
+            }
+
+            ++ps.position;
+
+            return ps.succeedShared(token);
+        }, describe(DescriptionKind.Special, expected || "token", []));
+    }
+    mpc.satisfyToken = satisfyToken;
+
+    // Parses a token of type, if text is given the token text must match as well
+    // Example: token("keyword", "if")
+    function token(type, text) {
+        return satisfyToken(function (t) {
+            return t.type === type && (text === undefined || t.text === text);
+        }, text === undefined ? type : quote(text));
+    }
+    mpc.token = token;
+
+    // Parses any token
+    function anyToken() {
+        return satisfyToken(function (t) {
+            return true;
+        }, "any token");
+    }
+    mpc.anyToken = anyToken;
+
+    // Creates a binary parser, the parser parses size bytes and read reads the value from the view
+    //  name is the expected item in failure messages
+    function binary(name, size, read) {
+        var expected = [name];
+
+        return parser(function (ps) {
+            if (ps.view === null) {
+                throw new Error("mpc." + name + ": binary parsers require binary data, see parseBytes");
+            }
+
+            if (ps.position + size > ps.text.length) {
+                ps.hitEnd = true;
+                return ps.fail(expected);
+            }
+
+            var value = read(ps.view, ps.position);
+
+            ps.position += size;
+
+            return ps.succeedShared(value);
+        }, describe(DescriptionKind.Special, name, []));
+    }
+
+    // Describes the byte order of a binary number
+    function endianName(name, endian) {
+        return name + (endian === Endian.Little ? " (little endian)" : " (big endian)");
+    }
+
+    // Parses an unsigned byte
+    // Note: Binary parsers requires binary data, see parseBytes
+    function uint8() {
+        return binary("uint8", 1, function (view, pos) {
+            return view.getUint8(pos);
+        });
+    }
+    mpc.uint8 = uint8;
+
+    // Parses a signed byte
+    function int8() {
+        return binary("int8", 1, function (view, pos) {
+            return view.getInt8(pos);
+        });
+    }
+    mpc.int8 = int8;
+
+    // Parses an unsigned 16 bit integer
+    // Example: uint16(Endian.Big)
+    function uint16(endian) {
+        var little = endian === Endian.Little;
+        return binary(endianName("uint16", endian), 2, function (view, pos) {
+            return view.getUint16(pos, little);
+        });
+    }
+    mpc.uint16 = uint16;
+
+    // Parses a signed 16 bit integer
+    function int16(endian) {
+        var little = endian === Endian.Little;
+        return binary(endianName("int16", endian), 2, function (view, pos) {
+            return view.getInt16(pos, little);
+        });
+    }
+    mpc.int16 = int16;
+
+    // Parses an unsigned 32 bit integer
+    function uint32(endian) {
+        var little = endian === Endian.Little;
+        return binary(endianName("uint32", endian), 4, function (view, pos) {
+            return view.getUint32(pos, little);
+        });
+    }
+    mpc.uint32 = uint32;
+
+    // Parses a signed 32 bit integer
+    function int32(endian) {
+        var little = endian === Endian.Little;
+        return binary(endianName("int32", endian), 4, function (view, pos) {
+            return view.getInt32(pos, little);
+        });
+    }
+    mpc.int32 = int32;
+
+    // Parses a 32 bit floating point number (IEEE 754 single precision)
+    function float32(endian) {
+        var little = endian === Endian.Little;
+        return binary(endianName("float32", endian), 4, function (view, pos) {
+            return view.getFloat32(pos, little);
+        });
+    }
+    mpc.float32 = float32;
+
+    // Parses a 64 bit floating point number (IEEE 754 double precision)
+    function float64(endian) {
+        var little = endian === Endian.Little;
+        return binary(endianName("float64", endian), 8, function (view, pos) {
+            return view.getFloat64(pos, little);
+        });
+    }
+    mpc.float64 = float64;
+
+    // Parses count bytes
+    // Note: The value is a view of the parsed data, not a copy
+    // Example: bytes(4).transform((chunkType : Uint8Array) => String.fromCharCode.apply(null, chunkType))
+    function bytes(count) {
+        return binary(count + " bytes", count, function (view, pos) {
+            return new Uint8Array(view.buffer, view.byteOffset + pos, count);
+        });
+    }
+    mpc.bytes = bytes;
+
+    // Parses the bytes of a field whose length is parsed by pLength
+    // Note: The value is a view of the parsed data, not a copy
+    // Example: lengthPrefixed(uint8())
+    function lengthPrefixed(pLength) {
+        var rest = parser(function (ps) {
+            var pos = ps.position;
+
+            ps.position = ps.text.length;
+
+            return ps.succeedShared(new Uint8Array(ps.view.buffer, ps.view.byteOffset + pos, ps.position - pos));
+        }, describe(DescriptionKind.Special, "bytes", []));
+
+        return lengthPrefixedWith(pLength, rest);
+    }
+    mpc.lengthPrefixed = lengthPrefixed;
+
+    // Applies p to a field whose length is parsed by pLength, p must parse the whole field
+    //  The end of the field is the end of input for p so p can't read past the field
+    // Note: Memoized parsers aren't memoized across the field boundary as the end of input differs
+    // Example: many(lengthPrefixedWith(uint32(Endian.Big), combine2(bytes(4), many(uint8()))))
+    function lengthPrefixedWith(pLength, p) {
+        var expectedField = ["the bytes of the field"];
+        var expectedEnd = ["the end of the field"];
+
+        return parser(function (ps) {
+            var start = ps.position;
+            var version = ps.version;
+
+            var pLengthResult = pLength.parseShared(ps);
+
+            if (!pLengthResult.success) {
+                return ps.propagate(pLengthResult);
+            }
+
+            var end = ps.position + pLengthResult.value;
+
+            if (end > ps.text.length) {
+                ps.hitEnd = true;
+
+                var failure = ps.fail(expectedField);
+                ps.rewind(start, version);
+                return failure;
+            }
+
+            var text = ps.text;
+            var memos = ps.memos;
+            var hitEnd = ps.hitEnd;
+
+            var pResult;
+
+            ps.text = text.substring(0, end);
+            ps.memos = [];
+
+            try  {
+                pResult = p.parseShared(ps);
+            } finally {
+                ps.text = text;
+                ps.memos = memos;
+                ps.hitEnd = hitEnd;
+            }
+
+            if (!pResult.success) {
+                ps.rewind(start, version);
+                return ps.propagate(pResult);
+            }
+
+            if (ps.position < end) {
+                var failure = ps.fail(expectedEnd);
+                ps.rewind(start, version);
+                return failure;
+            }
+
+            return ps.succeedShared(pResult.value);
+        }, describe(DescriptionKind.Sequence, null, [pLength.description, p.description]));
+    }
+    mpc.lengthPrefixedWith = lengthPrefixedWith;
+
+    // Parses the bytes of a magic number, typically the signature at the start of a file format
+    // Example: magic([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])   // PNG
+    function magic(signature) {
+        var hex = [];
+
+        for (var iter = 0; iter < signature.length; ++iter) {
+            hex[iter] = (signature[iter] < 16 ? "0" : "") + signature[iter].toString(16).toUpperCase();
+        }
+
+        return skipString(String.fromCharCode.apply(null, signature)).label("magic number " + hex.join(" "));
+    }
+    mpc.magic = magic;
+
+    // Applies the parser until it fails and the value is an array of all successfully parsed values
+    function many(p) {
+        return parser(function (ps) {
+            var result = [];
+
+            var pResult;
+
+            var position = ps.position;
+
+            while ((pResult = p.parseShared(ps)).success) {
+                ensureProgress("many", ps, position);
+                result[result.length] = pResult.value;
+                position = ps.position;
+            }
+
+            return ps.succeedShared(result);
+        }, describe(DescriptionKind.Many, null, [p.description]));
+    }
+    mpc.many = many;
+
+    // Applies the character number parser and combines the characters into a string
+    function manyString(p) {
+        return parser(function (ps) {
+            var result = "";
+
+            var pResult;
+
+            var data = [];
+
+            var position = ps.position;
+
+            while ((pResult = p.parseShared(ps)).success) {
+                ensureProgress("manyString", ps, position);
+                data[data.length] = fromCodePoint(pResult.value);
+                position = ps.position;
+            }
+
+            return ps.succeedShared(data.join(""));
+        }, describe(DescriptionKind.Many, null, [p.description]));
+    }
+    mpc.manyString = manyString;
+
+    // Applies the parser until it fails, fails if the parser doesn't succeed at least once
+    function many1(p) {
+        return parser(function (ps) {
+            var pResult = p.parseShared(ps);
+
+            if (!pResult.success) {
+                return ps.propagate(pResult);
+            }
+
+            var result = [pResult.value];
+
+            var position = ps.position;
+
+            while ((pResult = p.parseShared(ps)).success) {
+                ensureProgress("many1", ps, position);
+                result[result.length] = pResult.value;
+                position = ps.position;
+            }
+
+            return ps.succeedShared(result);
+        }, describe(DescriptionKind.Many1, null, [p.description]));
+    }
+    mpc.many1 = many1;
+
+    // Throws if a parser applied repeatedly by combinator succeeded without consuming any input
+    //  since position as it would be applied forever, like many(anyStringOf("0"))
+    function ensureProgress(combinator, ps, position) {
+        if (ps.position === position) {
+            throw new Error("mpc." + combinator + ": the parser succeeded without consuming any input, it would be applied forever");
+        }
+    }
+
+    // Parses zero or more p separated by pSeparator
+    // Example: sepBy(p_number, skipString(","))
+    function sepBy(p, pSeparator) {
+        var pSepBy1 = sepBy1(p, pSeparator);
+
+        return parser(function (ps) {
+            var pResult = pSepBy1.parseShared(ps);
+
+            if (!pResult.success) {
+                return ps.succeedShared([]);
+            }
+
+            return pResult;
+        }, describe(DescriptionKind.Optional, null, [pSepBy1.description]));
+    }
+    mpc.sepBy = sepBy;
+
+    // Parses one or more p separated by pSeparator
+    //  A trailing separator isn't consumed
+    function sepBy1(p, pSeparator) {
+        return parser(function (ps) {
+            var pResult = p.parseShared(ps);
+
+            if (!pResult.success) {
+                return ps.propagate(pResult);
+            }
+
+            var result = [pResult.value];
+
+            var start = ps.position;
+            var version = ps.version;
+
+            while (pSeparator.parseShared(ps).success && (pResult = p.parseShared(ps)).success) {
+                ensureProgress("sepBy1", ps, start);
+                start = ps.position;
+                version = ps.version;
+                result[result.length] = pResult.value;
+            }
+
+            ps.rewind(start, version);
+
+            return ps.succeedShared(result);
+        }, describeChain(p.description, pSeparator.description));
+    }
+    mpc.sepBy1 = sepBy1;
+
+    // Parses zero or more p each followed by pEnd
+    // Example: endBy(p_statement, skipString(";"))
+    function endBy(p, pEnd) {
+        return parser(function (ps) {
+            var result = [];
+
+            var start = ps.position;
+            var version = ps.version;
+
+            var pResult;
+
+            while ((pResult = p.parseShared(ps)).success) {
+                var value = pResult.value;
+
+                if (!pEnd.parseShared(ps).success) {
+                    break;
+                }
+
+                ensureProgress("endBy", ps, start);
+                start = ps.position;
+                version = ps.version;
+                result[result.length] = value;
+            }
+
+            ps.rewind(start, version);
+
+            return ps.succeedShared(result);
+        }, describe(DescriptionKind.Many, null, [describe(DescriptionKind.Sequence, null, [p.description, pEnd.description])]));
+    }
+    mpc.endBy = endBy;
+
+    // Applies p until pEnd succeeds, pEnd is consumed
+    //  Fails if p fails before pEnd succeeds
+    // Example: skipString("/*").keepRight(manyTill(anyChar(), skipString("*/")))
+    function manyTill(p, pEnd) {
+        return parser(function (ps) {
+            var start = ps.position;
+            var version = ps.version;
+
+            var result = [];
+
+            for (; ;) {
+                var position = ps.position;
+
+                var pEndResult = pEnd.parseShared(ps);
+
+                if (pEndResult.success) {
+                    return ps.succeedShared(result);
+                }
+
+                var pResult = p.parseShared(ps);
+
+                if (!pResult.success) {
+                    ps.rewind(start, version);
+                    return ps.merge(ps.propagate(pEndResult), pResult);
+                }
+
+                ensureProgress("manyTill", ps, position);
+
+                result[result.length] = pResult.value;
+            }
+        }, describe(DescriptionKind.Sequence, null, [describe(DescriptionKind.Many, null, [p.description]), pEnd.description]));
+    }
+    mpc.manyTill = manyTill;
+
+    // Applies p exactly n times
+    function count(n, p) {
+        return parser(function (ps) {
+            var start = ps.position;
+            var version = ps.version;
+
+            var result = [];
+
+            for (var iter = 0; iter < n; ++iter) {
+                var pResult = p.parseShared(ps);
+
+                if (!pResult.success) {
+                    ps.rewind(start, version);
+                    return ps.propagate(pResult);
+                }
+
+                result[result.length] = pResult.value;
+            }
+
+            return ps.succeedShared(result);
+        }, describe(DescriptionKind.Count, n.toString(), [p.description]));
+    }
+    mpc.count = count;
+
+    // Applies p without consuming any input
+    //  Succeeds with the value of p if p succeeds
+    // Example: identifier.keepLeft(lookahead(skipString("(")))
+    function lookahead(p) {
+        return parser(function (ps) {
+            var start = ps.position;
+            var version = ps.version;
+
+            var pResult = p.parseShared(ps);
+
+            ps.rewind(start, version);
+
+            return pResult;
+        }, describe(DescriptionKind.FollowedBy, null, [p.description]));
+    }
+    mpc.lookahead = lookahead;
+
+    // Succeeds without consuming any input if p fails
+    // Example: skipString("if").keepLeft(notFollowedBy(satisfy(isLetter)))
+    function notFollowedBy(p) {
+        return parser(function (ps) {
+            var start = ps.position;
+            var version = ps.version;
+
+            var pResult = p.parseShared(ps);
+
+            if (pResult.success) {
+                ps.rewind(start, version);
+                return ps.fail();
+            }
+
+            return ps.succeedShared(undefined);
+        }, describe(DescriptionKind.NotFollowedBy, null, [p.description]));
+    }
+    mpc.notFollowedBy = notFollowedBy;
+
+    // Applies the parsers in order and the value is an array of all parsed values
+    // Example: sequence(p_identifier, skipString("="), p_value)
+    function sequence() {
+        var parsers = [];
+        for (var _i = 0; _i < (arguments.length - 0); _i++) {
+            parsers[_i] = arguments[_i + 0];
+        }
+        return parser(function (ps) {
+            var start = ps.position;
+            var version = ps.version;
+
+            var result = [];
+
+            for (var iter = 0; iter < parsers.length; ++iter) {
+                var pResult = parsers[iter].parseShared(ps);
+
+                if (!pResult.success) {
+                    ps.rewind(start, version);
+                    return ps.propagate(pResult);
+                }
+
+                result[iter] = pResult.value;
+            }
+
+            return ps.succeedShared(result);
+        }, describe(DescriptionKind.Sequence, null, descriptionsOf(parsers)));
+    }
+    mpc.sequence = sequence;
+
+    // Applies the parsers in order and the value is an object with the parsed values by name
+    // Example: seq({name : p_identifier, eq : skipString("="), value : p_value})
+    function seq(parsers) {
+        var names = [];
+        var ordered = [];
+
+        for (var name in parsers) {
+            if (parsers.hasOwnProperty(name)) {
+                names[names.length] = name;
+                ordered[ordered.length] = parsers[name];
+            }
+        }
+
+        return parser(function (ps) {
+            var start = ps.position;
+            var version = ps.version;
+
+            var result = {};
+
+            for (var iter = 0; iter < names.length; ++iter) {
+                var pResult = parsers[names[iter]].parseShared(ps);
+
+                if (!pResult.success) {
+                    ps.rewind(start, version);
+                    return ps.propagate(pResult);
+                }
+
+                result[names[iter]] = pResult.value;
+            }
+
+            return ps.succeedShared(result);
+        }, describe(DescriptionKind.Sequence, null, descriptionsOf(ordered)));
+    }
+    mpc.seq = seq;
+
+    // Pairs the parsed value with the span of the consumed input
+    // Note: This struggles as a member function
+    function withSpan(p) {
+        return p.located(function (value, span) {
+            return { value: value, span: span };
+        });
+    }
+    mpc.withSpan = withSpan;
+
+    // Combines two parser results into a tuple value of both results
+    function combine2(p0, p1) {
+        return parser(function (ps) {
+            var start = ps.position;
+            var version = ps.version;
+
+            var p0Result = p0.parseShared(ps);
+
+            if (!p0Result.success) {
+                return ps.propagate(p0Result);
+            }
+
+            var v0 = p0Result.value;
+
+            var p1Result = p1.parseShared(ps);
+
+            if (!p1Result.success) {
+                ps.rewind(start, version);
+                return ps.propagate(p1Result);
+            }
+
+            var result = { v0: v0, v1: p1Result.value };
+
+            return ps.succeedShared(result);
+        }, describe(DescriptionKind.Sequence, null, [p0.description, p1.description]));
+    }
+    mpc.combine2 = combine2;
+
+    // Combines three parser results into a tuple value of all results
+    function combine3(p0, p1, p2) {
+        return parser(function (ps) {
+            var start = ps.position;
+            var version = ps.version;
+
+            var p0Result = p0.parseShared(ps);
+
+            if (!p0Result.success) {
+                return ps.propagate(p0Result);
+            }
+
+            var v0 = p0Result.value;
+
+            var p1Result = p1.parseShared(ps);
+
+            if (!p1Result.success) {
+                ps.rewind(start, version);
+                return ps.propagate(p1Result);
+            }
+
+            var v1 = p1Result.value;
+
+            var p2Result = p2.parseShared(ps);
+
+            if (!p2Result.success) {
+                ps.rewind(start, version);
+                return ps.propagate(p2Result);
+            }
+
+            var result = { v0: v0, v1: v1, v2: p2Result.value };
+
+            return ps.succeedShared(result);
+        }, describe(DescriptionKind.Sequence, null, [p0.description, p1.description, p2.description]));
+    }
+    mpc.combine3 = combine3;
+
+    // recover recovers from failures of p when parsing with parseWithRecovery
+    //  The failure is recorded as a diagnostic, then the input is skipped from
+    //  the failure position until pSync succeeds and the value is fallback
+    //  pSync isn't consumed so the enclosing parser can parse the synchronization token
+    //  If pSync never succeeds the input is skipped to end of stream
+    //  If no input would be skipped, like when pSync succeeds where p started or p fails at
+    //  end of stream, recover fails as p so repeating recover always makes progress
+    //  If missing is set the fallback stands in for the missing input instead, like the operand
+    //  after an operator (don't repeat it with many or the like as it consumes nothing)
+    //  When not parsing with parseWithRecovery recover is the same as p
+    // Example: recover(p_term, anyCharOf(")+-*/"), new ErrorExpression(), true)
+    function recover(p, pSync, fallback, missing) {
+        return parser(function (ps) {
+            if (!ps.recovering) {
+                return p.parseShared(ps);
+            }
+
+            // The furthest failure of p is the failure recovered from so it
+            // shouldn't be confused with the failures of the enclosing parsers
+            var furthestPosition = ps.furthestPosition;
+            var furthestExpected = ps.furthestExpected;
+
+            ps.furthestPosition = -1;
+            ps.furthestExpected = [];
+
+            var pResult = p.parseShared(ps);
+
+            if (pResult.success) {
+                ps.recordFailure(furthestPosition, furthestExpected);
+                return pResult;
+            }
+
+            var failure = ps.furthestFailure(pResult);
+
+            var begin = ps.position;
+
+            ps.position = failure.position;
+
+            for (; ;) {
+                var start = ps.position;
+                var version = ps.version;
+
+                var pSyncResult = pSync.parseShared(ps);
+
+                ps.rewind(start, version);
+
+                if (pSyncResult.success || ps.isEOS()) {
+                    break;
+                }
+
+                // Skips a code point in code point mode
+                ps.position += charLength(ps.charCodeAt(ps.position));
+            }
+
+            ps.furthestPosition = furthestPosition;
+            ps.furthestExpected = furthestExpected;
+
+            if (ps.position === begin && !missing) {
+                ps.recordFailure(failure.position, failure.expected);
+                return failure;
+            }
+
+            ps.addDiagnostic(failure);
+
+            return ps.succeedShared(fallback);
+        }, p.description);
+    }
+    mpc.recover = recover;
+
+    // chainLeft is typically used to implement left associative operators
+    //  The p parser parser an expression
+    //  The pSeparator parser parses the operator
+    //  The combiner combines the result expressions into a new expression
+    function chainLeft(p, pSeparator, combiner) {
+        return parser(function (ps) {
+            var pResult = p.parseShared(ps);
+            if (!pResult.success) {
+                return ps.propagate(pResult);
+            }
+
+            var start = ps.position;
+            var version = ps.version;
+
+            var value = pResult.value;
+
+            var pSeparatorResult;
+            var pOtherResult;
+
+            while ((pSeparatorResult = pSeparator.parseShared(ps)).success) {
+                var op = pSeparatorResult.value;
+
+                if (!(pOtherResult = p.parseShared(ps)).success) {
+                    break;
+                }
+
+                ensureProgress("chainLeft", ps, start);
+                start = ps.position;
+                version = ps.version;
+                value = combiner(value, op, pOtherResult.value);
+            }
+
+            ps.rewind(start, version);
+
+            return ps.succeedShared(value);
+        }, describeChain(p.description, pSeparator.description));
+    }
+    mpc.chainLeft = chainLeft;
+
+    // chainRight is typically used to implement right associative operators
+    //  The p parser parser an expression
+    //  The pSeparator parser parses the operator
+    //  The combiner combines the result expressions into a new expression
+    function chainRight(p, pSeparator, combiner) {
+        return parser(function (ps) {
+            var pResult = p.parseShared(ps);
+            if (!pResult.success) {
+                return ps.propagate(pResult);
+            }
+
+            var start = ps.position;
+            var version = ps.version;
+
+            var values = [pResult.value];
+            var ops = [];
+
+            var pSeparatorResult;
+            var pOtherResult;
+
+            while ((pSeparatorResult = pSeparator.parseShared(ps)).success) {
+                var op = pSeparatorResult.value;
+
+                if (!(pOtherResult = p.parseShared(ps)).success) {
+                    break;
+                }
+
+                ensureProgress("chainRight", ps, start);
+                start = ps.position;
+                version = ps.version;
+                ops[ops.length] = op;
+                values[values.length] = pOtherResult.value;
+            }
+
+            ps.rewind(start, version);
+
+            var value = values[values.length - 1];
+
+            for (var iter = ops.length - 1; iter >= 0; --iter) {
+                value = combiner(values[iter], ops[iter], value);
+            }
+
+            return ps.succeedShared(value);
+        }, describeChain(p.description, pSeparator.description));
+    }
+    mpc.chainRight = chainRight;
+
+    // chainNone is typically used to implement non associative operators
+    //  Parses an expression optionally followed by one operator and expression
+    function chainNone(p, pSeparator, combiner) {
+        return parser(function (ps) {
+            var pResult = p.parseShared(ps);
+            if (!pResult.success) {
+                return ps.propagate(pResult);
+            }
+
+            var start = ps.position;
+            var version = ps.version;
+
+            var value = pResult.value;
+
+            var pSeparatorResult = pSeparator.parseShared(ps);
+
+            if (pSeparatorResult.success) {
+                var op = pSeparatorResult.value;
+
+                var pOtherResult = p.parseShared(ps);
+
+                if (pOtherResult.success) {
+                    return ps.succeedShared(combiner(value, op, pOtherResult.value));
+                }
+            }
+
+            ps.rewind(start, version);
+
+            return ps.succeedShared(value);
+        }, describe(DescriptionKind.Sequence, null, [p.description, describe(DescriptionKind.Optional, null, [describe(DescriptionKind.Sequence, null, [pSeparator.description, p.description])])]));
+    }
+    mpc.chainNone = chainNone;
+
+    // prefix parses an expression preceded by prefix operators
+    //  If repeat is false at most one prefix operator is parsed
+    //  The applier applies the operators, the operator closest to the expression first
+    function prefix(p, pOperator, applier, repeat) {
+        if (typeof repeat === "undefined") { repeat = true; }
+        return parser(function (ps) {
+            var start = ps.position;
+            var version = ps.version;
+
+            var ops = [];
+
+            var pOperatorResult;
+
+            var position = ps.position;
+
+            while ((repeat || ops.length === 0) && (pOperatorResult = pOperator.parseShared(ps)).success) {
+                if (repeat) {
+                    ensureProgress("prefix", ps, position);
+                }
+                ops[ops.length] = pOperatorResult.value;
+                position = ps.position;
+            }
+
+            var pResult = p.parseShared(ps);
+            if (!pResult.success) {
+                ps.rewind(start, version);
+                return ps.propagate(pResult);
+            }
+
+            var value = pResult.value;
+
+            for (var iter = ops.length - 1; iter >= 0; --iter) {
+                value = applier(ops[iter], value);
+            }
+
+            return ps.succeedShared(value);
+        }, describe(DescriptionKind.Sequence, null, [describe(repeat ? DescriptionKind.Many : DescriptionKind.Optional, null, [pOperator.description]), p.description]));
+    }
+    mpc.prefix = prefix;
+
+    // postfix parses an expression followed by postfix operators
+    //  If repeat is false at most one postfix operator is parsed
+    //  The applier applies the operators, the operator closest to the expression first
+    function postfix(p, pOperator, applier, repeat) {
+        if (typeof repeat === "undefined") { repeat = true; }
+        return parser(function (ps) {
+            var pResult = p.parseShared(ps);
+            if (!pResult.success) {
+                return ps.propagate(pResult);
+            }
+
+            var value = pResult.value;
+
+            var pOperatorResult;
+
+            do {
+                var position = ps.position;
+
+                if (!(pOperatorResult = pOperator.parseShared(ps)).success) {
+                    break;
+                }
+
+                if (repeat) {
+                    ensureProgress("postfix", ps, position);
+                }
+
+                value = applier(pOperatorResult.value, value);
+            } while(repeat);
+
+            return ps.succeedShared(value);
+        }, describe(DescriptionKind.Sequence, null, [p.description, describe(repeat ? DescriptionKind.Many : DescriptionKind.Optional, null, [pOperator.description])]));
+    }
+    mpc.postfix = postfix;
+
+    // Creates an infix operator level for expressionParser
+    // Example: infixOperators(anyCharOf2("+-", [Add, Subtract]), Associativity.Left, (l, op, r) => new BinaryExpression(op, l, r))
+    function infixOperators(pOperator, associativity, combiner) {
+        return { kind: OperatorKind.Infix, associativity: associativity, operator: pOperator, combiner: combiner, applier: null };
+    }
+    mpc.infixOperators = infixOperators;
+
+    // Creates a prefix operator level for expressionParser
+    //  Prefix operators are repeatable unless associativity is None
+    function prefixOperators(pOperator, applier, associativity) {
+        if (typeof associativity === "undefined") { associativity = Associativity.Right; }
+        return { kind: OperatorKind.Prefix, associativity: associativity, operator: pOperator, combiner: null, applier: applier };
+    }
+    mpc.prefixOperators = prefixOperators;
+
+    // Creates a postfix operator level for expressionParser
+    //  Postfix operators are repeatable unless associativity is None
+    function postfixOperators(pOperator, applier, associativity) {
+        if (typeof associativity === "undefined") { associativity = Associativity.Left; }
+        return { kind: OperatorKind.Postfix, associativity: associativity, operator: pOperator, combiner: null, applier: applier };
+    }
+    mpc.postfixOperators = postfixOperators;
+
+    // expressionParser builds an expression parser from a term parser and an operator table
+    //  The operator levels are ordered by precedence, the first level binds the strongest
+    // Example: expressionParser(p_term, [
+    //      prefixOperators(skipString("-"), (op, v) => new NegateExpression(v)),
+    //      infixOperators(anyCharOf2("*/", [Multiply, Divide]), Associativity.Left, combiner),
+    //      infixOperators(anyCharOf2("+-", [Add, Subtract]), Associativity.Left, combiner),
+    //      ])
+    function expressionParser(term, table) {
+        var p = term;
+
+        for (var iter = 0; iter < table.length; ++iter) {
+            var level = table[iter];
+
+            var repeat = level.associativity !== Associativity.None;
+
+            switch (level.kind) {
+                case OperatorKind.Prefix:
+                    p = prefix(p, level.operator, level.applier, repeat);
+                    break;
+                case OperatorKind.Postfix:
+                    p = postfix(p, level.operator, level.applier, repeat);
+                    break;
+                default:
+                    switch (level.associativity) {
+                        case Associativity.Right:
+                            p = chainRight(p, level.operator, level.combiner);
+                            break;
+                        case Associativity.None:
+                            p = chainNone(p, level.operator, level.combiner);
+                            break;
+                        default:
+                            p = chainLeft(p, level.operator, level.combiner);
+                            break;
+                    }
+                    break;
+            }
+        }
+
+        return p;
+    }
+    mpc.expressionParser = expressionParser;
+
+    // choice applies each input parser in order and picks the first that matches
+    //  If all parsers fail the expected items of the parsers are combined
+    function choice() {
+        var choices = [];
+        for (var _i = 0; _i < (arguments.length - 0); _i++) {
+            choices[_i] = arguments[_i + 0];
+        }
+        return parser(function (ps) {
+            var failure = null;
+
+            for (var iter = 0; iter < choices.length; ++iter) {
+                var p = choices[iter];
+
+                var pResult = p.parseShared(ps);
+
+                if (pResult.success) {
+                    return ps.succeedShared(pResult.value);
+                }
+
+                failure = failure ? ps.merge(failure, pResult) : pResult;
+            }
+
+            return failure || ps.fail();
+        }, describe(DescriptionKind.Choice, null, descriptionsOf(choices)));
+    }
+    mpc.choice = choice;
+
+    // switch peeks on the first character and uses the associated parser
+    //  If no parser is associated with the first character (or at end of stream) defaultTo is used
+    //  If defaultTo is null the parser fails instead
+    // Note: Useful if the first character can be used as a differentiator (see dispatch that
+    //  computes the differentiators)
+    function switchOver(defaultTo) {
+        var choices = [];
+        for (var _i = 0; _i < (arguments.length - 1); _i++) {
+            choices[_i] = arguments[_i + 1];
+        }
+        var map = [];
+        var parsers = [];
+        var differentiators = "";
+
+        for (var iter = 0; iter < choices.length; ++iter) {
+            var choice = choices[iter];
+
+            parsers[iter] = choice.parser;
+
+            var d = choice.differentiator || "";
+
+            differentiators += d;
+
+            for (var ita = 0; ita < d.length; ++ita) {
+                map[d.charCodeAt(ita)] = choices[iter].parser;
+            }
+        }
+
+        if (defaultTo) {
+            parsers[parsers.length] = defaultTo;
+        }
+
+        var expected = expectedChars(differentiators);
+
+        return parser(function (ps) {
+            var ch = ps.currentCharCode();
+
+            var p = ch === undefined ? undefined : map[ch];
+
+            if (p !== undefined) {
+                return p.parseShared(ps);
+            }
+
+            if (!defaultTo) {
+                return ps.fail(expected);
+            }
+
+            var pResult = defaultTo.parseShared(ps);
+
+            if (pResult.success) {
+                return pResult;
+            }
+
+            return ps.merge(ps.fail(expected), pResult);
+        }, describe(DescriptionKind.Choice, null, descriptionsOf(parsers)));
+    }
+    mpc.switchOver = switchOver;
+
+    // dispatch is choice with a dispatch table on the first character
+    //  The characters each alternative can start with are computed from the parsers (see Description)
+    //  and only the alternatives that can start with the first character are tried, in order
+    //  Alternatives that overlap are tried in order just like choice, and so are alternatives
+    //  that can succeed without consuming input
+    //  If all alternatives fail the expected items are the same as for choice (the order may differ),
+    //  the expected items of the alternatives that weren't tried are remembered from when they were tried
+    //  All alternatives are tried when parsing tokens and when recovering (see recover)
+    // Note: Custom parsers and parsers only described by text (like indention) are always tried
+    // Note: The dispatch table is built the first time the parser is applied, circular parsers
+    //  have to be defined by then
+    // Example: dispatch(p_if, p_while, p_return, p_assignment)
+    function dispatch() {
+        var choices = [];
+        for (var _i = 0; _i < (arguments.length - 0); _i++) {
+            choices[_i] = arguments[_i + 0];
+        }
+        var all = choice.apply(null, choices);
+
+        // The alternatives to try for each ASCII character, for other characters and for end of stream
+        var table = null;
+        var other = [];
+        var end = [];
+
+        // The expected items of the alternatives when they fail without consuming input
+        var expectedOf = [];
+
+        var build = function () {
+            var firstSets = new FirstSets();
+
+            table = [];
+            for (var ch = 0; ch < 128; ++ch) {
+                table[ch] = [];
+            }
+
+            for (var iter = 0; iter < choices.length; ++iter) {
+                var firstSet = firstSets.of(choices[iter].description);
+
+                for (var ch = 0; ch < 128; ++ch) {
+                    if (firstSet.empty || firstSet.ascii[ch]) {
+                        table[ch][table[ch].length] = iter;
+                    }
+                }
+
+                if (firstSet.empty || firstSet.other) {
+                    other[other.length] = iter;
+                }
+
+                if (firstSet.empty) {
+                    end[end.length] = iter;
+                }
+            }
+        };
+
+        return parser(function (ps) {
+            if (ps.tokens || ps.recovering) {
+                return all.parseShared(ps);
+            }
+
+            if (table === null) {
+                build();
+            }
+
+            var ch = ps.currentCharCode();
+
+            var candidates = ch === undefined ? end : ch < 128 ? table[ch] : other;
+
+            var failures = [];
+
+            for (var iter = 0; iter < candidates.length; ++iter) {
+                var pResult = choices[candidates[iter]].parseShared(ps);
+
+                if (pResult.success) {
+                    return ps.succeedShared(pResult.value);
+                }
+
+                failures[candidates[iter]] = pResult;
+            }
+
+            // Combines the expected items in the order of the alternatives
+            var failure = ps.fail();
+
+            for (var iter = 0; iter < choices.length; ++iter) {
+                var pResult = failures[iter];
+
+                if (pResult === undefined && expectedOf[iter] !== undefined) {
+                    pResult = ps.fail(expectedOf[iter]);
+                } else if (pResult === undefined) {
+                    pResult = choices[iter].parseShared(ps);
+
+                    if (pResult.success) {
+                        return ps.succeedShared(pResult.value);
+                    }
+
+                    if (pResult.position === ps.position) {
+                        expectedOf[iter] = pResult.expected;
+                    }
+                }
+
+                failure = ps.merge(failure, pResult);
+            }
+
+            return failure;
+        }, all.description);
+    }
+    mpc.dispatch = dispatch;
+
+    // The characters a parser can start with (see FirstSets)
+    //  The ASCII characters the parser can start with
+    //  A flag indicating if the parser can start with other characters
+    //  A flag indicating if the parser can succeed without consuming input
+    var FirstSet = (function () {
+        function FirstSet() {
+            this.ascii = [];
+            this.other = false;
+            this.empty = false;
+        }
+        // Adds the characters of another first set, empty is left unchanged
+        FirstSet.prototype.add = function (firstSet) {
+            for (var ch = 0; ch < 128; ++ch) {
+                this.ascii[ch] = this.ascii[ch] || firstSet.ascii[ch];
+            }
+            this.other = this.other || firstSet.other;
+        };
+        return FirstSet;
+    })();
+
+    // The first set of a parser that can start with any character or succeed without consuming input
+    function unknownFirstSet() {
+        var firstSet = new FirstSet();
+
+        for (var ch = 0; ch < 128; ++ch) {
+            firstSet.ascii[ch] = true;
+        }
+        firstSet.other = true;
+        firstSet.empty = true;
+
+        return firstSet;
+    }
+
+    // Computes the first sets of descriptions, used by dispatch
+    //  A description that isn't known to start with specific characters can start with any character
+    //  and succeed without consuming input
+    //  A reference that is visited again while its first set is computed is left recursive and
+    //  adds no characters, the first sets computed while that happens are incomplete so they aren't cached
+    var FirstSets = (function () {
+        function FirstSets() {
+            this.visiting = [];
+            this.visited = [];
+            this.firstSets = [];
+            this.cycles = 0;
+        }
+        FirstSets.prototype.of = function (d) {
+            var index = this.visited.indexOf(d);
+
+            if (index > -1) {
+                return this.firstSets[index];
+            }
+
+            var cycles = this.cycles;
+
+            this.visiting[this.visiting.length] = d;
+            var firstSet = this.compute(d);
+            this.visiting.length--;
+
+            if (cycles === this.cycles) {
+                this.visited[this.visited.length] = d;
+                this.firstSets[this.firstSets.length] = firstSet;
+            }
+
+            return firstSet;
+        };
+
+        FirstSets.prototype.compute = function (d) {
+            var firstSet = new FirstSet();
+
+            switch (d.kind) {
+                default:
+                    return unknownFirstSet();
+                case DescriptionKind.Empty:
+                case DescriptionKind.FollowedBy:
+                case DescriptionKind.NotFollowedBy:
+                    firstSet.empty = true;
+                    break;
+                case DescriptionKind.Terminal:
+                    var first = d.text.charCodeAt(0);
+                    if (d.text.length === 0) {
+                        firstSet.empty = true;
+                    } else if (first < 128) {
+                        firstSet.ascii[first] = true;
+                    } else {
+                        firstSet.other = true;
+                    }
+                    break;
+                case DescriptionKind.Special:
+                    if (!d.satisfy) {
+                        return unknownFirstSet();
+                    }
+                    for (var ch = 0; ch < 128; ++ch) {
+                        firstSet.ascii[ch] = d.satisfy(ch, 0);
+                    }
+                    firstSet.other = true;
+                    break;
+                case DescriptionKind.Sequence:
+                    firstSet.empty = true;
+                    for (var iter = 0; iter < d.children.length && firstSet.empty; ++iter) {
+                        var child = this.of(d.children[iter]);
+                        firstSet.add(child);
+                        firstSet.empty = child.empty;
+                    }
+                    break;
+                case DescriptionKind.Choice:
+                    for (var iter = 0; iter < d.children.length; ++iter) {
+                        var child = this.of(d.children[iter]);
+                        firstSet.add(child);
+                        firstSet.empty = firstSet.empty || child.empty;
+                    }
+                    break;
+                case DescriptionKind.Optional:
+                case DescriptionKind.Many:
+                    firstSet.add(this.of(d.children[0]));
+                    firstSet.empty = true;
+                    break;
+                case DescriptionKind.Many1:
+                case DescriptionKind.Count:
+                case DescriptionKind.Except:
+                    var child = this.of(d.children[0]);
+                    firstSet.add(child);
+                    firstSet.empty = child.empty || (d.kind === DescriptionKind.Count && d.text === "0");
+                    break;
+                case DescriptionKind.Reference:
+                    if (d.children.length === 0) {
+                        return unknownFirstSet();
+                    }
+                    if (this.visiting.indexOf(d) !== this.visiting.length - 1) {
+                        ++this.cycles;
+                        break;
+                    }
+                    var child = this.of(d.children[0]);
+                    firstSet.add(child);
+                    firstSet.empty = child.empty;
+                    break;
+            }
+
+            return firstSet;
+        };
+        return FirstSets;
+    })();
+
+    // Special parser used to be break circular parsers (very common)
+    //  Either use assign or define, define is required for left recursive rules
+    //  The name is the name of the rule in the grammar documentation (see ebnf and railroad)
+    // Example:
+    //  var p_expr = circular<Expression>("expression")
+    //  p_expr.define(choice(combine3(p_expr, skipString("-"), p_term).transform(...), p_term))
+    function circular(name) {
+        return new CircularParser(name);
+    }
+    mpc.circular = circular;
+
+    // The token parsers of a language (see tokenParsers)
+    //  Every token parser skips the whitespace and comments that follow the token
+    //  so only the beginning of the input needs to skip whitespace
+    //  The whitespace parser skips whitespace and comments
+    //  The identifier parser parses identifiers that aren't reserved words
+    //  The integer parser parses decimal integers and hexadecimal integers like 0x1F
+    //  The float parser parses numbers with a fraction or an exponent like 1.5, 2e-3 or 0x1.8p3
+    //  The number parser parses integers and floats
+    //  The stringLiteral parser parses quoted strings and replaces the escape sequences
+    // Note: Signs aren't part of number literals, in most languages they are prefix operators
+    var TokenParsers = (function () {
+        function TokenParsers(definition) {
+            this.definition = definition;
+            this.whitespace = whitespaceParser(definition);
+            this.identifier = this.lexeme(identifierParser(definition));
+            this.integer = this.lexeme(numberParser("integer", false, false));
+            this.float = this.lexeme(numberParser("float", true, true));
+            this.number = this.lexeme(numberParser("number", true, false));
+            this.stringLiteral = this.lexeme(stringParser(definition.stringQuotes || "\""));
+        }
+        // Applies the parser and skips the whitespace and comments that follow
+        //  Used for tokens that aren't covered by the other token parsers
+        // Example: tokens.lexeme(regex(/#[0-9a-f]{6}/))
+        TokenParsers.prototype.lexeme = function (p) {
+            return p.keepLeft(this.whitespace);
+        };
+
+        // Parses the literal str, typically punctuation like , or ;
+        TokenParsers.prototype.symbol = function (str) {
+            return this.lexeme(skipString(str));
+        };
+
+        // Parses the reserved word, the word can't be followed by a character that continues an identifier
+        //  Case is ignored unless the language is case sensitive
+        // Example: tokens.reserved("if") doesn't parse the beginning of iffy
+        TokenParsers.prototype.reserved = function (word) {
+            var expected = [quote(word)];
+            var ignoreCase = this.definition.caseSensitive === false;
+            var identifierContinue = this.definition.identifierContinue || isIdContinue;
+
+            return this.lexeme(parser(function (ps) {
+                var end = ps.position + word.length;
+
+                if (!matchesAt(ps, ps.position, word, ignoreCase)) {
+                    return ps.fail(expected);
+                }
+
+                if (end >= ps.text.length) {
+                    // More input could continue the word
+                    ps.hitEnd = true;
+                } else if (identifierContinue(ps.charCodeAt(end), word.length)) {
+                    return ps.fail(expected);
+                }
+
+                ps.position = end;
+
+                return ps.succeedShared(undefined);
+            }, describe(DescriptionKind.Terminal, word, [])));
+        };
+
+        // Parses the operator, the operator isn't parsed if it's the beginning of a
+        //  longer operator of the language at the position
+        // Example: tokens.operator("<") doesn't parse the beginning of <= if <= is an operator
+        TokenParsers.prototype.operator = function (op) {
+            var expected = [quote(op)];
+            var operators = this.definition.operators || [];
+            var longer = [];
+
+            for (var iter = 0; iter < operators.length; ++iter) {
+                if (operators[iter].length > op.length && operators[iter].substring(0, op.length) === op) {
+                    longer[longer.length] = operators[iter];
+                }
+            }
+
+            return this.lexeme(parser(function (ps) {
+                if (!matchesAt(ps, ps.position, op, false)) {
+                    return ps.fail(expected);
+                }
+
+                for (var iter = 0; iter < longer.length; ++iter) {
+                    if (matchesAt(ps, ps.position, longer[iter], false)) {
+                        return ps.fail(expected);
+                    }
+                }
 
-    // Returns a parser that always fails
-    function fail() {
-        return parser(function (ps) {
-            return ps.fail();
-        });
+                ps.position += op.length;
+
+                return ps.succeedShared(undefined);
+            }, describe(DescriptionKind.Terminal, op, [])));
+        };
+
+        // Parses p surrounded by parentheses
+        TokenParsers.prototype.parens = function (p) {
+            return p.inBetween(this.symbol("("), this.symbol(")"));
+        };
+
+        // Parses p surrounded by brackets
+        TokenParsers.prototype.brackets = function (p) {
+            return p.inBetween(this.symbol("["), this.symbol("]"));
+        };
+
+        // Parses p surrounded by braces
+        TokenParsers.prototype.braces = function (p) {
+            return p.inBetween(this.symbol("{"), this.symbol("}"));
+        };
+
+        // Parses zero or more p separated by commas
+        TokenParsers.prototype.commaSep = function (p) {
+            return sepBy(p, this.symbol(","));
+        };
+        return TokenParsers;
+    })();
+    mpc.TokenParsers = TokenParsers;
+
+    // Creates the token parsers of a language from its definition
+    // Example:
+    //  var tokens = tokenParsers({lineComment : "#", reservedWords : ["let", "in"], operators : ["=", "+"]})
+    //  var p_let = combine3(tokens.reserved("let").keepRight(tokens.identifier), tokens.operator("=").keepRight(tokens.number), tokens.reserved("in"))
+    //  var p_program = tokens.whitespace.keepRight(p_let).keepLeft(EOS())
+    function tokenParsers(definition) {
+        return new TokenParsers(definition);
     }
-    mpc.fail = fail;
+    mpc.tokenParsers = tokenParsers;
 
-    // Parser increases the current indent
-    function indent() {
-        return parser(function (ps) {
-            ps.increaseIndent();
-            return ps.succeed(undefined);
-        });
+    // Tests if str is at pos in the text, case is ignored if ignoreCase is set
+    //  hitEnd is set if the text ends with the beginning of str as more input could complete it
+    function matchesAt(ps, pos, str, ignoreCase) {
+        var end = ps.text.length;
+
+        var i = 0;
+
+        for (; i < str.length && pos + i < end && (ps.text.charCodeAt(pos + i) === str.charCodeAt(i) || ignoreCase && ps.text.charAt(pos + i).toLowerCase() === str.charAt(i).toLowerCase()); ++i) {
+        }
+
+        if (i < str.length && pos + i === end) {
+            ps.hitEnd = true;
+        }
+
+        return i === str.length;
     }
-    mpc.indent = indent;
 
-    // Parser decreases the current indent
-    // Fails if indent couldn't be decreased
-    function dedent() {
-        return parser(function (ps) {
-            if (!ps.decreaseIndent()) {
-                return ps.fail();
-            }
-            return ps.succeed(undefined);
-        });
+    // Advances pos as long as the characters in the text satisfy the predicate, hitEnd is set if the text ends
+    function skipWhile(ps, pos, satisfy) {
+        var end = ps.text.length;
+
+        for (; pos < end && satisfy(ps.text.charCodeAt(pos), 0); ++pos) {
+        }
+
+        if (pos === end) {
+            ps.hitEnd = true;
+        }
+
+        return pos;
     }
-    mpc.dedent = dedent;
 
-    // Parser parses the expected number of indent
-    // Fails if not enough indent characters could be consumed
-    function indention() {
-        return parser(function (ps) {
-            var snapshot = ps.snapshot();
+    // Creates a failure ParseResult at position, the expected items are recorded there
+    //  The position of the parser state is unchanged
+    //  Used by token parsers that scan ahead before they know the token is invalid
+    function failAt(ps, position, expected) {
+        var start = ps.position;
 
-            if (ps.indent === 0) {
-                return ps.succeed(0);
-            }
+        ps.position = position;
 
-            var satisy = function (ch, pos) {
-                return pos < ps.indent && ch === 0x09;
-            };
-            var tabs = ps.skipAdvance(satisy);
+        var failure = ps.fail(expected);
 
-            if (tabs !== ps.indent) {
-                ps.restore(snapshot);
-                return ps.fail();
-            }
+        ps.position = start;
 
-            return ps.succeed(tabs);
-        });
+        return failure;
     }
-    mpc.indention = indention;
 
-    // Parses any number of indention characters
-    function anyIndention() {
-        return skipSatisfyMany(satisyTab);
+    function isAsciiDigit(ch, pos) {
+        return ch >= 0x30 && ch <= 0x39;
     }
-    mpc.anyIndention = anyIndention;
 
-    // Parses any character
-    // The parsed value is a unicode number character
-    function anyChar() {
+    function isHexDigit(ch, pos) {
+        return (ch >= 0x30 && ch <= 0x39) || (ch >= 0x41 && ch <= 0x46) || (ch >= 0x61 && ch <= 0x66);
+    }
+
+    function isLineBreak(ch, pos) {
+        return ch === 0x0A || ch === 0x0D;
+    }
+
+    function isNotLineBreak(ch, pos) {
+        return ch !== 0x0A && ch !== 0x0D;
+    }
+
+    // Describes one or more characters that satisfies the predicate
+    function describeDigits(text, satisfy) {
+        return describe(DescriptionKind.Many1, null, [describeSatisfy(text, satisfy)]);
+    }
+
+    // Creates the parser that skips whitespace and comments of a language
+    //  An unterminated block comment fails where the input ends
+    function whitespaceParser(definition) {
+        var lineComment = definition.lineComment || "";
+        var blockStart = definition.blockCommentStart || "";
+        var blockEnd = definition.blockCommentEnd || "";
+        var nested = definition.nestedComments === true;
+        var expected = [quote(blockEnd)];
+
+        var skipped = [describeSatisfy("whitespace", satisyWhitespace)];
+
+        if (lineComment) {
+            skipped[skipped.length] = describe(DescriptionKind.Sequence, null, [describe(DescriptionKind.Terminal, lineComment, []), describe(DescriptionKind.Many, null, [describeSatisfy("comment character", isNotLineBreak)])]);
+        }
+
+        if (blockStart) {
+            skipped[skipped.length] = describe(DescriptionKind.Sequence, null, [describe(DescriptionKind.Terminal, blockStart, []), describe(DescriptionKind.Special, "comment text", []), describe(DescriptionKind.Terminal, blockEnd, [])]);
+        }
+
         return parser(function (ps) {
-            var ch = ps.currentCharCode();
+            for (; ;) {
+                ps.skipAdvance(satisyWhitespace);
 
-            if (ch === undefined) {
-                return ps.fail();
-            }
+                if (lineComment && matchesAt(ps, ps.position, lineComment, false)) {
+                    ps.position = skipWhile(ps, ps.position + lineComment.length, isNotLineBreak);
+                    continue;
+                }
 
-            ++ps.position;
+                if (!blockStart || !matchesAt(ps, ps.position, blockStart, false)) {
+                    return ps.succeedShared(undefined);
+                }
 
-            return ps.succeed(ch);
-        });
+                var pos = ps.position + blockStart.length;
+                var depth = 1;
+
+                while (depth > 0 && pos < ps.text.length) {
+                    if (matchesAt(ps, pos, blockEnd, false)) {
+                        pos += blockEnd.length;
+                        --depth;
+                    } else if (nested && matchesAt(ps, pos, blockStart, false)) {
+                        pos += blockStart.length;
+                        ++depth;
+                    } else {
+                        ++pos;
+                    }
+                }
+
+                if (depth > 0) {
+                    ps.hitEnd = true;
+                    return failAt(ps, pos, expected);
+                }
+
+                ps.position = pos;
+            }
+        }, rename(describe(DescriptionKind.Many, null, [skipped.length === 1 ? skipped[0] : describe(DescriptionKind.Choice, null, skipped)]), "whitespace"));
     }
-    mpc.anyChar = anyChar;
 
-    // Parses any character that is a member of str and returns the index of the match
-    function anyCharOf(str) {
-        var numbers = [];
+    // Creates the parser of identifiers that aren't reserved words of a language
+    function identifierParser(definition) {
+        var expected = ["identifier"];
+        var identifierStart = definition.identifierStart || isIdStart;
+        var identifierContinue = definition.identifierContinue || isIdContinue;
+        var continues = function (ch, pos) {
+            return identifierContinue(ch, pos + 1);
+        };
+        var ignoreCase = definition.caseSensitive === false;
+        var reservedWords = {};
 
-        for (var iter = 0; iter < str.length; ++iter) {
-            numbers[iter] = str.charCodeAt(iter);
+        var words = definition.reservedWords || [];
+
+        for (var iter = 0; iter < words.length; ++iter) {
+            reservedWords[ignoreCase ? words[iter].toLowerCase() : words[iter]] = true;
         }
 
         return parser(function (ps) {
+            var start = ps.position;
+
             var ch = ps.currentCharCode();
 
-            if (ch === undefined) {
-                return ps.fail();
+            if (ch === undefined || !identifierStart(ch, 0)) {
+                return ps.fail(expected);
             }
 
-            var indexOf = numbers.indexOf(ch);
+            ps.position += charLength(ch);
+            ps.skipAdvance(continues);
 
-            if (indexOf < 0) {
-                return ps.fail();
-            }
+            var name = ps.text.substring(start, ps.position);
 
-            ++ps.position;
+            if (reservedWords.hasOwnProperty(ignoreCase ? name.toLowerCase() : name)) {
+                ps.position = start;
+                return ps.fail(expected);
+            }
 
-            return ps.succeed(indexOf);
-        });
+            return ps.succeedShared(name);
+        }, rename(describe(DescriptionKind.Sequence, null, [describeSatisfy("identifier start", identifierStart), describe(DescriptionKind.Many, null, [describeSatisfy("identifier character", continues)])]), "identifier"));
     }
-    mpc.anyCharOf = anyCharOf;
-    function anyCharOf2(str, mapTo) {
-        var numbers = [];
 
-        for (var iter = 0; iter < str.length; ++iter) {
-            numbers[iter] = str.charCodeAt(iter);
+    // Creates the parser of number literals, name is the expected item
+    //  Fractions and exponents are parsed if floats is set, they are required if onlyFloats is set
+    //  A hexadecimal float requires a binary exponent: 0x1.8p3 is 1.5 * 2^3
+    function numberParser(name, floats, onlyFloats) {
+        var expected = [name];
+        var expectedDigit = ["digit"];
+        var expectedHex = ["hexadecimal digit"];
+        var expectedBinary = [quote("p")];
+
+        var decimal = describeDigits("digit", isAsciiDigit);
+        var hex = describeDigits("hexadecimal digit", isHexDigit);
+        var exponent = describe(DescriptionKind.Sequence, null, [describeChars("eE"), describe(DescriptionKind.Optional, null, [describeChars("+-")]), decimal]);
+        var binary = describe(DescriptionKind.Sequence, null, [describeChars("pP"), describe(DescriptionKind.Optional, null, [describeChars("+-")]), decimal]);
+        var fraction = describe(DescriptionKind.Sequence, null, [describeChars("."), decimal]);
+        var hexFraction = describe(DescriptionKind.Sequence, null, [describeChars("."), hex]);
+        var hexPrefix = describe(DescriptionKind.Choice, null, [describe(DescriptionKind.Terminal, "0x", []), describe(DescriptionKind.Terminal, "0X", [])]);
+
+        var decimals = [];
+        var hexes = [];
+
+        if (!floats) {
+            decimals = [decimal];
+            hexes = [hexPrefix, hex];
+        } else if (onlyFloats) {
+            decimals = [decimal, describe(DescriptionKind.Choice, null, [describe(DescriptionKind.Sequence, null, [fraction, describe(DescriptionKind.Optional, null, [exponent])]), exponent])];
+            hexes = [hexPrefix, hex, describe(DescriptionKind.Optional, null, [hexFraction]), binary];
+        } else {
+            decimals = [decimal, describe(DescriptionKind.Optional, null, [fraction]), describe(DescriptionKind.Optional, null, [exponent])];
+            hexes = [hexPrefix, hex, describe(DescriptionKind.Optional, null, [describe(DescriptionKind.Sequence, null, [describe(DescriptionKind.Optional, null, [hexFraction]), binary])])];
         }
 
+        var description = describe(DescriptionKind.Choice, null, [describe(DescriptionKind.Sequence, null, hexes), describe(DescriptionKind.Sequence, null, decimals)]);
+
         return parser(function (ps) {
-            var ch = ps.currentCharCode();
+            var text = ps.text;
+            var begin = ps.position;
+            var pos = begin;
+            var marker = 0;
+            var isFloat = false;
+            var value = 0;
 
-            if (ch === undefined) {
-                return ps.fail();
+            if (ps.isEOS() || !isAsciiDigit(text.charCodeAt(pos), 0)) {
+                return ps.fail(expected);
             }
 
-            var indexOf = numbers.indexOf(ch);
+            if (text.charAt(pos) === "0" && (text.charAt(pos + 1) === "x" || text.charAt(pos + 1) === "X")) {
+                var integerEnd = pos = skipWhile(ps, pos + 2, isHexDigit);
 
-            if (indexOf < 0) {
-                return ps.fail();
+                if (pos === begin + 2) {
+                    return failAt(ps, pos, expectedHex);
+                }
+
+                var mantissa = text.substring(begin + 2, pos);
+                var scale = 0;
+
+                if (floats && text.charAt(pos) === ".") {
+                    pos = skipWhile(ps, pos + 1, isHexDigit);
+
+                    if (pos === integerEnd + 1) {
+                        return failAt(ps, pos, expectedHex);
+                    }
+
+                    mantissa += text.substring(integerEnd + 1, pos);
+                    scale = pos - integerEnd - 1;
+                }
+
+                value = parseInt(mantissa, 16);
+
+                if (floats && (text.charAt(pos) === "p" || text.charAt(pos) === "P")) {
+                    marker = pos;
+                    pos = skipExponent(ps, pos + 1);
+
+                    if (pos < 0) {
+                        return failAt(ps, -pos, expectedDigit);
+                    }
+
+                    // Each hexadecimal digit of the fraction scales the mantissa by 2^4
+                    value = value * Math.pow(2, parseInt(text.substring(marker + 1, pos), 10) - 4 * scale);
+                    isFloat = true;
+                } else if (scale > 0) {
+                    return failAt(ps, pos, expectedBinary);
+                }
+            } else {
+                pos = skipWhile(ps, pos, isAsciiDigit);
+
+                if (floats && text.charAt(pos) === ".") {
+                    marker = pos;
+                    pos = skipWhile(ps, pos + 1, isAsciiDigit);
+
+                    if (pos === marker + 1) {
+                        return failAt(ps, pos, expectedDigit);
+                    }
+
+                    isFloat = true;
+                }
+
+                if (floats && (text.charAt(pos) === "e" || text.charAt(pos) === "E")) {
+                    pos = skipExponent(ps, pos + 1);
+
+                    if (pos < 0) {
+                        return failAt(ps, -pos, expectedDigit);
+                    }
+
+                    isFloat = true;
+                }
+
+                value = parseFloat(text.substring(begin, pos));
             }
 
-            if (indexOf >= mapTo.length) {
-                return ps.fail();
+            if (onlyFloats && !isFloat) {
+                return ps.fail(expected);
             }
 
-            ++ps.position;
+            ps.position = pos;
 
-            return ps.succeed(mapTo[indexOf]);
-        });
+            return ps.succeedShared(value);
+        }, rename(description, name));
     }
-    mpc.anyCharOf2 = anyCharOf2;
 
-    // Parses a string whose characters are a member of str
-    function anyStringOf(str) {
-        var numbers = [];
+    // Skips the optional sign and the digits of an exponent at pos
+    //  Returns the end of the exponent or where a digit was expected as a negative number
+    function skipExponent(ps, pos) {
+        var sign = ps.text.charAt(pos);
+        var begin = sign === "+" || sign === "-" ? pos + 1 : pos;
 
-        for (var iter = 0; iter < str.length; ++iter) {
-            numbers[iter] = str.charCodeAt(iter);
+        var end = skipWhile(ps, begin, isAsciiDigit);
+
+        return end > begin ? end : -begin;
+    }
+
+    // The characters of the single character escape sequences and what they are replaced by
+    var simpleEscapes = "nrtbfv0\\\"'/";
+    var escaped = "\n\r\t\b\f\v\0\\\"'/";
+
+    // Creates the parser of string literals quoted by any of the characters in quotes
+    //  The escape sequences are \n \r \t \b \f \v \0 \\ \" \' \/, \xFF, \uFFFF and \u{10FFFF}
+    //  A string literal can't span lines
+    function stringParser(quotes) {
+        var expected = ["string"];
+        var expectedEscape = ["escape sequence"];
+
+        var choices = [];
+
+        for (var iter = 0; iter < quotes.length; ++iter) {
+            choices[iter] = describeString(quotes.charAt(iter));
         }
 
         return parser(function (ps) {
-            var ch = 0;
+            var text = ps.text;
+            var end = text.length;
+            var begin = ps.position;
+
+            if (ps.isEOS() || quotes.indexOf(text.charAt(begin)) < 0) {
+                return ps.fail(expected);
+            }
+
+            var q = text.charAt(begin);
+            var pos = begin + 1;
+            var run = pos;
             var data = [];
 
-            var result = ps.advance(function (ch, pos) {
-                return numbers.indexOf(ch) > -1;
-            });
+            for (; ;) {
+                if (pos >= end) {
+                    ps.hitEnd = true;
+                    return failAt(ps, pos, [quote(q)]);
+                }
+
+                var c = text.charAt(pos);
+
+                if (c === q) {
+                    break;
+                }
+
+                if (c === "\n" || c === "\r") {
+                    return failAt(ps, pos, [quote(q)]);
+                }
+
+                if (c !== "\\") {
+                    ++pos;
+                    continue;
+                }
+
+                data[data.length] = text.substring(run, pos);
+
+                var e = text.charAt(pos + 1);
+                var simple = e ? simpleEscapes.indexOf(e) : -1;
+                var ch = NaN;
+
+                if (simple > -1) {
+                    ch = escaped.charCodeAt(simple);
+                    run = pos + 2;
+                } else if (e === "x") {
+                    ch = hexDigitsAt(ps, pos + 2, 2);
+                    run = pos + 4;
+                } else if (e === "u" && text.charAt(pos + 2) === "{") {
+                    var close = text.indexOf("}", pos + 3);
+
+                    if (close < 0) {
+                        // More input could close the escape sequence
+                        ps.hitEnd = true;
+                    } else {
+                        ch = hexDigitsAt(ps, pos + 3, close - pos - 3);
+                        run = close + 1;
+                    }
+                } else if (e === "u") {
+                    ch = hexDigitsAt(ps, pos + 2, 4);
+                    run = pos + 6;
+                } else if (!e) {
+                    ps.hitEnd = true;
+                }
 
-            return ps.succeed(result);
+                if (isNaN(ch) || ch > 0x10FFFF) {
+                    return failAt(ps, pos + 1, expectedEscape);
+                }
+
+                data[data.length] = fromCodePoint(ch);
+
+                pos = run;
+            }
+
+            data[data.length] = text.substring(run, pos);
+
+            ps.position = pos + 1;
+
+            return ps.succeedShared(data.join(""));
+        }, rename(choices.length === 1 ? choices[0] : describe(DescriptionKind.Choice, null, choices), "string"));
+    }
+
+    // Describes a string literal quoted by q
+    function describeString(q) {
+        var quoteChar = q.charCodeAt(0);
+        var character = describeSatisfy("string character", function (ch, pos) {
+            return ch !== quoteChar && ch !== 0x5C && !isLineBreak(ch, pos);
         });
+        var escape = describe(DescriptionKind.Sequence, null, [describe(DescriptionKind.Terminal, "\\", []), describeSatisfy("escape character", function (ch, pos) {
+                return simpleEscapes.indexOf(String.fromCharCode(ch)) > -1;
+            })]);
+
+        return describe(DescriptionKind.Sequence, null, [describeChars(q), describe(DescriptionKind.Many, null, [describe(DescriptionKind.Choice, null, [character, escape])]), describeChars(q)]);
     }
-    mpc.anyStringOf = anyStringOf;
 
-    // Parses EOS (end of stream)
-    function EOS() {
-        return parser(function (ps) {
-            if (!ps.isEOS()) {
-                return ps.fail();
+    // Parses count hexadecimal digits at pos, NaN if there aren't count hexadecimal digits
+    //  hitEnd is set if the text ends before count digits
+    function hexDigitsAt(ps, pos, count) {
+        var digits = ps.text.substr(pos, count);
+
+        if (digits.length < count) {
+            ps.hitEnd = true;
+        }
+
+        return count > 0 && digits.length === count && /^[0-9A-Fa-f]+$/.test(digits) ? parseInt(digits, 16) : NaN;
+    }
+
+    // Produces the grammar of a parser as EBNF (ISO/IEC 14977)
+    //  Each named parser (see named, label and circular) becomes a rule, the first rule is the parser itself
+    //  Predicates and parsers without a literal are written as special sequences: ? any character ?
+    // Example: console.info(ebnf(p_expression))
+    function ebnf(p) {
+        var rules = new GrammarRules(p.description);
+
+        var sb = new StringBuilder();
+
+        for (var iter = 0; iter < rules.rules.length; ++iter) {
+            sb.append(rules.names[iter]).append(" = ").append(ebnfOf(rules, rules.rules[iter], true, EbnfPrecedence.Choice)).append(" ;").newLine();
+        }
+
+        return sb.toString();
+    }
+    mpc.ebnf = ebnf;
+
+    // Produces railroad diagrams of the grammar of a parser as a standalone SVG document
+    //  Each named parser (see named, label and circular) gets a diagram, the first diagram is the parser itself
+    //  Literals are drawn in rounded boxes, references to rules in boxes and special
+    //  sequences in dashed boxes
+    function railroad(p) {
+        var rules = new GrammarRules(p.description);
+
+        var rails = [];
+        var width = 0;
+        var height = 0;
+
+        for (var iter = 0; iter < rules.rules.length; ++iter) {
+            var rail = railOf(rules, rules.rules[iter], true);
+            rails[iter] = rail;
+            width = Math.max(width, rail.width + 60);
+            height += rail.up + rail.down + 50;
+        }
+
+        var sb = new StringBuilder();
+
+        sb.append("<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + width + "\" height=\"" + height + "\">").newLine().append("<style>").append("path{fill:none;stroke:#000;stroke-width:1.5}").append("rect{fill:#fff;stroke:#000;stroke-width:1.5}").append("rect.special{stroke-dasharray:4 2}").append("text{font:12px monospace;text-anchor:middle}").append("text.rule{font:bold 13px sans-serif;text-anchor:start}").append("</style>").newLine();
+
+        var top = 0;
+
+        for (var iter = 0; iter < rails.length; ++iter) {
+            var rail = rails[iter];
+            var y = top + 30 + rail.up;
+
+            sb.append("<text class=\"rule\" x=\"10\" y=\"" + (top + 20) + "\">" + escapeXml(rules.names[iter]) + "</text>").newLine().append(svgPath("M 20 " + (y - 5) + " v 10 M 20 " + y + " h 10")).newLine();
+
+            rail.render(sb, 30, y);
+
+            sb.append(svgPath("M " + (30 + rail.width) + " " + y + " h 10 m 0 -5 v 10")).newLine();
+
+            top += rail.up + rail.down + 50;
+        }
+
+        return sb.append("</svg>").newLine().toString();
+    }
+    mpc.railroad = railroad;
+
+    // A seedable pseudo random number generator (xorshift)
+    //  The same seed gives the same sequence of numbers
+    var Random = (function () {
+        function Random(seed) {
+            this.state = (seed === undefined ? new Date().getTime() : seed) | 0 || 1;
+        }
+        // Returns a number from 0 (inclusive) to 1 (exclusive)
+        Random.prototype.next = function () {
+            var x = this.state;
+            x ^= x << 13;
+            x ^= x >>> 17;
+            x ^= x << 5;
+            this.state = x;
+
+            return (x >>> 0) / 4294967296;
+        };
+
+        // Returns an integer from 0 (inclusive) to n (exclusive)
+        Random.prototype.int = function (n) {
+            return Math.floor(this.next() * n);
+        };
+        return Random;
+    })();
+    mpc.Random = Random;
+
+    // Generates random sentences from the description of a parser, used to test parsers and
+    //  the code that consumes their values
+    //  sentence produces input the parser accepts and nearMiss input that is almost valid but rejected
+    //  Literals are generated as is and characters are picked among candidates that satisfy the
+    //  predicate, input that can't be generated from the description (like regular expressions and
+    //  custom parsers) can be generated by a named generator (see named)
+    //  Repetitions are limited by maxRepeat, rules nested deeper than maxDepth and sentences longer
+    //  than maxLength picks the alternatives that ends the nesting soonest and the fewest repetitions
+    //  Each generated sentence is parsed, attempts limits how many sentences are tried
+    // Example:
+    //  var generator = new Generator(p_expression, 42)
+    //  generator.generators["identifier"] = (random : Random) => "x"
+    //  var input = generator.sentence()
+    var Generator = (function () {
+        function Generator(p, seed) {
+            this.p = p;
+            this.maxDepth = 8;
+            this.maxRepeat = 3;
+            this.maxLength = 80;
+            this.attempts = 100;
+            this.candidates = " \t\n!\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~åäöÅÄÖαβγλπΩ速度漢字";
+            this.generators = {};
+            this.depths = [];
+            this.terminals = [];
+            this.length = 0;
+            this.random = new Random(seed);
+            this.rules = new GrammarRules(p.description);
+
+            var visited = this.rules.visited;
+
+            for (var iter = 0; iter < visited.length; ++iter) {
+                this.depths[iter] = Infinity;
+
+                if (visited[iter].kind === DescriptionKind.Terminal) {
+                    this.terminals[this.terminals.length] = visited[iter].text;
+                }
+            }
+
+            for (var changed = true; changed;) {
+                changed = false;
+
+                for (var iter = 0; iter < visited.length; ++iter) {
+                    var depth = this.minimumDepth(visited[iter]);
+
+                    if (depth < this.depths[iter]) {
+                        this.depths[iter] = depth;
+                        changed = true;
+                    }
+                }
+            }
+        }
+        // Generates a sentence the parser accepts, null if none was found within the attempts
+        Generator.prototype.sentence = function () {
+            for (var iter = 0; iter < this.attempts; ++iter) {
+                this.length = 0;
+
+                var s = this.generate(this.p.description, 0, 0);
+
+                if (parse(this.p, s).success) {
+                    return s;
+                }
+            }
+
+            return null;
+        };
+
+        // Generates a sentence the parser rejects by mutating a sentence the parser accepts
+        //  The mutation deletes, inserts, replaces or swaps characters or inserts a literal of the grammar
+        //  Returns null if none was found within the attempts
+        Generator.prototype.nearMiss = function () {
+            for (var iter = 0; iter < this.attempts; ++iter) {
+                var s = this.sentence();
+
+                if (s === null) {
+                    return null;
+                }
+
+                var mutated = this.mutate(s);
+
+                if (!parse(this.p, mutated).success) {
+                    return mutated;
+                }
+            }
+
+            return null;
+        };
+
+        // Mutates a sentence at a random position
+        Generator.prototype.mutate = function (s) {
+            var pos = this.random.int(s.length + 1);
+
+            switch (this.random.int(5)) {
+                default:
+                    return s.substring(0, pos) + s.substring(pos + 1);
+                case 1:
+                    return s.substring(0, pos) + this.candidate() + s.substring(pos);
+                case 2:
+                    return s.substring(0, pos) + this.candidate() + s.substring(pos + 1);
+                case 3:
+                    return pos + 1 < s.length ? s.substring(0, pos) + s.charAt(pos + 1) + s.charAt(pos) + s.substring(pos + 2) : s.substring(0, pos);
+                case 4:
+                    var terminal = this.terminals.length > 0 ? this.terminals[this.random.int(this.terminals.length)] : this.candidate();
+                    return s.substring(0, pos) + terminal + s.substring(pos);
+            }
+        };
+
+        // Generates the input of a description
+        //  depth is the number of rules it is nested in and pos is the position in a repetition
+        Generator.prototype.generate = function (d, depth, pos) {
+            var name = this.rules.nameOf(d);
+
+            if (name !== null && this.generators.hasOwnProperty(name)) {
+                return this.generators[name](this.random);
+            }
+
+            var deep = depth >= this.maxDepth || this.length >= this.maxLength;
+            var sb = new StringBuilder();
+
+            switch (d.kind) {
+                default:
+                    return "";
+                case DescriptionKind.Terminal:
+                    this.length += d.text.length;
+                    return d.text;
+                case DescriptionKind.Special:
+                    var text = this.special(d, pos);
+                    this.length += text.length;
+                    return text;
+                case DescriptionKind.Sequence:
+                    for (var iter = 0; iter < d.children.length; ++iter) {
+                        sb.append(this.generate(d.children[iter], depth, 0));
+                    }
+                    return sb.toString();
+                case DescriptionKind.Choice:
+                    return this.generate(this.pick(d.children, deep), depth, pos);
+                case DescriptionKind.Optional:
+                    return deep || this.random.int(2) === 0 ? "" : this.generate(d.children[0], depth, 0);
+                case DescriptionKind.Many:
+                case DescriptionKind.Many1:
+                case DescriptionKind.Count:
+                    // Runs of characters are typically required to be non-empty (like identifiers)
+                    var min = d.kind === DescriptionKind.Many && d.children[0].satisfy === null ? 0 : 1;
+                    var n = d.kind === DescriptionKind.Count ? parseInt(d.text, 10) : deep ? min : min + this.random.int(this.maxRepeat + 1 - min);
+                    for (var iter = 0; iter < n; ++iter) {
+                        sb.append(this.generate(d.children[0], depth, iter));
+                    }
+                    return sb.toString();
+                case DescriptionKind.Except:
+                    return this.generate(d.children[0], depth, pos);
+                case DescriptionKind.Reference:
+                    return d.children.length > 0 ? this.generate(d.children[0], depth + 1, pos) : "";
+            }
+        };
+
+        // Generates the input of a Special description
+        Generator.prototype.special = function (d, pos) {
+            if (d.satisfy !== null) {
+                var matching = [];
+                var candidates = codePointsOf(this.candidates);
+
+                for (var iter = 0; iter < candidates.length; ++iter) {
+                    if (d.satisfy(candidates[iter], pos)) {
+                        matching[matching.length] = candidates[iter];
+                    }
+                }
+
+                return matching.length > 0 ? fromCodePoint(matching[this.random.int(matching.length)]) : "";
+            }
+
+            switch (d.text) {
+                case "any character":
+                    return this.candidate();
+                case "end of line":
+                    return "\n";
+                default:
+                    return "";
+            }
+        };
+
+        // Picks one of the descriptions, when deep the one that nests the fewest rules
+        Generator.prototype.pick = function (choices, deep) {
+            if (!deep) {
+                return choices[this.random.int(choices.length)];
             }
 
-            return ps.succeed(undefined);
-        });
-    }
-    mpc.EOS = EOS;
+            var best = choices[0];
 
-    // Parses EOL (end of line)
-    function EOL() {
-        return parser(function (ps) {
-            if (ps.isEOS()) {
-                return ps.succeed(undefined);
+            for (var iter = 1; iter < choices.length; ++iter) {
+                if (this.depthOf(choices[iter]) < this.depthOf(best)) {
+                    best = choices[iter];
+                }
             }
 
-            if (ps.text[ps.position] === "\n") {
-                ++ps.position;
+            return best;
+        };
 
-                return ps.succeed(undefined);
+        // Returns a random candidate character
+        Generator.prototype.candidate = function () {
+            var candidates = codePointsOf(this.candidates);
+            return fromCodePoint(candidates[this.random.int(candidates.length)]);
+        };
+
+        Generator.prototype.depthOf = function (d) {
+            return this.depths[this.rules.visited.indexOf(d)];
+        };
+
+        // Computes how deep a description at least nests rules from what is known about its children
+        Generator.prototype.minimumDepth = function (d) {
+            var depth = 0;
+
+            switch (d.kind) {
+                default:
+                    return 0;
+                case DescriptionKind.Choice:
+                    depth = Infinity;
+                    for (var iter = 0; iter < d.children.length; ++iter) {
+                        depth = Math.min(depth, this.depthOf(d.children[iter]));
+                    }
+                    return depth;
+                case DescriptionKind.Sequence:
+                case DescriptionKind.Many1:
+                case DescriptionKind.Count:
+                case DescriptionKind.Except:
+                    for (var iter = 0; iter < d.children.length; ++iter) {
+                        depth = Math.max(depth, this.depthOf(d.children[iter]));
+                    }
+                    return depth;
+                case DescriptionKind.Reference:
+                    return d.children.length > 0 ? 1 + this.depthOf(d.children[0]) : Infinity;
             }
+        };
+        return Generator;
+    })();
+    mpc.Generator = Generator;
 
-            if (ps.text[ps.position] === "\r") {
-                ++ps.position;
+    // The rules of a grammar: the root description and the named descriptions, references
+    //  and the descriptions used more than once it is made of (leaves like literals are repeated instead)
+    //  Unnamed rules are named rule1, rule2 and so on
+    var GrammarRules = (function () {
+        function GrammarRules(root) {
+            this.rules = [];
+            this.names = [];
+            this.visited = [];
+            this.uses = [];
+            this.visit(root);
 
-                if (!ps.isEOS() && ps.text[ps.position] === "\n") {
-                    ++ps.position;
+            var unnamed = 0;
+
+            for (var iter = 0; iter < this.visited.length; ++iter) {
+                var d = this.visited[iter];
+
+                var composite = d.children.length > 0 && d.kind !== DescriptionKind.FollowedBy && d.kind !== DescriptionKind.NotFollowedBy;
 
-                    return ps.succeed(undefined);
+                if (d === root || d.name || d.kind === DescriptionKind.Reference || (composite && this.uses[iter] > 1)) {
+                    this.names[this.rules.length] = d.name || (d === root ? "grammar" : "rule" + ++unnamed);
+                    this.rules[this.rules.length] = d;
                 }
+            }
+        }
+        GrammarRules.prototype.visit = function (d) {
+            var index = this.visited.indexOf(d);
 
-                return ps.succeed(undefined);
+            if (index > -1) {
+                ++this.uses[index];
+                return;
             }
 
-            return ps.fail();
-        });
-    }
-    mpc.EOL = EOL;
+            this.uses[this.visited.length] = 1;
+            this.visited[this.visited.length] = d;
 
-    // Parses a character that satisfy the predicate
-    function satisfy(satisfy) {
-        return parser(function (ps) {
-            if (ps.isEOS()) {
-                return ps.fail();
+            for (var iter = 0; iter < d.children.length; ++iter) {
+                this.visit(d.children[iter]);
             }
+        };
 
-            var ch = ps.text.charCodeAt(ps.position);
+        // Returns the name of the rule of a description, null if the description isn't a rule
+        GrammarRules.prototype.nameOf = function (d) {
+            var index = this.rules.indexOf(d);
+            return index < 0 ? null : this.names[index];
+        };
+        return GrammarRules;
+    })();
+    mpc.GrammarRules = GrammarRules;
+
+    // The precedence of EBNF expressions from the weakest binding to the strongest
+    var EbnfPrecedence;
+    (function (EbnfPrecedence) {
+        EbnfPrecedence[EbnfPrecedence["Choice"] = 0] = "Choice";
+        EbnfPrecedence[EbnfPrecedence["Sequence"] = 1] = "Sequence";
+        EbnfPrecedence[EbnfPrecedence["Except"] = 2] = "Except";
+        EbnfPrecedence[EbnfPrecedence["Factor"] = 3] = "Factor";
+        EbnfPrecedence[EbnfPrecedence["Primary"] = 4] = "Primary";
+    })(EbnfPrecedence || (EbnfPrecedence = {}));
+
+    // Produces the EBNF expression of a description
+    //  rule is true if the description is the rule being defined, otherwise rules are referred to by name
+    //  The expression is put in parantheses if it binds weaker than precedence
+    function ebnfOf(rules, d, rule, precedence) {
+        var name = rule ? null : rules.nameOf(d);
+
+        if (name !== null) {
+            return name;
+        }
 
-            if (!satisfy(ch, 0)) {
-                return ps.fail();
-            }
+        var children = [];
+        var own = EbnfPrecedence.Primary;
+        var text;
 
-            ++ps.position;
+        switch (d.kind) {
+            default:
+                text = "? " + d.text + " ?";
+                break;
+            case DescriptionKind.Empty:
+                text = "? empty ?";
+                break;
+            case DescriptionKind.Terminal:
+                text = d.text.indexOf("\"") < 0 ? "\"" + d.text + "\"" : "'" + d.text + "'";
+                break;
+            case DescriptionKind.Sequence:
+            case DescriptionKind.Choice:
+                own = d.kind === DescriptionKind.Sequence ? EbnfPrecedence.Sequence : EbnfPrecedence.Choice;
+                for (var iter = 0; iter < d.children.length; ++iter) {
+                    children[iter] = ebnfOf(rules, d.children[iter], false, own + 1);
+                }
+                text = children.length === 0 ? "? empty ?" : children.join(own === EbnfPrecedence.Sequence ? " , " : " | ");
+                break;
+            case DescriptionKind.Optional:
+                text = "[ " + ebnfOf(rules, d.children[0], false, EbnfPrecedence.Choice) + " ]";
+                break;
+            case DescriptionKind.Many:
+                text = "{ " + ebnfOf(rules, d.children[0], false, EbnfPrecedence.Choice) + " }";
+                break;
+            case DescriptionKind.Many1:
+                text = "{ " + ebnfOf(rules, d.children[0], false, EbnfPrecedence.Choice) + " }-";
+                break;
+            case DescriptionKind.Count:
+                own = EbnfPrecedence.Factor;
+                text = d.text + " * " + ebnfOf(rules, d.children[0], false, EbnfPrecedence.Primary);
+                break;
+            case DescriptionKind.Except:
+                own = EbnfPrecedence.Except;
+                text = ebnfOf(rules, d.children[0], false, EbnfPrecedence.Factor) + " - " + ebnfOf(rules, d.children[1], false, EbnfPrecedence.Factor);
+                break;
+            case DescriptionKind.FollowedBy:
+            case DescriptionKind.NotFollowedBy:
+                text = "? " + predicateText(rules, d) + " ?";
+                break;
+            case DescriptionKind.Reference:
+                text = d.children.length > 0 ? ebnfOf(rules, d.children[0], false, precedence) : "? undefined ?";
+                break;
+        }
 
-            return ps.succeed(ch);
-        });
+        return own < precedence ? "( " + text + " )" : text;
     }
-    mpc.satisfy = satisfy;
 
-    // Parses a string that satisfy the predicate
-    function satisfyMany(satisfy) {
-        return parser(function (ps) {
-            return ps.succeed(ps.advance(satisfy));
-        });
+    // Describes a FollowedBy or NotFollowedBy description
+    function predicateText(rules, d) {
+        return (d.kind === DescriptionKind.FollowedBy ? "followed by " : "not followed by ") + ebnfOf(rules, d.children[0], false, EbnfPrecedence.Primary);
     }
-    mpc.satisfyMany = satisfyMany;
 
-    // Skips characters that match the predicate
-    function skipSatisfyMany(satisfy) {
-        return parser(function (ps) {
-            return ps.succeed(ps.skipAdvance(satisfy));
-        });
-    }
-    mpc.skipSatisfyMany = skipSatisfyMany;
+    // A railroad diagram element
+    //  The width and the height above and below the line the element is entered and exited on
+    //  render draws the element entered at x, y
+    var Rail = (function () {
+        function Rail(width, up, down, render) {
+            this.width = width;
+            this.up = up;
+            this.down = down;
+            this.render = render;
+        }
+        return Rail;
+    })();
 
-    // Satisfy function for whitespace
-    function satisyWhitespace(ch, pos) {
-        switch (ch) {
-            case 0x09:
-            case 0x0A:
-            case 0x0D:
-            case 0x20:
-                return true;
+    // The radius of the arcs of railroad diagrams
+    var railRadius = 10;
+
+    // Produces the railroad diagram element of a description
+    //  rule is true if the description is the rule being drawn, otherwise rules are referred to by name
+    function railOf(rules, d, rule) {
+        var name = rule ? null : rules.nameOf(d);
+
+        if (name !== null) {
+            return railBox(name, "nonterminal", 0);
+        }
+
+        var rails = [];
+
+        switch (d.kind) {
             default:
-                return false;
+                return railBox(d.text, "special", 0);
+            case DescriptionKind.Empty:
+                return railSkip();
+            case DescriptionKind.Terminal:
+                return railBox(d.text, "terminal", 11);
+            case DescriptionKind.Sequence:
+            case DescriptionKind.Choice:
+                for (var iter = 0; iter < d.children.length; ++iter) {
+                    rails[iter] = railOf(rules, d.children[iter], false);
+                }
+                return d.kind === DescriptionKind.Sequence ? railSequence(rails) : railChoice(rails);
+            case DescriptionKind.Optional:
+                return railChoice([railSkip(), railOf(rules, d.children[0], false)]);
+            case DescriptionKind.Many:
+                return railChoice([railSkip(), railLoop(railOf(rules, d.children[0], false))]);
+            case DescriptionKind.Many1:
+                return railLoop(railOf(rules, d.children[0], false));
+            case DescriptionKind.Count:
+                return railSequence([railBox(d.text + " times", "special", 0), railOf(rules, d.children[0], false)]);
+            case DescriptionKind.Except:
+                return railSequence([railOf(rules, d.children[0], false), railBox("except " + ebnfOf(rules, d.children[1], false, EbnfPrecedence.Primary), "special", 0)]);
+            case DescriptionKind.FollowedBy:
+            case DescriptionKind.NotFollowedBy:
+                return railBox(predicateText(rules, d), "special", 0);
+            case DescriptionKind.Reference:
+                return d.children.length > 0 ? railOf(rules, d.children[0], false) : railBox("undefined", "special", 0);
         }
     }
-    mpc.satisyWhitespace = satisyWhitespace;
 
-    // Satisfy function for tab
-    function satisyTab(ch, pos) {
-        return ch === 0x09;
+    // A box with text, type is the CSS class
+    function railBox(text, type, radius) {
+        var width = text.length * 8 + 20;
+
+        return new Rail(width, 11, 11, function (sb, x, y) {
+            sb.append("<rect class=\"" + type + "\" x=\"" + x + "\" y=\"" + (y - 11) + "\" width=\"" + width + "\" height=\"22\" rx=\"" + radius + "\"/>").append("<text x=\"" + (x + width / 2) + "\" y=\"" + (y + 4) + "\">" + escapeXml(text) + "</text>").newLine();
+        });
     }
-    mpc.satisyTab = satisyTab;
 
-    // Skips a string that matches str
-    //  Typically used to parse tokens in file
-    function skipString(str) {
-        return parser(function (ps) {
-            var snapshot = ps.snapshot();
+    // A line without width, used for the path that skips an optional element
+    function railSkip() {
+        return new Rail(0, 0, 0, function (sb, x, y) {
+        });
+    }
 
-            var ss = str;
+    // Elements after each other
+    function railSequence(rails) {
+        var width = 0;
+        var up = 0;
+        var down = 0;
 
-            var result = ps.skipAdvance(function (s, pos) {
-                return pos < ss.length && ss.charCodeAt(pos) === s;
-            });
+        for (var iter = 0; iter < rails.length; ++iter) {
+            width += rails[iter].width + (iter > 0 ? railRadius : 0);
+            up = Math.max(up, rails[iter].up);
+            down = Math.max(down, rails[iter].down);
+        }
 
-            if (result === ss.length) {
-                return ps.succeed(undefined);
-            } else {
-                ps.restore(snapshot);
-                return ps.fail();
+        return new Rail(width, up, down, function (sb, x, y) {
+            for (var iter = 0; iter < rails.length; ++iter) {
+                if (iter > 0) {
+                    sb.append(svgPath("M " + x + " " + y + " h " + railRadius)).newLine();
+                    x += railRadius;
+                }
+                rails[iter].render(sb, x, y);
+                x += rails[iter].width;
             }
         });
     }
-    mpc.skipString = skipString;
 
-    // Applies the parser until it fails and the value is an array of all successfully parsed values
-    function many(p) {
-        return parser(function (ps) {
-            var result = [];
+    // Alternative elements, the first on the line and the others below it
+    function railChoice(rails) {
+        var r = railRadius;
+        var inner = 0;
+        var offsets = [];
 
-            var pResult;
+        for (var iter = 0; iter < rails.length; ++iter) {
+            inner = Math.max(inner, rails[iter].width);
+            offsets[iter] = iter === 0 ? 0 : Math.max(offsets[iter - 1] + rails[iter - 1].down + r + rails[iter].up, offsets[iter - 1] + 2 * r);
+        }
 
-            while ((pResult = p.parse(ps)).success) {
-                result[result.length] = pResult.value;
-            }
+        var width = inner + 4 * r;
+        var last = rails.length - 1;
+
+        return new Rail(width, rails[0].up, offsets[last] + rails[last].down, function (sb, x, y) {
+            for (var iter = 0; iter < rails.length; ++iter) {
+                var rail = rails[iter];
+                var ry = y + offsets[iter];
+                var end = x + 2 * r + rail.width;
+
+                if (iter === 0) {
+                    sb.append(svgPath("M " + x + " " + y + " h " + 2 * r));
+                } else {
+                    sb.append(svgPath("M " + x + " " + y + " a " + r + " " + r + " 0 0 1 " + r + " " + r + " V " + (ry - r) + " a " + r + " " + r + " 0 0 0 " + r + " " + r));
+                }
+                sb.newLine();
+
+                rail.render(sb, x + 2 * r, ry);
 
-            return ps.succeed(result);
+                if (iter === 0) {
+                    sb.append(svgPath("M " + end + " " + y + " H " + (x + width)));
+                } else {
+                    sb.append(svgPath("M " + end + " " + ry + " H " + (x + width - 2 * r) + " a " + r + " " + r + " 0 0 0 " + r + " " + -r + " V " + (y + r) + " a " + r + " " + r + " 0 0 1 " + r + " " + -r));
+                }
+                sb.newLine();
+            }
         });
     }
-    mpc.many = many;
 
-    // Applies the character number parser and combines the characters into a string
-    function manyString(p) {
-        return parser(function (ps) {
-            var result = "";
+    // An element that is repeated, the loop back is drawn below it
+    function railLoop(rail) {
+        var r = railRadius;
+        var down = Math.max(rail.down + r, 2 * r);
+        var width = rail.width + 4 * r;
 
-            var pResult;
+        return new Rail(width, rail.up, down, function (sb, x, y) {
+            var left = x + 2 * r;
+            var right = left + rail.width;
 
-            var data = [];
+            sb.append(svgPath("M " + x + " " + y + " h " + 2 * r)).newLine();
 
-            while ((pResult = p.parse(ps)).success) {
-                data[data.length] = String.fromCharCode(pResult.value);
-            }
+            rail.render(sb, left, y);
 
-            return ps.succeed(data.join(""));
+            sb.append(svgPath("M " + right + " " + y + " h " + 2 * r)).newLine().append(svgPath("M " + right + " " + y + " a " + r + " " + r + " 0 0 1 " + r + " " + r + " V " + (y + down - r) + " a " + r + " " + r + " 0 0 1 " + -r + " " + r + " H " + left + " a " + r + " " + r + " 0 0 1 " + -r + " " + -r + " V " + (y + r) + " a " + r + " " + r + " 0 0 1 " + r + " " + -r)).newLine();
         });
     }
-    mpc.manyString = manyString;
 
-    // Combines two parser results into a tuple value of both results
-    function combine2(p0, p1) {
-        return parser(function (ps) {
-            var snapshot = ps.snapshot();
+    // Creates an SVG path element
+    function svgPath(d) {
+        return "<path d=\"" + d + "\"/>";
+    }
 
-            var p0Result = p0.parse(ps);
+    // Escapes text so it can be used in XML
+    function escapeXml(text) {
+        return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
 
-            if (!p0Result.success) {
-                return ps.fail();
-            }
+    // Syntax describes both how to parse and how to print a value, one definition gives
+    //  parse and print that agree with each other: parse(print(x)) produces x
+    //  The printer produces null if the value can't be printed
+    //  Syntaxes are built from literals, verbatim strings and invertible combinators, the combinators
+    //  that transform values takes the inverse transform as well
+    // Note: Layout is up to the printer, like spaces around operators, it has to be accepted
+    //  by the parser (typically whitespace skipped after each token)
+    // Example:
+    //  var s_number = verbatim(anyStringOf("0123456789").consumedAtLeast(1)).transform(
+    //      (c : string) => parseFloat(c),
+    //      (v : number) => v.toString())
+    //  s_number.print(s_number.parse("123").value)
+    var Syntax = (function () {
+        function Syntax(parser, printer) {
+            this.parser = parser;
+            this.printer = printer;
+        }
+        // Parses a string (see parse)
+        Syntax.prototype.parse = function (s) {
+            return parse(this.parser, s);
+        };
 
-            var p1Result = p1.parse(ps);
+        // Prints a value, produces null if the value can't be printed
+        Syntax.prototype.print = function (value) {
+            return this.printer(value);
+        };
 
-            if (!p1Result.success) {
-                ps.restore(snapshot);
-                return ps.fail();
-            }
+        // Parses this followed by other and keeps the value of this
+        //  Prints this followed by other, other doesn't get a value so it's typically a literal
+        Syntax.prototype.keepLeft = function (sOther) {
+            var _this = this;
+            return syntax(this.parser.keepLeft(sOther.parser), function (value) {
+                return printed(_this.printer(value), sOther.printer(undefined));
+            });
+        };
 
-            var result = { v0: p0Result.value, v1: p1Result.value };
+        // Parses this followed by other and keeps the value of other
+        //  Prints this followed by other, this doesn't get a value so it's typically a literal
+        Syntax.prototype.keepRight = function (sOther) {
+            var _this = this;
+            return syntax(this.parser.keepRight(sOther.parser), function (value) {
+                return printed(_this.printer(undefined), sOther.printer(value));
+            });
+        };
 
-            return ps.succeed(result);
-        });
-    }
-    mpc.combine2 = combine2;
+        // Parses and prints this in between begin and end
+        // Example: s_expression.inBetween(literal("("), literal(")"))
+        Syntax.prototype.inBetween = function (sBegin, sEnd) {
+            var _this = this;
+            return syntax(this.parser.inBetween(sBegin.parser, sEnd.parser), function (value) {
+                return printed(sBegin.printer(undefined), _this.printer(value), sEnd.printer(undefined));
+            });
+        };
 
-    // Combines three parser results into a tuple value of all results
-    function combine3(p0, p1, p2) {
-        return parser(function (ps) {
-            var snapshot = ps.snapshot();
+        // Transforms the parsed value using transform, untransform is the inverse used when printing
+        //  untransform produces null if the value can't be printed
+        // Example: verbatim(p_digits).transform((c : string) => parseFloat(c), (v : number) => v.toString())
+        Syntax.prototype.transform = function (transform, untransform) {
+            return this.located(function (value, span) {
+                return transform(value);
+            }, untransform);
+        };
 
-            var p0Result = p0.parse(ps);
+        // Transforms the parsed value and the span of the consumed input (see Parser.located)
+        //  untransform is the inverse used when printing, it produces null if the value can't be printed
+        // Example: s_identifier.located(
+        //      (name : string, span : Span) => new IdentifierExpression(name, span),
+        //      (e : Expression) => e instanceof IdentifierExpression ? e.name : null)
+        Syntax.prototype.located = function (transform, untransform) {
+            var _this = this;
+            return syntax(this.parser.located(transform), function (value) {
+                var v = untransform(value);
+                return v === null ? null : _this.printer(v);
+            });
+        };
 
-            if (!p0Result.success) {
-                return ps.fail();
-            }
+        // Names the syntax in failure messages (see Parser.label)
+        Syntax.prototype.label = function (name) {
+            return syntax(this.parser.label(name), this.printer);
+        };
 
-            var p1Result = p1.parse(ps);
+        // Names the syntax in the grammar documentation (see Parser.named)
+        Syntax.prototype.named = function (name) {
+            return syntax(this.parser.named(name), this.printer);
+        };
 
-            if (!p1Result.success) {
-                ps.restore(snapshot);
-                return ps.fail();
-            }
+        // Memoizes the parse results by position (see Parser.memo)
+        Syntax.prototype.memo = function () {
+            return syntax(this.parser.memo(), this.printer);
+        };
 
-            var p2Result = p2.parse(ps);
+        // Recovers from failures when parsing with parseWithRecovery (see recover)
+        //  The fallback stands in for the invalid input so it's never printed
+        Syntax.prototype.recover = function (pSync, fallback, missing) {
+            var _this = this;
+            return syntax(recover(this.parser, pSync, fallback, missing), function (value) {
+                return value === fallback ? null : _this.printer(value);
+            });
+        };
+        return Syntax;
+    })();
+    mpc.Syntax = Syntax;
+
+    // Special syntax used to break circular syntaxes (see circular)
+    var CircularSyntax = (function (_super) {
+        __extends(CircularSyntax, _super);
+        function CircularSyntax(name) {
+            _super.call(this, circular(name), function (value) {
+                return null;
+            });
+        }
+        // Defines the circular syntax as s
+        CircularSyntax.prototype.assign = function (s) {
+            (this.parser).assign(s.parser);
+            this.printer = s.printer;
+        };
+        return CircularSyntax;
+    })(Syntax);
+    mpc.CircularSyntax = CircularSyntax;
 
-            if (!p2Result.success) {
-                ps.restore(snapshot);
-                return ps.fail();
+    // Concatenates printed parts, produces null if a part couldn't be printed
+    function printed() {
+        var parts = [];
+        for (var _i = 0; _i < (arguments.length - 0); _i++) {
+            parts[_i] = arguments[_i + 0];
+        }
+        for (var iter = 0; iter < parts.length; ++iter) {
+            var part = parts[iter];
+            if (part === null || part === undefined) {
+                return null;
             }
+        }
 
-            var result = { v0: p0Result.value, v1: p1Result.value, v2: p2Result.value };
+        return parts.join("");
+    }
 
-            return ps.succeed(result);
-        });
+    // Creates a syntax from a parser and a printer
+    //  The printer has to print values the parser parses into the same value
+    // Example: syntax(skipSatisfyMany(satisyWhitespace), () => "")
+    function syntax(p, printer) {
+        return new Syntax(p, printer);
     }
-    mpc.combine3 = combine3;
+    mpc.syntax = syntax;
+
+    // Creates a circular syntax, define it with assign
+    // Example:
+    //  var s_expression = circularSyntax<Expression>("expression")
+    //  s_expression.assign(expressionSyntax(s_term, s_expression.inBetween(literal("("), literal(")")), table))
+    function circularSyntax(name) {
+        return new CircularSyntax(name);
+    }
+    mpc.circularSyntax = circularSyntax;
 
-    // chainLeft is typically used to implement left associative operators
-    //  The p parser parser an expression
-    //  The pSeparator parser parses the operator
-    //  The combiner combines the result expressions into a new expression
-    function chainLeft(p, pSeparator, combiner) {
-        return parser(function (ps) {
-            var pResult = p.parse(ps);
-            if (!pResult.success) {
-                return ps.fail();
-            }
+    // Pairs the parsed value with the span of the consumed input, the span isn't printed
+    // Note: Like withSpan this struggles as a member function
+    function syntaxWithSpan(s) {
+        return syntax(withSpan(s.parser), function (value) {
+            return s.printer(value.value);
+        });
+    }
+    mpc.syntaxWithSpan = syntaxWithSpan;
 
-            var snapshot = ps.snapshot();
+    // Parses str, prints str or printed if given
+    //  printed is str with layout, like spaces around an operator
+    // Example: literal("+", " + ")
+    function literal(str, printed) {
+        var text = printed === undefined ? str : printed;
 
-            var value = pResult.value;
+        return syntax(skipString(str), function () {
+            return text;
+        });
+    }
+    mpc.literal = literal;
+
+    // Parses any of the strings and maps it to a value, prints the string of the value
+    //  printed are the strings with layout, like spaces around an operator
+    //  The strings are tried in order so a string should be listed before its prefixes
+    // Example: literals(["+", "-"], [Add, Subtract], [" + ", " - "])
+    function literals(strs, mapTo, printed) {
+        var texts = printed || strs;
+        var choices = [];
 
-            var pSeparatorResult;
-            var pOtherResult;
+        for (var iter = 0; iter < strs.length; ++iter) {
+            choices[iter] = skipString(strs[iter]).result(mapTo[iter]);
+        }
 
-            while ((pSeparatorResult = pSeparator.parse(ps)).success && (pOtherResult = p.parse(ps)).success) {
-                snapshot = ps.snapshot();
-                value = combiner(value, pSeparatorResult.value, pOtherResult.value);
+        return syntax(choice.apply(null, choices), function (value) {
+            var index = mapTo.indexOf(value);
+            return index < 0 ? null : texts[index];
+        });
+    }
+    mpc.literals = literals;
+
+    // Parses a string with p, prints the string if p parses all of it into the same string
+    //  As the printed string is checked by the parser the printer can't produce invalid input
+    // Example: verbatim(anyStringOf("0123456789").consumedAtLeast(1))
+    function verbatim(p) {
+        return syntax(p, function (value) {
+            if (typeof value !== "string") {
+                return null;
             }
 
-            ps.restore(snapshot);
+            var ps = new ParserState(value);
+            var pResult = p.parseShared(ps);
 
-            return ps.succeed(value);
+            return pResult.success && ps.position === value.length && pResult.value === value ? value : null;
         });
     }
-    mpc.chainLeft = chainLeft;
+    mpc.verbatim = verbatim;
 
-    // choice applies each input parser in order and picks the first that matches
-    function choice() {
+    // Parses the first syntax that matches, prints with the first syntax that can print the value
+    function syntaxChoice() {
         var choices = [];
         for (var _i = 0; _i < (arguments.length - 0); _i++) {
             choices[_i] = arguments[_i + 0];
         }
-        return parser(function (ps) {
-            for (var iter = 0; iter < choices.length; ++iter) {
-                var p = choices[iter];
+        var parsers = [];
 
-                var pResult = p.parse(ps);
+        for (var iter = 0; iter < choices.length; ++iter) {
+            parsers[iter] = choices[iter].parser;
+        }
 
-                if (pResult.success) {
-                    return ps.succeed(pResult.value);
+        return syntax(choice.apply(null, parsers), function (value) {
+            for (var iter = 0; iter < choices.length; ++iter) {
+                var text = choices[iter].printer(value);
+                if (text !== null && text !== undefined) {
+                    return text;
                 }
             }
 
-            return ps.fail();
+            return null;
         });
     }
-    mpc.choice = choice;
+    mpc.syntaxChoice = syntaxChoice;
 
-    // switch peeks on the first character and uses the associated parser
-    // Note: Useful if the first character can be used as a differentiator
-    function switchOver(defaultTo) {
-        var choices = [];
-        for (var _i = 0; _i < (arguments.length - 1); _i++) {
-            choices[_i] = arguments[_i + 1];
+    // Creates an infix operator level for expressionSyntax
+    //  The splitter is the inverse of the combiner
+    // Example: infixSyntax(literals(["+", "-"], [Add, Subtract], [" + ", " - "]), Associativity.Left, combiner, splitter)
+    function infixSyntax(sOperator, associativity, combiner, splitter) {
+        return { level: infixOperators(sOperator.parser, associativity, combiner), operator: sOperator, splitter: splitter, unapplier: null };
+    }
+    mpc.infixSyntax = infixSyntax;
+
+    // Creates a prefix operator level for expressionSyntax
+    //  The unapplier is the inverse of the applier
+    function prefixSyntax(sOperator, applier, unapplier, associativity) {
+        if (typeof associativity === "undefined") { associativity = Associativity.Right; }
+        return { level: prefixOperators(sOperator.parser, applier, associativity), operator: sOperator, splitter: null, unapplier: unapplier };
+    }
+    mpc.prefixSyntax = prefixSyntax;
+
+    // Creates a postfix operator level for expressionSyntax
+    //  The unapplier is the inverse of the applier
+    function postfixSyntax(sOperator, applier, unapplier, associativity) {
+        if (typeof associativity === "undefined") { associativity = Associativity.Left; }
+        return { level: postfixOperators(sOperator.parser, applier, associativity), operator: sOperator, splitter: null, unapplier: unapplier };
+    }
+    mpc.postfixSyntax = postfixSyntax;
+
+    // expressionSyntax builds an expression syntax from a term syntax and an operator table
+    //  Parses like expressionParser, the operator levels are ordered by precedence, the first level binds the strongest
+    //  Prints parentheses only where precedence and associativity requires them, the operands of
+    //  an operator are printed with parenthesized if they bind weaker than the operator
+    //  A value belongs to the first level that can split it and print its operator, values no level
+    //  can split are printed with term
+    // Example:
+    //  var s_expression = circularSyntax<Expression>("expression")
+    //  s_expression.assign(expressionSyntax(s_term, s_expression.inBetween(literal("("), literal(")")), [
+    //      prefixSyntax(literal("-"), applier, unapplier),
+    //      infixSyntax(literals(["*", "/"], [Multiply, Divide]), Associativity.Left, combiner, splitter),
+    //      infixSyntax(literals(["+", "-"], [Add, Subtract]), Associativity.Left, combiner, splitter),
+    //      ]))
+    function expressionSyntax(term, parenthesized, table) {
+        var levels = [];
+
+        for (var iter = 0; iter < table.length; ++iter) {
+            levels[iter] = table[iter].level;
         }
-        var map = [];
 
-        for (var iter = 0; iter < choices.length; ++iter) {
-            var choice = choices[iter];
+        // The terms being printed, a term that comes back through parenthesized can't be printed
+        var terms = [];
 
-            var d = choice.differentiator || "";
+        // Prints value, parenthesized if it belongs to a level above max
+        var printAt = function (value, max) {
+            for (var iter = 0; iter < table.length; ++iter) {
+                var syntaxLevel = table[iter];
+                var level = syntaxLevel.level;
+                var repeat = level.associativity !== Associativity.None;
 
-            for (var ita = 0; ita < d.length; ++ita) {
-                map[d.charCodeAt(ita)] = choices[iter].parser;
-            }
-        }
+                if (syntaxLevel.splitter) {
+                    var infix = syntaxLevel.splitter(value);
+                    var op = infix ? syntaxLevel.operator.printer(infix.op) : null;
 
-        return parser(function (ps) {
-            var ch = ps.currentCharCode();
+                    if (op === null || op === undefined) {
+                        continue;
+                    }
 
-            if (ch === undefined) {
-                return ps.fail();
-            }
+                    if (iter > max) {
+                        return parenthesized.printer(value);
+                    }
 
-            var p = map[ch];
+                    return printed(printAt(infix.left, level.associativity === Associativity.Left ? iter : iter - 1), op, printAt(infix.right, level.associativity === Associativity.Right ? iter : iter - 1));
+                } else {
+                    var unary = syntaxLevel.unapplier(value);
+                    var op = unary ? syntaxLevel.operator.printer(unary.op) : null;
 
-            if (p === undefined) {
-                return ps.fail();
+                    if (op === null || op === undefined) {
+                        continue;
+                    }
+
+                    if (iter > max) {
+                        return parenthesized.printer(value);
+                    }
+
+                    var operand = printAt(unary.operand, repeat ? iter : iter - 1);
+
+                    return level.kind === OperatorKind.Prefix ? printed(op, operand) : printed(operand, op);
+                }
             }
 
-            return p.parse(ps);
-        });
-    }
-    mpc.switchOver = switchOver;
+            if (terms.indexOf(value) > -1) {
+                return null;
+            }
 
-    // Special parser used to be break circular parsers (very common)
-    function circular() {
-        return parser(null);
+            terms[terms.length] = value;
+            var text = term.printer(value);
+            terms.length--;
+
+            return text;
+        };
+
+        return syntax(expressionParser(term.parser, levels), function (value) {
+            return printAt(value, table.length - 1);
+        });
     }
-    mpc.circular = circular;
+    mpc.expressionSyntax = expressionSyntax;
 })(mpc || (mpc = {}));
 //# sourceMappingURL=mpc.js.map
@@ -43,9 +43,12 @@ module mpc {
     }
 
     // Holds a parser snapshot
+    //  The user state is included so backtracking rolls back state changes (see setState)
     export class Snapshot {
         position    : number
         indent      : number
+        diagnostics : number
+        state       : any
     }
 
     // Tests a character and position
@@ -58,37 +61,439 @@ module mpc {
         (left : T, op : S, right : T) : T
     }
 
+    // Applies an unary op to a tree
+    export interface Applier<T,S> {
+        (op : S, operand : T) : T
+    }
+
+    // Prints a value, produces null if the value can't be printed (see Syntax)
+    export interface Printer<T> {
+        (value : T) : string
+    }
+
+    // The parts of a value built by an infix operator (see Splitter)
+    export class InfixOperation<T,S> {
+        left    : T
+        op      : S
+        right   : T
+    }
+
+    // The parts of a value built by a prefix or postfix operator (see Unapplier)
+    export class UnaryOperation<T,S> {
+        op      : S
+        operand : T
+    }
+
+    // Splits a tree into left tree, op and right tree, the inverse of Combiner
+    //  Produces null if the tree isn't built by an infix operator
+    export interface Splitter<T,S> {
+        (value : T) : InfixOperation<T,S>
+    }
+
+    // Splits a tree into an unary op and operand, the inverse of Applier
+    //  Produces null if the tree isn't built by an unary operator
+    export interface Unapplier<T,S> {
+        (value : T) : UnaryOperation<T,S>
+    }
+
+    // The associativity of the operators in an operator level
+    //  Non associative operators can't be chained (a = b = c is rejected)
+    //  Non associative prefix and postfix operators can't be repeated (- - a is rejected)
+    export enum Associativity {
+        Left    ,
+        Right   ,
+        None    ,
+    }
+
+    // The kind of the operators in an operator level
+    export enum OperatorKind {
+        Infix   ,
+        Prefix  ,
+        Postfix ,
+    }
+
+    // An operator level in an operator table (see expressionParser)
+    //  The kind of operators
+    //  The associativity of the operators
+    //  The operator parser, the parsed value is passed to combiner or applier
+    //  The combiner used by infix operators
+    //  The applier used by prefix and postfix operators
+    export class OperatorLevel<T> {
+        kind            : OperatorKind
+        associativity   : Associativity
+        operator        : Parser<any>
+        combiner        : Combiner<T, any>
+        applier         : Applier<T, any>
+    }
+
+    // An operator level in an operator table of an expression syntax (see expressionSyntax)
+    //  The operator level used to parse
+    //  The operator syntax, prints the operators of the level
+    //  The splitter used by infix operators
+    //  The unapplier used by prefix and postfix operators
+    export class SyntaxLevel<T> {
+        level           : OperatorLevel<T>
+        operator        : Syntax<any>
+        splitter        : Splitter<T, any>
+        unapplier       : Unapplier<T, any>
+    }
+
+    // Represents a token produced by a lexer
+    //  The token type (typically used to match tokens, see token)
+    //  The token text
+    //  The span of the token in the source text (end is exclusive)
+    export class Token {
+        type    : string
+        text    : string
+        start   : number
+        end     : number
+    }
+
+    // Limits how long a parse may run (see parse)
+    //  The maximum number of parser steps, a step is a parser succeeding or failing
+    //  The maximum number of milliseconds
+    export interface Budget {
+        steps?          : number;
+        milliseconds?   : number;
+    }
+
+    // The byte order of binary numbers (see parseBytes)
+    export enum Endian {
+        Big     ,   // The most significant byte first, also known as network byte order
+        Little  ,   // The least significant byte first
+    }
+
+    // Tests a token
+    export interface SatisfyToken {
+        (token : Token) : boolean
+    }
+
+    // Represents a location in the text
+    //  The position (offset) in the text
+    //  The line (starts at 1)
+    //  The column (starts at 1)
+    export class Location {
+        position: number
+        line    : number
+        column  : number
+    }
+
+    // Represents a span in the source text
+    //  The start and end offsets (end is exclusive)
+    //  The line and column of the start and end (starts at 1)
+    export class Span {
+        start       : number
+        end         : number
+        startLine   : number
+        startColumn : number
+        endLine     : number
+        endColumn   : number
+    }
+
+    // Pairs a value with its span in the source text (see withSpan)
+    export class Spanned<T> {
+        value   : T
+        span    : Span
+    }
+
+    // The kind of a completion item
+    export enum CompletionKind {
+        Literal     ,   // A literal of the grammar, like ) or if
+        Rule        ,   // An expected rule (see label), like identifier
+        Candidate   ,   // A candidate of a rule, like a known variable of identifier
+    }
+
+    // Represents something that can come next at the cursor (see complete)
+    //  The kind of the item
+    //  The text to insert, the name of the rule of Rule items
+    //  The name of the rule of Rule and Candidate items
+    export class CompletionItem {
+        kind    : CompletionKind
+        text    : string
+        rule    : string
+    }
+
+    // Represents the completions at a cursor (see complete)
+    //  The start of the word the cursor is in, inserting an item replaces the text from start to the cursor
+    //  The cursor
+    //  The prefix is the text from start to the cursor, the literals and candidates start with it
+    //  The items that were expected at start
+    //  The completion items
+    export class Completion {
+        start   : number
+        cursor  : number
+        prefix  : string
+        expected: string[]
+        items   : CompletionItem[]
+    }
+
     // Represents a parse result:
     //  A flag indicating if parse was successful
-    //  The parsed value (only value if success flag is true)
+    //  The parsed value (only value if success flag is true, or on failures returned by StreamParser)
+    //  The position where parsing stopped (only value if success flag is false)
+    //  The items that were expected at that position (only value if success flag is false)
+    //  The offset in the source text, line and column of the position (only value on failed results returned by parse)
+    //  The token at the position (only value on failed results returned by parseTokens)
+    //  The failures recovered from (only value on results returned by parseWithRecovery, see recover)
+    // Note: When parsing tokens the position is a token index
     export class ParseResult<T> {
         success : boolean
         value   : T
+        position: number
+        offset  : number
+        line    : number
+        column  : number
+        token   : Token
+        expected: string[]
+        diagnostics : ParseResult<any>[]
+    }
+
+    // Holds a memoized parse result
+    //  The indent the parser was applied with
+    //  The layout position the parser was applied with
+    //  The user state the parser was applied with
+    //  The parse result
+    //  The parser state after the parser was applied
+    //  The diagnostics added by the parser
+    export class Memo {
+        indent      : number
+        layout      : number
+        state       : any
+        result      : ParseResult<any>
+        end         : Snapshot
+        diagnostics : ParseResult<any>[]
+    }
+
+    // Describes the indentation of a position (see block)
+    //  The line of the position
+    //  The column of the position where a tab advances to the next multiple of the tab width
+    //  The column of the position where a tab is as wide as a space, comparing it
+    //  with column detects indentation that depends on the tab width
+    export class Indentation {
+        line        : number
+        column      : number
+        narrow      : number
+    }
+
+    // The kinds of parser descriptions
+    export enum DescriptionKind {
+        Empty           ,   // Succeeds without consuming input
+        Terminal        ,   // A literal, the text is the literal
+        Special         ,   // Input described by the text, like any character
+        Sequence        ,
+        Choice          ,
+        Optional        ,
+        Many            ,   // Zero or more
+        Many1           ,   // One or more
+        Count           ,   // Exactly the text number of times
+        Except          ,   // The first child but not the second child
+        FollowedBy      ,
+        NotFollowedBy   ,
+        Reference       ,   // A circular parser, the child is the definition once defined
+    }
+
+    // Describes what a parser is made of, this allows documenting a grammar from its parsers
+    //  The kind of description
+    //  The text of Terminal, Special and Count descriptions
+    //  The descriptions of the parsers the parser is made of
+    //  The name of the parser (see named and label), named descriptions become rules in ebnf and railroad
+    //  The predicate of the characters a Special description matches, null if unknown (used by Generator)
+    export class Description {
+        satisfy     : Satisfy = null
+
+        constructor (public kind : DescriptionKind, public text : string, public children : Description[], public name : string) {
+        }
+    }
+
+    // Represents a traced parser invocation (see trace)
+    //  The name of the parser
+    //  The start and end position (end is the start if the parser failed)
+    //  A flag indicating if the parser succeeded
+    //  The consumed text
+    //  The items that were expected (only value if the parser failed)
+    //  The traced parser invocations made by the parser
+    export class TraceNode {
+        name        : string
+        start       : number
+        end         : number
+        success     : boolean
+        text        : string
+        expected    : string[]
+        children    : TraceNode[]
+    }
+
+    // Tracer records a tree of the traced parser invocations (see trace and parseWithTracer)
+    // Note: Backtracking doesn't remove invocations, this shows which alternatives were tried where
+    export class Tracer {
+        root    : TraceNode
+        current : TraceNode
+
+        constructor () {
+            this.root       = { name : "", start : 0, end : 0, success : false, text : "", expected : [], children : [] }
+            this.current    = this.root
+        }
+
+        // Begins a traced invocation, returns the invocation it's made by
+        begin(name : string, start : number) : TraceNode {
+            var parent  = this.current
+            var node    = { name : name, start : start, end : start, success : false, text : "", expected : [], children : [] }
+
+            parent.children[parent.children.length] = node
+            this.current = node
+
+            return parent
+        }
+
+        // Ends the current traced invocation
+        end(parent : TraceNode, pResult : ParseResult<any>, end : number, text : string) : void {
+            var node = this.current
+
+            node.success    = pResult.success
+            node.end        = end
+            node.text       = text
+            node.expected   = pResult.success ? [] : pResult.expected
+
+            this.current = parent
+        }
+
+        // Exports the traced invocations as JSON
+        toJSON() : string {
+            return JSON.stringify(this.root.children)
+        }
+
+        // Exports the traced invocations as an indented text report
+        // Example:
+        //  term [0-2] success "12"
+        //    number [0-2] success "12"
+        //  term [2] failed: expected number or "("
+        report() : string {
+            var sb = new StringBuilder()
+
+            for (var iter = 0; iter < this.root.children.length; ++iter) {
+                reportTraceNode(sb, this.root.children[iter], 0)
+            }
+
+            return sb.toString()
+        }
     }
 
     // ParserState holds (surprisingly) the parser state ie
-    //  The text to be parsed
-    //  The position in the text
+    //  The text to be parsed (empty when parsing tokens)
+    //  The tokens to be parsed (null when parsing text)
+    //  The source text (used to compute locations)
+    //  The position in the text or tokens
     //  The current indention level
+    //  The furthest position a parser failed at and what was expected there
+    //  The memoized parse results (indexed by memo parser and position)
+    //  A flag indicating if a parser has looked at the end of stream (used by StreamParser)
+    //  A flag indicating if failures should be recovered from (see recover)
+    //  The failures recovered from
+    //  The offsets where each line in the source text starts (computed when needed)
+    //  The tracer that records traced parser invocations (null when not tracing)
+    //  A flag indicating if characters are code points rather than UTF-16 code units (see codePoints)
+    //  The position of the enclosing layout construct that indentation is compared with (see withLayout)
+    //  The tab width used to measure indentation (see tabWidth)
+    //  The number of parser steps taken, the maximum number of steps and the time the parse
+    //  must end by (see Budget)
+    //  The user state (see getState, setState and updateState)
+    //  The version and the changes of indent, user state and diagnostics (see rewind)
+    //  The success ParseResult reused by succeedShared
+    //  The view of the binary data (see parseBytes), null when parsing text
     // Note: For efficiency reasons ParserState is mutable
+    // Note: Change indent, user state and diagnostics through ParserState so backtracking undoes the change
     export class ParserState {
-        text    : string
-        position: number
-        indent  : number
-
-        constructor (s : string) {
-            this.text       = s || ""
-            this.position   = 0
-            this.indent     = 0
+        text                : string
+        tokens              : Token[]
+        source              : string
+        position            : number
+        indent              : number
+        furthestPosition    : number
+        furthestExpected    : string[]
+        memos               : Memo[][]
+        hitEnd              : boolean
+        recovering          : boolean
+        diagnostics         : ParseResult<any>[]
+        lineStarts          : number[]
+        tracer              : Tracer
+        codePoints          : boolean
+        layout              : number
+        tabWidth            : number
+        steps               : number
+        maxSteps            : number
+        deadline            : number
+        state               : any
+        version             : number
+        changes             : Snapshot[]
+        success             : ParseResult<any>
+        view                : DataView
+
+        // Parses s unless tokens are given, then tokens are parsed and s is the source text
+        constructor (s : string, tokens? : Token[]) {
+            this.text               = tokens ? "" : s || ""
+            this.tokens             = tokens || null
+            this.source             = s || ""
+            this.position           = 0
+            this.indent             = 0
+            this.furthestPosition   = -1
+            this.furthestExpected   = []
+            this.memos              = []
+            this.hitEnd             = false
+            this.recovering         = false
+            this.diagnostics        = []
+            this.lineStarts         = null
+            this.tracer             = null
+            this.codePoints         = false
+            this.layout             = 0
+            this.tabWidth           = 8
+            this.steps              = 0
+            this.maxSteps           = Infinity
+            this.deadline           = Infinity
+            this.state              = undefined
+            this.version            = 0
+            this.changes            = []
+            this.success            = <ParseResult<any>> {success : true , value : undefined}
+            this.view               = null
         }
 
         // Takes a snapshot of the parser state
+        // Note: Parsers use the position and version instead as a snapshot allocates (see rewind)
         snapshot() : Snapshot {
-            return { position : this.position, indent : this.indent }
+            return { position : this.position, indent : this.indent, diagnostics : this.diagnostics.length, state : this.state }
+        }
+
+        // Records the indent, user state and diagnostics before they are changed so rewind can undo the change
+        change() : void {
+            this.changes[this.version++] = this.snapshot()
+        }
+
+        // Rewinds the parser state to position and undoes the changes made since version
+        //  This is the allocation free way to backtrack, the position and the version are taken before
+        //  applying the parsers to backtrack from
+        // Example:
+        //  var start   = ps.position
+        //  var version = ps.version
+        //  ...
+        //  ps.rewind(start, version)
+        rewind(position : number, version : number) : void {
+            this.position = position
+
+            if (this.version > version) {
+                var change = this.changes[version]
+
+                this.indent     = change.indent
+                this.state      = change.state
+
+                if (this.diagnostics.length > change.diagnostics) {
+                    this.diagnostics.length = change.diagnostics
+                }
+
+                this.version = version
+            }
         }
 
         // Increases the current indent
         increaseIndent() : void {
+            this.change()
             ++this.indent
         }
 
@@ -98,28 +503,119 @@ module mpc {
                 return false
             }
 
+            this.change()
             --this.indent
 
             return true
         }
 
+        // Sets the user state (see setState)
+        setState(state : any) : void {
+            if (this.state !== state) {
+                this.change()
+                this.state = state
+            }
+        }
+
+        // Adds a diagnostic (see recover)
+        addDiagnostic(diagnostic : ParseResult<any>) : void {
+            this.change()
+            this.diagnostics[this.diagnostics.length] = diagnostic
+        }
+
         // Restores the parser state from a snaphot
         restore(snapshot : Snapshot) {
-            this.position   = snapshot.position
-            this.indent     = snapshot.indent
+            this.position = snapshot.position
+
+            if (this.indent !== snapshot.indent || this.state !== snapshot.state || this.diagnostics.length > snapshot.diagnostics) {
+                this.change()
+
+                this.indent     = snapshot.indent
+                this.state      = snapshot.state
+
+                if (this.diagnostics.length > snapshot.diagnostics) {
+                    this.diagnostics.length = snapshot.diagnostics
+                }
+            }
+        }
+
+        // Creates a Memo from a parse result
+        //  snapshot is the parser state before the parse
+        //  A success result is copied as succeed reuses the result
+        memo(snapshot : Snapshot, result : ParseResult<any>) : Memo {
+            var copy        = result.success ? <ParseResult<any>> {success : true , value : result.value} : result
+            var diagnostics = this.diagnostics.length > snapshot.diagnostics ? this.diagnostics.slice(snapshot.diagnostics) : nothingDiagnosed
+
+            return { indent : snapshot.indent, layout : this.layout, state : snapshot.state, result : copy, end : this.snapshot(), diagnostics : diagnostics }
+        }
+
+        // Replays a Memo, the parser state is advanced to the end of the memo 
+        // and the diagnostics added by the parser are added again
+        replay(m : Memo) : void {
+            this.position = m.end.position
+
+            if (this.indent !== m.end.indent || this.state !== m.end.state || m.diagnostics.length > 0) {
+                this.change()
+
+                this.indent     = m.end.indent
+                this.state      = m.end.state
+
+                for (var iter = 0; iter < m.diagnostics.length; ++iter) {
+                    this.diagnostics[this.diagnostics.length] = m.diagnostics[iter]
+                }
+            }
         }
 
         // Tests if state is at end of stream (EOS)
         isEOS() : boolean {
-            return this.position >= this.text.length
+            if (this.position >= (this.tokens ? this.tokens.length : this.text.length)) {
+                this.hitEnd = true
+                return true
+            }
+
+            return false
+        }
+
+        currentToken() : Token {
+            if (!this.tokens || this.position >= this.tokens.length) {
+                this.hitEnd = true
+                return undefined
+            }
+
+            return this.tokens[this.position]
         }
 
         currentCharCode() : number {
             if (this.position >= this.text.length) {
+                this.hitEnd = true
                 return undefined
             }
 
-            return this.text.charCodeAt(this.position)
+            return this.charCodeAt(this.position)
+        }
+
+        // Returns the character at pos, in code point mode a surrogate pair is combined into a code point
+        //  A high surrogate at the end of the text might be the first half of a pair so hitEnd is set
+        // Note: The position is always in UTF-16 code units, a code point above 0xFFFF occupies two
+        charCodeAt(pos : number) : number {
+            var ch = this.text.charCodeAt(pos)
+
+            if (!this.codePoints || ch < 0xD800 || ch > 0xDBFF) {
+                return ch
+            }
+
+            if (pos + 1 >= this.text.length) {
+                this.hitEnd = true
+                return ch
+            }
+
+            var low = this.text.charCodeAt(pos + 1)
+
+            if (low < 0xDC00 || low > 0xDFFF) {
+                return ch
+            }
+
+            return 0x10000 + ((ch - 0xD800) << 10) + (low - 0xDC00)
         }
 
         // Advances the parser state as long as the current character and local position
@@ -133,7 +629,16 @@ module mpc {
             var i = 0
             var pos = begin;
 
-            for (; pos < end && satisfy(this.text.charCodeAt(pos), i); ++pos, ++i) {
+            if (this.codePoints) {
+                for (var ch = 0; pos < end && satisfy(ch = this.charCodeAt(pos), i); pos += charLength(ch), ++i) {
+                }
+            } else {
+                for (; pos < end && satisfy(this.text.charCodeAt(pos), i); ++pos, ++i) {
+                }
+            }
+
+            if (pos === end) {
+                this.hitEnd = true
             }
 
             this.position = pos
@@ -152,7 +657,16 @@ module mpc {
             var i = 0
             var pos = begin
 
-            for (; pos < end && satisfy(this.text.charCodeAt(pos), i); ++pos, ++i) {
+            if (this.codePoints) {
+                for (var ch = 0; pos < end && satisfy(ch = this.charCodeAt(pos), i); pos += charLength(ch), ++i) {
+                }
+            } else {
+                for (; pos < end && satisfy(this.text.charCodeAt(pos), i); ++pos, ++i) {
+                }
+            }
+
+            if (pos === end) {
+                this.hitEnd = true
             }
 
             this.position = pos
@@ -160,14 +674,199 @@ module mpc {
             return pos - begin
         }
 
+        // Computes the offset in the source text of a position
+        //  When parsing tokens this is the start of the token at the position
+        //  or the end of the last token at end of stream
+        sourceOffset(position : number) : number {
+            if (!this.tokens) {
+                return position
+            }
+
+            if (position < this.tokens.length) {
+                return this.tokens[position].start
+            }
+
+            return this.tokens.length > 0 ? this.tokens[this.tokens.length - 1].end : 0
+        }
+
+        // Computes the line and column of an offset in the source text
+        //  The offsets where the lines start are indexed on first use and 
+        //  then each location is found with a binary search
+        location(position : number) : Location {
+            if (this.lineStarts === null) {
+                this.lineStarts = [0]
+
+                for (var pos = 0; pos < this.source.length; ++pos) {
+                    var ch = this.source.charCodeAt(pos)
+                    if (ch === 0x0A /*LF*/ || (ch === 0x0D /*CR*/ && this.source.charCodeAt(pos + 1) !== 0x0A)) {
+                        this.lineStarts[this.lineStarts.length] = pos + 1
+                    }
+                }
+            }
+
+            var lo = 0
+            var hi = this.lineStarts.length - 1
+
+            while (lo < hi) {
+                var mid = (lo + hi + 1) >> 1
+                if (this.lineStarts[mid] <= position) {
+                    lo = mid
+                } else {
+                    hi = mid - 1
+                }
+            }
+
+            return { position : position, line : lo + 1, column : position - this.lineStarts[lo] + 1 }
+        }
+
+        // Measures the indentation of a position, the width of the text before it on its line
+        //  The first column is 1
+        indentation(position : number) : Indentation {
+            var offset      = this.sourceOffset(position)
+            var location    = this.location(offset)
+
+            var column = 1
+
+            for (var pos = offset - location.column + 1; pos < offset; ++pos) {
+                if (this.source.charCodeAt(pos) === 0x09 /*tab*/) {
+                    column += this.tabWidth - (column - 1) % this.tabWidth
+                } else {
+                    ++column
+                }
+            }
+
+            return { line : location.line, column : column, narrow : location.column }
+        }
+
+        // Computes the span in the source text between two positions
+        //  When parsing tokens the span is from the start of the first token to 
+        //  the end of the last token
+        span(begin : number, end : number) : Span {
+            var start   = this.sourceOffset(begin)
+            var stop    = this.sourceEnd(begin, end)
+
+            var from    = this.location(start)
+            var to      = this.location(stop)
+
+            return { start : start, end : stop, startLine : from.line, startColumn : from.column, endLine : to.line, endColumn : to.column }
+        }
+
+        // Computes the offset in the source text where the input between two positions end
+        sourceEnd(begin : number, end : number) : number {
+            return this.tokens && end > begin ? this.tokens[end - 1].end : this.sourceOffset(end)
+        }
+
+        // Returns the source text between two positions
+        sourceText(begin : number, end : number) : string {
+            return this.source.substring(this.sourceOffset(begin), this.sourceEnd(begin, end))
+        }
+
+        // Sets the budget of the parse
+        setBudget(budget : Budget) : void {
+            this.maxSteps = budget.steps || Infinity
+            this.deadline = budget.milliseconds ? new Date().getTime() + budget.milliseconds : Infinity
+        }
+
+        // Counts a parser step, the parse is aborted if the budget is exceeded
+        //  The time is checked every 1024 steps
+        step() : void {
+            if (++this.steps > this.maxSteps || ((this.steps & 0x3FF) === 0 && new Date().getTime() > this.deadline)) {
+                throw budgetExceeded
+            }
+        }
+
         // Creates a success ParseResult from current state and value
         succeed<T>(value : T) : ParseResult<T> {
-            return {success : true , value : value}
+            this.step()
+
+            return <ParseResult<T>> {success : true , value : value}
+        }
+
+        // Creates a success ParseResult from current state and value without allocating
+        //  Used by the built-in parsers (see Parser.parseShared)
+        // Note: The success ParseResult is reused so the value has to be read before applying
+        //  another parser
+        succeedShared<T>(value : T) : ParseResult<T> {
+            this.step()
+
+            var success = this.success
+            success.value = value
+
+            return success
         }
 
         // Creates a failure ParseResult from current state
-        fail<T>() : ParseResult<T> {
-            return {success : false , value : undefined}
+        //  expected holds the items that were expected at the current position
+        fail<T>(expected? : string[]) : ParseResult<T> {
+            this.step()
+
+            var e = expected || nothingExpected
+
+            if (e.length > 0) {
+                this.recordFailure(this.position, e)
+            }
+
+            return failureResult<T>(this.position, e)
+        }
+
+        // Records the expected items of a failure if it is at least as far as the furthest failure
+        // Note: The furthest failure isn't restored on backtracking, this allows
+        //  reporting the failure of an alternative that choice, opt, many or
+        //  chainLeft gave up on
+        recordFailure(position : number, expected : string[]) : void {
+            if (position < this.furthestPosition) {
+                return
+            }
+
+            if (position > this.furthestPosition) {
+                this.furthestPosition = position
+                this.furthestExpected = []
+            }
+
+            for (var iter = 0; iter < expected.length; ++iter) {
+                var e = expected[iter]
+                if (this.furthestExpected.indexOf(e) < 0) {
+                    this.furthestExpected[this.furthestExpected.length] = e
+                }
+            }
+        }
+
+        // Creates a failure ParseResult from the furthest failure and a failed ParseResult
+        //  The expected items are copied as later failures append to furthestExpected
+        furthestFailure<T>(failure : ParseResult<T>) : ParseResult<T> {
+            return this.merge(failureResult<T>(this.furthestPosition, this.furthestExpected.slice(0)), failure)
+        }
+
+        // Returns a failed ParseResult of another type as a failure ParseResult
+        //  The position and the expected items are kept
+        propagate<T>(failure : ParseResult<any>) : ParseResult<T> {
+            return failure
+        }
+
+        // Merges two failed ParseResults
+        //  The failure that reached the furthest is kept, if both reached
+        //  the same position the expected items are combined
+        merge<T>(failure : ParseResult<T>, other : ParseResult<any>) : ParseResult<T> {
+            if (failure.position > other.position) {
+                return failure
+            }
+
+            if (failure.position < other.position || failure.expected.length === 0) {
+                return this.propagate<T>(other)
+            }
+
+            var expected : string[] = null
+
+            for (var iter = 0; iter < other.expected.length; ++iter) {
+                var e = other.expected[iter]
+                if ((expected || failure.expected).indexOf(e) < 0) {
+                    // Copies the expected items only when there are items to add
+                    expected = expected || failure.expected.slice(0)
+                    expected[expected.length] = e
+                }
+            }
+
+            return expected ? failureResult<T>(failure.position, expected) : failure
         }
 
     }
@@ -181,83 +880,113 @@ module mpc {
     //  If the parse was unsuccesful the ParseResult shall contain no vlaue
     //  and the parser state should not be changed updated
     //  Note: This implies that a parser that mutates the parser state
-    //  needs to restore the parser state on failure. Use snapshot/restore
+    //  needs to restore the parser state on failure. Use rewind (or snapshot/restore)
     //  Note: If the parser uses other parsers and they all fail no restore
     //  is needed as Parsers are required to restore their state on failure
+    //  Note: The built-in parsers apply each other with parseShared that may return the 
+    //  reused success ParseResult (see ParserState.succeedShared), parse returns a ParseResult 
+    //  of its own
     export class Parser<T> {
-        // The parse function
+        // The parse function, a success ParseResult is never reused by later parses
+        //  Assigning parse redefines the parser (see the parse property below)
         parse       :   (ps : ParserState) => ParseResult<T>
-
-        constructor (p : (ps : ParserState) => ParseResult<T>) {
-            this.parse = p
+        // The parse function, the success ParseResult may be the reused one
+        parseShared :   (ps : ParserState) => ParseResult<T>
+        // What the parser is made of (see ebnf and railroad)
+        description :   Description
+        // The parse function returned by parse, created when first read
+        parseOwn    :   (ps : ParserState) => ParseResult<T>
+
+        constructor (p : (ps : ParserState) => ParseResult<T>, description? : Description) {
+            this.parseShared    = p
+            this.description    = description || describe(DescriptionKind.Special, "custom parser", [])
         }
 
         // Takes a Parser<T> and converts it into a Parser<void>
         noResult() : Parser<void> {
             return parser ((ps : ParserState) => { 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
                 
                 if (!pResult.success) {
-                    return ps.fail<void>()
+                    return ps.propagate<void>(pResult)
                 }
 
-                return ps.succeed<void>(undefined)
-            })
+                return ps.succeedShared<void>(undefined)
+            }, this.description)
         }
 
         // Takes a Parser<T> and converts it into a Parser<TResult>
         result<TResult>(v : TResult) : Parser<TResult> {
             return parser ((ps : ParserState) => { 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
                 
                 if (!pResult.success) {
-                    return ps.fail<TResult>()
+                    return ps.propagate<TResult>(pResult)
                 }
 
-                return ps.succeed(v)
-            })
+                return ps.succeedShared(v)
+            }, this.description)
         }
 
         // Takes a Parser<T> and tests if T satisfies a predicate
         test(predicate : (v : T) => boolean) : Parser<T> {
             return parser ((ps : ParserState) => { 
-                var snapshot = ps.snapshot()
+                var start   = ps.position
+                var version = ps.version
 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
                 
                 if (!pResult.success) {
-                    return ps.fail<T>()
+                    return ps.propagate<T>(pResult)
                 }
 
                 if (!predicate(pResult.value))
                 {
-                    ps.restore(snapshot)
+                    ps.rewind(start, version)
                     return ps.fail<T>()
                 }
 
-                return ps.succeed(pResult.value)
-            })
+                return ps.succeedShared(pResult.value)
+            }, this.description)
+        }
+
+        // Applies the parser and sets the user state to update applied to the user state and the parsed value
+        //  The user state is only updated if the parser succeeds (see setState)
+        // Example: p_typeDeclaration.updateState((types : string[], name : string) => types.concat([name]))
+        updateState<S>(update : (state : S, value : T) => S) : Parser<T> {
+            return parser ((ps : ParserState) => { 
+                var pResult = this.parseShared(ps)
+                
+                if (!pResult.success) {
+                    return ps.propagate<T>(pResult)
+                }
+
+                ps.setState(update(ps.state, pResult.value))
+
+                return ps.succeedShared(pResult.value)
+            }, this.description)
         }
         
         // Tests if a parser has consumed at least i character
         consumedAtLeast(i : number) : Parser<T> {
             return parser ((ps : ParserState) => { 
-                var snapshot = ps.snapshot()
+                var start   = ps.position
+                var version = ps.version
 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
                 
                 if (!pResult.success) {
-                    return ps.fail<T>()
+                    return ps.propagate<T>(pResult)
                 }
 
-                if (ps.position < snapshot.position + i)
+                if (ps.position < start + i)
                 {
-                    ps.restore(snapshot)
+                    ps.rewind(start, version)
                     return ps.fail<T>()
                 }
 
-                return ps.succeed(pResult.value)
-            })
+                return ps.succeedShared(pResult.value)
+            }, this.description)
         }
 
         // Combines a parser with a begin parser and an end parser
@@ -265,51 +994,55 @@ module mpc {
         // Example: expressionParser.inBetween(skipString("("), skipString(")"))
         inBetween(pBegin : Parser<void>, pEnd : Parser<void>) : Parser<T> {
             return parser ((ps : ParserState) => { 
-                var snapshot = ps.snapshot()
+                var start   = ps.position
+                var version = ps.version
 
-                var pBeginResult = pBegin.parse(ps)
+                var pBeginResult = pBegin.parseShared(ps)
                 if (!pBeginResult.success) {
-                    return ps.fail<T>()
+                    return ps.propagate<T>(pBeginResult)
                 }
 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
 
                 if (!pResult.success) {
-                    ps.restore(snapshot)
-                    return ps.fail<T>()
+                    ps.rewind(start, version)
+                    return ps.propagate<T>(pResult)
                 }
 
-                var pEndResult = pEnd.parse(ps)
+                var value = pResult.value
+
+                var pEndResult = pEnd.parseShared(ps)
                 if (!pEndResult.success) {
-                    ps.restore(snapshot)
-                    return ps.fail<T>()
+                    ps.rewind(start, version)
+                    return ps.propagate<T>(pEndResult)
                 }
 
-                return ps.succeed(pResult.value)
-            })
+                return ps.succeedShared(value)
+            }, describe(DescriptionKind.Sequence, null, [pBegin.description, this.description, pEnd.description]))
         }
 
         /* This for some reason struggles as a member function
         combine<TOther>(pOther : Parser<TOther>) : Parser<{v0 : T; v1 : TOther}> {
             return parser<{v0 : T; v1 : TOther}> ((ps : ParserState) => { 
-                var snapshot = ps.snapshot()
+                var start   = ps.position
+                var version = ps.version
 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
 
                 if (!pResult.success) {
-                    return ps.fail<{v0 : T; v1 : TOther}>()
+                    return ps.propagate<{v0 : T; v1 : TOther}>(pResult)
                 }
 
-                var pOtherResult = pOther.parse(ps)
+                var pOtherResult = pOther.parseShared(ps)
 
                 if (!pOtherResult.success) {
-                    ps.restore(snapshot)
-                    return ps.fail<{v0 : T; v1 : TOther}>()
+                    ps.rewind(start, version)
+                    return ps.propagate<{v0 : T; v1 : TOther}>(pOtherResult)
                 }
 
                 var result = {v0 : pResult.value, v1 : pOtherResult.value}
 
-                return ps.succeed(result)
+                return ps.succeedShared(result)
             })
         }
         */
@@ -317,11 +1050,12 @@ module mpc {
         /* This for some reason struggles as a member function
         chainLeft<S>(pSeparator : Parser<S>, combiner : (l : T, op : S, r : T) => T) : Parser<T> {
             return parser ((ps : ParserState) => { 
-                var snapshot = ps.snapshot()
+                var start   = ps.position
+                var version = ps.version
 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
                 if(!pResult.success) {
-                    return ps.fail<T>()
+                    return ps.propagate<T>(pResult)
                 }
 
                 var value = pResult.value
@@ -329,14 +1063,15 @@ module mpc {
                 var pSeparatorResult    : ParseResult<S>
                 var pOtherResult        : ParseResult<T>
 
-                while((pSeparatorResult = pSeparator.parse(ps)).success && (pOtherResult = this.parse(ps)).success) {
-                    snapshot = ps.snapshot()
+                while((pSeparatorResult = pSeparator.parseShared(ps)).success && (pOtherResult = this.parseShared(ps)).success) {
+                    start   = ps.position
+                    version = ps.version
                     value = combiner(value, pSeparatorResult.value, pOtherResult.value)
                 }
 
-                ps.restore(snapshot)
+                ps.rewind(start, version)
 
-                return ps.succeed(value)
+                return ps.succeedShared(value)
             })
         }
         */
@@ -347,23 +1082,26 @@ module mpc {
         // Example: combine(identifier.keepLeft(skipString("=")), value)    // The result is a tuple of identifier parser and value parser
         keepLeft<TOther>(pOther : Parser<TOther>) : Parser<T> {
             return parser ((ps : ParserState) => { 
-                var snapshot = ps.snapshot()
+                var start   = ps.position
+                var version = ps.version
 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
 
                 if (!pResult.success) {
-                    return ps.fail<T>()
+                    return ps.propagate<T>(pResult)
                 }
 
-                var pOtherResult = pOther.parse(ps)
+                var value = pResult.value
+
+                var pOtherResult = pOther.parseShared(ps)
 
                 if (!pOtherResult.success) {
-                    ps.restore(snapshot)
-                    return ps.fail<T>()
+                    ps.rewind(start, version)
+                    return ps.propagate<T>(pOtherResult)
                 }
 
-                return ps.succeed(pResult.value)
-            })
+                return ps.succeedShared(value)
+            }, describe(DescriptionKind.Sequence, null, [this.description, pOther.description]))
         }
 
         // Combines a parser with another parser but keeps the result 
@@ -372,84 +1110,201 @@ module mpc {
         // Example: combine(identifier, skipString("=").keepRight(value))    // The result is a tuple of identifier parser and value parser
         keepRight<TOther>(pOther : Parser<TOther>) : Parser<TOther> {
             return parser ((ps : ParserState) => { 
-                var snapshot = ps.snapshot()
+                var start   = ps.position
+                var version = ps.version
 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
 
                 if (!pResult.success) {
-                    return ps.fail<TOther>()
+                    return ps.propagate<TOther>(pResult)
                 }
 
-                var pOtherResult = pOther.parse(ps)
+                var pOtherResult = pOther.parseShared(ps)
 
                 if (!pOtherResult.success) {
-                    ps.restore(snapshot)
-                    return ps.fail<TOther>()
+                    ps.rewind(start, version)
+                    return ps.propagate<TOther>(pOtherResult)
                 }
 
-                return ps.succeed(pOtherResult.value)
-            })
+                return ps.succeedShared(pOtherResult.value)
+            }, describe(DescriptionKind.Sequence, null, [this.description, pOther.description]))
         }
 
         // Parse only succeed the parser succeeds and the except parser fails
         // Example: manyString(anyChar().except(EOL()))
         except<TOther>(pExcept : Parser<TOther>) : Parser<T> {
             return parser ((ps : ParserState) => { 
-                var snapshot = ps.snapshot()
+                var start   = ps.position
+                var version = ps.version
 
-                var pExceptResult = pExcept.parse(ps)
+                var pExceptResult = pExcept.parseShared(ps)
 
                 if (pExceptResult.success) {
-                    ps.restore(snapshot)
+                    ps.rewind(start, version)
                     return ps.fail<T>()
                 }
 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
 
                 if (!pResult.success) {
-                    return ps.fail<T>()
+                    return ps.propagate<T>(pResult)
                 }
 
 
-                return ps.succeed(pResult.value)
-            })
+                return ps.succeedShared(pResult.value)
+            }, describe(DescriptionKind.Except, null, [this.description, pExcept.description]))
         }
 
         // Parse always succeed but value is null if the parser failed
         opt() : Parser<T> {
             return parser ((ps : ParserState) => { 
 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
 
                 if (!pResult.success) {
-                    return ps.succeed<T>(null)
+                    return ps.succeedShared<T>(null)
                 }
 
-                return ps.succeed(pResult.value)
-            })
+                return ps.succeedShared(pResult.value)
+            }, describe(DescriptionKind.Optional, null, [this.description]))
         }
 
-        // Transforms the parsed value using a transform function
-        // Example: anyStringOf("0123456789").consumedAtLeast(1).transform((c : string) => parseFloat(c))
-        transform<TTo>(transform : (T) => TTo) : Parser<TTo> {
+        // Transforms the parsed value and the span of the consumed input using a transform function
+        //  This is typically used to create AST nodes that knows where in the source text they are
+        // Example: identifier.located((name : string, span : Span) => new IdentifierExpression(name, span))
+        located<TTo>(transform : (value : T, span : Span) => TTo) : Parser<TTo> {
             return parser ((ps : ParserState) => { 
+                var begin = ps.position
 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
 
                 if (!pResult.success) {
-                    return ps.fail<TTo>()
+                    return ps.propagate<TTo>(pResult)
                 }
 
-                return ps.succeed(transform(pResult.value))
-            })
+                return ps.succeedShared(transform(pResult.value, ps.span(begin, ps.position)))
+            }, this.description)
         }
 
-        // log parser is useful for debugging
-        log(name : string) : Parser<T> {
+        // Transforms the parsed value using a transform function
+        // Example: anyStringOf("0123456789").consumedAtLeast(1).transform((c : string) => parseFloat(c))
+        transform<TTo>(transform : (T) => TTo) : Parser<TTo> {
+            return parser ((ps : ParserState) => { 
+
+                var pResult = this.parseShared(ps)
+
+                if (!pResult.success) {
+                    return ps.propagate<TTo>(pResult)
+                }
+
+                return ps.succeedShared(transform(pResult.value))
+            }, this.description)
+        }
+
+        // Converts the consumed text into a Token of type, this is used to write lexers
+        //  The token span is the consumed characters
+        // Example: many(choice(p_number.asToken("number"), p_identifier.asToken("identifier")).keepLeft(p_whitespaces))
+        asToken(type : string) : Parser<Token> {
+            return parser ((ps : ParserState) => { 
+                var begin = ps.position
+
+                var pResult = this.parseShared(ps)
+
+                if (!pResult.success) {
+                    return ps.propagate<Token>(pResult)
+                }
+
+                return ps.succeedShared<Token>({ type : type, text : ps.text.substring(begin, ps.position), start : begin, end : ps.position })
+            }, this.description)
+        }
+
+        // Names the parser in failure messages
+        //  If the parser fails without consuming any characters the expected items
+        //  are replaced by name
+        // Example: anyStringOf("0123456789").consumedAtLeast(1).label("number")
+        label(name : string) : Parser<T> {
+            var expected = [name]
+
+            return parser ((ps : ParserState) => { 
+                var position        = ps.position
+                var furthestPosition= ps.furthestPosition
+                var furthestCount   = ps.furthestExpected.length
+
+                var pResult = this.parseShared(ps)
+
+                if (!pResult.success && pResult.position === position) {
+                    if (ps.furthestPosition === position) {
+                        // Drops the items the parser recorded in favour of name
+                        ps.furthestExpected.length = furthestPosition === position ? furthestCount : 0
+                    }
+                    return ps.fail<T>(expected)
+                }
+
+                return pResult
+            }, rename(this.description, name))
+        }
+
+        // Names the parser in the grammar documentation (see ebnf and railroad)
+        //  Unlike label the failure messages are unchanged
+        // Example: skipSatisfyMany(satisyWhitespace).named("whitespace")
+        named(name : string) : Parser<T> {
+            return parser ((ps : ParserState) => this.parseShared(ps), rename(this.description, name))
+        }
+
+        // Memoizes the parse results by position (packrat parsing)
+        //  The parser is only applied once per position, this avoids re-parsing
+        //  the same input when alternatives share a prefix
+        // Note: Trades memory for speed so typically only used on rules that are retried
+        // Example: choice(p_number, p_identifer, p_subExpression).memo()
+        memo() : Parser<T> {
+            var id = memoCount++
+
+            return parser ((ps : ParserState) => { 
+                var memos = ps.memos[id] || (ps.memos[id] = [])
+
+                var m = memos[ps.position]
+
+                if (m !== undefined && m.indent === ps.indent && m.layout === ps.layout && m.state === ps.state) {
+                    ps.replay(m)
+                    return m.result
+                }
+
+                var snapshot = ps.snapshot()
+
+                var pResult = this.parseShared(ps)
+
+                memos[snapshot.position] = ps.memo(snapshot, pResult)
+
+                return pResult
+            }, this.description)
+        }
+
+        // Records the parser invocations in the tracer when parsing with parseWithTracer
+        //  When not tracing trace is the same as the parser
+        // Example: choice(p_number.trace("number"), p_identifier.trace("identifier")).trace("term")
+        trace(name : string) : Parser<T> {
+            return parser ((ps : ParserState) => { 
+                if (!ps.tracer) {
+                    return this.parseShared(ps)
+                }
+
+                var start   = ps.position
+                var parent  = ps.tracer.begin(name, start)
+
+                var pResult = this.parseShared(ps)
+
+                ps.tracer.end(parent, pResult, ps.position, ps.sourceText(start, ps.position))
+
+                return pResult
+            }, this.description)
+        }
+
+        // log parser is useful for debugging, see trace for structured tracing
+        log(name : string) : Parser<T> {
             return parser ((ps : ParserState) => { 
                 console.info ("MonadicParser: %s: begin", name);
 
-                var pResult = this.parse(ps)
+                var pResult = this.parseShared(ps)
 
                 if (pResult.success) {
                     console.info ("MonadicParser: %s: success", name);
@@ -458,450 +1313,3964 @@ module mpc {
                 }
 
                 return pResult
-            })
+            }, this.description)
+        }
+    }
+
+    // parse is a property so assigning it redefines the parser like it did when parse was a field
+    //  Reading parse gives a function that copies the reused success ParseResult
+    //  Assigning the parse of another parser applies that parser as it's defined when applied,
+    //  assigning any other function applies the function
+    // Example: p_expression.parse = p_sum.parse
+    Object.defineProperty(Parser.prototype, "parse", {
+        get : function () : (ps : ParserState) => ParseResult<any> {
+            var p : Parser<any> = this
+
+            if (!p.parseOwn) {
+                var parseOwn : any = (ps : ParserState) => {
+                    var pResult = p.parseShared(ps)
+
+                    return pResult === ps.success ? <ParseResult<any>> {success : true , value : pResult.value} : pResult
+                }
+
+                parseOwn.parser = p
+                p.parseOwn      = parseOwn
+            }
+
+            return p.parseOwn
+        },
+        set : function (parse : (ps : ParserState) => ParseResult<any>) : void {
+            var p : Parser<any> = this
+            var other : Parser<any> = (<any> parse).parser
+
+            p.parseShared = other ? (ps : ParserState) => other.parseShared(ps) : parse
+        }
+    })
+
+    // The number of memo and circular parsers created, used to give each of them an id
+    var memoCount = 0
+
+    // A parser that is defined after it has been used by other parsers (see circular)
+    //  Defining the parser with define supports left recursive rules, both
+    //  direct (expr := expr "-" term | term) and indirect ones
+    //  Left recursion is supported by growing a seed: the left recursive call
+    //  first fails, then the rule is reapplied with the previous result as 
+    //  the result of the left recursive call as long as more input is consumed
+    export class CircularParser<T> extends Parser<T> {
+        constructor (name? : string) {
+            super(null, new Description(DescriptionKind.Reference, null, [], name || null))
+        }
+
+        // Defines the circular parser as p without support for left recursion
+        //  This avoids growing seeds for rules that aren't left recursive
+        assign(p : Parser<T>) : void {
+            this.parseShared                = p.parseShared
+            this.description.children[0]    = p.description
+        }
+
+        // Defines the circular parser
+        define(p : Parser<T>) : void {
+            var id = memoCount++
+
+            this.description.children[0] = p.description
+
+            this.parseShared = (ps : ParserState) => {
+                var memos = ps.memos[id] || (ps.memos[id] = [])
+
+                var position = ps.position
+
+                var m = memos[position]
+
+                if (m !== undefined) {
+                    // Left recursive call, uses the seed grown so far
+                    ps.replay(m)
+                    return m.result
+                }
+
+                var snapshot = ps.snapshot()
+
+                m = ps.memo(snapshot, ps.fail<T>())
+                memos[position] = m
+
+                for (;;) {
+                    ps.restore(snapshot)
+
+                    var pResult = p.parseShared(ps)
+
+                    if (!pResult.success || (m.result.success && ps.position <= m.end.position)) {
+                        break
+                    }
+
+                    m = ps.memo(snapshot, pResult)
+                    memos[position] = m
+                }
+
+                memos[position] = undefined
+
+                ps.restore(snapshot)
+                ps.replay(m)
+
+                return m.result
+            }
         }
     }
 
     // Constructs a parser from a parse function
-    export function parser<T> (p : (ps : ParserState) => ParseResult<T>) {
-        return new Parser<T> (p)
+    //  The description tells what the parser is made of, custom parsers are described as a custom parser
+    export function parser<T> (p : (ps : ParserState) => ParseResult<T>, description? : Description) {
+        return new Parser<T> (p, description)
     }
 
     // Executes a parser over an input string
-    export function parse<T>(p : Parser<T>, s : string) : ParseResult<T> {
+    //  If the parse fails the furthest failure is reported and the line 
+    //  and column of the failure position is set
+    //  The budget aborts runaway parses, the result is then a failure where the parse was aborted
+    // Example: parse(p, s, {steps : 1000000, milliseconds : 500})
+    export function parse<T>(p : Parser<T>, s : string, budget? : Budget) : ParseResult<T> {
         var ps = new ParserState(s)
-        return p.parse(ps)
+
+        if (budget) {
+            ps.setBudget(budget)
+        }
+
+        return run(p, ps)
     }
 
-    // Returns a parser that always succeed with value
-    export function success<T>(value : T) : Parser<T> {
-        return parser ((ps : ParserState) => { return ps.succeed(value) })
+    // Executes a parser over tokens, typically produced by a lexer
+    //  s is the source text of the tokens and is used to compute line and column
+    //  If the parse fails the furthest failure is reported, the position is 
+    //  the token index and the token and the line and column of the token is set
+    export function parseTokens<T>(p : Parser<T>, tokens : Token[], s? : string) : ParseResult<T> {
+        return run(p, new ParserState(s, tokens || []))
     }
 
-    // Returns a parser that always fails
-    export function fail<T>() : Parser<T> {
-        return parser ((ps : ParserState) => { return ps.fail<T>() })
+    // Executes a parser over binary data, like a file header or a network packet capture
+    //  data is a Uint8Array or an ArrayBuffer
+    //  The input is the bytes as the characters 0 to 255 so character parsers like skipString
+    //  and anyCharOf parse bytes and the positions are byte offsets
+    //  The binary parsers like uint16, bytes and magic requires binary data
+    // Example: parseBytes(magic([0x47, 0x49, 0x46]).keepRight(combine2(uint16(Endian.Little), uint16(Endian.Little))), data)
+    export function parseBytes<T>(p : Parser<T>, data : any, budget? : Budget) : ParseResult<T> {
+        var array : Uint8Array = data instanceof Uint8Array ? data : new Uint8Array(data)
+
+        var chunks : string[] = []
+
+        // Converts the bytes in chunks as the number of arguments of a function is limited
+        for (var iter = 0; iter < array.length; iter += 4096) {
+            chunks[chunks.length] = String.fromCharCode.apply(null, <any> array.subarray(iter, iter + 4096))
+        }
+
+        var ps = new ParserState(chunks.join(""))
+
+        ps.view = new DataView(array.buffer, array.byteOffset, array.byteLength)
+
+        if (budget) {
+            ps.setBudget(budget)
+        }
+
+        return run(p, ps)
     }
 
-    // Parser increases the current indent
-    export function indent() : Parser<void> {
-        return parser ((ps : ParserState) => { 
-            ps.increaseIndent()
-            return ps.succeed<void>(undefined)
-        })
+    // Executes a parser over an input string and recovers from failures (see recover)
+    //  The diagnostics of the result are the failures recovered from, this 
+    //  allows reporting all failures and not only the first one
+    export function parseWithRecovery<T>(p : Parser<T>, s : string) : ParseResult<T> {
+        var ps = new ParserState(s)
+        ps.recovering = true
+        return run(p, ps)
     }
 
-    // Parser decreases the current indent
-    // Fails if indent couldn't be decreased
-    export function dedent() : Parser<void> {
-        return parser ((ps : ParserState) => { 
-            if (!ps.decreaseIndent()) {
-                return ps.fail<void>()
+    // Finds what can legally come next at the cursor, typically used by editors to suggest completions
+    //  The parser is applied to the text before the word the cursor is in and the items that were
+    //  expected where the word begins are the completion items. The word is the characters before
+    //  the cursor that satisfies word (isIdContinue by default)
+    //  If there is no word the completion begins where a partly typed literal begins (like < of <>),
+    //  that is the first position in the punctuation before the cursor where a longer literal
+    //  starts with the text up to the cursor
+    //  Literals are completion items if they start with the word, the other expected items are rules
+    //  The candidates of a rule are completion items after the rule if they start with the word
+    //  There are no completion items if the text before the word is invalid
+    // Example: complete(p_expression, "x + hast", 8, {identifier : ["hastighet", "höjd"]})
+    export function complete(p : Parser<any>, s : string, cursor : number, candidates? : {[rule : string] : string[]}, word? : Satisfy) : Completion {
+        var isWord  = word || isIdContinue
+        var end     = Math.min(cursor, s.length)
+        var start   = end
+
+        while (start > 0) {
+            var ch      = s.charCodeAt(start - 1)
+            var length  = 1
+
+            if (ch >= 0xDC00 && ch <= 0xDFFF && start > 1 && s.charCodeAt(start - 2) >= 0xD800 && s.charCodeAt(start - 2) <= 0xDBFF) {
+                ch      = 0x10000 + ((s.charCodeAt(start - 2) - 0xD800) << 10) + (ch - 0xDC00)
+                length  = 2
             }
-            return ps.succeed<void>(undefined)
-        })
+
+            if (!isWord(ch, 0)) {
+                break
+            }
+
+            start -= length
+        }
+
+        if (start < end) {
+            return completeAt(p, s, start, end, candidates)
+        }
+
+        var punctuation = end
+
+        while (punctuation > 0 && !isWord(s.charCodeAt(punctuation - 1), 0) && !isUnicodeWhitespace(s.charCodeAt(punctuation - 1), 0)) {
+            --punctuation
+        }
+
+        for (var begin = punctuation; begin < end; ++begin) {
+            var completion = completeAt(p, s, begin, end, candidates)
+
+            for (var iter = 0; iter < completion.items.length; ++iter) {
+                if (completion.items[iter].kind === CompletionKind.Literal && completion.items[iter].text.length > completion.prefix.length) {
+                    return completion
+                }
+            }
+        }
+
+        return completeAt(p, s, end, end, candidates)
     }
 
-    // Parser parses the expected number of indent
-    // Fails if not enough indent characters could be consumed
-    export function indention() : Parser<number> {
-        return parser ((ps : ParserState) => { 
-            var snapshot = ps.snapshot()
+    // Finds the completions of the text from start to end (see complete)
+    function completeAt(p : Parser<any>, s : string, start : number, end : number, candidates : {[rule : string] : string[]}) : Completion {
+        var prefix  = s.substring(start, end)
+        var ps      = new ParserState(s.substring(0, start))
+        var pResult = run(p, ps)
 
-            if (ps.indent === 0)
-            {
-                return ps.succeed(0)
+        var expected = pResult.success
+            ? (ps.furthestPosition === start ? ps.furthestExpected : [])
+            : (pResult.position === start ? pResult.expected : [])
+
+        var items : CompletionItem[] = []
+
+        for (var iter = 0; iter < expected.length; ++iter) {
+            var e = expected[iter]
+
+            if (e.length > 1 && e.charAt(0) === "\"" && e.charAt(e.length - 1) === "\"") {
+                var literal = e.substring(1, e.length - 1)
+
+                if (literal.substring(0, prefix.length) === prefix) {
+                    items[items.length] = { kind : CompletionKind.Literal, text : literal, rule : null }
+                }
+
+                continue
             }
 
-            var satisy : Satisfy = (ch, pos) => pos < ps.indent && ch === 0x09 /*tab*/
-            var tabs = ps.skipAdvance(satisy)
+            items[items.length] = { kind : CompletionKind.Rule, text : e, rule : e }
 
-            if (tabs !== ps.indent) {
-                ps.restore(snapshot)
-                return ps.fail<number>()
+            var ruleCandidates = candidates && candidates.hasOwnProperty(e) ? candidates[e] : []
+
+            for (var ita = 0; ita < ruleCandidates.length; ++ita) {
+                if (ruleCandidates[ita].substring(0, prefix.length) === prefix) {
+                    items[items.length] = { kind : CompletionKind.Candidate, text : ruleCandidates[ita], rule : e }
+                }
             }
+        }
 
-            return ps.succeed(tabs)
-        })
+        return { start : start, cursor : start + prefix.length, prefix : prefix, expected : expected, items : items }
     }
 
-    // Parses any number of indention characters
-    export function anyIndention() : Parser<number> {
-        return skipSatisfyMany(satisyTab)
+    // StreamParser parses input that arrives in chunks, for example from a 
+    // Node readable stream or a FileReader
+    //  The parser is applied repeatedly to parse records, a record is completed 
+    //  when the parser has succeeded without looking at the end of the buffered input
+    //  If the parser needs more input than is buffered the record is parsed 
+    //  again when more input is fed
+    //  The input of completed records is dropped from the buffer so only 
+    //  the current record needs to be held in memory
+    // Example:
+    //  var sp = new StreamParser(manyString(anyChar().except(EOL())).keepLeft(EOL()))
+    //  stream.on("data", chunk => sp.feed(chunk).value.forEach(handleLine))
+    //  stream.on("end", () => sp.end().value.forEach(handleLine))
+    export class StreamParser<T> {
+        buffer      : string
+        offset      : number
+        line        : number
+        column      : number
+        failure     : ParseResult<T[]>
+
+        constructor (public p : Parser<T>) {
+            this.buffer     = ""
+            this.offset     = 0
+            this.line       = 1
+            this.column     = 1
+            this.failure    = null
+        }
+
+        // Feeds a chunk of input
+        //  The value is the records completed by the chunk
+        //  Fails if a record couldn't be parsed, then all subsequent calls fails
+        //  Note: The failure's value is the records completed before the failure
+        feed(chunk : string) : ParseResult<T[]> {
+            if (this.failure) {
+                return this.failure
+            }
+
+            this.buffer += chunk || ""
+
+            return this.drain(true)
+        }
+
+        // Signals end of input
+        //  The value is the records that remained in the buffer
+        //  Note: The failure's value is the records completed before the failure
+        end() : ParseResult<T[]> {
+            if (this.failure) {
+                return this.failure
+            }
+
+            return this.drain(false)
+        }
+
+        // Parses the completed records in the buffer
+        drain(partial : boolean) : ParseResult<T[]> {
+            var values : T[] = []
+
+            var ps = new ParserState(this.buffer)
+
+            while (this.buffer.length > 0) {
+                ps = new ParserState(this.buffer)
+
+                var pResult = this.p.parseShared(ps)
+
+                if (partial && ps.hitEnd) {
+                    // Waits for more input
+                    break
+                }
+
+                if (!pResult.success) {
+                    return this.fail(ps, ps.furthestFailure(pResult), values)
+                }
+
+                if (ps.position === 0) {
+                    // The parser didn't consume anything, it would be applied forever
+                    return this.fail(ps, ps.fail<T>(), values)
+                }
+
+                values[values.length] = pResult.value
+
+                this.drop(ps.position)
+            }
+
+            return ps.succeedShared(values)
+        }
+
+        // Drops consumed input and updates the location of the buffer
+        drop(n : number) : void {
+            for (var pos = 0; pos < n; ++pos) {
+                var ch = this.buffer.charCodeAt(pos)
+                if (ch === 0x0A /*LF*/ || (ch === 0x0D /*CR*/ && this.buffer.charCodeAt(pos + 1) !== 0x0A)) {
+                    ++this.line
+                    this.column = 1
+                } else {
+                    ++this.column
+                }
+            }
+
+            this.buffer = this.buffer.substring(n)
+            this.offset += n
+        }
+
+        // Locates the failure in the stream and makes the StreamParser failed
+        //  The returned failure's value is the records completed before the failure,
+        //  they are already dropped from the buffer so they aren't returned again
+        fail(ps : ParserState, failure : ParseResult<any>, values : T[]) : ParseResult<T[]> {
+            var location = ps.location(failure.position)
+
+            var pResult = failureResult<T[]>(failure.position, failure.expected)
+
+            pResult.position= this.offset + failure.position
+            pResult.offset  = pResult.position
+            pResult.line    = this.line + location.line - 1
+            pResult.column  = location.line === 1 ? this.column + location.column - 1 : location.column
+
+            this.failure = pResult
+
+            return <ParseResult<T[]>> {success : false , value : values, position : pResult.position, offset : pResult.offset, line : pResult.line, column : pResult.column, token : undefined, expected : pResult.expected, diagnostics : undefined}
+        }
     }
 
-    // Parses any character
-    // The parsed value is a unicode number character
-    export function anyChar() : Parser<number> {
-        return parser ((ps : ParserState) => { 
-            var ch = ps.currentCharCode()
+    // Executes a parser over an input string and records the traced parser invocations in tracer (see trace)
+    // Example:
+    //  var tracer = new Tracer()
+    //  parseWithTracer(p, "x + 3", tracer)
+    //  console.info(tracer.report())
+    export function parseWithTracer<T>(p : Parser<T>, s : string, tracer : Tracer) : ParseResult<T> {
+        var ps = new ParserState(s)
+        ps.tracer = tracer
+        return run(p, ps)
+    }
 
-            if (ch === undefined) {
-                return ps.fail<number>()
+    // Executes a parser and locates the failure and diagnostics in the source text
+    function run<T>(p : Parser<T>, ps : ParserState) : ParseResult<T> {
+        var pResult : ParseResult<T>
+
+        try {
+            pResult = p.parseShared(ps)
+
+            // The success ParseResult is reused by the parser state so a copy is returned
+            pResult = pResult.success
+                ? <ParseResult<T>> {success : true , value : pResult.value}
+                : ps.furthestFailure(pResult)
+        } catch (e) {
+            if (e !== budgetExceeded) {
+                throw e
             }
 
-            ++ps.position
+            pResult = failureResult<T>(ps.position, [ps.steps > ps.maxSteps
+                ? "the parse to end within " + ps.maxSteps + " steps"
+                : "the parse to end within the time budget"])
+        }
 
-            return ps.succeed(ch)
-        })
+        if (!pResult.success) {
+            locate(ps, pResult)
+        }
+
+        for (var iter = 0; iter < ps.diagnostics.length; ++iter) {
+            locate(ps, ps.diagnostics[iter])
+        }
+
+        pResult.diagnostics = ps.diagnostics
+
+        return pResult
     }
 
-    // Parses any character that is a member of str and returns the index of the match
-    export function anyCharOf(str : string) : Parser<number> {
-        var numbers = []
+    // The expected items of a failure that expected nothing in particular
+    var nothingExpected : string[] = []
 
-        for (var iter = 0; iter < str.length; ++iter) {
-            numbers[iter] = str.charCodeAt(iter)
+    // The diagnostics of a memo when the parser added none
+    var nothingDiagnosed : ParseResult<any>[] = []
+
+    // Thrown by ParserState.step when the budget is exceeded, caught by run
+    var budgetExceeded = new Error("mpc: the parse budget was exceeded")
+
+    // Locates a failure in the source text
+    function locate(ps : ParserState, failure : ParseResult<any>) : void {
+        var offset      = ps.sourceOffset(failure.position)
+        var location    = ps.location(offset)
+        failure.offset  = offset
+        failure.line    = location.line
+        failure.column  = location.column
+        failure.token   = ps.tokens ? ps.tokens[failure.position] : undefined
+    }
+
+    // Describes the expected items of a failed ParseResult
+    // Example: expected ")" or digit
+    export function expectedMessage(pResult : ParseResult<any>) : string {
+        return describeExpected(pResult.expected)
+    }
+
+    // Describes expected items
+    function describeExpected(items : string[]) : string {
+        var expected = items || []
+
+        if (expected.length === 0) {
+            return "unexpected input"
         }
 
-        return parser ((ps : ParserState) => { 
-            var ch = ps.currentCharCode()
+        var sb = new StringBuilder()
+
+        sb.append("expected ")
+
+        for (var iter = 0; iter < expected.length; ++iter) {
+            if (iter > 0) {
+                sb.append(iter < expected.length - 1 ? ", " : " or ")
+            }
+            sb.append(expected[iter])
+        }
+
+        return sb.toString()
+    }
+
+    // Describes a failed ParseResult returned by parse
+    // Example: line 1, column 5: expected ")" or digit
+    export function failureMessage(pResult : ParseResult<any>) : string {
+        return new StringBuilder()
+            .append("line ")
+            .append(pResult.line.toString())
+            .append(", column ")
+            .append(pResult.column.toString())
+            .append(": ")
+            .append(expectedMessage(pResult))
+            .toString()
+    }
+
+    // Formats a failed ParseResult returned by parse or parseTokens like a compiler error
+    //  The line that failed is printed with a ^ under the column
+    // Example:
+    //  line 1, column 5: expected ")" or digit
+    //  3 * (4 + 
+    //      ^
+    export function formatFailure(s : string, pResult : ParseResult<any>) : string {
+        var text    = s || ""
+        var begin   = pResult.offset - pResult.column + 1
+        var end     = begin
+
+        for (; end < text.length; ++end) {
+            var ch = text.charCodeAt(end)
+            if (ch === 0x0A /*LF*/ || ch === 0x0D /*CR*/) {
+                break
+            }
+        }
+
+        var sb = new StringBuilder()
+
+        sb
+            .append(failureMessage(pResult))
+            .newLine()
+            .append(text.substring(begin, end))
+            .newLine()
+
+        // Tabs are kept so the ^ lines up with the column
+        for (var pos = begin; pos < pResult.offset; ++pos) {
+            sb.append(text.charCodeAt(pos) === 0x09 /*tab*/ ? "\t" : " ")
+        }
+
+        return sb.append("^").toString()
+    }
+
+    // Joins two spans into a span that starts at first and ends at last
+    //  If one of the spans are missing the other is returned
+    export function joinSpans(first : Span, last : Span) : Span {
+        if (!first) {
+            return last
+        }
+
+        if (!last) {
+            return first
+        }
+
+        return { start : first.start, end : last.end, startLine : first.startLine, startColumn : first.startColumn, endLine : last.endLine, endColumn : last.endColumn }
+    }
+
+    // Appends a traced invocation and the invocations made by it to the report
+    function reportTraceNode(sb : StringBuilder, node : TraceNode, depth : number) : void {
+        sb
+            .indent(depth, "  ")
+            .append(node.name)
+
+        if (node.success) {
+            sb
+                .append(" [")
+                .append(node.start.toString())
+                .append("-")
+                .append(node.end.toString())
+                .append("] success ")
+                .append(quote(node.text))
+        } else {
+            sb
+                .append(" [")
+                .append(node.start.toString())
+                .append("] failed: ")
+                .append(describeExpected(node.expected))
+        }
+
+        sb.newLine()
+
+        for (var iter = 0; iter < node.children.length; ++iter) {
+            reportTraceNode(sb, node.children[iter], depth + 1)
+        }
+    }
+
+    // Creates a failure ParseResult
+    function failureResult<T>(position : number, expected : string[]) : ParseResult<T> {
+        return {success : false , value : undefined, position : position, offset : undefined, line : undefined, column : undefined, token : undefined, expected : expected, diagnostics : undefined}
+    }
+
+    // Quotes a literal so it can be used as an expected item
+    function quote(str : string) : string {
+        return "\"" + str + "\""
+    }
+
+    // Creates the expected items for each character in str
+    function expectedChars(str : string) : string[] {
+        var numbers = codePointsOf(str)
+        var expected : string[] = []
+
+        for (var iter = 0; iter < numbers.length; ++iter) {
+            expected[iter] = quote(fromCodePoint(numbers[iter]))
+        }
+
+        return expected
+    }
+
+    // Creates a description, nested unnamed sequences and choices are flattened
+    function describe(kind : DescriptionKind, text : string, children : Description[]) : Description {
+        if (kind !== DescriptionKind.Sequence && kind !== DescriptionKind.Choice) {
+            return new Description(kind, text, children, null)
+        }
+
+        var flattened : Description[] = []
+
+        for (var iter = 0; iter < children.length; ++iter) {
+            var child = children[iter]
+
+            if (child.kind === kind && child.name === null) {
+                for (var ita = 0; ita < child.children.length; ++ita) {
+                    flattened[flattened.length] = child.children[ita]
+                }
+            } else {
+                flattened[flattened.length] = child
+            }
+        }
+
+        return new Description(kind, text, flattened, null)
+    }
+
+    // Describes a character that satisfies the predicate
+    function describeSatisfy(text : string, satisfy : Satisfy) : Description {
+        var description = describe(DescriptionKind.Special, text, [])
+        description.satisfy = satisfy
+        return description
+    }
+
+    // Creates a named copy of a description
+    //  The copy shares the children so a reference is described by its definition once defined
+    function rename(description : Description, name : string) : Description {
+        var renamed = new Description(description.kind, description.text, description.children, name)
+        renamed.satisfy = description.satisfy
+        return renamed
+    }
+
+    // Returns the descriptions of parsers
+    function descriptionsOf(parsers : Parser<any>[]) : Description[] {
+        var descriptions : Description[] = []
+
+        for (var iter = 0; iter < parsers.length; ++iter) {
+            descriptions[iter] = parsers[iter].description
+        }
+
+        return descriptions
+    }
+
+    // Describes p separated by pSeparator: p { pSeparator p }
+    function describeChain(p : Description, pSeparator : Description) : Description {
+        return describe(DescriptionKind.Sequence, null, [p, describe(DescriptionKind.Many, null, [describe(DescriptionKind.Sequence, null, [pSeparator, p])])])
+    }
+
+    // Describes any character of str
+    function describeChars(str : string) : Description {
+        var numbers = codePointsOf(str)
+        var chars : Description[] = []
+
+        for (var iter = 0; iter < numbers.length; ++iter) {
+            chars[iter] = describe(DescriptionKind.Terminal, fromCodePoint(numbers[iter]), [])
+        }
+
+        return chars.length === 1 ? chars[0] : describe(DescriptionKind.Choice, null, chars)
+    }
+
+    // Returns how many UTF-16 code units a character occupies
+    function charLength(ch : number) : number {
+        return ch > 0xFFFF ? 2 : 1
+    }
+
+    // Returns the code points in str, surrogate pairs are combined
+    function codePointsOf(str : string) : number[] {
+        var numbers : number[] = []
+
+        for (var iter = 0; iter < str.length; ++iter) {
+            var ch = str.charCodeAt(iter)
+            var low = iter + 1 < str.length ? str.charCodeAt(iter + 1) : 0
+
+            if (ch >= 0xD800 && ch <= 0xDBFF && low >= 0xDC00 && low <= 0xDFFF) {
+                ch = 0x10000 + ((ch - 0xD800) << 10) + (low - 0xDC00)
+                ++iter
+            }
+
+            numbers[numbers.length] = ch
+        }
+
+        return numbers
+    }
+
+    // Returns the string of a code point, code points above 0xFFFF becomes a surrogate pair
+    export function fromCodePoint(ch : number) : string {
+        if (ch <= 0xFFFF) {
+            return String.fromCharCode(ch)
+        }
+
+        ch -= 0x10000
+
+        return String.fromCharCode(0xD800 + (ch >> 10), 0xDC00 + (ch & 0x3FF))
+    }
+
+    // Applies the parser in code point mode
+    //  In code point mode satisfy functions and character parsers get code points rather than
+    //  UTF-16 code units and a surrogate pair is advanced over as one character
+    //  Positions, offsets and columns are still in UTF-16 code units
+    // Example: codePoints(satisfy(isIdStart).keepRight(satisfyMany(isIdContinue)))
+    export function codePoints<T>(p : Parser<T>) : Parser<T> {
+        return parser ((ps : ParserState) => { 
+            var previous = ps.codePoints
+
+            ps.codePoints = true
+            var pResult = p.parseShared(ps)
+            ps.codePoints = previous
+
+            return pResult
+        }, p.description)
+    }
+
+    // Returns a parser that always succeed with value
+    export function success<T>(value : T) : Parser<T> {
+        return parser ((ps : ParserState) => { return ps.succeedShared(value) }, describe(DescriptionKind.Empty, null, []))
+    }
+
+    // Returns a parser that always fails
+    export function fail<T>() : Parser<T> {
+        return parser ((ps : ParserState) => { return ps.fail<T>() }, describe(DescriptionKind.Special, "nothing", []))
+    }
+
+    // Parser succeeds with the user state without consuming input
+    //  The user state is undefined until set (see setState)
+    // Example: combine2(p_identifier, getState<SymbolTable>()).test((v) => v.v1.isType(v.v0)).transform((v) => v.v0)
+    export function getState<S>() : Parser<S> {
+        return parser ((ps : ParserState) => { return ps.succeedShared<S>(ps.state) }, describe(DescriptionKind.Empty, null, []))
+    }
+
+    // Parser sets the user state
+    //  The user state is part of the snapshot so it's restored when the parser backtracks
+    // Note: The user state is compared by reference when replaying memoized results so the 
+    //  state should be treated as immutable, change it by setting a new state
+    // Example: setState(new SymbolTable()).keepRight(p_program)
+    export function setState<S>(state : S) : Parser<void> {
+        return parser ((ps : ParserState) => { 
+            ps.setState(state)
+            return ps.succeedShared<void>(undefined)
+        }, describe(DescriptionKind.Empty, null, []))
+    }
+
+    // Parser sets the user state to update applied to the current user state (see setState)
+    // Example: updateState((depth : number) => depth + 1)
+    export function updateState<S>(update : (state : S) => S) : Parser<void> {
+        return parser ((ps : ParserState) => { 
+            ps.setState(update(ps.state))
+            return ps.succeedShared<void>(undefined)
+        }, describe(DescriptionKind.Empty, null, []))
+    }
+
+    // Applies the parser selected by the user state
+    //  Used when the input parses differently depending on what was parsed before
+    // Example: fromState((ops : OperatorTable) => anyStringOf(ops.chars).test((op : string) => ops.isDeclared(op)))
+    export function fromState<S,T>(select : (state : S) => Parser<T>) : Parser<T> {
+        return parser ((ps : ParserState) => select(ps.state).parseShared(ps), describe(DescriptionKind.Special, "state dependent parser", []))
+    }
+
+    // Parser increases the current indent
+    export function indent() : Parser<void> {
+        return parser ((ps : ParserState) => { 
+            ps.increaseIndent()
+            return ps.succeedShared<void>(undefined)
+        }, describe(DescriptionKind.Special, "indent", []))
+    }
+
+    // Parser decreases the current indent
+    // Fails if indent couldn't be decreased
+    export function dedent() : Parser<void> {
+        return parser ((ps : ParserState) => { 
+            if (!ps.decreaseIndent()) {
+                return ps.fail<void>()
+            }
+            return ps.succeedShared<void>(undefined)
+        }, describe(DescriptionKind.Special, "dedent", []))
+    }
+
+    // Parser parses the expected number of indent
+    // Fails if not enough indent characters could be consumed
+    // Note: Only tabs are counted, see block for column based layout with spaces and tabs
+    export function indention() : Parser<number> {
+        var expected = ["indention"]
+
+        return parser ((ps : ParserState) => { 
+            var start   = ps.position
+            var version = ps.version
+
+            if (ps.indent === 0)
+            {
+                return ps.succeedShared(0)
+            }
+
+            var satisy : Satisfy = (ch, pos) => pos < ps.indent && ch === 0x09 /*tab*/
+            var tabs = ps.skipAdvance(satisy)
+
+            if (tabs !== ps.indent) {
+                ps.rewind(start, version)
+                return ps.fail<number>(expected)
+            }
+
+            return ps.succeedShared(tabs)
+        }, describe(DescriptionKind.Special, "indention", []))
+    }
+
+    // Parses any number of indention characters
+    export function anyIndention() : Parser<number> {
+        return skipSatisfyMany(satisyTab)
+    }
+
+    // Applies the parser with the current position as the layout position
+    //  The layout checks (aligned, indented, sameLine and sameOrIndented) compare
+    //  the indentation of the current position with the layout position
+    //  Initially the layout position is the start of the input
+    // Note: Whitespace is expected to be skipped before the parser is applied
+    // Example: withLayout(combine(p_key.keepLeft(skipString(":")), sameOrIndented().keepRight(p_value)))
+    export function withLayout<T>(p : Parser<T>) : Parser<T> {
+        return parser ((ps : ParserState) => { 
+            var previous = ps.layout
+
+            ps.layout = ps.position
+            var pResult = p.parseShared(ps)
+            ps.layout = previous
+
+            return pResult
+        }, p.description)
+    }
+
+    // Applies the parser with the tab width used to measure indentation, the default is 8
+    export function tabWidth<T>(width : number, p : Parser<T>) : Parser<T> {
+        return parser ((ps : ParserState) => { 
+            var previous = ps.tabWidth
+
+            ps.tabWidth = width
+            var pResult = p.parseShared(ps)
+            ps.tabWidth = previous
+
+            return pResult
+        }, p.description)
+    }
+
+    // Parses an offside rule block: the parser applied one or more times where each 
+    //  application starts at the column of the first one
+    //  The block ends at the first line that isn't aligned with the block
+    // Note: The parser is expected to skip the whitespace and newlines after it
+    // Example: p_key.keepLeft(skipString(":")).keepLeft(p_whitespaces).keepLeft(indented()).keepRight(block(p_entry))
+    export function block<T>(p : Parser<T>) : Parser<T[]> {
+        return withLayout(many1(aligned().keepRight(p)))
+    }
+
+    // Succeeds if the current position is at the same column as the layout position
+    export function aligned() : Parser<void> {
+        return parser ((ps : ParserState) => { 
+            var layout = ps.indentation(ps.layout)
+
+            if (compareIndentation(ps, layout) !== 0) {
+                return ps.fail<void>(["line aligned with column " + layout.column])
+            }
+
+            return ps.succeedShared<void>(undefined)
+        }, describe(DescriptionKind.Special, "aligned", []))
+    }
+
+    // Succeeds if the current position is at a column after the layout position
+    export function indented() : Parser<void> {
+        return parser ((ps : ParserState) => { 
+            var layout = ps.indentation(ps.layout)
+
+            if (compareIndentation(ps, layout) <= 0) {
+                return ps.fail<void>(["line indented past column " + layout.column])
+            }
+
+            return ps.succeedShared<void>(undefined)
+        }, describe(DescriptionKind.Special, "indented", []))
+    }
+
+    // Succeeds if the current position is on the same line as the layout position
+    export function sameLine() : Parser<void> {
+        return parser ((ps : ParserState) => { 
+            var line = ps.location(ps.sourceOffset(ps.layout)).line
+
+            if (ps.location(ps.sourceOffset(ps.position)).line !== line) {
+                return ps.fail<void>(["continuation of line " + line])
+            }
+
+            return ps.succeedShared<void>(undefined)
+        }, describe(DescriptionKind.Special, "same line", []))
+    }
+
+    // Succeeds if the current position is on the same line as the layout position
+    //  or at a column after it
+    export function sameOrIndented() : Parser<void> {
+        return choice(sameLine(), indented())
+    }
+
+    // Compares the indentation of the current position with the layout indentation
+    //  Returns a negative number if the current position is before the layout column, 
+    //  0 if it's at the layout column and a positive number if it's after the layout column
+    //  A diagnostic is added if the comparison depends on the tab width, that is 
+    //  when tabs and spaces are mixed inconsistently
+    function compareIndentation(ps : ParserState, layout : Indentation) : number {
+        var current = ps.indentation(ps.position)
+
+        var compare = current.column - layout.column
+        var narrow  = current.narrow - layout.narrow
+
+        if ((compare < 0) !== (narrow < 0) || (compare === 0) !== (narrow === 0)) {
+            ps.addDiagnostic(failureResult<any>(ps.position, ["consistent use of tabs and spaces in indentation"]))
+        }
+
+        return compare
+    }
+
+    // Parses any character
+    // The parsed value is a unicode number character
+    export function anyChar() : Parser<number> {
+        var expected = ["any character"]
+
+        return parser ((ps : ParserState) => { 
+            var ch = ps.currentCharCode()
+
+            if (ch === undefined) {
+                return ps.fail<number>(expected)
+            }
+
+            ps.position += charLength(ch)
+
+            return ps.succeedShared(ch)
+        }, describe(DescriptionKind.Special, "any character", []))
+    }
+
+    // Parses any character that is a member of str and returns the index of the match
+    //  In code point mode a character in str above 0xFFFF counts as one
+    export function anyCharOf(str : string) : Parser<number> {
+        var numbers = codePointsOf(str)
+
+        var expected = expectedChars(str)
+
+        return parser ((ps : ParserState) => { 
+            var ch = ps.currentCharCode()
+
+            if (ch === undefined) {
+                return ps.fail<number>(expected)
+            }
+
+            var indexOf = numbers.indexOf(ch)
+
+            if (indexOf < 0) {
+                return ps.fail<number>(expected)
+            }
+
+            ps.position += charLength(ch)
+
+            return ps.succeedShared(indexOf)
+        }, describeChars(str))
+    }
+    export function anyCharOf2<T>(str : string, mapTo : T[]) : Parser<T> {
+        var numbers = codePointsOf(str)
+
+        var expected = expectedChars(str)
+
+        return parser ((ps : ParserState) => { 
+            var ch = ps.currentCharCode()
+
+            if (ch === undefined) {
+                return ps.fail<T>(expected)
+            }
+
+            var indexOf = numbers.indexOf(ch)
+
+            if (indexOf < 0) {
+                return ps.fail<T>(expected)
+            }
+
+            if (indexOf >= mapTo.length) {
+                return ps.fail<T>(expected)
+            }
+
+            ps.position += charLength(ch)
+
+            return ps.succeedShared(mapTo[indexOf])
+        }, describeChars(str))
+    }
+
+    // Parses a string whose characters are a member of str
+    export function anyStringOf<T>(str : string) : Parser<string> {
+        var numbers = codePointsOf(str)
+
+        return parser ((ps : ParserState) => { 
+            var ch = 0
+            var data : string[] = []
+
+            var result = ps.advance((ch, pos) => numbers.indexOf(ch) > -1)
+
+            return ps.succeedShared(result)
+        }, describe(DescriptionKind.Many, null, [describeChars(str)]))
+    }
+
+    // Parses EOS (end of stream)
+    export function EOS() : Parser<void> {
+        var expected = ["end of input"]
+
+        return parser ((ps : ParserState) => { 
+            if (!ps.isEOS()) {
+                return ps.fail<void>(expected)
+            }
+
+            return ps.succeedShared<void>(undefined)
+        }, describe(DescriptionKind.Special, "end of input", []))
+    }
+
+    // Parses EOL (end of line)
+    export function EOL() : Parser<void> {
+        var expected = ["end of line"]
+
+        return parser ((ps : ParserState) => { 
+            if (ps.isEOS()) {
+                return ps.succeedShared<void>(undefined)
+            }
+
+            if (ps.text[ps.position] === "\n") {
+                ++ps.position
+
+                return ps.succeedShared<void>(undefined)
+            }
+
+            if (ps.text[ps.position] === "\r") {
+                ++ps.position
+
+                if (!ps.isEOS() && ps.text[ps.position] === "\n") {
+                    ++ps.position
+
+                    return ps.succeedShared<void>(undefined)
+                }
+
+                return ps.succeedShared<void>(undefined)
+            }
+
+            return ps.fail<void>(expected)
+        }, describe(DescriptionKind.Special, "end of line", []))
+    }
+
+    // Parses a character that satisfy the predicate
+    //  expected describes the character in failure messages
+    export function satisfy(satisfy : Satisfy, expected? : string) : Parser<number> {
+        var expectedItems = expected ? [expected] : []
+
+        return parser ((ps : ParserState) => { 
+            if (ps.isEOS()) {
+                return ps.fail<number>(expectedItems)
+            }
+
+            var ch = ps.currentCharCode()
+
+            if (!satisfy(ch,0)) {
+                return ps.fail<number>(expectedItems)
+            }
+
+            ps.position += charLength(ch)
+
+            return ps.succeedShared(ch)
+        }, describeSatisfy(expected || "character", satisfy))
+    }
+
+    // Parses a string that satisfy the predicate
+    export function satisfyMany(satisfy : Satisfy) : Parser<string> {
+        return parser ((ps : ParserState) => { return ps.succeedShared(ps.advance(satisfy)) }, describe(DescriptionKind.Many, null, [describeSatisfy("character", satisfy)]))
+    }
+
+    // Skips characters that match the predicate
+    export function skipSatisfyMany(satisfy : Satisfy) : Parser<number> {
+        return parser ((ps : ParserState) => { return ps.succeedShared(ps.skipAdvance(satisfy)) }, describe(DescriptionKind.Many, null, [describeSatisfy("character", satisfy)]))
+    }
+
+    // Satisfy function for whitespace
+    export function satisyWhitespace(ch : number, pos : number) {
+        switch(ch)
+        {
+        case 0x09:  // Tab
+        case 0x0A:  // LF
+        case 0x0D:  // CR
+        case 0x20:  // Space
+            return true
+        default:
+            return false
+        }
+    }
+
+    // Satisfy function for tab
+    export function satisyTab(ch : number, pos : number) {
+        return ch === 0x09 // Tab
+    }
+
+    // Creates a satisfy function that tests a code point against a unicode property
+    //  fallback is used when the regular expressions doesn't support unicode property escapes
+    function unicodeProperty(property : string, fallback : Satisfy) : Satisfy {
+        var re : RegExp = null
+
+        try {
+            re = new RegExp("^\\p{" + property + "}$", "u")
+        } catch (e) {
+            return fallback
+        }
+
+        // The ASCII characters are looked up as testing a character allocates a string
+        var ascii : boolean[] = []
+
+        for (var ch = 0; ch < 128; ++ch) {
+            ascii[ch] = re.test(String.fromCharCode(ch))
+        }
+
+        return (ch, pos) => ch < 128 ? ascii[ch] : ch !== undefined && re.test(fromCodePoint(ch))
+    }
+
+    // Approximates unicode letters as characters with case and the common CJK, kana and hangul blocks
+    function fallbackLetter(ch : number, pos : number) : boolean {
+        if (ch === undefined) {
+            return false
+        }
+
+        var s = fromCodePoint(ch)
+
+        return s.toLowerCase() !== s.toUpperCase()
+            || (ch >= 0x3040 && ch <= 0x30FF)   // Hiragana and Katakana
+            || (ch >= 0x3400 && ch <= 0x4DBF)   // CJK Extension A
+            || (ch >= 0x4E00 && ch <= 0x9FFF)   // CJK Unified Ideographs
+            || (ch >= 0xAC00 && ch <= 0xD7A3)   // Hangul Syllables
+            || (ch >= 0x20000 && ch <= 0x2FA1F) // CJK Extension B and beyond
+    }
+
+    var letter          = unicodeProperty("L", fallbackLetter)
+    var digit           = unicodeProperty("Nd", (ch, pos) => ch >= 0x30 && ch <= 0x39)
+    var idStart         = unicodeProperty("ID_Start", letter)
+    var idContinue      = unicodeProperty("ID_Continue", (ch, pos) => letter(ch, pos) || digit(ch, pos) || ch === 0x5F || (ch >= 0x0300 && ch <= 0x036F))
+    var whitespace      = unicodeProperty("White_Space", (ch, pos) => ch !== undefined && /^\s$/.test(fromCodePoint(ch)))
+
+    // Satisfy function for unicode letters (category L)
+    //  Use with codePoints to get letters above 0xFFFF
+    // Example: codePoints(satisfyMany(isLetter))
+    export function isLetter(ch : number, pos : number) : boolean {
+        return letter(ch, pos)
+    }
+
+    // Satisfy function for unicode decimal digits (category Nd)
+    export function isDigit(ch : number, pos : number) : boolean {
+        return digit(ch, pos)
+    }
+
+    // Satisfy function for characters that can start an identifier (unicode property ID_Start)
+    export function isIdStart(ch : number, pos : number) : boolean {
+        return idStart(ch, pos)
+    }
+
+    // Satisfy function for characters that can continue an identifier (unicode property ID_Continue)
+    export function isIdContinue(ch : number, pos : number) : boolean {
+        return idContinue(ch, pos)
+    }
+
+    // Satisfy function for unicode whitespace (unicode property White_Space)
+    //  Unlike satisyWhitespace this includes for example no-break space and line separator
+    export function isUnicodeWhitespace(ch : number, pos : number) : boolean {
+        return whitespace(ch, pos)
+    }
+
+    // Skips a string that matches str
+    //  Typically used to parse tokens in file
+    // Note: Compares UTF-16 code units so it's the same in code point mode
+    export function skipString(str : string) : Parser<void> {
+        var expected = [quote(str)]
+
+        return parser ((ps : ParserState) => { 
+            var begin = ps.position
+            var end = ps.text.length
+
+            var i = 0
+
+            for (; i < str.length && begin + i < end && ps.text.charCodeAt(begin + i) === str.charCodeAt(i); ++i) {
+            }
+
+            if (i === str.length) {
+                ps.position = begin + i
+                return ps.succeedShared<void>(undefined)
+            }
+
+            if (begin + i === end) {
+                ps.hitEnd = true
+            }
+
+            return ps.fail<void>(expected)
+        }, describe(DescriptionKind.Terminal, str, []))
+    }
+
+    // Parses the text that matches the regular expression at the current position
+    //  The value is the match followed by the capture groups
+    //  The pattern is the expected item in failure messages
+    // Note: Uses a sticky regular expression when supported
+    // Note: When used with StreamParser a match that reaches the end of the buffered input
+    //  waits for more input as it might match more. As where a failed match stopped isn't known
+    //  a failure only waits for more input at the end of the buffered input, so a match split
+    //  by the end of a chunk (like /\d+;/ on 12) fails. Use regular expressions that match
+    //  a token at a time and combine them with parsers instead
+    // Example: regexGroups(/(\d{4})-(\d{2})-(\d{2})/)
+    export function regexGroups(re : RegExp) : Parser<string[]> {
+        var expected = [re.toString()]
+
+        // Keeps every flag but global and sticky, flags isn't supported by older engines
+        var flags : string = (<any>re).flags !== undefined
+            ? (<any>re).flags.replace(/[gy]/g, "")
+            : (re.ignoreCase ? "i" : "") + (re.multiline ? "m" : "")
+
+        var sticky : RegExp = null
+
+        try {
+            sticky = new RegExp(re.source, flags + "y")
+        } catch (e) {
+            sticky = null
+        }
+
+        var anchored = new RegExp("^(?:" + re.source + ")", flags)
+
+        return parser ((ps : ParserState) => { 
+            var match : string[]
+
+            if (sticky) {
+                sticky.lastIndex = ps.position
+                match = sticky.exec(ps.text)
+            } else {
+                var anchoredMatch = anchored.exec(ps.text.substring(ps.position))
+                match = anchoredMatch && anchoredMatch.index === 0 ? anchoredMatch : null
+            }
+
+            if (!match) {
+                if (ps.position >= ps.text.length) {
+                    ps.hitEnd = true
+                }
+                return ps.fail<string[]>(expected)
+            }
+
+            ps.position += match[0].length
+
+            if (ps.position >= ps.text.length) {
+                ps.hitEnd = true
+            }
+
+            return ps.succeedShared(match)
+        }, describe(DescriptionKind.Special, re.toString(), []))
+    }
+
+    // Parses the text that matches the regular expression at the current position
+    //  The value is the matched text
+    // Example: regex(/[0-9]+(\.[0-9]+)?/)
+    export function regex(re : RegExp) : Parser<string> {
+        return regexGroups(re).transform((match : string[]) => match[0])
+    }
+
+    // Parses a token that satisfy the predicate
+    //  expected describes the token in failure messages
+    // Note: Token parsers requires that tokens are parsed, see parseTokens
+    export function satisfyToken(satisfy : SatisfyToken, expected? : string) : Parser<Token> {
+        var expectedItems = expected ? [expected] : []
+
+        return parser ((ps : ParserState) => { 
+            var token = ps.currentToken()
+
+            if (token === undefined || !satisfy(token)) {
+                return ps.fail<Token>(expectedItems)
+            }
+
+            ++ps.position
+
+            return ps.succeedShared(token)
+        }, describe(DescriptionKind.Special, expected || "token", []))
+    }
+
+    // Parses a token of type, if text is given the token text must match as well
+    // Example: token("keyword", "if")
+    export function token(type : string, text? : string) : Parser<Token> {
+        return satisfyToken(
+            (t : Token) => t.type === type && (text === undefined || t.text === text),
+            text === undefined ? type : quote(text)
+            )
+    }
+
+    // Parses any token
+    export function anyToken() : Parser<Token> {
+        return satisfyToken((t : Token) => true, "any token")
+    }
+
+    // Creates a binary parser, the parser parses size bytes and read reads the value from the view
+    //  name is the expected item in failure messages
+    function binary<T>(name : string, size : number, read : (view : DataView, pos : number) => T) : Parser<T> {
+        var expected = [name]
+
+        return parser ((ps : ParserState) => { 
+            if (ps.view === null) {
+                throw new Error("mpc." + name + ": binary parsers require binary data, see parseBytes")
+            }
+
+            if (ps.position + size > ps.text.length) {
+                ps.hitEnd = true
+                return ps.fail<T>(expected)
+            }
+
+            var value = read(ps.view, ps.position)
+
+            ps.position += size
+
+            return ps.succeedShared(value)
+        }, describe(DescriptionKind.Special, name, []))
+    }
+
+    // Describes the byte order of a binary number
+    function endianName(name : string, endian : Endian) : string {
+        return name + (endian === Endian.Little ? " (little endian)" : " (big endian)")
+    }
+
+    // Parses an unsigned byte
+    // Note: Binary parsers requires binary data, see parseBytes
+    export function uint8() : Parser<number> {
+        return binary("uint8", 1, (view, pos) => view.getUint8(pos))
+    }
+
+    // Parses a signed byte
+    export function int8() : Parser<number> {
+        return binary("int8", 1, (view, pos) => view.getInt8(pos))
+    }
+
+    // Parses an unsigned 16 bit integer
+    // Example: uint16(Endian.Big)
+    export function uint16(endian : Endian) : Parser<number> {
+        var little = endian === Endian.Little
+        return binary(endianName("uint16", endian), 2, (view, pos) => view.getUint16(pos, little))
+    }
+
+    // Parses a signed 16 bit integer
+    export function int16(endian : Endian) : Parser<number> {
+        var little = endian === Endian.Little
+        return binary(endianName("int16", endian), 2, (view, pos) => view.getInt16(pos, little))
+    }
+
+    // Parses an unsigned 32 bit integer
+    export function uint32(endian : Endian) : Parser<number> {
+        var little = endian === Endian.Little
+        return binary(endianName("uint32", endian), 4, (view, pos) => view.getUint32(pos, little))
+    }
+
+    // Parses a signed 32 bit integer
+    export function int32(endian : Endian) : Parser<number> {
+        var little = endian === Endian.Little
+        return binary(endianName("int32", endian), 4, (view, pos) => view.getInt32(pos, little))
+    }
+
+    // Parses a 32 bit floating point number (IEEE 754 single precision)
+    export function float32(endian : Endian) : Parser<number> {
+        var little = endian === Endian.Little
+        return binary(endianName("float32", endian), 4, (view, pos) => view.getFloat32(pos, little))
+    }
+
+    // Parses a 64 bit floating point number (IEEE 754 double precision)
+    export function float64(endian : Endian) : Parser<number> {
+        var little = endian === Endian.Little
+        return binary(endianName("float64", endian), 8, (view, pos) => view.getFloat64(pos, little))
+    }
+
+    // Parses count bytes
+    // Note: The value is a view of the parsed data, not a copy
+    // Example: bytes(4).transform((chunkType : Uint8Array) => String.fromCharCode.apply(null, chunkType))
+    export function bytes(count : number) : Parser<Uint8Array> {
+        return binary(count + " bytes", count, (view, pos) => new Uint8Array(view.buffer, view.byteOffset + pos, count))
+    }
+
+    // Parses the bytes of a field whose length is parsed by pLength
+    // Note: The value is a view of the parsed data, not a copy
+    // Example: lengthPrefixed(uint8())
+    export function lengthPrefixed(pLength : Parser<number>) : Parser<Uint8Array> {
+        var rest = parser ((ps : ParserState) => { 
+            var pos = ps.position
+
+            ps.position = ps.text.length
+
+            return ps.succeedShared(new Uint8Array(ps.view.buffer, ps.view.byteOffset + pos, ps.position - pos))
+        }, describe(DescriptionKind.Special, "bytes", []))
+
+        return lengthPrefixedWith(pLength, rest)
+    }
+
+    // Applies p to a field whose length is parsed by pLength, p must parse the whole field
+    //  The end of the field is the end of input for p so p can't read past the field
+    // Note: Memoized parsers aren't memoized across the field boundary as the end of input differs
+    // Example: many(lengthPrefixedWith(uint32(Endian.Big), combine2(bytes(4), many(uint8()))))
+    export function lengthPrefixedWith<T>(pLength : Parser<number>, p : Parser<T>) : Parser<T> {
+        var expectedField   = ["the bytes of the field"]
+        var expectedEnd     = ["the end of the field"]
+
+        return parser ((ps : ParserState) => { 
+            var start   = ps.position
+            var version = ps.version
+
+            var pLengthResult = pLength.parseShared(ps)
+
+            if (!pLengthResult.success) {
+                return ps.propagate<T>(pLengthResult)
+            }
+
+            var end = ps.position + pLengthResult.value
+
+            if (end > ps.text.length) {
+                ps.hitEnd = true
+
+                var failure = ps.fail<T>(expectedField)
+                ps.rewind(start, version)
+                return failure
+            }
+
+            var text    = ps.text
+            var memos   = ps.memos
+            var hitEnd  = ps.hitEnd
+
+            var pResult : ParseResult<T>
+
+            ps.text     = text.substring(0, end)
+            ps.memos    = []
+
+            try {
+                pResult = p.parseShared(ps)
+            } finally {
+                ps.text     = text
+                ps.memos    = memos
+                ps.hitEnd   = hitEnd
+            }
+
+            if (!pResult.success) {
+                ps.rewind(start, version)
+                return ps.propagate<T>(pResult)
+            }
+
+            if (ps.position < end) {
+                var failure = ps.fail<T>(expectedEnd)
+                ps.rewind(start, version)
+                return failure
+            }
+
+            return ps.succeedShared(pResult.value)
+        }, describe(DescriptionKind.Sequence, null, [pLength.description, p.description]))
+    }
+
+    // Parses the bytes of a magic number, typically the signature at the start of a file format
+    // Example: magic([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])   // PNG
+    export function magic(signature : number[]) : Parser<void> {
+        var hex : string[] = []
+
+        for (var iter = 0; iter < signature.length; ++iter) {
+            hex[iter] = (signature[iter] < 16 ? "0" : "") + signature[iter].toString(16).toUpperCase()
+        }
+
+        return skipString(String.fromCharCode.apply(null, signature)).label("magic number " + hex.join(" "))
+    }
+
+    // Applies the parser until it fails and the value is an array of all successfully parsed values
+    export function many<T>(p : Parser<T>) : Parser<T[]> {
+        return parser ((ps : ParserState) => { 
+
+            var result : T[] = []
+
+            var pResult : ParseResult<T>
+
+            var position = ps.position
+
+            while((pResult = p.parseShared(ps)).success) {
+                ensureProgress("many", ps, position)
+                result[result.length] = pResult.value
+                position = ps.position
+            }
+
+            return ps.succeedShared(result)
+        }, describe(DescriptionKind.Many, null, [p.description]))
+    }
+
+    // Applies the character number parser and combines the characters into a string
+    export function manyString(p : Parser<number>) : Parser<string> {
+        return parser ((ps : ParserState) => { 
+
+            var result = ""
+
+            var pResult : ParseResult<number>
+
+            var data : string[] = []
+
+            var position = ps.position
+
+            while((pResult = p.parseShared(ps)).success) {
+                ensureProgress("manyString", ps, position)
+                data[data.length] = fromCodePoint(pResult.value)
+                position = ps.position
+            }
+
+            return ps.succeedShared(data.join(""))
+        }, describe(DescriptionKind.Many, null, [p.description]))
+    }
+
+    // Applies the parser until it fails, fails if the parser doesn't succeed at least once
+    export function many1<T>(p : Parser<T>) : Parser<T[]> {
+        return parser ((ps : ParserState) => { 
+
+            var pResult = p.parseShared(ps)
+
+            if (!pResult.success) {
+                return ps.propagate<T[]>(pResult)
+            }
+
+            var result : T[] = [pResult.value]
+
+            var position = ps.position
+
+            while((pResult = p.parseShared(ps)).success) {
+                ensureProgress("many1", ps, position)
+                result[result.length] = pResult.value
+                position = ps.position
+            }
+
+            return ps.succeedShared(result)
+        }, describe(DescriptionKind.Many1, null, [p.description]))
+    }
+
+    // Throws if a parser applied repeatedly by combinator succeeded without consuming any input
+    //  since position as it would be applied forever, like many(anyStringOf("0"))
+    function ensureProgress(combinator : string, ps : ParserState, position : number) : void {
+        if (ps.position === position) {
+            throw new Error("mpc." + combinator + ": the parser succeeded without consuming any input, it would be applied forever")
+        }
+    }
+
+    // Parses zero or more p separated by pSeparator
+    // Example: sepBy(p_number, skipString(","))
+    export function sepBy<T,S>(p : Parser<T>, pSeparator : Parser<S>) : Parser<T[]> {
+        var pSepBy1 = sepBy1(p, pSeparator)
+
+        return parser ((ps : ParserState) => { 
+            var pResult = pSepBy1.parseShared(ps)
+
+            if (!pResult.success) {
+                return ps.succeedShared<T[]>([])
+            }
+
+            return pResult
+        }, describe(DescriptionKind.Optional, null, [pSepBy1.description]))
+    }
+
+    // Parses one or more p separated by pSeparator
+    //  A trailing separator isn't consumed
+    export function sepBy1<T,S>(p : Parser<T>, pSeparator : Parser<S>) : Parser<T[]> {
+        return parser ((ps : ParserState) => { 
+
+            var pResult = p.parseShared(ps)
+
+            if (!pResult.success) {
+                return ps.propagate<T[]>(pResult)
+            }
+
+            var result : T[] = [pResult.value]
+
+            var start   = ps.position
+            var version = ps.version
+
+            while(pSeparator.parseShared(ps).success && (pResult = p.parseShared(ps)).success) {
+                ensureProgress("sepBy1", ps, start)
+                start   = ps.position
+                version = ps.version
+                result[result.length] = pResult.value
+            }
+
+            ps.rewind(start, version)
+
+            return ps.succeedShared(result)
+        }, describeChain(p.description, pSeparator.description))
+    }
+
+    // Parses zero or more p each followed by pEnd
+    // Example: endBy(p_statement, skipString(";"))
+    export function endBy<T,S>(p : Parser<T>, pEnd : Parser<S>) : Parser<T[]> {
+        return parser ((ps : ParserState) => { 
+
+            var result : T[] = []
+
+            var start   = ps.position
+            var version = ps.version
+
+            var pResult : ParseResult<T>
+
+            while((pResult = p.parseShared(ps)).success) {
+                var value = pResult.value
+
+                if (!pEnd.parseShared(ps).success) {
+                    break
+                }
+
+                ensureProgress("endBy", ps, start)
+                start   = ps.position
+                version = ps.version
+                result[result.length] = value
+            }
+
+            ps.rewind(start, version)
+
+            return ps.succeedShared(result)
+        }, describe(DescriptionKind.Many, null, [describe(DescriptionKind.Sequence, null, [p.description, pEnd.description])]))
+    }
+
+    // Applies p until pEnd succeeds, pEnd is consumed
+    //  Fails if p fails before pEnd succeeds
+    // Example: skipString("/*").keepRight(manyTill(anyChar(), skipString("*/")))
+    export function manyTill<T,S>(p : Parser<T>, pEnd : Parser<S>) : Parser<T[]> {
+        return parser ((ps : ParserState) => { 
+            var start   = ps.position
+            var version = ps.version
+
+            var result : T[] = []
+
+            for (;;) {
+                var position = ps.position
+
+                var pEndResult = pEnd.parseShared(ps)
+
+                if (pEndResult.success) {
+                    return ps.succeedShared(result)
+                }
+
+                var pResult = p.parseShared(ps)
+
+                if (!pResult.success) {
+                    ps.rewind(start, version)
+                    return ps.merge(ps.propagate<T[]>(pEndResult), pResult)
+                }
+
+                ensureProgress("manyTill", ps, position)
+
+                result[result.length] = pResult.value
+            }
+        }, describe(DescriptionKind.Sequence, null, [describe(DescriptionKind.Many, null, [p.description]), pEnd.description]))
+    }
+
+    // Applies p exactly n times
+    export function count<T>(n : number, p : Parser<T>) : Parser<T[]> {
+        return parser ((ps : ParserState) => { 
+            var start   = ps.position
+            var version = ps.version
+
+            var result : T[] = []
+
+            for (var iter = 0; iter < n; ++iter) {
+                var pResult = p.parseShared(ps)
+
+                if (!pResult.success) {
+                    ps.rewind(start, version)
+                    return ps.propagate<T[]>(pResult)
+                }
+
+                result[result.length] = pResult.value
+            }
+
+            return ps.succeedShared(result)
+        }, describe(DescriptionKind.Count, n.toString(), [p.description]))
+    }
+
+    // Applies p without consuming any input
+    //  Succeeds with the value of p if p succeeds
+    // Example: identifier.keepLeft(lookahead(skipString("(")))
+    export function lookahead<T>(p : Parser<T>) : Parser<T> {
+        return parser ((ps : ParserState) => { 
+            var start   = ps.position
+            var version = ps.version
+
+            var pResult = p.parseShared(ps)
+
+            ps.rewind(start, version)
+
+            return pResult
+        }, describe(DescriptionKind.FollowedBy, null, [p.description]))
+    }
+
+    // Succeeds without consuming any input if p fails
+    // Example: skipString("if").keepLeft(notFollowedBy(satisfy(isLetter)))
+    export function notFollowedBy<T>(p : Parser<T>) : Parser<void> {
+        return parser ((ps : ParserState) => { 
+            var start   = ps.position
+            var version = ps.version
+
+            var pResult = p.parseShared(ps)
+
+            if (pResult.success) {
+                ps.rewind(start, version)
+                return ps.fail<void>()
+            }
+
+            return ps.succeedShared<void>(undefined)
+        }, describe(DescriptionKind.NotFollowedBy, null, [p.description]))
+    }
+
+    // Applies the parsers in order and the value is an array of all parsed values
+    // Example: sequence(p_identifier, skipString("="), p_value)
+    export function sequence(... parsers : Parser<any>[]) : Parser<any[]> {
+        return parser ((ps : ParserState) => { 
+            var start   = ps.position
+            var version = ps.version
+
+            var result : any[] = []
+
+            for (var iter = 0; iter < parsers.length; ++iter) {
+                var pResult = parsers[iter].parseShared(ps)
+
+                if (!pResult.success) {
+                    ps.rewind(start, version)
+                    return ps.propagate<any[]>(pResult)
+                }
+
+                result[iter] = pResult.value
+            }
+
+            return ps.succeedShared(result)
+        }, describe(DescriptionKind.Sequence, null, descriptionsOf(parsers)))
+    }
+
+    // Applies the parsers in order and the value is an object with the parsed values by name
+    // Example: seq({name : p_identifier, eq : skipString("="), value : p_value})
+    export function seq(parsers : {[name : string] : Parser<any>}) : Parser<any> {
+        var names : string[] = []
+        var ordered : Parser<any>[] = []
+
+        for (var name in parsers) {
+            if (parsers.hasOwnProperty(name)) {
+                names[names.length]     = name
+                ordered[ordered.length] = parsers[name]
+            }
+        }
+
+        return parser ((ps : ParserState) => { 
+            var start   = ps.position
+            var version = ps.version
+
+            var result : any = {}
+
+            for (var iter = 0; iter < names.length; ++iter) {
+                var pResult = parsers[names[iter]].parseShared(ps)
+
+                if (!pResult.success) {
+                    ps.rewind(start, version)
+                    return ps.propagate<any>(pResult)
+                }
+
+                result[names[iter]] = pResult.value
+            }
+
+            return ps.succeedShared(result)
+        }, describe(DescriptionKind.Sequence, null, descriptionsOf(ordered)))
+    }
+
+    // Pairs the parsed value with the span of the consumed input
+    // Note: This struggles as a member function
+    export function withSpan<T>(p : Parser<T>) : Parser<Spanned<T>> {
+        return p.located((value : T, span : Span) => { return {value : value, span : span} })
+    }
+
+    // Combines two parser results into a tuple value of both results
+    export function combine2<T0, T1>(p0 : Parser<T0>, p1 : Parser<T1>) : Parser<{v0 : T0; v1 : T1}> {
+        return parser ((ps : ParserState) => { 
+            var start   = ps.position
+            var version = ps.version
+
+            var p0Result = p0.parseShared(ps)
+
+            if (!p0Result.success) {
+                return ps.propagate<{v0 : T0; v1 : T1}>(p0Result)
+            }
+
+            var v0 = p0Result.value
+
+            var p1Result = p1.parseShared(ps)
+
+            if (!p1Result.success) {
+                ps.rewind(start, version)
+                return ps.propagate<{v0 : T0; v1 : T1}>(p1Result)
+            }
+
+            var result = {v0 : v0, v1 : p1Result.value}
+
+            return ps.succeedShared(result)
+        }, describe(DescriptionKind.Sequence, null, [p0.description, p1.description]))
+    }
+
+    // Combines three parser results into a tuple value of all results
+    export function combine3<T0, T1, T2>(p0 : Parser<T0>, p1 : Parser<T1>, p2 : Parser<T2>) : Parser<{v0 : T0; v1 : T1; v2 : T2}> {
+        return parser ((ps : ParserState) => { 
+            var start   = ps.position
+            var version = ps.version
+
+            var p0Result = p0.parseShared(ps)
+
+            if (!p0Result.success) {
+                return ps.propagate<{v0 : T0; v1 : T1; v2 : T2}>(p0Result)
+            }
+
+            var v0 = p0Result.value
+
+            var p1Result = p1.parseShared(ps)
+
+            if (!p1Result.success) {
+                ps.rewind(start, version)
+                return ps.propagate<{v0 : T0; v1 : T1; v2 : T2}>(p1Result)
+            }
+
+            var v1 = p1Result.value
+
+            var p2Result = p2.parseShared(ps)
+
+            if (!p2Result.success) {
+                ps.rewind(start, version)
+                return ps.propagate<{v0 : T0; v1 : T1; v2 : T2}>(p2Result)
+            }
+
+            var result = {v0 : v0, v1 : v1, v2 : p2Result.value}
+
+            return ps.succeedShared(result)
+        }, describe(DescriptionKind.Sequence, null, [p0.description, p1.description, p2.description]))
+    }
+
+    // recover recovers from failures of p when parsing with parseWithRecovery
+    //  The failure is recorded as a diagnostic, then the input is skipped from
+    //  the failure position until pSync succeeds and the value is fallback
+    //  pSync isn't consumed so the enclosing parser can parse the synchronization token
+    //  If pSync never succeeds the input is skipped to end of stream
+    //  If no input would be skipped, like when pSync succeeds where p started or p fails at
+    //  end of stream, recover fails as p so repeating recover always makes progress
+    //  If missing is set the fallback stands in for the missing input instead, like the operand
+    //  after an operator (don't repeat it with many or the like as it consumes nothing)
+    //  When not parsing with parseWithRecovery recover is the same as p
+    // Example: recover(p_term, anyCharOf(")+-*/"), new ErrorExpression(), true)
+    export function recover<T,S>(p : Parser<T>, pSync : Parser<S>, fallback : T, missing? : boolean) : Parser<T> {
+        return parser ((ps : ParserState) => { 
+            if (!ps.recovering) {
+                return p.parseShared(ps)
+            }
+
+            // The furthest failure of p is the failure recovered from so it 
+            // shouldn't be confused with the failures of the enclosing parsers
+            var furthestPosition = ps.furthestPosition
+            var furthestExpected = ps.furthestExpected
+
+            ps.furthestPosition = -1
+            ps.furthestExpected = []
+
+            var pResult = p.parseShared(ps)
+
+            if (pResult.success) {
+                ps.recordFailure(furthestPosition, furthestExpected)
+                return pResult
+            }
+
+            var failure = ps.furthestFailure(pResult)
+
+            var begin = ps.position
+
+            ps.position = failure.position
+
+            for (;;) {
+                var start   = ps.position
+                var version = ps.version
+
+                var pSyncResult = pSync.parseShared(ps)
+
+                ps.rewind(start, version)
+
+                if (pSyncResult.success || ps.isEOS()) {
+                    break
+                }
+
+                // Skips a code point in code point mode
+                ps.position += charLength(ps.charCodeAt(ps.position))
+            }
+
+            ps.furthestPosition = furthestPosition
+            ps.furthestExpected = furthestExpected
+
+            if (ps.position === begin && !missing) {
+                ps.recordFailure(failure.position, failure.expected)
+                return failure
+            }
+
+            ps.addDiagnostic(failure)
+
+            return ps.succeedShared(fallback)
+        }, p.description)
+    }
+
+    // chainLeft is typically used to implement left associative operators
+    //  The p parser parser an expression
+    //  The pSeparator parser parses the operator
+    //  The combiner combines the result expressions into a new expression
+    export function chainLeft<T,S>(p : Parser<T>, pSeparator : Parser<S>, combiner : Combiner<T,S>) : Parser<T> {
+        return parser ((ps : ParserState) => { 
+
+            var pResult = p.parseShared(ps)
+            if(!pResult.success) {
+                return ps.propagate<T>(pResult)
+            }
+
+            var start   = ps.position
+            var version = ps.version
+
+            var value = pResult.value
+
+            var pSeparatorResult    : ParseResult<S>
+            var pOtherResult        : ParseResult<T>
+
+            while((pSeparatorResult = pSeparator.parseShared(ps)).success) {
+                var op = pSeparatorResult.value
+
+                if (!(pOtherResult = p.parseShared(ps)).success) {
+                    break
+                }
+
+                ensureProgress("chainLeft", ps, start)
+                start   = ps.position
+                version = ps.version
+                value = combiner(value, op, pOtherResult.value)
+            }
+
+            ps.rewind(start, version)
+
+            return ps.succeedShared(value)
+        }, describeChain(p.description, pSeparator.description))
+    }
+
+    // chainRight is typically used to implement right associative operators
+    //  The p parser parser an expression
+    //  The pSeparator parser parses the operator
+    //  The combiner combines the result expressions into a new expression
+    export function chainRight<T,S>(p : Parser<T>, pSeparator : Parser<S>, combiner : Combiner<T,S>) : Parser<T> {
+        return parser ((ps : ParserState) => { 
+
+            var pResult = p.parseShared(ps)
+            if(!pResult.success) {
+                return ps.propagate<T>(pResult)
+            }
+
+            var start   = ps.position
+            var version = ps.version
+
+            var values  : T[] = [pResult.value]
+            var ops     : S[] = []
+
+            var pSeparatorResult    : ParseResult<S>
+            var pOtherResult        : ParseResult<T>
+
+            while((pSeparatorResult = pSeparator.parseShared(ps)).success) {
+                var op = pSeparatorResult.value
+
+                if (!(pOtherResult = p.parseShared(ps)).success) {
+                    break
+                }
+
+                ensureProgress("chainRight", ps, start)
+                start   = ps.position
+                version = ps.version
+                ops[ops.length]         = op
+                values[values.length]   = pOtherResult.value
+            }
+
+            ps.rewind(start, version)
+
+            var value = values[values.length - 1]
+
+            for (var iter = ops.length - 1; iter >= 0; --iter) {
+                value = combiner(values[iter], ops[iter], value)
+            }
+
+            return ps.succeedShared(value)
+        }, describeChain(p.description, pSeparator.description))
+    }
+
+    // chainNone is typically used to implement non associative operators
+    //  Parses an expression optionally followed by one operator and expression
+    export function chainNone<T,S>(p : Parser<T>, pSeparator : Parser<S>, combiner : Combiner<T,S>) : Parser<T> {
+        return parser ((ps : ParserState) => { 
+
+            var pResult = p.parseShared(ps)
+            if(!pResult.success) {
+                return ps.propagate<T>(pResult)
+            }
+
+            var start   = ps.position
+            var version = ps.version
+
+            var value = pResult.value
+
+            var pSeparatorResult = pSeparator.parseShared(ps)
+
+            if (pSeparatorResult.success) {
+                var op = pSeparatorResult.value
+
+                var pOtherResult = p.parseShared(ps)
+
+                if (pOtherResult.success) {
+                    return ps.succeedShared(combiner(value, op, pOtherResult.value))
+                }
+            }
+
+            ps.rewind(start, version)
+
+            return ps.succeedShared(value)
+        }, describe(DescriptionKind.Sequence, null, [p.description, describe(DescriptionKind.Optional, null, [describe(DescriptionKind.Sequence, null, [pSeparator.description, p.description])])]))
+    }
+
+    // prefix parses an expression preceded by prefix operators
+    //  If repeat is false at most one prefix operator is parsed
+    //  The applier applies the operators, the operator closest to the expression first
+    export function prefix<T,S>(p : Parser<T>, pOperator : Parser<S>, applier : Applier<T,S>, repeat : boolean = true) : Parser<T> {
+        return parser ((ps : ParserState) => { 
+            var start   = ps.position
+            var version = ps.version
+
+            var ops : S[] = []
+
+            var pOperatorResult : ParseResult<S>
+
+            var position = ps.position
+
+            while((repeat || ops.length === 0) && (pOperatorResult = pOperator.parseShared(ps)).success) {
+                if (repeat) {
+                    ensureProgress("prefix", ps, position)
+                }
+                ops[ops.length] = pOperatorResult.value
+                position = ps.position
+            }
+
+            var pResult = p.parseShared(ps)
+            if (!pResult.success) {
+                ps.rewind(start, version)
+                return ps.propagate<T>(pResult)
+            }
+
+            var value = pResult.value
+
+            for (var iter = ops.length - 1; iter >= 0; --iter) {
+                value = applier(ops[iter], value)
+            }
+
+            return ps.succeedShared(value)
+        }, describe(DescriptionKind.Sequence, null, [describe(repeat ? DescriptionKind.Many : DescriptionKind.Optional, null, [pOperator.description]), p.description]))
+    }
+
+    // postfix parses an expression followed by postfix operators
+    //  If repeat is false at most one postfix operator is parsed
+    //  The applier applies the operators, the operator closest to the expression first
+    export function postfix<T,S>(p : Parser<T>, pOperator : Parser<S>, applier : Applier<T,S>, repeat : boolean = true) : Parser<T> {
+        return parser ((ps : ParserState) => { 
+
+            var pResult = p.parseShared(ps)
+            if (!pResult.success) {
+                return ps.propagate<T>(pResult)
+            }
+
+            var value = pResult.value
+
+            var pOperatorResult : ParseResult<S>
+
+            do {
+                var position = ps.position
+
+                if (!(pOperatorResult = pOperator.parseShared(ps)).success) {
+                    break
+                }
+
+                if (repeat) {
+                    ensureProgress("postfix", ps, position)
+                }
+
+                value = applier(pOperatorResult.value, value)
+            } while (repeat)
+
+            return ps.succeedShared(value)
+        }, describe(DescriptionKind.Sequence, null, [p.description, describe(repeat ? DescriptionKind.Many : DescriptionKind.Optional, null, [pOperator.description])]))
+    }
+
+    // Creates an infix operator level for expressionParser
+    // Example: infixOperators(anyCharOf2("+-", [Add, Subtract]), Associativity.Left, (l, op, r) => new BinaryExpression(op, l, r))
+    export function infixOperators<T,S>(pOperator : Parser<S>, associativity : Associativity, combiner : Combiner<T,S>) : OperatorLevel<T> {
+        return { kind : OperatorKind.Infix, associativity : associativity, operator : pOperator, combiner : combiner, applier : null }
+    }
+
+    // Creates a prefix operator level for expressionParser
+    //  Prefix operators are repeatable unless associativity is None
+    export function prefixOperators<T,S>(pOperator : Parser<S>, applier : Applier<T,S>, associativity : Associativity = Associativity.Right) : OperatorLevel<T> {
+        return { kind : OperatorKind.Prefix, associativity : associativity, operator : pOperator, combiner : null, applier : applier }
+    }
+
+    // Creates a postfix operator level for expressionParser
+    //  Postfix operators are repeatable unless associativity is None
+    export function postfixOperators<T,S>(pOperator : Parser<S>, applier : Applier<T,S>, associativity : Associativity = Associativity.Left) : OperatorLevel<T> {
+        return { kind : OperatorKind.Postfix, associativity : associativity, operator : pOperator, combiner : null, applier : applier }
+    }
+
+    // expressionParser builds an expression parser from a term parser and an operator table
+    //  The operator levels are ordered by precedence, the first level binds the strongest
+    // Example: expressionParser(p_term, [
+    //      prefixOperators(skipString("-"), (op, v) => new NegateExpression(v)),
+    //      infixOperators(anyCharOf2("*/", [Multiply, Divide]), Associativity.Left, combiner),
+    //      infixOperators(anyCharOf2("+-", [Add, Subtract]), Associativity.Left, combiner),
+    //      ])
+    export function expressionParser<T>(term : Parser<T>, table : OperatorLevel<T>[]) : Parser<T> {
+        var p = term
+
+        for (var iter = 0; iter < table.length; ++iter) {
+            var level = table[iter]
+
+            var repeat = level.associativity !== Associativity.None
+
+            switch(level.kind) {
+            case OperatorKind.Prefix:
+                p = prefix(p, level.operator, level.applier, repeat)
+                break;
+            case OperatorKind.Postfix:
+                p = postfix(p, level.operator, level.applier, repeat)
+                break;
+            default:
+                switch(level.associativity) {
+                case Associativity.Right:
+                    p = chainRight(p, level.operator, level.combiner)
+                    break;
+                case Associativity.None:
+                    p = chainNone(p, level.operator, level.combiner)
+                    break;
+                default:
+                    p = chainLeft(p, level.operator, level.combiner)
+                    break;
+                }
+                break;
+            }
+        }
+
+        return p
+    }
+
+    // choice applies each input parser in order and picks the first that matches
+    //  If all parsers fail the expected items of the parsers are combined
+    export function choice<T>(... choices : Parser<T>[]) : Parser<T> {
+        return parser ((ps : ParserState) => { 
+
+            var failure : ParseResult<T> = null
+
+            for (var iter = 0; iter < choices.length; ++iter) {
+                var p = choices[iter]
+
+                var pResult = p.parseShared(ps)
+
+                if (pResult.success) {
+                    return ps.succeedShared(pResult.value)
+                }
+
+                failure = failure ? ps.merge(failure, pResult) : pResult
+            }
+
+            return failure || ps.fail<T>()
+        }, describe(DescriptionKind.Choice, null, descriptionsOf(choices)))
+    }
+
+    // switch peeks on the first character and uses the associated parser
+    //  If no parser is associated with the first character (or at end of stream) defaultTo is used
+    //  If defaultTo is null the parser fails instead
+    // Note: Useful if the first character can be used as a differentiator (see dispatch that
+    //  computes the differentiators)
+    export function switchOver<T>(defaultTo: Parser<T>, ... choices : {differentiator : string; parser : Parser<T>}[]) : Parser<T> {
+
+        var map : Parser<T>[] = []
+        var parsers : Parser<T>[] = []
+        var differentiators = ""
+
+        for (var iter = 0; iter < choices.length; ++iter) {
+            var choice = choices[iter]
+
+            parsers[iter] = choice.parser
+
+            var d = choice.differentiator || ""
+
+            differentiators += d
+
+            for (var ita = 0; ita < d.length; ++ita) {
+                map[d.charCodeAt(ita)] = choices[iter].parser
+            }
+        }
+
+        if (defaultTo) {
+            parsers[parsers.length] = defaultTo
+        }
+
+        var expected = expectedChars(differentiators)
+        
+        return parser ((ps : ParserState) => { 
+            var ch = ps.currentCharCode()
+
+            var p = ch === undefined ? undefined : map[ch]
+
+            if (p !== undefined) {
+                return p.parseShared(ps)
+            }
+
+            if (!defaultTo) {
+                return ps.fail<T>(expected)
+            }
+
+            var pResult = defaultTo.parseShared(ps)
+
+            if (pResult.success) {
+                return pResult
+            }
+
+            return ps.merge(ps.fail<T>(expected), pResult)
+        }, describe(DescriptionKind.Choice, null, descriptionsOf(parsers)))
+    }
+
+    // dispatch is choice with a dispatch table on the first character
+    //  The characters each alternative can start with are computed from the parsers (see Description)
+    //  and only the alternatives that can start with the first character are tried, in order
+    //  Alternatives that overlap are tried in order just like choice, and so are alternatives
+    //  that can succeed without consuming input
+    //  If all alternatives fail the expected items are the same as for choice (the order may differ),
+    //  the expected items of the alternatives that weren't tried are remembered from when they were tried
+    //  All alternatives are tried when parsing tokens and when recovering (see recover)
+    // Note: Custom parsers and parsers only described by text (like indention) are always tried
+    // Note: The dispatch table is built the first time the parser is applied, circular parsers
+    //  have to be defined by then
+    // Example: dispatch(p_if, p_while, p_return, p_assignment)
+    export function dispatch<T>(... choices : Parser<T>[]) : Parser<T> {
+        var all = choice.apply(null, choices)
+
+        // The alternatives to try for each ASCII character, for other characters and for end of stream
+        var table   : number[][]    = null
+        var other   : number[]      = []
+        var end     : number[]      = []
+
+        // The expected items of the alternatives when they fail without consuming input
+        var expectedOf : string[][] = []
+
+        var build = () => {
+            var firstSets = new FirstSets()
+
+            table = []
+            for (var ch = 0; ch < 128; ++ch) {
+                table[ch] = []
+            }
+
+            for (var iter = 0; iter < choices.length; ++iter) {
+                var firstSet = firstSets.of(choices[iter].description)
+
+                for (var ch = 0; ch < 128; ++ch) {
+                    if (firstSet.empty || firstSet.ascii[ch]) {
+                        table[ch][table[ch].length] = iter
+                    }
+                }
+
+                if (firstSet.empty || firstSet.other) {
+                    other[other.length] = iter
+                }
+
+                if (firstSet.empty) {
+                    end[end.length] = iter
+                }
+            }
+        }
+
+        return parser ((ps : ParserState) => { 
+            if (ps.tokens || ps.recovering) {
+                return all.parseShared(ps)
+            }
+
+            if (table === null) {
+                build()
+            }
+
+            var ch = ps.currentCharCode()
+
+            var candidates = ch === undefined ? end : ch < 128 ? table[ch] : other
+
+            var failures : ParseResult<T>[] = []
+
+            for (var iter = 0; iter < candidates.length; ++iter) {
+                var pResult = choices[candidates[iter]].parseShared(ps)
+
+                if (pResult.success) {
+                    return ps.succeedShared(pResult.value)
+                }
+
+                failures[candidates[iter]] = pResult
+            }
+
+            // Combines the expected items in the order of the alternatives
+            var failure = ps.fail<T>()
+
+            for (var iter = 0; iter < choices.length; ++iter) {
+                var pResult = failures[iter]
+
+                if (pResult === undefined && expectedOf[iter] !== undefined) {
+                    pResult = ps.fail<T>(expectedOf[iter])
+                } else if (pResult === undefined) {
+                    pResult = choices[iter].parseShared(ps)
+
+                    if (pResult.success) {
+                        return ps.succeedShared(pResult.value)
+                    }
+
+                    if (pResult.position === ps.position) {
+                        expectedOf[iter] = pResult.expected
+                    }
+                }
+
+                failure = ps.merge(failure, pResult)
+            }
+
+            return failure
+        }, all.description)
+    }
+
+    // The characters a parser can start with (see FirstSets)
+    //  The ASCII characters the parser can start with
+    //  A flag indicating if the parser can start with other characters
+    //  A flag indicating if the parser can succeed without consuming input
+    class FirstSet {
+        ascii   : boolean[] = []
+        other   = false
+        empty   = false
+
+        // Adds the characters of another first set, empty is left unchanged
+        add(firstSet : FirstSet) : void {
+            for (var ch = 0; ch < 128; ++ch) {
+                this.ascii[ch] = this.ascii[ch] || firstSet.ascii[ch]
+            }
+            this.other = this.other || firstSet.other
+        }
+    }
+
+    // The first set of a parser that can start with any character or succeed without consuming input
+    function unknownFirstSet() : FirstSet {
+        var firstSet = new FirstSet()
+
+        for (var ch = 0; ch < 128; ++ch) {
+            firstSet.ascii[ch] = true
+        }
+        firstSet.other = true
+        firstSet.empty = true
+
+        return firstSet
+    }
+
+    // Computes the first sets of descriptions, used by dispatch
+    //  A description that isn't known to start with specific characters can start with any character
+    //  and succeed without consuming input
+    //  A reference that is visited again while its first set is computed is left recursive and 
+    //  adds no characters, the first sets computed while that happens are incomplete so they aren't cached
+    class FirstSets {
+        visiting    : Description[] = []
+        visited     : Description[] = []
+        firstSets   : FirstSet[]    = []
+        cycles      = 0
+
+        of(d : Description) : FirstSet {
+            var index = this.visited.indexOf(d)
+
+            if (index > -1) {
+                return this.firstSets[index]
+            }
+
+            var cycles = this.cycles
+
+            this.visiting[this.visiting.length] = d
+            var firstSet = this.compute(d)
+            this.visiting.length--
+
+            if (cycles === this.cycles) {
+                this.visited[this.visited.length]       = d
+                this.firstSets[this.firstSets.length]   = firstSet
+            }
+
+            return firstSet
+        }
+
+        compute(d : Description) : FirstSet {
+            var firstSet = new FirstSet()
+
+            switch(d.kind) {
+            default:
+                return unknownFirstSet()
+            case DescriptionKind.Empty:
+            case DescriptionKind.FollowedBy:
+            case DescriptionKind.NotFollowedBy:
+                firstSet.empty = true
+                break;
+            case DescriptionKind.Terminal:
+                var first = d.text.charCodeAt(0)
+                if (d.text.length === 0) {
+                    firstSet.empty = true
+                } else if (first < 128) {
+                    firstSet.ascii[first] = true
+                } else {
+                    firstSet.other = true
+                }
+                break;
+            case DescriptionKind.Special:
+                if (!d.satisfy) {
+                    return unknownFirstSet()
+                }
+                for (var ch = 0; ch < 128; ++ch) {
+                    firstSet.ascii[ch] = d.satisfy(ch, 0)
+                }
+                firstSet.other = true
+                break;
+            case DescriptionKind.Sequence:
+                firstSet.empty = true
+                for (var iter = 0; iter < d.children.length && firstSet.empty; ++iter) {
+                    var child = this.of(d.children[iter])
+                    firstSet.add(child)
+                    firstSet.empty = child.empty
+                }
+                break;
+            case DescriptionKind.Choice:
+                for (var iter = 0; iter < d.children.length; ++iter) {
+                    var child = this.of(d.children[iter])
+                    firstSet.add(child)
+                    firstSet.empty = firstSet.empty || child.empty
+                }
+                break;
+            case DescriptionKind.Optional:
+            case DescriptionKind.Many:
+                firstSet.add(this.of(d.children[0]))
+                firstSet.empty = true
+                break;
+            case DescriptionKind.Many1:
+            case DescriptionKind.Count:
+            case DescriptionKind.Except:
+                var child = this.of(d.children[0])
+                firstSet.add(child)
+                firstSet.empty = child.empty || (d.kind === DescriptionKind.Count && d.text === "0")
+                break;
+            case DescriptionKind.Reference:
+                if (d.children.length === 0) {
+                    return unknownFirstSet()
+                }
+                if (this.visiting.indexOf(d) !== this.visiting.length - 1) {
+                    ++this.cycles
+                    break;
+                }
+                var child = this.of(d.children[0])
+                firstSet.add(child)
+                firstSet.empty = child.empty
+                break;
+            }
+
+            return firstSet
+        }
+    }
+
+    // Special parser used to be break circular parsers (very common)
+    //  Either use assign or define, define is required for left recursive rules
+    //  The name is the name of the rule in the grammar documentation (see ebnf and railroad)
+    // Example:
+    //  var p_expr = circular<Expression>("expression")
+    //  p_expr.define(choice(combine3(p_expr, skipString("-"), p_term).transform(...), p_term))
+    export function circular<T>(name? : string) : CircularParser<T> {
+        return new CircularParser<T> (name)
+    }
+
+    // Describes the lexical syntax of a language, see tokenParsers
+    //  Every member is optional, a language without comments simply leaves out the comment members
+    // Example: {lineComment : "//", blockCommentStart : "/*", blockCommentEnd : "*/", reservedWords : ["if", "else"], operators : ["<", "<=", "="]}
+    export interface LanguageDefinition {
+        // Starts a comment that runs to the end of the line, like: //
+        lineComment?        : string
+        // Starts and ends a block comment, like: /* and */
+        blockCommentStart?  : string
+        blockCommentEnd?    : string
+        // Allows block comments inside block comments (false by default)
+        nestedComments?     : boolean
+        // The characters that start and continue an identifier (isIdStart and isIdContinue by default)
+        identifierStart?    : Satisfy
+        identifierContinue? : Satisfy
+        // The words that aren't identifiers (see reserved)
+        reservedWords?      : string[]
+        // The operators of the language (see operator)
+        operators?          : string[]
+        // The characters that quote string literals ("\"" by default)
+        stringQuotes?       : string
+        // Compares reserved words ignoring case when false (true by default)
+        caseSensitive?      : boolean
+    }
+
+    // The token parsers of a language (see tokenParsers)
+    //  Every token parser skips the whitespace and comments that follow the token
+    //  so only the beginning of the input needs to skip whitespace
+    //  The whitespace parser skips whitespace and comments
+    //  The identifier parser parses identifiers that aren't reserved words
+    //  The integer parser parses decimal integers and hexadecimal integers like 0x1F
+    //  The float parser parses numbers with a fraction or an exponent like 1.5, 2e-3 or 0x1.8p3
+    //  The number parser parses integers and floats
+    //  The stringLiteral parser parses quoted strings and replaces the escape sequences
+    // Note: Signs aren't part of number literals, in most languages they are prefix operators
+    export class TokenParsers {
+        whitespace      : Parser<void>
+        identifier      : Parser<string>
+        integer         : Parser<number>
+        float           : Parser<number>
+        number          : Parser<number>
+        stringLiteral   : Parser<string>
+
+        constructor (public definition : LanguageDefinition) {
+            this.whitespace     = whitespaceParser(definition)
+            this.identifier     = this.lexeme(identifierParser(definition))
+            this.integer        = this.lexeme(numberParser("integer", false, false))
+            this.float          = this.lexeme(numberParser("float", true, true))
+            this.number         = this.lexeme(numberParser("number", true, false))
+            this.stringLiteral  = this.lexeme(stringParser(definition.stringQuotes || "\""))
+        }
+
+        // Applies the parser and skips the whitespace and comments that follow
+        //  Used for tokens that aren't covered by the other token parsers
+        // Example: tokens.lexeme(regex(/#[0-9a-f]{6}/))
+        lexeme<T>(p : Parser<T>) : Parser<T> {
+            return p.keepLeft(this.whitespace)
+        }
+
+        // Parses the literal str, typically punctuation like , or ;
+        symbol(str : string) : Parser<void> {
+            return this.lexeme(skipString(str))
+        }
+
+        // Parses the reserved word, the word can't be followed by a character that continues an identifier
+        //  Case is ignored unless the language is case sensitive
+        // Example: tokens.reserved("if") doesn't parse the beginning of iffy
+        reserved(word : string) : Parser<void> {
+            var expected            = [quote(word)]
+            var ignoreCase          = this.definition.caseSensitive === false
+            var identifierContinue  = this.definition.identifierContinue || isIdContinue
+
+            return this.lexeme(parser ((ps : ParserState) => { 
+                var end = ps.position + word.length
+
+                if (!matchesAt(ps, ps.position, word, ignoreCase)) {
+                    return ps.fail<void>(expected)
+                }
+
+                if (end >= ps.text.length) {
+                    // More input could continue the word
+                    ps.hitEnd = true
+                } else if (identifierContinue(ps.charCodeAt(end), word.length)) {
+                    return ps.fail<void>(expected)
+                }
+
+                ps.position = end
+
+                return ps.succeedShared<void>(undefined)
+            }, describe(DescriptionKind.Terminal, word, [])))
+        }
+
+        // Parses the operator, the operator isn't parsed if it's the beginning of a
+        //  longer operator of the language at the position
+        // Example: tokens.operator("<") doesn't parse the beginning of <= if <= is an operator
+        operator(op : string) : Parser<void> {
+            var expected    = [quote(op)]
+            var operators   = this.definition.operators || []
+            var longer      : string[] = []
+
+            for (var iter = 0; iter < operators.length; ++iter) {
+                if (operators[iter].length > op.length && operators[iter].substring(0, op.length) === op) {
+                    longer[longer.length] = operators[iter]
+                }
+            }
+
+            return this.lexeme(parser ((ps : ParserState) => { 
+                if (!matchesAt(ps, ps.position, op, false)) {
+                    return ps.fail<void>(expected)
+                }
+
+                for (var iter = 0; iter < longer.length; ++iter) {
+                    if (matchesAt(ps, ps.position, longer[iter], false)) {
+                        return ps.fail<void>(expected)
+                    }
+                }
+
+                ps.position += op.length
+
+                return ps.succeedShared<void>(undefined)
+            }, describe(DescriptionKind.Terminal, op, [])))
+        }
+
+        // Parses p surrounded by parentheses
+        parens<T>(p : Parser<T>) : Parser<T> {
+            return p.inBetween(this.symbol("("), this.symbol(")"))
+        }
+
+        // Parses p surrounded by brackets
+        brackets<T>(p : Parser<T>) : Parser<T> {
+            return p.inBetween(this.symbol("["), this.symbol("]"))
+        }
+
+        // Parses p surrounded by braces
+        braces<T>(p : Parser<T>) : Parser<T> {
+            return p.inBetween(this.symbol("{"), this.symbol("}"))
+        }
+
+        // Parses zero or more p separated by commas
+        commaSep<T>(p : Parser<T>) : Parser<T[]> {
+            return sepBy(p, this.symbol(","))
+        }
+    }
+
+    // Creates the token parsers of a language from its definition
+    // Example:
+    //  var tokens = tokenParsers({lineComment : "#", reservedWords : ["let", "in"], operators : ["=", "+"]})
+    //  var p_let = combine3(tokens.reserved("let").keepRight(tokens.identifier), tokens.operator("=").keepRight(tokens.number), tokens.reserved("in"))
+    //  var p_program = tokens.whitespace.keepRight(p_let).keepLeft(EOS())
+    export function tokenParsers(definition : LanguageDefinition) : TokenParsers {
+        return new TokenParsers(definition)
+    }
+
+    // Tests if str is at pos in the text, case is ignored if ignoreCase is set
+    //  hitEnd is set if the text ends with the beginning of str as more input could complete it
+    function matchesAt(ps : ParserState, pos : number, str : string, ignoreCase : boolean) : boolean {
+        var end = ps.text.length
+
+        var i = 0
+
+        for (; i < str.length && pos + i < end && (ps.text.charCodeAt(pos + i) === str.charCodeAt(i) || ignoreCase && ps.text.charAt(pos + i).toLowerCase() === str.charAt(i).toLowerCase()); ++i) {
+        }
+
+        if (i < str.length && pos + i === end) {
+            ps.hitEnd = true
+        }
+
+        return i === str.length
+    }
+
+    // Advances pos as long as the characters in the text satisfy the predicate, hitEnd is set if the text ends
+    function skipWhile(ps : ParserState, pos : number, satisfy : Satisfy) : number {
+        var end = ps.text.length
+
+        for (; pos < end && satisfy(ps.text.charCodeAt(pos), 0); ++pos) {
+        }
+
+        if (pos === end) {
+            ps.hitEnd = true
+        }
+
+        return pos
+    }
+
+    // Creates a failure ParseResult at position, the expected items are recorded there
+    //  The position of the parser state is unchanged
+    //  Used by token parsers that scan ahead before they know the token is invalid
+    function failAt<T>(ps : ParserState, position : number, expected : string[]) : ParseResult<T> {
+        var start = ps.position
+
+        ps.position = position
+
+        var failure = ps.fail<T>(expected)
+
+        ps.position = start
+
+        return failure
+    }
+
+    function isAsciiDigit(ch : number, pos : number) : boolean {
+        return ch >= 0x30 && ch <= 0x39
+    }
+
+    function isHexDigit(ch : number, pos : number) : boolean {
+        return (ch >= 0x30 && ch <= 0x39) || (ch >= 0x41 && ch <= 0x46) || (ch >= 0x61 && ch <= 0x66)
+    }
+
+    function isLineBreak(ch : number, pos : number) : boolean {
+        return ch === 0x0A || ch === 0x0D
+    }
+
+    function isNotLineBreak(ch : number, pos : number) : boolean {
+        return ch !== 0x0A && ch !== 0x0D
+    }
+
+    // Describes one or more characters that satisfies the predicate
+    function describeDigits(text : string, satisfy : Satisfy) : Description {
+        return describe(DescriptionKind.Many1, null, [describeSatisfy(text, satisfy)])
+    }
+
+    // Creates the parser that skips whitespace and comments of a language
+    //  An unterminated block comment fails where the input ends
+    function whitespaceParser(definition : LanguageDefinition) : Parser<void> {
+        var lineComment = definition.lineComment || ""
+        var blockStart  = definition.blockCommentStart || ""
+        var blockEnd    = definition.blockCommentEnd || ""
+        var nested      = definition.nestedComments === true
+        var expected    = [quote(blockEnd)]
+
+        var skipped = [describeSatisfy("whitespace", satisyWhitespace)]
+
+        if (lineComment) {
+            skipped[skipped.length] = describe(DescriptionKind.Sequence, null, [describe(DescriptionKind.Terminal, lineComment, []), describe(DescriptionKind.Many, null, [describeSatisfy("comment character", isNotLineBreak)])])
+        }
+
+        if (blockStart) {
+            skipped[skipped.length] = describe(DescriptionKind.Sequence, null, [describe(DescriptionKind.Terminal, blockStart, []), describe(DescriptionKind.Special, "comment text", []), describe(DescriptionKind.Terminal, blockEnd, [])])
+        }
+
+        return parser ((ps : ParserState) => { 
+            for (;;) {
+                ps.skipAdvance(satisyWhitespace)
+
+                if (lineComment && matchesAt(ps, ps.position, lineComment, false)) {
+                    ps.position = skipWhile(ps, ps.position + lineComment.length, isNotLineBreak)
+                    continue
+                }
+
+                if (!blockStart || !matchesAt(ps, ps.position, blockStart, false)) {
+                    return ps.succeedShared<void>(undefined)
+                }
+
+                var pos     = ps.position + blockStart.length
+                var depth   = 1
+
+                while (depth > 0 && pos < ps.text.length) {
+                    if (matchesAt(ps, pos, blockEnd, false)) {
+                        pos += blockEnd.length
+                        --depth
+                    } else if (nested && matchesAt(ps, pos, blockStart, false)) {
+                        pos += blockStart.length
+                        ++depth
+                    } else {
+                        ++pos
+                    }
+                }
+
+                if (depth > 0) {
+                    ps.hitEnd = true
+                    return failAt<void>(ps, pos, expected)
+                }
+
+                ps.position = pos
+            }
+        }, rename(describe(DescriptionKind.Many, null, [skipped.length === 1 ? skipped[0] : describe(DescriptionKind.Choice, null, skipped)]), "whitespace"))
+    }
+
+    // Creates the parser of identifiers that aren't reserved words of a language
+    function identifierParser(definition : LanguageDefinition) : Parser<string> {
+        var expected            = ["identifier"]
+        var identifierStart     = definition.identifierStart || isIdStart
+        var identifierContinue  = definition.identifierContinue || isIdContinue
+        var continues           = (ch : number, pos : number) => identifierContinue(ch, pos + 1)
+        var ignoreCase          = definition.caseSensitive === false
+        var reservedWords       : {[word : string] : boolean} = {}
+
+        var words = definition.reservedWords || []
+
+        for (var iter = 0; iter < words.length; ++iter) {
+            reservedWords[ignoreCase ? words[iter].toLowerCase() : words[iter]] = true
+        }
+
+        return parser ((ps : ParserState) => { 
+            var start = ps.position
+
+            var ch = ps.currentCharCode()
+
+            if (ch === undefined || !identifierStart(ch, 0)) {
+                return ps.fail<string>(expected)
+            }
+
+            ps.position += charLength(ch)
+            ps.skipAdvance(continues)
+
+            var name = ps.text.substring(start, ps.position)
+
+            if (reservedWords.hasOwnProperty(ignoreCase ? name.toLowerCase() : name)) {
+                ps.position = start
+                return ps.fail<string>(expected)
+            }
+
+            return ps.succeedShared(name)
+        }, rename(describe(DescriptionKind.Sequence, null, [describeSatisfy("identifier start", identifierStart), describe(DescriptionKind.Many, null, [describeSatisfy("identifier character", continues)])]), "identifier"))
+    }
+
+    // Creates the parser of number literals, name is the expected item
+    //  Fractions and exponents are parsed if floats is set, they are required if onlyFloats is set
+    //  A hexadecimal float requires a binary exponent: 0x1.8p3 is 1.5 * 2^3
+    function numberParser(name : string, floats : boolean, onlyFloats : boolean) : Parser<number> {
+        var expected        = [name]
+        var expectedDigit   = ["digit"]
+        var expectedHex     = ["hexadecimal digit"]
+        var expectedBinary  = [quote("p")]
+
+        var decimal     = describeDigits("digit", isAsciiDigit)
+        var hex         = describeDigits("hexadecimal digit", isHexDigit)
+        var exponent    = describe(DescriptionKind.Sequence, null, [describeChars("eE"), describe(DescriptionKind.Optional, null, [describeChars("+-")]), decimal])
+        var binary      = describe(DescriptionKind.Sequence, null, [describeChars("pP"), describe(DescriptionKind.Optional, null, [describeChars("+-")]), decimal])
+        var fraction    = describe(DescriptionKind.Sequence, null, [describeChars("."), decimal])
+        var hexFraction = describe(DescriptionKind.Sequence, null, [describeChars("."), hex])
+        var hexPrefix   = describe(DescriptionKind.Choice, null, [describe(DescriptionKind.Terminal, "0x", []), describe(DescriptionKind.Terminal, "0X", [])])
+
+        var decimals : Description[] = []
+        var hexes    : Description[] = []
+
+        if (!floats) {
+            decimals    = [decimal]
+            hexes       = [hexPrefix, hex]
+        } else if (onlyFloats) {
+            decimals    = [decimal, describe(DescriptionKind.Choice, null, [describe(DescriptionKind.Sequence, null, [fraction, describe(DescriptionKind.Optional, null, [exponent])]), exponent])]
+            hexes       = [hexPrefix, hex, describe(DescriptionKind.Optional, null, [hexFraction]), binary]
+        } else {
+            decimals    = [decimal, describe(DescriptionKind.Optional, null, [fraction]), describe(DescriptionKind.Optional, null, [exponent])]
+            hexes       = [hexPrefix, hex, describe(DescriptionKind.Optional, null, [describe(DescriptionKind.Sequence, null, [describe(DescriptionKind.Optional, null, [hexFraction]), binary])])]
+        }
+
+        var description = describe(DescriptionKind.Choice, null, [describe(DescriptionKind.Sequence, null, hexes), describe(DescriptionKind.Sequence, null, decimals)])
+
+        return parser ((ps : ParserState) => { 
+            var text    = ps.text
+            var begin   = ps.position
+            var pos     = begin
+            var marker  = 0
+            var isFloat = false
+            var value   = 0
+
+            if (ps.isEOS() || !isAsciiDigit(text.charCodeAt(pos), 0)) {
+                return ps.fail<number>(expected)
+            }
+
+            if (text.charAt(pos) === "0" && (text.charAt(pos + 1) === "x" || text.charAt(pos + 1) === "X")) {
+                var integerEnd = pos = skipWhile(ps, pos + 2, isHexDigit)
+
+                if (pos === begin + 2) {
+                    return failAt<number>(ps, pos, expectedHex)
+                }
+
+                var mantissa    = text.substring(begin + 2, pos)
+                var scale       = 0
+
+                if (floats && text.charAt(pos) === ".") {
+                    pos = skipWhile(ps, pos + 1, isHexDigit)
+
+                    if (pos === integerEnd + 1) {
+                        return failAt<number>(ps, pos, expectedHex)
+                    }
+
+                    mantissa    += text.substring(integerEnd + 1, pos)
+                    scale       = pos - integerEnd - 1
+                }
+
+                value = parseInt(mantissa, 16)
+
+                if (floats && (text.charAt(pos) === "p" || text.charAt(pos) === "P")) {
+                    marker  = pos
+                    pos     = skipExponent(ps, pos + 1)
+
+                    if (pos < 0) {
+                        return failAt<number>(ps, -pos, expectedDigit)
+                    }
+
+                    // Each hexadecimal digit of the fraction scales the mantissa by 2^4
+                    value   = value * Math.pow(2, parseInt(text.substring(marker + 1, pos), 10) - 4 * scale)
+                    isFloat = true
+                } else if (scale > 0) {
+                    return failAt<number>(ps, pos, expectedBinary)
+                }
+            } else {
+                pos = skipWhile(ps, pos, isAsciiDigit)
+
+                if (floats && text.charAt(pos) === ".") {
+                    marker  = pos
+                    pos     = skipWhile(ps, pos + 1, isAsciiDigit)
+
+                    if (pos === marker + 1) {
+                        return failAt<number>(ps, pos, expectedDigit)
+                    }
+
+                    isFloat = true
+                }
+
+                if (floats && (text.charAt(pos) === "e" || text.charAt(pos) === "E")) {
+                    pos = skipExponent(ps, pos + 1)
+
+                    if (pos < 0) {
+                        return failAt<number>(ps, -pos, expectedDigit)
+                    }
+
+                    isFloat = true
+                }
+
+                value = parseFloat(text.substring(begin, pos))
+            }
+
+            if (onlyFloats && !isFloat) {
+                return ps.fail<number>(expected)
+            }
+
+            ps.position = pos
+
+            return ps.succeedShared(value)
+        }, rename(description, name))
+    }
+
+    // Skips the optional sign and the digits of an exponent at pos
+    //  Returns the end of the exponent or where a digit was expected as a negative number
+    function skipExponent(ps : ParserState, pos : number) : number {
+        var sign = ps.text.charAt(pos)
+        var begin = sign === "+" || sign === "-" ? pos + 1 : pos
+
+        var end = skipWhile(ps, begin, isAsciiDigit)
+
+        return end > begin ? end : -begin
+    }
+
+    // The characters of the single character escape sequences and what they are replaced by
+    var simpleEscapes   = "nrtbfv0\\\"'/"
+    var escaped         = "\n\r\t\b\f\v\0\\\"'/"
+
+    // Creates the parser of string literals quoted by any of the characters in quotes
+    //  The escape sequences are \n \r \t \b \f \v \0 \\ \" \' \/, \xFF, \uFFFF and \u{10FFFF}
+    //  A string literal can't span lines
+    function stringParser(quotes : string) : Parser<string> {
+        var expected        = ["string"]
+        var expectedEscape  = ["escape sequence"]
+
+        var choices : Description[] = []
+
+        for (var iter = 0; iter < quotes.length; ++iter) {
+            choices[iter] = describeString(quotes.charAt(iter))
+        }
+
+        return parser ((ps : ParserState) => { 
+            var text    = ps.text
+            var end     = text.length
+            var begin   = ps.position
+
+            if (ps.isEOS() || quotes.indexOf(text.charAt(begin)) < 0) {
+                return ps.fail<string>(expected)
+            }
+
+            var q       = text.charAt(begin)
+            var pos     = begin + 1
+            var run     = pos
+            var data    : string[] = []
+
+            for (;;) {
+                if (pos >= end) {
+                    ps.hitEnd = true
+                    return failAt<string>(ps, pos, [quote(q)])
+                }
+
+                var c = text.charAt(pos)
+
+                if (c === q) {
+                    break
+                }
+
+                if (c === "\n" || c === "\r") {
+                    return failAt<string>(ps, pos, [quote(q)])
+                }
+
+                if (c !== "\\") {
+                    ++pos
+                    continue
+                }
+
+                data[data.length] = text.substring(run, pos)
+
+                var e       = text.charAt(pos + 1)
+                var simple  = e ? simpleEscapes.indexOf(e) : -1
+                var ch      = NaN
+
+                if (simple > -1) {
+                    ch = escaped.charCodeAt(simple)
+                    run = pos + 2
+                } else if (e === "x") {
+                    ch = hexDigitsAt(ps, pos + 2, 2)
+                    run = pos + 4
+                } else if (e === "u" && text.charAt(pos + 2) === "{") {
+                    var close = text.indexOf("}", pos + 3)
+
+                    if (close < 0) {
+                        // More input could close the escape sequence
+                        ps.hitEnd = true
+                    } else {
+                        ch = hexDigitsAt(ps, pos + 3, close - pos - 3)
+                        run = close + 1
+                    }
+                } else if (e === "u") {
+                    ch = hexDigitsAt(ps, pos + 2, 4)
+                    run = pos + 6
+                } else if (!e) {
+                    ps.hitEnd = true
+                }
+
+                if (isNaN(ch) || ch > 0x10FFFF) {
+                    return failAt<string>(ps, pos + 1, expectedEscape)
+                }
+
+                data[data.length] = fromCodePoint(ch)
+
+                pos = run
+            }
+
+            data[data.length] = text.substring(run, pos)
+
+            ps.position = pos + 1
+
+            return ps.succeedShared(data.join(""))
+        }, rename(choices.length === 1 ? choices[0] : describe(DescriptionKind.Choice, null, choices), "string"))
+    }
+
+    // Describes a string literal quoted by q
+    function describeString(q : string) : Description {
+        var quoteChar   = q.charCodeAt(0)
+        var character   = describeSatisfy("string character", (ch, pos) => ch !== quoteChar && ch !== 0x5C && !isLineBreak(ch, pos))
+        var escape      = describe(DescriptionKind.Sequence, null, [describe(DescriptionKind.Terminal, "\\", []), describeSatisfy("escape character", (ch, pos) => simpleEscapes.indexOf(String.fromCharCode(ch)) > -1)])
+
+        return describe(DescriptionKind.Sequence, null, [describeChars(q), describe(DescriptionKind.Many, null, [describe(DescriptionKind.Choice, null, [character, escape])]), describeChars(q)])
+    }
+
+    // Parses count hexadecimal digits at pos, NaN if there aren't count hexadecimal digits
+    //  hitEnd is set if the text ends before count digits
+    function hexDigitsAt(ps : ParserState, pos : number, count : number) : number {
+        var digits = ps.text.substr(pos, count)
+
+        if (digits.length < count) {
+            ps.hitEnd = true
+        }
+
+        return count > 0 && digits.length === count && /^[0-9A-Fa-f]+$/.test(digits) ? parseInt(digits, 16) : NaN
+    }
+
+    // Produces the grammar of a parser as EBNF (ISO/IEC 14977)
+    //  Each named parser (see named, label and circular) becomes a rule, the first rule is the parser itself
+    //  Predicates and parsers without a literal are written as special sequences: ? any character ?
+    // Example: console.info(ebnf(p_expression))
+    export function ebnf(p : Parser<any>) : string {
+        var rules = new GrammarRules(p.description)
+
+        var sb = new StringBuilder()
+
+        for (var iter = 0; iter < rules.rules.length; ++iter) {
+            sb
+                .append(rules.names[iter])
+                .append(" = ")
+                .append(ebnfOf(rules, rules.rules[iter], true, EbnfPrecedence.Choice))
+                .append(" ;")
+                .newLine()
+        }
+
+        return sb.toString()
+    }
+
+    // Produces railroad diagrams of the grammar of a parser as a standalone SVG document
+    //  Each named parser (see named, label and circular) gets a diagram, the first diagram is the parser itself
+    //  Literals are drawn in rounded boxes, references to rules in boxes and special
+    //  sequences in dashed boxes
+    export function railroad(p : Parser<any>) : string {
+        var rules = new GrammarRules(p.description)
+
+        var rails : Rail[] = []
+        var width   = 0
+        var height  = 0
+
+        for (var iter = 0; iter < rules.rules.length; ++iter) {
+            var rail = railOf(rules, rules.rules[iter], true)
+            rails[iter] = rail
+            width   = Math.max(width, rail.width + 60)
+            height  += rail.up + rail.down + 50
+        }
+
+        var sb = new StringBuilder()
+
+        sb
+            .append("<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + width + "\" height=\"" + height + "\">")
+            .newLine()
+            .append("<style>")
+            .append("path{fill:none;stroke:#000;stroke-width:1.5}")
+            .append("rect{fill:#fff;stroke:#000;stroke-width:1.5}")
+            .append("rect.special{stroke-dasharray:4 2}")
+            .append("text{font:12px monospace;text-anchor:middle}")
+            .append("text.rule{font:bold 13px sans-serif;text-anchor:start}")
+            .append("</style>")
+            .newLine()
+
+        var top = 0
+
+        for (var iter = 0; iter < rails.length; ++iter) {
+            var rail = rails[iter]
+            var y = top + 30 + rail.up
+
+            sb
+                .append("<text class=\"rule\" x=\"10\" y=\"" + (top + 20) + "\">" + escapeXml(rules.names[iter]) + "</text>")
+                .newLine()
+                .append(svgPath("M 20 " + (y - 5) + " v 10 M 20 " + y + " h 10"))
+                .newLine()
+
+            rail.render(sb, 30, y)
+
+            sb
+                .append(svgPath("M " + (30 + rail.width) + " " + y + " h 10 m 0 -5 v 10"))
+                .newLine()
+
+            top += rail.up + rail.down + 50
+        }
+
+        return sb.append("</svg>").newLine().toString()
+    }
+
+    // A seedable pseudo random number generator (xorshift)
+    //  The same seed gives the same sequence of numbers
+    export class Random {
+        state   : number
+
+        constructor (seed? : number) {
+            this.state = (seed === undefined ? new Date().getTime() : seed) | 0 || 1
+        }
+
+        // Returns a number from 0 (inclusive) to 1 (exclusive)
+        next() : number {
+            var x = this.state
+            x ^= x << 13
+            x ^= x >>> 17
+            x ^= x << 5
+            this.state = x
+
+            return (x >>> 0) / 4294967296
+        }
+
+        // Returns an integer from 0 (inclusive) to n (exclusive)
+        int(n : number) : number {
+            return Math.floor(this.next() * n)
+        }
+    }
+
+    // Generates random sentences from the description of a parser, used to test parsers and 
+    //  the code that consumes their values
+    //  sentence produces input the parser accepts and nearMiss input that is almost valid but rejected
+    //  Literals are generated as is and characters are picked among candidates that satisfy the
+    //  predicate, input that can't be generated from the description (like regular expressions and 
+    //  custom parsers) can be generated by a named generator (see named)
+    //  Repetitions are limited by maxRepeat, rules nested deeper than maxDepth and sentences longer
+    //  than maxLength picks the alternatives that ends the nesting soonest and the fewest repetitions
+    //  Each generated sentence is parsed, attempts limits how many sentences are tried
+    // Example:
+    //  var generator = new Generator(p_expression, 42)
+    //  generator.generators["identifier"] = (random : Random) => "x"
+    //  var input = generator.sentence()
+    export class Generator {
+        random      : Random
+        maxDepth    = 8
+        maxRepeat   = 3
+        maxLength   = 80
+        attempts    = 100
+        candidates  = " \t\n!\"#$%&'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_`abcdefghijklmnopqrstuvwxyz{|}~åäöÅÄÖαβγλπΩ速度漢字"
+        generators  : {[name : string] : (random : Random) => string} = {}
+        rules       : GrammarRules
+        depths      : number[] = []
+        terminals   : string[] = []
+        length      = 0
+
+        constructor (public p : Parser<any>, seed? : number) {
+            this.random = new Random(seed)
+            this.rules  = new GrammarRules(p.description)
+
+            var visited = this.rules.visited
+
+            for (var iter = 0; iter < visited.length; ++iter) {
+                this.depths[iter] = Infinity
+
+                if (visited[iter].kind === DescriptionKind.Terminal) {
+                    this.terminals[this.terminals.length] = visited[iter].text
+                }
+            }
+
+            // Computes how deep each description at least nests rules, repeats until nothing changes
+            //  as rules are recursive
+            for (var changed = true; changed; ) {
+                changed = false
+
+                for (var iter = 0; iter < visited.length; ++iter) {
+                    var depth = this.minimumDepth(visited[iter])
+
+                    if (depth < this.depths[iter]) {
+                        this.depths[iter] = depth
+                        changed = true
+                    }
+                }
+            }
+        }
+
+        // Generates a sentence the parser accepts, null if none was found within the attempts
+        sentence() : string {
+            for (var iter = 0; iter < this.attempts; ++iter) {
+                this.length = 0
+
+                var s = this.generate(this.p.description, 0, 0)
+
+                if (parse(this.p, s).success) {
+                    return s
+                }
+            }
+
+            return null
+        }
+
+        // Generates a sentence the parser rejects by mutating a sentence the parser accepts
+        //  The mutation deletes, inserts, replaces or swaps characters or inserts a literal of the grammar
+        //  Returns null if none was found within the attempts
+        nearMiss() : string {
+            for (var iter = 0; iter < this.attempts; ++iter) {
+                var s = this.sentence()
+
+                if (s === null) {
+                    return null
+                }
 
-            if (ch === undefined) {
-                return ps.fail<number>()
+                var mutated = this.mutate(s)
+
+                if (!parse(this.p, mutated).success) {
+                    return mutated
+                }
             }
 
-            var indexOf = numbers.indexOf(ch)
+            return null
+        }
 
-            if (indexOf < 0) {
-                return ps.fail<number>()
+        // Mutates a sentence at a random position
+        mutate(s : string) : string {
+            var pos = this.random.int(s.length + 1)
+
+            switch(this.random.int(5)) {
+            default:
+                return s.substring(0, pos) + s.substring(pos + 1)
+            case 1:
+                return s.substring(0, pos) + this.candidate() + s.substring(pos)
+            case 2:
+                return s.substring(0, pos) + this.candidate() + s.substring(pos + 1)
+            case 3:
+                return pos + 1 < s.length ? s.substring(0, pos) + s.charAt(pos + 1) + s.charAt(pos) + s.substring(pos + 2) : s.substring(0, pos)
+            case 4:
+                var terminal = this.terminals.length > 0 ? this.terminals[this.random.int(this.terminals.length)] : this.candidate()
+                return s.substring(0, pos) + terminal + s.substring(pos)
             }
+        }
 
-            ++ps.position
+        // Generates the input of a description
+        //  depth is the number of rules it is nested in and pos is the position in a repetition
+        generate(d : Description, depth : number, pos : number) : string {
+            var name = this.rules.nameOf(d)
 
-            return ps.succeed(indexOf)
-        })
-    }
-    export function anyCharOf2<T>(str : string, mapTo : T[]) : Parser<T> {
-        var numbers = []
+            if (name !== null && this.generators.hasOwnProperty(name)) {
+                return this.generators[name](this.random)
+            }
 
-        for (var iter = 0; iter < str.length; ++iter) {
-            numbers[iter] = str.charCodeAt(iter)
+            var deep    = depth >= this.maxDepth || this.length >= this.maxLength
+            var sb      = new StringBuilder()
+
+            switch(d.kind) {
+            default:
+                return ""
+            case DescriptionKind.Terminal:
+                this.length += d.text.length
+                return d.text
+            case DescriptionKind.Special:
+                var text = this.special(d, pos)
+                this.length += text.length
+                return text
+            case DescriptionKind.Sequence:
+                for (var iter = 0; iter < d.children.length; ++iter) {
+                    sb.append(this.generate(d.children[iter], depth, 0))
+                }
+                return sb.toString()
+            case DescriptionKind.Choice:
+                return this.generate(this.pick(d.children, deep), depth, pos)
+            case DescriptionKind.Optional:
+                return deep || this.random.int(2) === 0 ? "" : this.generate(d.children[0], depth, 0)
+            case DescriptionKind.Many:
+            case DescriptionKind.Many1:
+            case DescriptionKind.Count:
+                // Runs of characters are typically required to be non-empty (like identifiers)
+                var min = d.kind === DescriptionKind.Many && d.children[0].satisfy === null ? 0 : 1
+                var n   = d.kind === DescriptionKind.Count ? parseInt(d.text, 10) : deep ? min : min + this.random.int(this.maxRepeat + 1 - min)
+                for (var iter = 0; iter < n; ++iter) {
+                    sb.append(this.generate(d.children[0], depth, iter))
+                }
+                return sb.toString()
+            case DescriptionKind.Except:
+                return this.generate(d.children[0], depth, pos)
+            case DescriptionKind.Reference:
+                return d.children.length > 0 ? this.generate(d.children[0], depth + 1, pos) : ""
+            }
         }
 
-        return parser ((ps : ParserState) => { 
-            var ch = ps.currentCharCode()
-
-            if (ch === undefined) {
-                return ps.fail<number>()
-            }
+        // Generates the input of a Special description
+        special(d : Description, pos : number) : string {
+            if (d.satisfy !== null) {
+                var matching : number[] = []
+                var candidates = codePointsOf(this.candidates)
 
-            var indexOf = numbers.indexOf(ch)
+                for (var iter = 0; iter < candidates.length; ++iter) {
+                    if (d.satisfy(candidates[iter], pos)) {
+                        matching[matching.length] = candidates[iter]
+                    }
+                }
 
-            if (indexOf < 0) {
-                return ps.fail<T>()
+                return matching.length > 0 ? fromCodePoint(matching[this.random.int(matching.length)]) : ""
             }
 
-            if (indexOf >= mapTo.length) {
-                return ps.fail<T>()
+            switch(d.text) {
+            case "any character":
+                return this.candidate()
+            case "end of line":
+                return "\n"
+            default:
+                return ""
             }
+        }
 
-            ++ps.position
+        // Picks one of the descriptions, when deep the one that nests the fewest rules
+        pick(choices : Description[], deep : boolean) : Description {
+            if (!deep) {
+                return choices[this.random.int(choices.length)]
+            }
 
-            return ps.succeed(mapTo[indexOf])
-        })
-    }
+            var best = choices[0]
 
-    // Parses a string whose characters are a member of str
-    export function anyStringOf<T>(str : string) : Parser<string> {
-        var numbers = []
+            for (var iter = 1; iter < choices.length; ++iter) {
+                if (this.depthOf(choices[iter]) < this.depthOf(best)) {
+                    best = choices[iter]
+                }
+            }
 
-        for (var iter = 0; iter < str.length; ++iter) {
-            numbers[iter] = str.charCodeAt(iter)
+            return best
         }
 
-        return parser ((ps : ParserState) => { 
-            var ch = 0
-            var data : string[] = []
+        // Returns a random candidate character
+        candidate() : string {
+            var candidates = codePointsOf(this.candidates)
+            return fromCodePoint(candidates[this.random.int(candidates.length)])
+        }
 
-            var result = ps.advance((ch, pos) => numbers.indexOf(ch) > -1)
+        depthOf(d : Description) : number {
+            return this.depths[this.rules.visited.indexOf(d)]
+        }
 
-            return ps.succeed(result)
-        })
+        // Computes how deep a description at least nests rules from what is known about its children
+        minimumDepth(d : Description) : number {
+            var depth = 0
+
+            switch(d.kind) {
+            default:
+                return 0
+            case DescriptionKind.Choice:
+                depth = Infinity
+                for (var iter = 0; iter < d.children.length; ++iter) {
+                    depth = Math.min(depth, this.depthOf(d.children[iter]))
+                }
+                return depth
+            case DescriptionKind.Sequence:
+            case DescriptionKind.Many1:
+            case DescriptionKind.Count:
+            case DescriptionKind.Except:
+                for (var iter = 0; iter < d.children.length; ++iter) {
+                    depth = Math.max(depth, this.depthOf(d.children[iter]))
+                }
+                return depth
+            case DescriptionKind.Reference:
+                return d.children.length > 0 ? 1 + this.depthOf(d.children[0]) : Infinity
+            }
+        }
     }
 
-    // Parses EOS (end of stream)
-    export function EOS() : Parser<void> {
-        return parser ((ps : ParserState) => { 
-            if (!ps.isEOS()) {
-                return ps.fail<void>()
-            }
+    // The rules of a grammar: the root description and the named descriptions, references
+    //  and the descriptions used more than once it is made of (leaves like literals are repeated instead)
+    //  Unnamed rules are named rule1, rule2 and so on
+    export class GrammarRules {
+        rules   : Description[] = []
+        names   : string[]      = []
+        visited : Description[] = []
+        uses    : number[]      = []
 
-            return ps.succeed<void>(undefined)
-        })
-    }
+        constructor (root : Description) {
+            this.visit(root)
 
-    // Parses EOL (end of line)
-    export function EOL() : Parser<void> {
-        return parser ((ps : ParserState) => { 
-            if (ps.isEOS()) {
-                return ps.succeed<void>(undefined)
-            }
+            var unnamed = 0
 
-            if (ps.text[ps.position] === "\n") {
-                ++ps.position
+            for (var iter = 0; iter < this.visited.length; ++iter) {
+                var d = this.visited[iter]
+
+                var composite = d.children.length > 0 && d.kind !== DescriptionKind.FollowedBy && d.kind !== DescriptionKind.NotFollowedBy
 
-                return ps.succeed<void>(undefined)
+                if (d === root || d.name || d.kind === DescriptionKind.Reference || (composite && this.uses[iter] > 1)) {
+                    this.names[this.rules.length] = d.name || (d === root ? "grammar" : "rule" + ++unnamed)
+                    this.rules[this.rules.length] = d
+                }
             }
+        }
 
-            if (ps.text[ps.position] === "\r") {
-                ++ps.position
+        visit(d : Description) : void {
+            var index = this.visited.indexOf(d)
 
-                if (!ps.isEOS() && ps.text[ps.position] === "\n") {
-                    ++ps.position
+            if (index > -1) {
+                ++this.uses[index]
+                return
+            }
 
-                    return ps.succeed<void>(undefined)
-                }
+            this.uses[this.visited.length]      = 1
+            this.visited[this.visited.length]   = d
 
-                return ps.succeed<void>(undefined)
+            for (var iter = 0; iter < d.children.length; ++iter) {
+                this.visit(d.children[iter])
             }
+        }
 
-            return ps.fail<void>()
-        })
+        // Returns the name of the rule of a description, null if the description isn't a rule
+        nameOf(d : Description) : string {
+            var index = this.rules.indexOf(d)
+            return index < 0 ? null : this.names[index]
+        }
     }
 
-    // Parses a character that satisfy the predicate
-    export function satisfy(satisfy : Satisfy) : Parser<number> {
-        return parser ((ps : ParserState) => { 
-            if (ps.isEOS()) {
-                return ps.fail<number>()
-            }
+    // The precedence of EBNF expressions from the weakest binding to the strongest
+    enum EbnfPrecedence {
+        Choice      ,
+        Sequence    ,
+        Except      ,
+        Factor      ,
+        Primary     ,
+    }
 
-            var ch = ps.text.charCodeAt(ps.position)
+    // Produces the EBNF expression of a description
+    //  rule is true if the description is the rule being defined, otherwise rules are referred to by name
+    //  The expression is put in parantheses if it binds weaker than precedence
+    function ebnfOf(rules : GrammarRules, d : Description, rule : boolean, precedence : EbnfPrecedence) : string {
+        var name = rule ? null : rules.nameOf(d)
 
-            if (!satisfy(ch,0)) {
-                return ps.fail<number>()
-            }
+        if (name !== null) {
+            return name
+        }
 
-            ++ps.position
+        var children : string[] = []
+        var own = EbnfPrecedence.Primary
+        var text : string
 
-            return ps.succeed(ch)
-        })
+        switch(d.kind) {
+        default:
+            text = "? " + d.text + " ?"
+            break;
+        case DescriptionKind.Empty:
+            text = "? empty ?"
+            break;
+        case DescriptionKind.Terminal:
+            text = d.text.indexOf("\"") < 0 ? "\"" + d.text + "\"" : "'" + d.text + "'"
+            break;
+        case DescriptionKind.Sequence:
+        case DescriptionKind.Choice:
+            own = d.kind === DescriptionKind.Sequence ? EbnfPrecedence.Sequence : EbnfPrecedence.Choice
+            for (var iter = 0; iter < d.children.length; ++iter) {
+                children[iter] = ebnfOf(rules, d.children[iter], false, own + 1)
+            }
+            text = children.length === 0 ? "? empty ?" : children.join(own === EbnfPrecedence.Sequence ? " , " : " | ")
+            break;
+        case DescriptionKind.Optional:
+            text = "[ " + ebnfOf(rules, d.children[0], false, EbnfPrecedence.Choice) + " ]"
+            break;
+        case DescriptionKind.Many:
+            text = "{ " + ebnfOf(rules, d.children[0], false, EbnfPrecedence.Choice) + " }"
+            break;
+        case DescriptionKind.Many1:
+            text = "{ " + ebnfOf(rules, d.children[0], false, EbnfPrecedence.Choice) + " }-"
+            break;
+        case DescriptionKind.Count:
+            own = EbnfPrecedence.Factor
+            text = d.text + " * " + ebnfOf(rules, d.children[0], false, EbnfPrecedence.Primary)
+            break;
+        case DescriptionKind.Except:
+            own = EbnfPrecedence.Except
+            text = ebnfOf(rules, d.children[0], false, EbnfPrecedence.Factor) + " - " + ebnfOf(rules, d.children[1], false, EbnfPrecedence.Factor)
+            break;
+        case DescriptionKind.FollowedBy:
+        case DescriptionKind.NotFollowedBy:
+            text = "? " + predicateText(rules, d) + " ?"
+            break;
+        case DescriptionKind.Reference:
+            text = d.children.length > 0 ? ebnfOf(rules, d.children[0], false, precedence) : "? undefined ?"
+            break;
+        }
+
+        return own < precedence ? "( " + text + " )" : text
     }
 
-    // Parses a string that satisfy the predicate
-    export function satisfyMany(satisfy : Satisfy) : Parser<string> {
-        return parser ((ps : ParserState) => { return ps.succeed(ps.advance(satisfy)) })
+    // Describes a FollowedBy or NotFollowedBy description
+    function predicateText(rules : GrammarRules, d : Description) : string {
+        return (d.kind === DescriptionKind.FollowedBy ? "followed by " : "not followed by ") + ebnfOf(rules, d.children[0], false, EbnfPrecedence.Primary)
     }
 
-    // Skips characters that match the predicate
-    export function skipSatisfyMany(satisfy : Satisfy) : Parser<number> {
-        return parser ((ps : ParserState) => { return ps.succeed(ps.skipAdvance(satisfy)) })
+    // A railroad diagram element
+    //  The width and the height above and below the line the element is entered and exited on
+    //  render draws the element entered at x, y
+    class Rail {
+        constructor (public width : number, public up : number, public down : number, public render : (sb : StringBuilder, x : number, y : number) => void) {
+        }
     }
 
-    // Satisfy function for whitespace
-    export function satisyWhitespace(ch : number, pos : number) {
-        switch(ch)
-        {
-        case 0x09:  // Tab
-        case 0x0A:  // LF
-        case 0x0D:  // CR
-        case 0x20:  // Space
-            return true
+    // The radius of the arcs of railroad diagrams
+    var railRadius = 10
+
+    // Produces the railroad diagram element of a description
+    //  rule is true if the description is the rule being drawn, otherwise rules are referred to by name
+    function railOf(rules : GrammarRules, d : Description, rule : boolean) : Rail {
+        var name = rule ? null : rules.nameOf(d)
+
+        if (name !== null) {
+            return railBox(name, "nonterminal", 0)
+        }
+
+        var rails : Rail[] = []
+
+        switch(d.kind) {
         default:
-            return false
+            return railBox(d.text, "special", 0)
+        case DescriptionKind.Empty:
+            return railSkip()
+        case DescriptionKind.Terminal:
+            return railBox(d.text, "terminal", 11)
+        case DescriptionKind.Sequence:
+        case DescriptionKind.Choice:
+            for (var iter = 0; iter < d.children.length; ++iter) {
+                rails[iter] = railOf(rules, d.children[iter], false)
+            }
+            return d.kind === DescriptionKind.Sequence ? railSequence(rails) : railChoice(rails)
+        case DescriptionKind.Optional:
+            return railChoice([railSkip(), railOf(rules, d.children[0], false)])
+        case DescriptionKind.Many:
+            return railChoice([railSkip(), railLoop(railOf(rules, d.children[0], false))])
+        case DescriptionKind.Many1:
+            return railLoop(railOf(rules, d.children[0], false))
+        case DescriptionKind.Count:
+            return railSequence([railBox(d.text + " times", "special", 0), railOf(rules, d.children[0], false)])
+        case DescriptionKind.Except:
+            return railSequence([railOf(rules, d.children[0], false), railBox("except " + ebnfOf(rules, d.children[1], false, EbnfPrecedence.Primary), "special", 0)])
+        case DescriptionKind.FollowedBy:
+        case DescriptionKind.NotFollowedBy:
+            return railBox(predicateText(rules, d), "special", 0)
+        case DescriptionKind.Reference:
+            return d.children.length > 0 ? railOf(rules, d.children[0], false) : railBox("undefined", "special", 0)
         }
     }
 
-    // Satisfy function for tab
-    export function satisyTab(ch : number, pos : number) {
-        return ch === 0x09 // Tab
+    // A box with text, type is the CSS class
+    function railBox(text : string, type : string, radius : number) : Rail {
+        var width = text.length * 8 + 20
+
+        return new Rail(width, 11, 11, (sb : StringBuilder, x : number, y : number) => {
+            sb
+                .append("<rect class=\"" + type + "\" x=\"" + x + "\" y=\"" + (y - 11) + "\" width=\"" + width + "\" height=\"22\" rx=\"" + radius + "\"/>")
+                .append("<text x=\"" + (x + width / 2) + "\" y=\"" + (y + 4) + "\">" + escapeXml(text) + "</text>")
+                .newLine()
+        })
     }
 
-    // Skips a string that matches str
-    //  Typically used to parse tokens in file
-    export function skipString(str : string) : Parser<void> {
-        return parser ((ps : ParserState) => { 
-            var snapshot = ps.snapshot()
+    // A line without width, used for the path that skips an optional element
+    function railSkip() : Rail {
+        return new Rail(0, 0, 0, (sb : StringBuilder, x : number, y : number) => {})
+    }
 
-            var ss = str
+    // Elements after each other
+    function railSequence(rails : Rail[]) : Rail {
+        var width   = 0
+        var up      = 0
+        var down    = 0
 
-            var result = ps.skipAdvance((s, pos) => {
-                return pos < ss.length && ss.charCodeAt(pos) === s
-                })
+        for (var iter = 0; iter < rails.length; ++iter) {
+            width   += rails[iter].width + (iter > 0 ? railRadius : 0)
+            up      = Math.max(up, rails[iter].up)
+            down    = Math.max(down, rails[iter].down)
+        }
 
-            if (result === ss.length) {
-                return ps.succeed<void>(undefined)
-            } else {
-                ps.restore(snapshot)
-                return ps.fail<void>()
+        return new Rail(width, up, down, (sb : StringBuilder, x : number, y : number) => {
+            for (var iter = 0; iter < rails.length; ++iter) {
+                if (iter > 0) {
+                    sb.append(svgPath("M " + x + " " + y + " h " + railRadius)).newLine()
+                    x += railRadius
+                }
+                rails[iter].render(sb, x, y)
+                x += rails[iter].width
             }
         })
     }
 
-    // Applies the parser until it fails and the value is an array of all successfully parsed values
-    export function many<T>(p : Parser<T>) : Parser<T[]> {
-        return parser ((ps : ParserState) => { 
+    // Alternative elements, the first on the line and the others below it
+    function railChoice(rails : Rail[]) : Rail {
+        var r       = railRadius
+        var inner   = 0
+        var offsets : number[] = []
 
-            var result : T[] = []
+        for (var iter = 0; iter < rails.length; ++iter) {
+            inner = Math.max(inner, rails[iter].width)
+            offsets[iter] = iter === 0 ? 0 : Math.max(offsets[iter - 1] + rails[iter - 1].down + r + rails[iter].up, offsets[iter - 1] + 2 * r)
+        }
 
-            var pResult : ParseResult<T>
+        var width   = inner + 4 * r
+        var last    = rails.length - 1
 
-            while((pResult = p.parse(ps)).success) {
-                result[result.length] = pResult.value
-            }
+        return new Rail(width, rails[0].up, offsets[last] + rails[last].down, (sb : StringBuilder, x : number, y : number) => {
+            for (var iter = 0; iter < rails.length; ++iter) {
+                var rail    = rails[iter]
+                var ry      = y + offsets[iter]
+                var end     = x + 2 * r + rail.width
+
+                if (iter === 0) {
+                    sb.append(svgPath("M " + x + " " + y + " h " + 2 * r))
+                } else {
+                    sb.append(svgPath("M " + x + " " + y + " a " + r + " " + r + " 0 0 1 " + r + " " + r + " V " + (ry - r) + " a " + r + " " + r + " 0 0 0 " + r + " " + r))
+                }
+                sb.newLine()
+
+                rail.render(sb, x + 2 * r, ry)
 
-            return ps.succeed(result)
+                if (iter === 0) {
+                    sb.append(svgPath("M " + end + " " + y + " H " + (x + width)))
+                } else {
+                    sb.append(svgPath("M " + end + " " + ry + " H " + (x + width - 2 * r) + " a " + r + " " + r + " 0 0 0 " + r + " " + -r + " V " + (y + r) + " a " + r + " " + r + " 0 0 1 " + r + " " + -r))
+                }
+                sb.newLine()
+            }
         })
     }
 
-    // Applies the character number parser and combines the characters into a string
-    export function manyString(p : Parser<number>) : Parser<string> {
-        return parser ((ps : ParserState) => { 
-
-            var result = ""
+    // An element that is repeated, the loop back is drawn below it
+    function railLoop(rail : Rail) : Rail {
+        var r       = railRadius
+        var down    = Math.max(rail.down + r, 2 * r)
+        var width   = rail.width + 4 * r
 
-            var pResult : ParseResult<number>
+        return new Rail(width, rail.up, down, (sb : StringBuilder, x : number, y : number) => {
+            var left    = x + 2 * r
+            var right   = left + rail.width
 
-            var data : string[] = []
+            sb.append(svgPath("M " + x + " " + y + " h " + 2 * r)).newLine()
 
-            while((pResult = p.parse(ps)).success) {
-                data[data.length] = String.fromCharCode(pResult.value)
-            }
+            rail.render(sb, left, y)
 
-            return ps.succeed(data.join(""))
+            sb
+                .append(svgPath("M " + right + " " + y + " h " + 2 * r))
+                .newLine()
+                .append(svgPath("M " + right + " " + y + " a " + r + " " + r + " 0 0 1 " + r + " " + r + " V " + (y + down - r) + " a " + r + " " + r + " 0 0 1 " + -r + " " + r
+                    + " H " + left + " a " + r + " " + r + " 0 0 1 " + -r + " " + -r + " V " + (y + r) + " a " + r + " " + r + " 0 0 1 " + r + " " + -r))
+                .newLine()
         })
     }
 
-    // Combines two parser results into a tuple value of both results
-    export function combine2<T0, T1>(p0 : Parser<T0>, p1 : Parser<T1>) : Parser<{v0 : T0; v1 : T1}> {
-        return parser ((ps : ParserState) => { 
-            var snapshot = ps.snapshot()
+    // Creates an SVG path element
+    function svgPath(d : string) : string {
+        return "<path d=\"" + d + "\"/>"
+    }
 
-            var p0Result = p0.parse(ps)
+    // Escapes text so it can be used in XML
+    function escapeXml(text : string) : string {
+        return text
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+    }
 
-            if (!p0Result.success) {
-                return ps.fail<{v0 : T0; v1 : T1}>()
-            }
+    // Syntax describes both how to parse and how to print a value, one definition gives
+    //  parse and print that agree with each other: parse(print(x)) produces x
+    //  The printer produces null if the value can't be printed
+    //  Syntaxes are built from literals, verbatim strings and invertible combinators, the combinators
+    //  that transform values takes the inverse transform as well
+    // Note: Layout is up to the printer, like spaces around operators, it has to be accepted
+    //  by the parser (typically whitespace skipped after each token)
+    // Example:
+    //  var s_number = verbatim(anyStringOf("0123456789").consumedAtLeast(1)).transform(
+    //      (c : string) => parseFloat(c),
+    //      (v : number) => v.toString())
+    //  s_number.print(s_number.parse("123").value)
+    export class Syntax<T> {
+        constructor (public parser : Parser<T>, public printer : Printer<T>) {
+        }
 
-            var p1Result = p1.parse(ps)
+        // Parses a string (see parse)
+        parse(s : string) : ParseResult<T> {
+            return parse(this.parser, s)
+        }
 
-            if (!p1Result.success) {
-                ps.restore(snapshot)
-                return ps.fail<{v0 : T0; v1 : T1}>()
-            }
+        // Prints a value, produces null if the value can't be printed
+        print(value : T) : string {
+            return this.printer(value)
+        }
 
-            var result = {v0 : p0Result.value, v1 : p1Result.value}
+        // Parses this followed by other and keeps the value of this
+        //  Prints this followed by other, other doesn't get a value so it's typically a literal
+        keepLeft<TOther>(sOther : Syntax<TOther>) : Syntax<T> {
+            return syntax(
+                this.parser.keepLeft(sOther.parser),
+                (value : T) => printed(this.printer(value), sOther.printer(undefined)))
+        }
 
-            return ps.succeed(result)
-        })
-    }
+        // Parses this followed by other and keeps the value of other
+        //  Prints this followed by other, this doesn't get a value so it's typically a literal
+        keepRight<TOther>(sOther : Syntax<TOther>) : Syntax<TOther> {
+            return syntax(
+                this.parser.keepRight(sOther.parser),
+                (value : TOther) => printed(this.printer(undefined), sOther.printer(value)))
+        }
 
-    // Combines three parser results into a tuple value of all results
-    export function combine3<T0, T1, T2>(p0 : Parser<T0>, p1 : Parser<T1>, p2 : Parser<T2>) : Parser<{v0 : T0; v1 : T1; v2 : T2}> {
-        return parser ((ps : ParserState) => { 
-            var snapshot = ps.snapshot()
+        // Parses and prints this in between begin and end
+        // Example: s_expression.inBetween(literal("("), literal(")"))
+        inBetween(sBegin : Syntax<void>, sEnd : Syntax<void>) : Syntax<T> {
+            return syntax(
+                this.parser.inBetween(sBegin.parser, sEnd.parser),
+                (value : T) => printed(sBegin.printer(undefined), this.printer(value), sEnd.printer(undefined)))
+        }
 
-            var p0Result = p0.parse(ps)
+        // Transforms the parsed value using transform, untransform is the inverse used when printing
+        //  untransform produces null if the value can't be printed
+        // Example: verbatim(p_digits).transform((c : string) => parseFloat(c), (v : number) => v.toString())
+        transform<TTo>(transform : (value : T) => TTo, untransform : (value : TTo) => T) : Syntax<TTo> {
+            return this.located((value : T, span : Span) => transform(value), untransform)
+        }
 
-            if (!p0Result.success) {
-                return ps.fail<{v0 : T0; v1 : T1; v2 : T2}>()
-            }
+        // Transforms the parsed value and the span of the consumed input (see Parser.located)
+        //  untransform is the inverse used when printing, it produces null if the value can't be printed
+        // Example: s_identifier.located(
+        //      (name : string, span : Span) => new IdentifierExpression(name, span),
+        //      (e : Expression) => e instanceof IdentifierExpression ? e.name : null)
+        located<TTo>(transform : (value : T, span : Span) => TTo, untransform : (value : TTo) => T) : Syntax<TTo> {
+            return syntax(
+                this.parser.located(transform),
+                (value : TTo) => {
+                    var v = untransform(value)
+                    return v === null ? null : this.printer(v)
+                })
+        }
 
-            var p1Result = p1.parse(ps)
+        // Names the syntax in failure messages (see Parser.label)
+        label(name : string) : Syntax<T> {
+            return syntax(this.parser.label(name), this.printer)
+        }
 
-            if (!p1Result.success) {
-                ps.restore(snapshot)
-                return ps.fail<{v0 : T0; v1 : T1; v2 : T2}>()
-            }
+        // Names the syntax in the grammar documentation (see Parser.named)
+        named(name : string) : Syntax<T> {
+            return syntax(this.parser.named(name), this.printer)
+        }
 
-            var p2Result = p2.parse(ps)
+        // Memoizes the parse results by position (see Parser.memo)
+        memo() : Syntax<T> {
+            return syntax(this.parser.memo(), this.printer)
+        }
 
-            if (!p2Result.success) {
-                ps.restore(snapshot)
-                return ps.fail<{v0 : T0; v1 : T1; v2 : T2}>()
+        // Recovers from failures when parsing with parseWithRecovery (see recover)
+        //  The fallback stands in for the invalid input so it's never printed
+        recover<S>(pSync : Parser<S>, fallback : T, missing? : boolean) : Syntax<T> {
+            return syntax(recover(this.parser, pSync, fallback, missing), (value : T) => value === fallback ? null : this.printer(value))
+        }
+    }
+
+    // Special syntax used to break circular syntaxes (see circular)
+    export class CircularSyntax<T> extends Syntax<T> {
+        constructor (name? : string) {
+            super(circular<T>(name), (value : T) => null)
+        }
+
+        // Defines the circular syntax as s
+        assign(s : Syntax<T>) : void {
+            (<CircularParser<T>> this.parser).assign(s.parser)
+            this.printer = s.printer
+        }
+    }
+
+    // Concatenates printed parts, produces null if a part couldn't be printed
+    function printed(... parts : string[]) : string {
+        for (var iter = 0; iter < parts.length; ++iter) {
+            var part = parts[iter]
+            if (part === null || part === undefined) {
+                return null
             }
+        }
 
-            var result = {v0 : p0Result.value, v1 : p1Result.value, v2 : p2Result.value}
+        return parts.join("")
+    }
 
-            return ps.succeed(result)
-        })
+    // Creates a syntax from a parser and a printer
+    //  The printer has to print values the parser parses into the same value
+    // Example: syntax(skipSatisfyMany(satisyWhitespace), () => "")
+    export function syntax<T>(p : Parser<T>, printer : Printer<T>) : Syntax<T> {
+        return new Syntax<T>(p, printer)
     }
 
-    // chainLeft is typically used to implement left associative operators
-    //  The p parser parser an expression
-    //  The pSeparator parser parses the operator
-    //  The combiner combines the result expressions into a new expression
-    export function chainLeft<T,S>(p : Parser<T>, pSeparator : Parser<S>, combiner : Combiner<T,S>) : Parser<T> {
-        return parser ((ps : ParserState) => { 
+    // Creates a circular syntax, define it with assign
+    // Example:
+    //  var s_expression = circularSyntax<Expression>("expression")
+    //  s_expression.assign(expressionSyntax(s_term, s_expression.inBetween(literal("("), literal(")")), table))
+    export function circularSyntax<T>(name? : string) : CircularSyntax<T> {
+        return new CircularSyntax<T>(name)
+    }
 
-            var pResult = p.parse(ps)
-            if(!pResult.success) {
-                return ps.fail<T>()
-            }
+    // Pairs the parsed value with the span of the consumed input, the span isn't printed
+    // Note: Like withSpan this struggles as a member function
+    export function syntaxWithSpan<T>(s : Syntax<T>) : Syntax<Spanned<T>> {
+        return syntax(
+            withSpan(s.parser),
+            (value : Spanned<T>) => s.printer(value.value))
+    }
 
-            var snapshot = ps.snapshot()
+    // Parses str, prints str or printed if given
+    //  printed is str with layout, like spaces around an operator
+    // Example: literal("+", " + ")
+    export function literal(str : string, printed? : string) : Syntax<void> {
+        var text = printed === undefined ? str : printed
 
-            var value = pResult.value
+        return syntax(skipString(str), () => text)
+    }
 
-            var pSeparatorResult    : ParseResult<S>
-            var pOtherResult        : ParseResult<T>
+    // Parses any of the strings and maps it to a value, prints the string of the value
+    //  printed are the strings with layout, like spaces around an operator
+    //  The strings are tried in order so a string should be listed before its prefixes
+    // Example: literals(["+", "-"], [Add, Subtract], [" + ", " - "])
+    export function literals<T>(strs : string[], mapTo : T[], printed? : string[]) : Syntax<T> {
+        var texts   = printed || strs
+        var choices : Parser<T>[] = []
+
+        for (var iter = 0; iter < strs.length; ++iter) {
+            choices[iter] = skipString(strs[iter]).result(mapTo[iter])
+        }
 
-            while((pSeparatorResult = pSeparator.parse(ps)).success && (pOtherResult = p.parse(ps)).success) {
-                snapshot = ps.snapshot()
-                value = combiner(value, pSeparatorResult.value, pOtherResult.value)
+        return syntax(choice.apply(null, choices), (value : T) => {
+            var index = mapTo.indexOf(value)
+            return index < 0 ? null : texts[index]
+        })
+    }
+
+    // Parses a string with p, prints the string if p parses all of it into the same string
+    //  As the printed string is checked by the parser the printer can't produce invalid input
+    // Example: verbatim(anyStringOf("0123456789").consumedAtLeast(1))
+    export function verbatim(p : Parser<string>) : Syntax<string> {
+        return syntax(p, (value : string) => {
+            if (typeof value !== "string") {
+                return null
             }
 
-            ps.restore(snapshot)
+            var ps = new ParserState(value)
+            var pResult = p.parseShared(ps)
 
-            return ps.succeed(value)
+            return pResult.success && ps.position === value.length && pResult.value === value ? value : null
         })
     }
 
-    // choice applies each input parser in order and picks the first that matches
-    export function choice<T>(... choices : Parser<T>[]) : Parser<T> {
-        return parser ((ps : ParserState) => { 
-
-            for (var iter = 0; iter < choices.length; ++iter) {
-                var p = choices[iter]
+    // Parses the first syntax that matches, prints with the first syntax that can print the value
+    export function syntaxChoice<T>(... choices : Syntax<T>[]) : Syntax<T> {
+        var parsers : Parser<T>[] = []
 
-                var pResult = p.parse(ps)
+        for (var iter = 0; iter < choices.length; ++iter) {
+            parsers[iter] = choices[iter].parser
+        }
 
-                if (pResult.success) {
-                    return ps.succeed(pResult.value)
+        return syntax(choice.apply(null, parsers), (value : T) => {
+            for (var iter = 0; iter < choices.length; ++iter) {
+                var text = choices[iter].printer(value)
+                if (text !== null && text !== undefined) {
+                    return text
                 }
-
             }
 
-            return ps.fail<T>()
+            return null
         })
     }
 
-    // switch peeks on the first character and uses the associated parser
-    // Note: Useful if the first character can be used as a differentiator
-    export function switchOver<T>(defaultTo: Parser<T>, ... choices : {differentiator : string; parser : Parser<T>}[]) : Parser<T> {
-
-        var map : Parser<T>[] = []
+    // Creates an infix operator level for expressionSyntax
+    //  The splitter is the inverse of the combiner
+    // Example: infixSyntax(literals(["+", "-"], [Add, Subtract], [" + ", " - "]), Associativity.Left, combiner, splitter)
+    export function infixSyntax<T,S>(sOperator : Syntax<S>, associativity : Associativity, combiner : Combiner<T,S>, splitter : Splitter<T,S>) : SyntaxLevel<T> {
+        return { level : infixOperators(sOperator.parser, associativity, combiner), operator : sOperator, splitter : splitter, unapplier : null }
+    }
 
-        for (var iter = 0; iter < choices.length; ++iter) {
-            var choice = choices[iter]
+    // Creates a prefix operator level for expressionSyntax
+    //  The unapplier is the inverse of the applier
+    export function prefixSyntax<T,S>(sOperator : Syntax<S>, applier : Applier<T,S>, unapplier : Unapplier<T,S>, associativity : Associativity = Associativity.Right) : SyntaxLevel<T> {
+        return { level : prefixOperators(sOperator.parser, applier, associativity), operator : sOperator, splitter : null, unapplier : unapplier }
+    }
 
-            var d = choice.differentiator || ""
+    // Creates a postfix operator level for expressionSyntax
+    //  The unapplier is the inverse of the applier
+    export function postfixSyntax<T,S>(sOperator : Syntax<S>, applier : Applier<T,S>, unapplier : Unapplier<T,S>, associativity : Associativity = Associativity.Left) : SyntaxLevel<T> {
+        return { level : postfixOperators(sOperator.parser, applier, associativity), operator : sOperator, splitter : null, unapplier : unapplier }
+    }
 
-            for (var ita = 0; ita < d.length; ++ita) {
-                map[d.charCodeAt(ita)] = choices[iter].parser
-            }
+    // expressionSyntax builds an expression syntax from a term syntax and an operator table
+    //  Parses like expressionParser, the operator levels are ordered by precedence, the first level binds the strongest
+    //  Prints parentheses only where precedence and associativity requires them, the operands of
+    //  an operator are printed with parenthesized if they bind weaker than the operator
+    //  A value belongs to the first level that can split it and print its operator, values no level
+    //  can split are printed with term
+    // Example:
+    //  var s_expression = circularSyntax<Expression>("expression")
+    //  s_expression.assign(expressionSyntax(s_term, s_expression.inBetween(literal("("), literal(")")), [
+    //      prefixSyntax(literal("-"), applier, unapplier),
+    //      infixSyntax(literals(["*", "/"], [Multiply, Divide]), Associativity.Left, combiner, splitter),
+    //      infixSyntax(literals(["+", "-"], [Add, Subtract]), Associativity.Left, combiner, splitter),
+    //      ]))
+    export function expressionSyntax<T>(term : Syntax<T>, parenthesized : Syntax<T>, table : SyntaxLevel<T>[]) : Syntax<T> {
+        var levels : OperatorLevel<T>[] = []
+
+        for (var iter = 0; iter < table.length; ++iter) {
+            levels[iter] = table[iter].level
         }
-        
-        return parser ((ps : ParserState) => { 
-            var ch = ps.currentCharCode()
 
-            if (ch === undefined) {
-                return ps.fail<T>()
-            }
+        // The terms being printed, a term that comes back through parenthesized can't be printed
+        var terms : T[] = []
 
-            var p = map[ch]
+        // Prints value, parenthesized if it belongs to a level above max
+        var printAt = (value : T, max : number) : string => {
+            for (var iter = 0; iter < table.length; ++iter) {
+                var syntaxLevel = table[iter]
+                var level       = syntaxLevel.level
+                var repeat      = level.associativity !== Associativity.None
 
-            if (p === undefined) {
-                return ps.fail<T>()
+                if (syntaxLevel.splitter) {
+                    var infix = syntaxLevel.splitter(value)
+                    var op = infix ? syntaxLevel.operator.printer(infix.op) : null
+
+                    if (op === null || op === undefined) {
+                        continue
+                    }
+
+                    if (iter > max) {
+                        return parenthesized.printer(value)
+                    }
+
+                    return printed(
+                        printAt(infix.left  , level.associativity === Associativity.Left  ? iter : iter - 1),
+                        op,
+                        printAt(infix.right , level.associativity === Associativity.Right ? iter : iter - 1))
+                } else {
+                    var unary = syntaxLevel.unapplier(value)
+                    var op = unary ? syntaxLevel.operator.printer(unary.op) : null
+
+                    if (op === null || op === undefined) {
+                        continue
+                    }
+
+                    if (iter > max) {
+                        return parenthesized.printer(value)
+                    }
+
+                    var operand = printAt(unary.operand, repeat ? iter : iter - 1)
+
+                    return level.kind === OperatorKind.Prefix
+                        ? printed(op, operand)
+                        : printed(operand, op)
+                }
             }
 
-            return p.parse(ps)
-        })
-    }
+            if (terms.indexOf(value) > -1) {
+                return null
+            }
 
-    // Special parser used to be break circular parsers (very common)
-    export function circular<T>() : Parser<T> {
-        return parser<T> (null)
+            terms[terms.length] = value
+            var text = term.printer(value)
+            terms.length--
+
+            return text
+        }
+
+        return syntax(
+            expressionParser(term.parser, levels),
+            (value : T) => printAt(value, table.length - 1))
     }
 }
@@ -0,0 +1,398 @@
+﻿// ----------------------------------------------------------------------------------------------
+// Copyright (c) Mårten Rånge.
+// ----------------------------------------------------------------------------------------------
+// This source code is subject to terms and conditions of the Microsoft Public License. A
+// copy of the license can be found in the License.html file at the root of this distribution.
+// If you cannot locate the  Microsoft Public License, please send an email to
+// dlr@microsoft.com. By using this source code in any fashion, you are agreeing to be bound
+//  by the terms of the Microsoft Public License.
+// ----------------------------------------------------------------------------------------------
+// You must not remove this notice, or any other, from this software.
+// ----------------------------------------------------------------------------------------------
+// Compiles grammar text in PEG (Parsing Expression Grammar) syntax into mpc parsers
+//  See the article that introduced PEG: http://bford.info/pub/lang/peg.pdf
+// The grammar text is a list of rules, the first rule is the start rule:
+//
+//  # Comments starts with #
+//  Sum     <- Product ("+" Product)* {sum}
+//  Product <- Number ("*" Number)* {product}
+//  Number  <- [0-9]+ {number}
+//
+// Expressions (from the strongest binding to the weakest):
+//  Rule                A reference to a rule, the value is the value of the rule
+//  "text" or 'text'    A literal, the value is the literal
+//  [a-z_] or [^0-9]    A character class, the value is the character
+//  .                   Any character, the value is the character
+//  (e)                 Grouping
+//  e* e+ e?            Zero or more, one or more and optional, the value is an array or null
+//  &e !e               Succeeds if e succeeds or fails without consuming any input
+//  e1 e2 {action}      A sequence, the value is an array of the values of the expressions
+//                      unless it's a single expression, a named action transforms the value
+//  e1 / e2             Ordered choice, the value of the first expression that succeeds
+//
+// Literals and character classes supports the escapes \n \r \t \' \" \[ \] \\ \- and \uXXXX
+var peg;
+(function (peg) {
+    // A compiled grammar
+    //  The parsers of the rules by name
+    //  The parser of the start rule
+    var Grammar = (function () {
+        function Grammar(rules, start) {
+            this.rules = rules;
+            this.start = start;
+        }
+        // Parses a string with the start rule, or the named rule if given
+        //  The budget aborts runaway parses (see mpc.parse)
+        // Note: The rule doesn't have to consume all input, end the rule with !. to require that
+        // Note: Repeating an expression that can succeed without consuming input, like ('a'?)*, throws an Error
+        Grammar.prototype.parse = function (s, rule, budget) {
+            return mpc.parse(rule ? this.rules[rule] : this.start, s, budget);
+        };
+        return Grammar;
+    })();
+    peg.Grammar = Grammar;
+
+    var RuleNode = (function () {
+        function RuleNode(name, position) {
+            this.name = name;
+            this.position = position;
+        }
+        RuleNode.prototype.compile = function (compiler) {
+            return compiler.reference(this.name, this.position);
+        };
+        return RuleNode;
+    })();
+
+    var LiteralNode = (function () {
+        function LiteralNode(text) {
+            this.text = text;
+        }
+        LiteralNode.prototype.compile = function (compiler) {
+            return mpc.skipString(this.text).result(this.text);
+        };
+        return LiteralNode;
+    })();
+
+    var ClassNode = (function () {
+        function ClassNode(negated, ranges, span) {
+            this.negated = negated;
+            this.ranges = ranges;
+            this.span = span;
+        }
+        ClassNode.prototype.compile = function (compiler) {
+            var negated = this.negated;
+            var ranges = this.ranges;
+
+            var satisfy = function (ch, pos) {
+                for (var iter = 0; iter < ranges.length; ++iter) {
+                    if (ch >= ranges[iter][0] && ch <= ranges[iter][1]) {
+                        return !negated;
+                    }
+                }
+                return negated;
+            };
+
+            return mpc.codePoints(mpc.satisfy(satisfy, compiler.text.substring(this.span.start, this.span.end))).transform(function (ch) {
+                return mpc.fromCodePoint(ch);
+            });
+        };
+        return ClassNode;
+    })();
+
+    var AnyNode = (function () {
+        function AnyNode() {
+        }
+        AnyNode.prototype.compile = function (compiler) {
+            return mpc.codePoints(mpc.anyChar()).transform(function (ch) {
+                return mpc.fromCodePoint(ch);
+            });
+        };
+        return AnyNode;
+    })();
+
+    var RepeatNode = (function () {
+        function RepeatNode(operator, node) {
+            this.operator = operator;
+            this.node = node;
+        }
+        RepeatNode.prototype.compile = function (compiler) {
+            var p = this.node.compile(compiler);
+
+            switch (this.operator) {
+                default:
+                    return mpc.many(p);
+                case "+":
+                    return mpc.many1(p);
+                case "?":
+                    return p.opt();
+            }
+        };
+        return RepeatNode;
+    })();
+
+    var PredicateNode = (function () {
+        function PredicateNode(operator, node) {
+            this.operator = operator;
+            this.node = node;
+        }
+        PredicateNode.prototype.compile = function (compiler) {
+            var p = this.node.compile(compiler);
+
+            if (this.operator === "&") {
+                return mpc.lookahead(p).result(undefined);
+            }
+
+            return mpc.notFollowedBy(p);
+        };
+        return PredicateNode;
+    })();
+
+    var SequenceNode = (function () {
+        function SequenceNode(nodes, action) {
+            this.nodes = nodes;
+            this.action = action;
+        }
+        SequenceNode.prototype.compile = function (compiler) {
+            var parsers = [];
+
+            for (var iter = 0; iter < this.nodes.length; ++iter) {
+                parsers[iter] = this.nodes[iter].compile(compiler);
+            }
+
+            var p = parsers.length === 1 ? parsers[0] : mpc.sequence.apply(null, parsers);
+
+            if (!this.action) {
+                return p;
+            }
+
+            var action = compiler.action(this.action.name, this.action.position);
+
+            return p.located(function (value, span) {
+                return action(value, span);
+            });
+        };
+        return SequenceNode;
+    })();
+
+    var ChoiceNode = (function () {
+        function ChoiceNode(nodes) {
+            this.nodes = nodes;
+        }
+        ChoiceNode.prototype.compile = function (compiler) {
+            var parsers = [];
+
+            for (var iter = 0; iter < this.nodes.length; ++iter) {
+                parsers[iter] = this.nodes[iter].compile(compiler);
+            }
+
+            return parsers.length === 1 ? parsers[0] : mpc.choice.apply(null, parsers);
+        };
+        return ChoiceNode;
+    })();
+
+    // A rule definition: name <- expression
+    var DefinitionNode = (function () {
+        function DefinitionNode(rule, node) {
+            this.rule = rule;
+            this.node = node;
+        }
+        return DefinitionNode;
+    })();
+
+    // Compiles the rule definitions into parsers
+    //  The rules are circular parsers so rules can be referenced before they are defined
+    //  The first error is kept, it is reported as a failure at the position of the error
+    var Compiler = (function () {
+        function Compiler(text, actions) {
+            this.text = text;
+            this.actions = actions;
+            this.rules = {};
+            this.errorPosition = -1;
+            this.errorExpected = null;
+        }
+        Compiler.prototype.compile = function (definitions) {
+            for (var iter = 0; iter < definitions.length; ++iter) {
+                var rule = definitions[iter].rule;
+
+                if (this.rules.hasOwnProperty(rule.name)) {
+                    this.error(rule.position, ["rule name other than " + rule.name + " (already defined)"]);
+                } else {
+                    this.rules[rule.name] = mpc.circular(rule.name);
+                }
+            }
+
+            for (var iter = 0; iter < definitions.length; ++iter) {
+                var definition = definitions[iter];
+                this.rules[definition.rule.name].define(definition.node.compile(this));
+            }
+
+            return new Grammar(this.rules, this.rules[definitions[0].rule.name]);
+        };
+
+        // Returns the parser of a rule
+        Compiler.prototype.reference = function (name, position) {
+            if (!this.rules.hasOwnProperty(name)) {
+                this.error(position, ["definition of rule " + name]);
+                return mpc.fail();
+            }
+
+            return this.rules[name];
+        };
+
+        // Returns the named semantic action
+        Compiler.prototype.action = function (name, position) {
+            if (!this.actions.hasOwnProperty(name)) {
+                this.error(position, ["definition of action " + name]);
+                return function (value, span) {
+                    return value;
+                };
+            }
+
+            return this.actions[name];
+        };
+
+        Compiler.prototype.error = function (position, expected) {
+            if (this.errorExpected === null) {
+                this.errorPosition = position;
+                this.errorExpected = expected;
+            }
+        };
+        return Compiler;
+    })();
+
+    // Define the grammar of the grammar text
+    // Consumes whitespaces and comments
+    var p_whitespaces = mpc.skipSatisfyMany(mpc.satisyWhitespace);
+
+    var p_comment = mpc.skipString("#").keepRight(mpc.skipSatisfyMany(function (ch, pos) {
+        return ch !== 0x0A && ch !== 0x0D;
+    })).label("comment").keepLeft(p_whitespaces);
+
+    var p_spacing = p_whitespaces.keepLeft(mpc.many(p_comment));
+
+    // Parses a string followed by spacing
+    function symbol(str) {
+        return mpc.skipString(str).keepLeft(p_spacing);
+    }
+
+    // Parses an identifier, used for rule and action names
+    var p_identifier = mpc.codePoints(mpc.satisfyMany(function (ch, pos) {
+        return pos === 0 ? mpc.isIdStart(ch, pos) || ch === 0x5F : mpc.isIdContinue(ch, pos);
+    })).consumedAtLeast(1).label("name").located(function (name, span) {
+        return new RuleNode(name, span.start);
+    }).keepLeft(p_spacing);
+
+    var p_leftArrow = symbol("<-");
+
+    // Parses an escape sequence and returns the character
+    var p_escape = mpc.skipString("\\").keepRight(mpc.choice(mpc.anyCharOf2("nrt'\"[]\\-", [0x0A, 0x0D, 0x09, 0x27, 0x22, 0x5B, 0x5D, 0x5C, 0x2D]), mpc.skipString("u").keepRight(mpc.regex(/[0-9A-Fa-f]{4}/)).transform(function (hex) {
+        return parseInt(hex, 16);
+    })));
+
+    // Parses a character of a literal or a character class that isn't one of the delimiters
+    function character(delimiters) {
+        return mpc.choice(p_escape, mpc.codePoints(mpc.satisfy(function (ch, pos) {
+            return ch !== 0x5C && ch !== 0x0A && ch !== 0x0D && delimiters.indexOf(mpc.fromCodePoint(ch)) < 0;
+        }, "character")));
+    }
+
+    // Parses a literal surrounded by quote
+    function literal(quote) {
+        return mpc.manyString(character(quote)).inBetween(mpc.skipString(quote), symbol(quote)).transform(function (text) {
+            return new LiteralNode(text);
+        });
+    }
+
+    var p_literal = mpc.choice(literal("\""), literal("'"));
+
+    // Parses a character class like [a-z_] or [^0-9], the value is the ranges of the characters
+    var p_classCharacter = character("]");
+
+    var p_range = mpc.sequence(p_classCharacter, mpc.skipString("-").keepRight(p_classCharacter).opt()).transform(function (range) {
+        return [range[0], range[1] === null ? range[0] : range[1]];
+    });
+
+    var p_class = mpc.sequence(mpc.skipString("^").result(true).opt(), mpc.many(p_range)).inBetween(mpc.skipString("["), mpc.skipString("]")).located(function (v, span) {
+        return new ClassNode(v[0] === true, v[1], span);
+    }).keepLeft(p_spacing);
+
+    var p_any = symbol(".").result(new AnyNode());
+
+    // Parses an expression, as the definition is circular this is a placeholder for now
+    var p_expression = mpc.circular("expression");
+
+    // Parses a primary: a rule reference, a grouped expression, a literal, a character class or any character
+    var p_primary = mpc.choice(p_identifier.keepLeft(mpc.notFollowedBy(p_leftArrow)), p_expression.inBetween(symbol("("), symbol(")")), p_literal, p_class, p_any);
+
+    // Parses a primary optionally followed by *, + or ?
+    var p_suffix = mpc.sequence(p_primary, mpc.anyCharOf("*+?").keepLeft(p_spacing).opt()).transform(function (v) {
+        return v[1] === null ? v[0] : new RepeatNode("*+?".charAt(v[1]), v[0]);
+    });
+
+    // Parses a suffix optionally preceded by & or !
+    var p_prefix = mpc.sequence(mpc.anyCharOf("&!").keepLeft(p_spacing).opt(), p_suffix).transform(function (v) {
+        return v[0] === null ? v[1] : new PredicateNode("&!".charAt(v[0]), v[1]);
+    });
+
+    // Parses a named semantic action like {sum}
+    var p_action = p_identifier.inBetween(symbol("{"), symbol("}"));
+
+    // Parses a sequence optionally followed by an action
+    var p_sequence = mpc.sequence(mpc.many(p_prefix), p_action.opt()).transform(function (v) {
+        return new SequenceNode(v[0], v[1]);
+    });
+
+    // Parses the ordered choice of sequences
+    var p_choice = mpc.sepBy1(p_sequence, symbol("/")).transform(function (nodes) {
+        return new ChoiceNode(nodes);
+    });
+
+    // Parses a rule definition
+    var p_definition = mpc.sequence(p_identifier, p_leftArrow, p_choice).transform(function (v) {
+        return new DefinitionNode(v[0], v[2]);
+    });
+
+    // Produces the complete grammar parser, sets up the circular parser expression
+    //  The complete grammar parser skips leading spacing and requires all input to be consumed
+    var p_grammar = (function () {
+        p_expression.assign(p_choice);
+        return p_spacing.keepRight(mpc.many1(p_definition)).keepLeft(mpc.EOS());
+    })();
+
+    // Compiles grammar text into parsers, the actions are the named semantic actions used by the grammar
+    //  If the grammar text is invalid, references an undefined rule or action or defines a rule
+    //  twice the result is a failure describing the first error
+    // Example:
+    //  var result = compile("Number <- [0-9]+ {number}", { number : (digits : string[]) => parseFloat(digits.join("")) })
+    //  if (result.success) {
+    //      result.value.parse("42")
+    //  }
+    function compile(text, actions) {
+        var p = mpc.parser(function (ps) {
+            var pResult = p_grammar.parse(ps);
+
+            if (!pResult.success) {
+                return ps.propagate(pResult);
+            }
+
+            var compiler = new Compiler(text, actions || {});
+
+            var grammar = compiler.compile(pResult.value);
+
+            if (compiler.errorExpected !== null) {
+                // The grammar text is valid so the compile error is reported rather than
+                // the furthest failure of the grammar parser
+                ps.furthestPosition = -1;
+                ps.furthestExpected = [];
+                ps.position = compiler.errorPosition;
+                return ps.fail(compiler.errorExpected);
+            }
+
+            return ps.succeed(grammar);
+        });
+
+        return mpc.parse(p, text);
+    }
+    peg.compile = compile;
+})(peg || (peg = {}));
+//# sourceMappingURL=peg.js.map
@@ -0,0 +1,404 @@
+﻿// ----------------------------------------------------------------------------------------------
+// Copyright (c) Mårten Rånge.
+// ----------------------------------------------------------------------------------------------
+// This source code is subject to terms and conditions of the Microsoft Public License. A
+// copy of the license can be found in the License.html file at the root of this distribution.
+// If you cannot locate the  Microsoft Public License, please send an email to
+// dlr@microsoft.com. By using this source code in any fashion, you are agreeing to be bound
+//  by the terms of the Microsoft Public License.
+// ----------------------------------------------------------------------------------------------
+// You must not remove this notice, or any other, from this software.
+// ----------------------------------------------------------------------------------------------
+
+// Compiles grammar text in PEG (Parsing Expression Grammar) syntax into mpc parsers
+//  See the article that introduced PEG: http://bford.info/pub/lang/peg.pdf
+
+// The grammar text is a list of rules, the first rule is the start rule:
+//
+//  # Comments starts with #
+//  Sum     <- Product ("+" Product)* {sum}
+//  Product <- Number ("*" Number)* {product}
+//  Number  <- [0-9]+ {number}
+//
+// Expressions (from the strongest binding to the weakest):
+//  Rule                A reference to a rule, the value is the value of the rule
+//  "text" or 'text'    A literal, the value is the literal
+//  [a-z_] or [^0-9]    A character class, the value is the character
+//  .                   Any character, the value is the character
+//  (e)                 Grouping
+//  e* e+ e?            Zero or more, one or more and optional, the value is an array or null
+//  &e !e               Succeeds if e succeeds or fails without consuming any input
+//  e1 e2 {action}      A sequence, the value is an array of the values of the expressions
+//                      unless it's a single expression, a named action transforms the value
+//  e1 / e2             Ordered choice, the value of the first expression that succeeds
+//
+// Literals and character classes supports the escapes \n \r \t \' \" \[ \] \\ \- and \uXXXX
+
+module peg {
+
+    // The named semantic actions of a grammar
+    //  An action transforms the value of a sequence, the span is where in the input the sequence is
+    export interface Actions {
+        [name : string] : (value : any, span : mpc.Span) => any;
+    }
+
+    // A compiled grammar
+    //  The parsers of the rules by name
+    //  The parser of the start rule
+    export class Grammar {
+        constructor (public rules : {[name : string] : mpc.Parser<any>}, public start : mpc.Parser<any>) {
+        }
+
+        // Parses a string with the start rule, or the named rule if given
+        //  The budget aborts runaway parses (see mpc.parse)
+        // Note: The rule doesn't have to consume all input, end the rule with !. to require that
+        // Note: Repeating an expression that can succeed without consuming input, like ('a'?)*, throws an Error
+        parse(s : string, rule? : string, budget? : mpc.Budget) : mpc.ParseResult<any> {
+            return mpc.parse(rule ? this.rules[rule] : this.start, s, budget)
+        }
+    }
+
+    // Define the grammar AST (Abstract Syntax Tree), each node compiles into a parser
+    interface Node {
+        compile(compiler : Compiler) : mpc.Parser<any>;
+    }
+
+    class RuleNode implements Node {
+        constructor (public name : string, public position : number) {
+        }
+
+        compile(compiler : Compiler) : mpc.Parser<any> {
+            return compiler.reference(this.name, this.position)
+        }
+    }
+
+    class LiteralNode implements Node {
+        constructor (public text : string) {
+        }
+
+        compile(compiler : Compiler) : mpc.Parser<any> {
+            return mpc.skipString(this.text).result(this.text)
+        }
+    }
+
+    class ClassNode implements Node {
+        constructor (public negated : boolean, public ranges : number[][], public span : mpc.Span) {
+        }
+
+        compile(compiler : Compiler) : mpc.Parser<any> {
+            var negated = this.negated
+            var ranges  = this.ranges
+
+            var satisfy : mpc.Satisfy = (ch, pos) => {
+                for (var iter = 0; iter < ranges.length; ++iter) {
+                    if (ch >= ranges[iter][0] && ch <= ranges[iter][1]) {
+                        return !negated
+                    }
+                }
+                return negated
+            }
+
+            return mpc
+                .codePoints(mpc.satisfy(satisfy, compiler.text.substring(this.span.start, this.span.end)))
+                .transform((ch : number) => mpc.fromCodePoint(ch))
+        }
+    }
+
+    class AnyNode implements Node {
+        compile(compiler : Compiler) : mpc.Parser<any> {
+            return mpc
+                .codePoints(mpc.anyChar())
+                .transform((ch : number) => mpc.fromCodePoint(ch))
+        }
+    }
+
+    class RepeatNode implements Node {
+        constructor (public operator : string, public node : Node) {
+        }
+
+        compile(compiler : Compiler) : mpc.Parser<any> {
+            var p = this.node.compile(compiler)
+
+            switch(this.operator) {
+            default:
+                return mpc.many(p)
+            case "+":
+                return mpc.many1(p)
+            case "?":
+                return p.opt()
+            }
+        }
+    }
+
+    class PredicateNode implements Node {
+        constructor (public operator : string, public node : Node) {
+        }
+
+        compile(compiler : Compiler) : mpc.Parser<any> {
+            var p = this.node.compile(compiler)
+
+            if (this.operator === "&") {
+                return mpc.lookahead(p).result<any>(undefined)
+            }
+
+            return mpc.notFollowedBy(p)
+        }
+    }
+
+    class SequenceNode implements Node {
+        constructor (public nodes : Node[], public action : RuleNode) {
+        }
+
+        compile(compiler : Compiler) : mpc.Parser<any> {
+            var parsers : mpc.Parser<any>[] = []
+
+            for (var iter = 0; iter < this.nodes.length; ++iter) {
+                parsers[iter] = this.nodes[iter].compile(compiler)
+            }
+
+            var p = parsers.length === 1 ? parsers[0] : mpc.sequence.apply(null, parsers)
+
+            if (!this.action) {
+                return p
+            }
+
+            var action = compiler.action(this.action.name, this.action.position)
+
+            return p.located((value : any, span : mpc.Span) => action(value, span))
+        }
+    }
+
+    class ChoiceNode implements Node {
+        constructor (public nodes : Node[]) {
+        }
+
+        compile(compiler : Compiler) : mpc.Parser<any> {
+            var parsers : mpc.Parser<any>[] = []
+
+            for (var iter = 0; iter < this.nodes.length; ++iter) {
+                parsers[iter] = this.nodes[iter].compile(compiler)
+            }
+
+            return parsers.length === 1 ? parsers[0] : mpc.choice.apply(null, parsers)
+        }
+    }
+
+    // A rule definition: name <- expression
+    class DefinitionNode {
+        constructor (public rule : RuleNode, public node : Node) {
+        }
+    }
+
+    // Compiles the rule definitions into parsers
+    //  The rules are circular parsers so rules can be referenced before they are defined
+    //  The first error is kept, it is reported as a failure at the position of the error
+    class Compiler {
+        rules           : {[name : string] : mpc.CircularParser<any>} = {}
+        errorPosition   = -1
+        errorExpected   : string[] = null
+
+        constructor (public text : string, public actions : Actions) {
+        }
+
+        compile(definitions : DefinitionNode[]) : Grammar {
+            for (var iter = 0; iter < definitions.length; ++iter) {
+                var rule = definitions[iter].rule
+
+                if (this.rules.hasOwnProperty(rule.name)) {
+                    this.error(rule.position, ["rule name other than " + rule.name + " (already defined)"])
+                } else {
+                    this.rules[rule.name] = mpc.circular<any>(rule.name)
+                }
+            }
+
+            for (var iter = 0; iter < definitions.length; ++iter) {
+                var definition = definitions[iter]
+                this.rules[definition.rule.name].define(definition.node.compile(this))
+            }
+
+            return new Grammar(this.rules, this.rules[definitions[0].rule.name])
+        }
+
+        // Returns the parser of a rule
+        reference(name : string, position : number) : mpc.Parser<any> {
+            if (!this.rules.hasOwnProperty(name)) {
+                this.error(position, ["definition of rule " + name])
+                return mpc.fail<any>()
+            }
+
+            return this.rules[name]
+        }
+
+        // Returns the named semantic action
+        action(name : string, position : number) : (value : any, span : mpc.Span) => any {
+            if (!this.actions.hasOwnProperty(name)) {
+                this.error(position, ["definition of action " + name])
+                return (value : any, span : mpc.Span) => value
+            }
+
+            return this.actions[name]
+        }
+
+        error(position : number, expected : string[]) : void {
+            if (this.errorExpected === null) {
+                this.errorPosition = position
+                this.errorExpected = expected
+            }
+        }
+    }
+
+    // Define the grammar of the grammar text
+
+    // Consumes whitespaces and comments
+    var p_whitespaces = mpc
+        .skipSatisfyMany(mpc.satisyWhitespace)
+
+    var p_comment = mpc
+        .skipString("#")
+        .keepRight(mpc.skipSatisfyMany((ch, pos) => ch !== 0x0A && ch !== 0x0D))
+        .label("comment")
+        .keepLeft(p_whitespaces)
+
+    var p_spacing = p_whitespaces
+        .keepLeft(mpc.many(p_comment))
+
+    // Parses a string followed by spacing
+    function symbol(str : string) : mpc.Parser<void> {
+        return mpc.skipString(str).keepLeft(p_spacing)
+    }
+
+    // Parses an identifier, used for rule and action names
+    var p_identifier : mpc.Parser<RuleNode> = mpc
+        .codePoints(mpc.satisfyMany((ch, pos) => pos === 0 ? mpc.isIdStart(ch, pos) || ch === 0x5F /*_*/ : mpc.isIdContinue(ch, pos)))
+        .consumedAtLeast(1)
+        .label("name")
+        .located((name : string, span : mpc.Span) => new RuleNode(name, span.start))
+        .keepLeft(p_spacing)
+
+    var p_leftArrow = symbol("<-")
+
+    // Parses an escape sequence and returns the character
+    var p_escape = mpc
+        .skipString("\\")
+        .keepRight(mpc.choice(
+            mpc.anyCharOf2("nrt'\"[]\\-", [0x0A, 0x0D, 0x09, 0x27, 0x22, 0x5B, 0x5D, 0x5C, 0x2D]),
+            mpc.skipString("u").keepRight(mpc.regex(/[0-9A-Fa-f]{4}/)).transform((hex : string) => parseInt(hex, 16))
+            ))
+
+    // Parses a character of a literal or a character class that isn't one of the delimiters
+    function character(delimiters : string) : mpc.Parser<number> {
+        return mpc.choice(
+            p_escape,
+            mpc.codePoints(mpc.satisfy((ch, pos) => ch !== 0x5C /*\*/ && ch !== 0x0A && ch !== 0x0D && delimiters.indexOf(mpc.fromCodePoint(ch)) < 0, "character"))
+            )
+    }
+
+    // Parses a literal surrounded by quote
+    function literal(quote : string) : mpc.Parser<Node> {
+        return mpc
+            .manyString(character(quote))
+            .inBetween(mpc.skipString(quote), symbol(quote))
+            .transform((text : string) => new LiteralNode(text))
+    }
+
+    var p_literal = mpc.choice(literal("\""), literal("'"))
+
+    // Parses a character class like [a-z_] or [^0-9], the value is the ranges of the characters
+    var p_classCharacter = character("]")
+
+    var p_range = mpc
+        .sequence(p_classCharacter, mpc.skipString("-").keepRight(p_classCharacter).opt())
+        .transform((range : number[]) => [range[0], range[1] === null ? range[0] : range[1]])
+
+    var p_class : mpc.Parser<Node> = mpc
+        .sequence(mpc.skipString("^").result(true).opt(), mpc.many(p_range))
+        .inBetween(mpc.skipString("["), mpc.skipString("]"))
+        .located((v : any[], span : mpc.Span) => new ClassNode(v[0] === true, v[1], span))
+        .keepLeft(p_spacing)
+
+    var p_any : mpc.Parser<Node> = symbol(".")
+        .result(new AnyNode())
+
+    // Parses an expression, as the definition is circular this is a placeholder for now
+    var p_expression = mpc.circular<Node>("expression")
+
+    // Parses a primary: a rule reference, a grouped expression, a literal, a character class or any character
+    var p_primary : mpc.Parser<Node> = mpc.choice<Node>(
+        p_identifier.keepLeft(mpc.notFollowedBy(p_leftArrow)),
+        p_expression.inBetween(symbol("("), symbol(")")),
+        p_literal,
+        p_class,
+        p_any
+        )
+
+    // Parses a primary optionally followed by *, + or ?
+    var p_suffix : mpc.Parser<Node> = mpc
+        .sequence(p_primary, mpc.anyCharOf("*+?").keepLeft(p_spacing).opt())
+        .transform((v : any[]) => v[1] === null ? v[0] : new RepeatNode("*+?".charAt(v[1]), v[0]))
+
+    // Parses a suffix optionally preceded by & or !
+    var p_prefix : mpc.Parser<Node> = mpc
+        .sequence(mpc.anyCharOf("&!").keepLeft(p_spacing).opt(), p_suffix)
+        .transform((v : any[]) => v[0] === null ? v[1] : new PredicateNode("&!".charAt(v[0]), v[1]))
+
+    // Parses a named semantic action like {sum}
+    var p_action = p_identifier
+        .inBetween(symbol("{"), symbol("}"))
+
+    // Parses a sequence optionally followed by an action
+    var p_sequence : mpc.Parser<Node> = mpc
+        .sequence(mpc.many(p_prefix), p_action.opt())
+        .transform((v : any[]) => new SequenceNode(v[0], v[1]))
+
+    // Parses the ordered choice of sequences
+    var p_choice : mpc.Parser<Node> = mpc
+        .sepBy1(p_sequence, symbol("/"))
+        .transform((nodes : Node[]) => new ChoiceNode(nodes))
+
+    // Parses a rule definition
+    var p_definition = mpc
+        .sequence(p_identifier, p_leftArrow, p_choice)
+        .transform((v : any[]) => new DefinitionNode(v[0], v[2]))
+
+    // Produces the complete grammar parser, sets up the circular parser expression
+    //  The complete grammar parser skips leading spacing and requires all input to be consumed
+    var p_grammar = () => {
+        p_expression.assign(p_choice)
+        return p_spacing.keepRight(mpc.many1(p_definition)).keepLeft(mpc.EOS())
+        }()
+
+    // Compiles grammar text into parsers, the actions are the named semantic actions used by the grammar
+    //  If the grammar text is invalid, references an undefined rule or action or defines a rule
+    //  twice the result is a failure describing the first error
+    // Example:
+    //  var result = compile("Number <- [0-9]+ {number}", { number : (digits : string[]) => parseFloat(digits.join("")) })
+    //  if (result.success) {
+    //      result.value.parse("42")
+    //  }
+    export function compile(text : string, actions? : Actions) : mpc.ParseResult<Grammar> {
+        var p = mpc.parser ((ps : mpc.ParserState) => {
+            var pResult = p_grammar.parse(ps)
+
+            if (!pResult.success) {
+                return ps.propagate<Grammar>(pResult)
+            }
+
+            var compiler = new Compiler(text, actions || {})
+
+            var grammar = compiler.compile(pResult.value)
+
+            if (compiler.errorExpected !== null) {
+                // The grammar text is valid so the compile error is reported rather than
+                // the furthest failure of the grammar parser
+                ps.furthestPosition = -1
+                ps.furthestExpected = []
+                ps.position         = compiler.errorPosition
+                return ps.fail<Grammar>(compiler.errorExpected)
+            }
+
+            return ps.succeed(grammar)
+        })
+
+        return mpc.parse(p, text)
+    }
+}